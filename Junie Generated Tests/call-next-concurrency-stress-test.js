@@ -0,0 +1,284 @@
+/**
+ * Stress test: concurrent call-next must never hand the same customer to two counters
+ *
+ * Creates a service line, clerks and counters used only by this run, issues a batch of
+ * tickets in that line and lets all clerks press "call next" on it in parallel until it is
+ * empty. Every ticket must be called exactly once. Also fires parallel call-next requests
+ * from a single counter and checks that only one of them succeeds. Tickets of the branch's
+ * other lines are never called, so the test can run against a database in use.
+ *
+ * Requires a running backend and an admin account whose initial password has been changed.
+ * Usage: STRESS_ADMIN_USERNAME=admin STRESS_ADMIN_PASSWORD=... \
+ *        node "Junie Generated Tests/call-next-concurrency-stress-test.js"
+ */
+
+import axios from 'axios';
+
+const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:3008/api';
+const BRANCH_ID = 1; // Ana Şube
+const CLERK_COUNT = parseInt(process.env.STRESS_CLERKS) || 8;
+const TICKET_COUNT = parseInt(process.env.STRESS_TICKETS) || 200;
+const SAME_COUNTER_REQUESTS = 10;
+const ADMIN_USERNAME = process.env.STRESS_ADMIN_USERNAME;
+const ADMIN_PASSWORD = process.env.STRESS_ADMIN_PASSWORD;
+// New users get a temporary password they must replace before serving customers; both meet the password policy
+const TEMPORARY_PASSWORD = 'Stress-Temp-2024';
+const PASSWORD = 'Stress-Pass-2024';
+
+const api = axios.create({ baseURL: API_BASE_URL, validateStatus: () => true });
+const auth = (token) => ({ headers: { Authorization: `Bearer ${token}` } });
+
+async function login(username, password = PASSWORD) {
+  const response = await api.post('/auth/login', { username, password });
+  if (!response.data?.success) {
+    throw new Error(`Login failed for ${username}: ${response.data?.message}`);
+  }
+  return response.data.data;
+}
+
+/**
+ * Sign in a new clerk with the temporary password and replace it, as required before the first call
+ */
+async function loginNewClerk(username) {
+  const { token } = await login(username, TEMPORARY_PASSWORD);
+  const response = await api.post('/auth/change-password', {
+    currentPassword: TEMPORARY_PASSWORD,
+    newPassword: PASSWORD
+  }, auth(token));
+
+  if (!response.data?.success) {
+    throw new Error(`Password change failed for ${username}: ${response.data?.message}`);
+  }
+
+  // The session that changed the password stays signed in
+  return token;
+}
+
+/**
+ * Create the service line used only by this test run
+ */
+async function setupService(adminToken, runId) {
+  const response = await api.post('/services', {
+    branchId: BRANCH_ID,
+    name: `Stress test ${runId}`,
+    code: runId.slice(-5).toUpperCase()
+  }, auth(adminToken));
+
+  if (!response.data?.success) {
+    throw new Error(`Could not create service line: ${response.data?.message}`);
+  }
+
+  return response.data.data.id;
+}
+
+/**
+ * Issue tickets in the test service line
+ */
+async function issueTickets(serviceId, count) {
+  const responses = await Promise.all(
+    Array.from({ length: count }, () => api.post('/queue/next-number', { branchId: BRANCH_ID, serviceId }))
+  );
+
+  return responses.map(response => {
+    if (!response.data?.success) {
+      throw new Error(`Could not issue ticket: ${response.data?.message}`);
+    }
+    return response.data.data.id;
+  });
+}
+
+/**
+ * Create clerks and counters used only by this test run
+ */
+async function setupWorkers(adminToken, runId) {
+  const workers = [];
+
+  // Number new counters after the highest existing one (including deactivated ones)
+  const countersResponse = await api.get(`/counters/${BRANCH_ID}`, auth(adminToken));
+  const highestNumber = Math.max(0, ...(countersResponse.data?.data || []).map(counter => counter.number));
+
+  for (let i = 0; i < CLERK_COUNT; i++) {
+    const username = `stress_${runId}_${i}`;
+
+    const userResponse = await api.post('/users', {
+      username,
+      password: TEMPORARY_PASSWORD,
+      role: 'clerk',
+      branchId: BRANCH_ID
+    }, auth(adminToken));
+
+    if (!userResponse.data?.success) {
+      throw new Error(`Could not create clerk ${username}: ${userResponse.data?.message}`);
+    }
+
+    const counterResponse = await api.post('/counters', {
+      branchId: BRANCH_ID,
+      number: highestNumber + i + 1
+    }, auth(adminToken));
+
+    if (!counterResponse.data?.success) {
+      throw new Error(`Could not create counter: ${counterResponse.data?.message}`);
+    }
+
+    const token = await loginNewClerk(username);
+    const sessionResponse = await api.post('/counters/start-session', {
+      counterId: counterResponse.data.data.id
+    }, auth(token));
+
+    if (!sessionResponse.data?.success) {
+      throw new Error(`Could not start session for ${username}: ${sessionResponse.data?.message}`);
+    }
+
+    workers.push({
+      username,
+      token,
+      counterId: counterResponse.data.data.id,
+      sessionId: sessionResponse.data.data.sessionId,
+      called: []
+    });
+  }
+
+  return workers;
+}
+
+/**
+ * Keep calling and completing customers of the test line until it is empty
+ */
+async function runWorker(worker, serviceId) {
+  for (;;) {
+    const callResponse = await api.post('/queue/call-next', {
+      counterId: worker.counterId,
+      serviceId
+    }, auth(worker.token));
+
+    if (callResponse.status === 404) {
+      return; // Test line is empty
+    }
+
+    if (!callResponse.data?.success) {
+      throw new Error(`${worker.username} call-next failed: ${callResponse.status} ${callResponse.data?.message}`);
+    }
+
+    worker.called.push(callResponse.data.data.id);
+
+    const completeResponse = await api.post('/queue/complete', { queueId: callResponse.data.data.id }, auth(worker.token));
+
+    if (!completeResponse.data?.success) {
+      throw new Error(`${worker.username} complete failed: ${completeResponse.data?.message}`);
+    }
+  }
+}
+
+async function testConcurrentCallNext() {
+  console.log('🧪 Testing: concurrent call-next hands out distinct customers');
+  console.log('='.repeat(60));
+
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    throw new Error('Set STRESS_ADMIN_USERNAME and STRESS_ADMIN_PASSWORD to an admin account whose initial password has been changed');
+  }
+
+  const admin = await login(ADMIN_USERNAME, ADMIN_PASSWORD);
+
+  if (admin.user.mustChangePassword) {
+    throw new Error(`${ADMIN_USERNAME} must change the initial password first; pass the new one in STRESS_ADMIN_PASSWORD`);
+  }
+
+  const adminToken = admin.token;
+  const runId = Date.now().toString(36);
+
+  console.log(`\n👥 Step 1: Creating a service line and ${CLERK_COUNT} clerks with their own counters...`);
+  const serviceId = await setupService(adminToken, runId);
+  const workers = await setupWorkers(adminToken, runId);
+  console.log('✅ Workers ready');
+
+  console.log(`\n🎫 Step 2: Issuing ${TICKET_COUNT} tickets...`);
+  const issued = new Set(await issueTickets(serviceId, TICKET_COUNT));
+  console.log(`✅ ${issued.size} tickets issued`);
+
+  console.log('\n⚡ Step 3: All clerks calling next in parallel...');
+  const startedAt = Date.now();
+  await Promise.all(workers.map(worker => runWorker(worker, serviceId)));
+  console.log(`✅ Test line drained in ${Date.now() - startedAt} ms`);
+
+  const allCalled = workers.flatMap(worker => worker.called);
+  const uniqueCalled = new Set(allCalled);
+  const duplicates = allCalled.length - uniqueCalled.size;
+  const missing = [...issued].filter(id => !uniqueCalled.has(id));
+  const foreign = [...uniqueCalled].filter(id => !issued.has(id));
+
+  workers.forEach(worker => {
+    console.log(`   ${worker.username}: ${worker.called.length} customers`);
+  });
+
+  let passed = true;
+
+  if (duplicates > 0) {
+    console.log(`❌ FAIL: ${duplicates} customers were called by more than one counter`);
+    passed = false;
+  } else {
+    console.log('✅ PASS: no customer was called twice');
+  }
+
+  if (missing.length > 0) {
+    console.log(`❌ FAIL: ${missing.length} issued tickets were never called`);
+    passed = false;
+  } else {
+    console.log('✅ PASS: every issued ticket was called exactly once');
+  }
+
+  if (foreign.length > 0) {
+    console.log(`❌ FAIL: ${foreign.length} tickets outside the test line were called`);
+    passed = false;
+  } else {
+    console.log('✅ PASS: only tickets of the test line were called');
+  }
+
+  console.log(`\n🔁 Step 4: ${SAME_COUNTER_REQUESTS} parallel call-next requests from one counter...`);
+  await issueTickets(serviceId, SAME_COUNTER_REQUESTS);
+
+  const worker = workers[0];
+  const sameCounterResponses = await Promise.all(
+    Array.from({ length: SAME_COUNTER_REQUESTS }, () =>
+      api.post('/queue/call-next', { counterId: worker.counterId, serviceId }, auth(worker.token))
+    )
+  );
+  const succeeded = sameCounterResponses.filter(response => response.status === 200);
+  const rejected = sameCounterResponses.filter(response => response.status === 409);
+
+  if (succeeded.length === 1 && rejected.length === SAME_COUNTER_REQUESTS - 1) {
+    console.log('✅ PASS: exactly one call succeeded, the rest were rejected as busy');
+  } else {
+    console.log(`❌ FAIL: ${succeeded.length} calls succeeded, ${rejected.length} rejected`);
+    passed = false;
+  }
+
+  if (succeeded.length > 0) {
+    await api.post('/queue/complete', { queueId: succeeded[0].data.data.id }, auth(worker.token));
+  }
+
+  // Clean up: drain the extra tickets, end sessions and remove the test line and accounts
+  console.log('\n🧹 Cleaning up test line, clerks and counters...');
+  await Promise.all(workers.map(testWorker => runWorker(testWorker, serviceId)));
+  for (const testWorker of workers) {
+    await api.post('/counters/end-session', { sessionId: testWorker.sessionId }, auth(testWorker.token));
+    await api.delete(`/counters/${testWorker.counterId}`, auth(adminToken));
+  }
+  const usersResponse = await api.get('/users', auth(adminToken));
+  for (const user of usersResponse.data?.data || []) {
+    if (workers.some(testWorker => testWorker.username === user.username)) {
+      await api.delete(`/users/${user.id}`, auth(adminToken));
+    }
+  }
+  await api.delete(`/services/${serviceId}`, auth(adminToken));
+
+  console.log('\n' + '='.repeat(60));
+  console.log(passed ? '🎉 Concurrency stress test passed' : '💥 Concurrency stress test failed');
+  return passed;
+}
+
+testConcurrentCallNext()
+  .then(passed => process.exit(passed ? 0 : 1))
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  });
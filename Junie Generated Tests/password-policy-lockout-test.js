@@ -0,0 +1,190 @@
+/**
+ * Test: password policy rules, password history and login lockout
+ *
+ * Checks every strength rule of the password policy, that recent passwords cannot be
+ * chosen again, and that failed logins lock an account once the threshold is reached,
+ * double the lock with every further failure up to the maximum, and that the lock ends
+ * when it expires or the password is reset.
+ *
+ * Uses the backend database configuration (DB_* variables). Everything runs in one
+ * transaction that is rolled back, so no users or history rows are left behind.
+ * Usage: node "Junie Generated Tests/password-policy-lockout-test.js"
+ */
+
+import appConfig from '../backend/src/config/appConfig.js';
+import { getClient, closePool } from '../backend/src/config/database.js';
+import { assertPasswordStrength, assertPasswordNotReused, setUserPassword, hashPassword } from '../backend/src/utils/passwordPolicy.js';
+import { recordFailedLogin } from '../backend/src/utils/loginLockout.js';
+
+// Explicit settings so the expectations do not depend on the environment
+const POLICY = {
+  minLength: 10,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireDigit: true,
+  requireSymbol: true,
+  historySize: 3
+};
+const LOCKOUT = {
+  maxFailedAttempts: 3,
+  baseLockSeconds: 10,
+  maxLockSeconds: 40
+};
+
+let passed = true;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ PASS: ${description}`);
+  } else {
+    console.log(`❌ FAIL: ${description}`);
+    passed = false;
+  }
+}
+
+/**
+ * Get the error message a check throws, null if it passes
+ */
+async function rejection(action) {
+  try {
+    await action();
+    return null;
+  } catch (error) {
+    return error.statusCode === 400 ? error.message : `unexpected: ${error.message}`;
+  }
+}
+
+async function getLockSeconds(client, userId) {
+  const result = await client.query(
+    `SELECT failed_login_attempts,
+            GREATEST(0, CEIL(EXTRACT(EPOCH FROM locked_until - CURRENT_TIMESTAMP)))::integer as lock_seconds
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+  return result.rows[0];
+}
+
+async function testPasswordStrength() {
+  console.log('\n🔑 Step 1: Password strength rules...');
+
+  const cases = [
+    { password: 'Aa1!short', message: 'Password must be at least 10 characters long' },
+    { password: 'lowercase1!x', message: 'Password must contain an uppercase letter' },
+    { password: 'UPPERCASE1!X', message: 'Password must contain a lowercase letter' },
+    { password: 'NoDigitsHere!', message: 'Password must contain a digit' },
+    { password: 'NoSymbols123', message: 'Password must contain a symbol' },
+    { password: 12345678901, message: 'Password must be at least 10 characters long' },
+    { password: 'Strong-Pass-1', message: null }
+  ];
+
+  for (const { password, message } of cases) {
+    const actual = await rejection(() => assertPasswordStrength(password));
+    check(`${JSON.stringify(password)} → ${message || 'accepted'}`, actual === message);
+  }
+
+  // Disabled rules are not checked
+  appConfig.passwordPolicy.requireSymbol = false;
+  check('a password without a symbol is accepted when symbols are optional',
+    await rejection(() => assertPasswordStrength('NoSymbols123')) === null);
+  appConfig.passwordPolicy.requireSymbol = true;
+}
+
+async function testPasswordHistory(client, userId) {
+  console.log(`\n🕘 Step 2: Password history (last ${POLICY.historySize} passwords)...`);
+
+  // The user starts with First-Pass-1, then changes it twice
+  await setUserPassword(userId, 'Second-Pass-2', false, client);
+  await setUserPassword(userId, 'Third-Pass-3', false, client);
+
+  const reused = 'Password was used recently, choose a different one';
+  check('the current password is rejected',
+    await rejection(() => assertPasswordNotReused(userId, 'Third-Pass-3', client)) === reused);
+  check('the previous password is rejected',
+    await rejection(() => assertPasswordNotReused(userId, 'Second-Pass-2', client)) === reused);
+  check('the password before that is rejected',
+    await rejection(() => assertPasswordNotReused(userId, 'First-Pass-1', client)) === reused);
+  check('a new password is accepted',
+    await rejection(() => assertPasswordNotReused(userId, 'Fourth-Pass-4', client)) === null);
+
+  await setUserPassword(userId, 'Fourth-Pass-4', false, client);
+  check('a password older than the history can be chosen again',
+    await rejection(() => assertPasswordNotReused(userId, 'First-Pass-1', client)) === null);
+
+  const historyResult = await client.query('SELECT COUNT(*) as count FROM password_history WHERE user_id = $1', [userId]);
+  check(`the history is trimmed to ${POLICY.historySize - 1} old hashes`,
+    parseInt(historyResult.rows[0].count) === POLICY.historySize - 1);
+}
+
+async function testLockout(client, userId) {
+  console.log(`\n🔒 Step 3: Lockout after ${LOCKOUT.maxFailedAttempts} failed logins...`);
+
+  for (let attempt = 1; attempt < LOCKOUT.maxFailedAttempts; attempt++) {
+    check(`failure ${attempt} does not lock the account`, await recordFailedLogin(userId, client) === 0);
+  }
+
+  // Every failure past the limit doubles the lock, up to the maximum
+  const expectedLocks = [10, 20, 40, 40];
+  for (const [index, expected] of expectedLocks.entries()) {
+    const attempt = LOCKOUT.maxFailedAttempts + index;
+    check(`failure ${attempt} locks the account for ${expected} seconds`, await recordFailedLogin(userId, client) === expected);
+  }
+
+  const locked = await getLockSeconds(client, userId);
+  check('the stored lock matches the last failure', locked.lock_seconds === 40);
+
+  console.log('\n⏱️ Step 4: Lock expiry and reset...');
+  await client.query(
+    "UPDATE users SET locked_until = CURRENT_TIMESTAMP - INTERVAL '1 second' WHERE id = $1",
+    [userId]
+  );
+  check('an expired lock no longer blocks the account', (await getLockSeconds(client, userId)).lock_seconds === 0);
+  check('a failure after the lock expired locks again at once, as the count was not reset',
+    await recordFailedLogin(userId, client) === 40);
+
+  await setUserPassword(userId, 'Fifth-Pass-5', false, client);
+  const reset = await getLockSeconds(client, userId);
+  check('a password reset lifts the lock and clears the count', reset.lock_seconds === 0 && reset.failed_login_attempts === 0);
+  check('the first failure after the reset does not lock the account', await recordFailedLogin(userId, client) === 0);
+}
+
+async function testPasswordPolicy() {
+  console.log('🧪 Testing: password policy and login lockout');
+  console.log('='.repeat(60));
+
+  Object.assign(appConfig.passwordPolicy, POLICY);
+  Object.assign(appConfig.loginLockout, LOCKOUT);
+
+  await testPasswordStrength();
+
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const userResult = await client.query(
+      `INSERT INTO users (username, password_hash, role)
+       VALUES ($1, $2, 'clerk')
+       RETURNING id`,
+      [`policy_test_${Date.now().toString(36)}`, await hashPassword('First-Pass-1')]
+    );
+    const userId = userResult.rows[0].id;
+
+    await testPasswordHistory(client, userId);
+    await testLockout(client, userId);
+  } finally {
+    await client.query('ROLLBACK');
+    client.release();
+    await closePool();
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log(passed ? '🎉 Password policy test passed' : '💥 Password policy test failed');
+  return passed;
+}
+
+testPasswordPolicy()
+  .then(result => process.exit(result ? 0 : 1))
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  });
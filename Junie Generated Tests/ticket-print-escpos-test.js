@@ -0,0 +1,156 @@
+/**
+ * Test: ESC/POS byte stream of printed kiosk tickets
+ *
+ * Builds tickets with TicketPrintService and checks the printer commands: initialisation,
+ * the PC857 code page, the QR code store and print commands with their length bytes,
+ * the Turkish character mapping and the final feed and cut.
+ *
+ * The service reads its settings from the Vite environment, so it is loaded through a
+ * Vite server in middleware mode; no browser or printer is needed.
+ * Usage: node "Junie Generated Tests/ticket-print-escpos-test.js"
+ */
+
+import { createServer } from 'vite';
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const TICKET = {
+  branchName: 'Kadıköy Şubesi',
+  displayNumber: 'A-042',
+  serviceName: 'Hesap İşlemleri',
+  priorityText: '',
+  scheduledTime: '',
+  issuedAt: '18.10.2026 14:05',
+  peopleAhead: 3,
+  trackingCode: 'MSXRQ46ZVK',
+  trackingUrl: 'https://sira.example.com/track/MSXRQ46ZVK'
+};
+
+let passed = true;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ PASS: ${description}`);
+  } else {
+    console.log(`❌ FAIL: ${description}`);
+    passed = false;
+  }
+}
+
+/**
+ * Find a byte sequence in a byte stream, -1 if it is missing
+ */
+function indexOfSequence(bytes, sequence, from = 0) {
+  for (let i = from; i <= bytes.length - sequence.length; i++) {
+    if (sequence.every((byte, offset) => bytes[i + offset] === byte)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+const ascii = (text) => Array.from(text, character => character.charCodeAt(0));
+
+function testCharacterMapping(printService) {
+  console.log('\n🔤 Step 1: Turkish characters in code page 857...');
+
+  const expected = {
+    'Ç': 0x80, 'ç': 0x87, 'Ğ': 0xa6, 'ğ': 0xa7, 'İ': 0x98, 'ı': 0x8d,
+    'Ö': 0x99, 'ö': 0x94, 'Ş': 0x9e, 'ş': 0x9f, 'Ü': 0x9a, 'ü': 0x81
+  };
+
+  for (const [character, byte] of Object.entries(expected)) {
+    const [encoded] = printService.encodeText(character);
+    check(`${character} → 0x${byte.toString(16)} (got 0x${encoded.toString(16)})`, encoded === byte);
+  }
+
+  check('ASCII text is passed through unchanged',
+    JSON.stringify(printService.encodeText('A-042 Sira 7')) === JSON.stringify(ascii('A-042 Sira 7')));
+  check('characters outside the code page become ?',
+    JSON.stringify(printService.encodeText('€5')) === JSON.stringify([0x3f, 0x35]));
+  check('a missing text encodes to nothing', printService.encodeText(null).length === 0);
+}
+
+function testTicketCommands(printService, codePage, qrModuleSize) {
+  console.log('\n🖨️ Step 2: Ticket commands...');
+
+  const bytes = Array.from(printService.buildEscPos(TICKET));
+
+  check('the stream starts with ESC @ (initialise printer)', bytes[0] === ESC && bytes[1] === 0x40);
+  check(`ESC t selects code page ${codePage} (PC857) right after initialising`,
+    indexOfSequence(bytes, [ESC, 0x74, codePage]) === 2);
+  check('ESC a 1 centres the ticket', indexOfSequence(bytes, [ESC, 0x61, 1]) === 5);
+
+  const branchLine = [...printService.encodeText(TICKET.branchName), LF];
+  check('the branch name is printed in bold with Turkish letters mapped',
+    indexOfSequence(bytes, [ESC, 0x45, 1, ...branchLine, ESC, 0x45, 0]) !== -1);
+  check('the ticket number is printed at quadruple size',
+    indexOfSequence(bytes, [GS, 0x21, 0x33, ...ascii(TICKET.displayNumber), LF, GS, 0x21, 0x00]) !== -1);
+  check('the people-ahead line is encoded in PC857',
+    indexOfSequence(bytes, [0x99, ...ascii('n'), 0x81, ...ascii('n'), 0x81, ...ascii('zde 3 ki'), 0x9f, ...ascii('i var'), LF]) !== -1);
+
+  console.log('\n🔳 Step 3: QR code commands...');
+  const url = ascii(TICKET.trackingUrl);
+  const storeLength = url.length + 3;
+  const model = indexOfSequence(bytes, [GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0x00]);
+  const moduleSize = indexOfSequence(bytes, [GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, qrModuleSize]);
+  const errorCorrection = indexOfSequence(bytes, [GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, 0x31]);
+  const store = indexOfSequence(bytes, [GS, 0x28, 0x6b, storeLength & 0xff, storeLength >> 8, 0x31, 0x50, 0x30, ...url]);
+  const print = indexOfSequence(bytes, [GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30]);
+
+  check('QR model 2 is selected', model !== -1);
+  check(`the QR module size is ${qrModuleSize}`, moduleSize > model);
+  check('error correction level M is selected', errorCorrection > moduleSize);
+  check(`the tracking URL is stored with pL/pH = ${storeLength}`, store > errorCorrection);
+  check('the stored symbol is printed after it is stored', print > store);
+  check('the tracking code is printed under the QR code',
+    indexOfSequence(bytes, [...ascii(TICKET.trackingCode), LF], print) !== -1);
+
+  check('the stream ends with a 4-line feed and a partial cut',
+    indexOfSequence(bytes, [ESC, 0x64, 4, GS, 0x56, 0x42, 0]) === bytes.length - 7);
+
+  // URLs longer than 252 bytes need the high length byte
+  const longUrl = `https://sira.example.com/track/${'X'.repeat(300)}`;
+  const longBytes = Array.from(printService.buildEscPos({ ...TICKET, trackingUrl: longUrl }));
+  const longLength = longUrl.length + 3;
+  check(`a ${longUrl.length}-byte URL is stored with pL=${longLength & 0xff}, pH=${longLength >> 8}`,
+    indexOfSequence(longBytes, [GS, 0x28, 0x6b, longLength & 0xff, longLength >> 8, 0x31, 0x50, 0x30]) !== -1);
+
+  const noQrBytes = Array.from(printService.buildEscPos({ ...TICKET, trackingCode: '', trackingUrl: '' }));
+  check('a ticket without a tracking code has no QR commands', indexOfSequence(noQrBytes, [GS, 0x28, 0x6b]) === -1);
+}
+
+async function testTicketPrint() {
+  console.log('🧪 Testing: ESC/POS ticket byte stream');
+  console.log('='.repeat(60));
+
+  const server = await createServer({
+    logLevel: 'error',
+    appType: 'custom',
+    server: { middlewareMode: true, hmr: false }
+  });
+
+  try {
+    const { default: printService } = await server.ssrLoadModule('/src/services/TicketPrintService.js');
+    const { default: AppConfig } = await server.ssrLoadModule('/src/config/AppConfig.js');
+    const { codePage, qrModuleSize } = AppConfig.get('printing.escPos');
+
+    testCharacterMapping(printService);
+    testTicketCommands(printService, codePage, qrModuleSize);
+  } finally {
+    await server.close();
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log(passed ? '🎉 Ticket print test passed' : '💥 Ticket print test failed');
+  return passed;
+}
+
+testTicketPrint()
+  .then(result => process.exit(result ? 0 : 1))
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,130 @@
+/**
+ * Test: TOTP code generation, clock-drift window and replay protection
+ *
+ * Checks the generator against the SHA-1 test vectors of RFC 6238, the steps the
+ * verification window accepts, and that a code cannot be used twice: verifyTotp skips
+ * steps up to the last used one, and verifySecondFactor only accepts a code whose step
+ * is newer than the stored totp_last_step.
+ *
+ * Runs without a backend or database.
+ * Usage: node "Junie Generated Tests/totp-two-factor-test.js"
+ */
+
+import {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  getTimeStep,
+  verifyTotp
+} from '../backend/src/utils/totp.js';
+import { verifySecondFactor } from '../backend/src/utils/twoFactor.js';
+
+// RFC 6238 appendix B: the SHA-1 seed is the ASCII string "12345678901234567890".
+// The RFC lists 8-digit codes; authenticator apps use the last 6 digits.
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+const RFC_VECTORS = [
+  { time: 59, code: '287082' },
+  { time: 1111111109, code: '081804' },
+  { time: 1111111111, code: '050471' },
+  { time: 1234567890, code: '005924' },
+  { time: 2000000000, code: '279037' },
+  { time: 20000000000, code: '353130' }
+];
+
+let passed = true;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ PASS: ${description}`);
+  } else {
+    console.log(`❌ FAIL: ${description}`);
+    passed = false;
+  }
+}
+
+/**
+ * Query executor holding one users row, applying the conditional step update of verifySecondFactor
+ */
+function createUserStore(user) {
+  return {
+    query: async (text, params) => {
+      if (text.includes('UPDATE users SET totp_last_step')) {
+        const [, step] = params;
+
+        if (user.totp_last_step === null || user.totp_last_step < step) {
+          user.totp_last_step = step;
+          return { rows: [{ id: user.id }] };
+        }
+
+        return { rows: [] };
+      }
+
+      // No recovery codes in this store
+      return { rows: [] };
+    }
+  };
+}
+
+async function testTotp() {
+  console.log('🧪 Testing: TOTP generation, verification window and replay protection');
+  console.log('='.repeat(60));
+
+  console.log('\n🔤 Step 1: Base32 encoding...');
+  check('the RFC seed encodes to the published base32 secret', RFC_SECRET === 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  check('decoding ignores case, spaces and padding', base32Decode('gezd gnbv gy3t qojq====').toString('ascii') === '1234567890');
+
+  const secret = generateSecret();
+  check('a generated secret is 32 base32 characters (160 bits)', /^[A-Z2-7]{32}$/.test(secret));
+  check('a generated secret decodes back to 20 bytes', base32Decode(secret).length === 20);
+
+  console.log('\n📐 Step 2: RFC 6238 SHA-1 test vectors...');
+  for (const vector of RFC_VECTORS) {
+    const code = generateTotp(RFC_SECRET, vector.time * 1000);
+    check(`T=${vector.time} gives ${vector.code} (got ${code})`, code === vector.code);
+  }
+
+  console.log('\n🕒 Step 3: Verification window...');
+  // verifyTotp reads the clock itself, so do not start right before a step ends
+  const msLeftInStep = 30000 - (Date.now() % 30000);
+  if (msLeftInStep < 2000) {
+    await new Promise(resolve => setTimeout(resolve, msLeftInStep));
+  }
+  const now = Date.now();
+  const currentStep = getTimeStep(now);
+  const codeAt = (offset) => generateTotp(secret, now + offset * 30000);
+
+  check('the current code is accepted', verifyTotp(secret, codeAt(0)) === currentStep);
+  check('the previous step is accepted with the default window', verifyTotp(secret, codeAt(-1)) === currentStep - 1);
+  check('the next step is accepted with the default window', verifyTotp(secret, codeAt(1)) === currentStep + 1);
+  check('two steps back is rejected with the default window', verifyTotp(secret, codeAt(-2)) === null);
+  check('the previous step is rejected with window 0', verifyTotp(secret, codeAt(-1), { window: 0 }) === null);
+  check('spaces inside the code are ignored', verifyTotp(secret, `${codeAt(0).slice(0, 3)} ${codeAt(0).slice(3)}`) === currentStep);
+  check('a code that is not 6 digits is rejected', verifyTotp(secret, '12345') === null && verifyTotp(secret, 'abcdef') === null);
+
+  console.log('\n🔁 Step 4: Replay protection...');
+  check('a code of the last used step is rejected', verifyTotp(secret, codeAt(0), { lastStep: currentStep }) === null);
+  check('a code older than the last used step is rejected', verifyTotp(secret, codeAt(-1), { lastStep: currentStep }) === null);
+  check('a code newer than the last used step is accepted', verifyTotp(secret, codeAt(1), { lastStep: currentStep }) === currentStep + 1);
+
+  const user = { id: 1, totp_secret: secret, totp_last_step: null };
+  const store = createUserStore(user);
+  const code = codeAt(0);
+
+  check('the first use of a code is accepted', await verifySecondFactor({ ...user }, code, store) === 'totp');
+  check('the accepted step is stored as totp_last_step', user.totp_last_step === currentStep);
+  check('the same code is rejected in the same step', await verifySecondFactor({ ...user }, code, store) === null);
+  check('a stale user row cannot reuse the code either', await verifySecondFactor({ ...user, totp_last_step: null }, code, store) === null);
+  check('the code of the next step is still accepted', await verifySecondFactor({ ...user }, codeAt(1), store) === 'totp');
+
+  console.log('\n' + '='.repeat(60));
+  console.log(passed ? '🎉 TOTP test passed' : '💥 TOTP test failed');
+  return passed;
+}
+
+testTotp()
+  .then(result => process.exit(result ? 0 : 1))
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  });
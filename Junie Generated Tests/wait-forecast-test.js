@@ -0,0 +1,230 @@
+/**
+ * Test: wait forecast math and the counters it counts
+ *
+ * Checks forecastWait against hand-computed values: people ahead shared by the open
+ * counters of a line, the half service added when every counter is busy, the range from
+ * the summed service times, the fallback from line to branch statistics, and the forecast
+ * when no counter is open. loadForecastContext is then checked against a branch in the
+ * database to make sure paused and closed counter sessions add no capacity.
+ *
+ * Uses the backend database configuration (DB_* variables). The database part runs in one
+ * transaction that is rolled back, so no branches, users or tickets are left behind.
+ * Usage: node "Junie Generated Tests/wait-forecast-test.js"
+ */
+
+import appConfig from '../backend/src/config/appConfig.js';
+import { getClient, closePool } from '../backend/src/config/database.js';
+import { loadForecastContext, forecastWait } from '../backend/src/utils/waitForecast.js';
+
+// Explicit settings so the expectations do not depend on the environment
+const FORECAST = {
+  historyDays: 28,
+  minSamples: 5,
+  defaultServiceTime: 180,
+  defaultSpread: 0.5,
+  confidenceZ: 1.28
+};
+
+const LINE = 7;
+const OTHER_LINE = 8;
+
+let passed = true;
+
+function check(description, condition) {
+  if (condition) {
+    console.log(`✅ PASS: ${description}`);
+  } else {
+    console.log(`❌ FAIL: ${description}`);
+    passed = false;
+  }
+}
+
+function checkForecast(description, forecast, expected) {
+  const mismatches = Object.entries(expected)
+    .filter(([key, value]) => forecast[key] !== value)
+    .map(([key, value]) => `${key} ${forecast[key]} instead of ${value}`);
+
+  check(mismatches.length ? `${description} (${mismatches.join(', ')})` : description, mismatches.length === 0);
+}
+
+const counter = (id, busy = false, serviceIds = []) => ({ id, busy, serviceIds });
+
+const lineStats = (samples, avgServiceTime, stddevServiceTime, currentHour = true) => (
+  { serviceId: LINE, currentHour, samples, avgServiceTime, stddevServiceTime }
+);
+
+function testForecastMath() {
+  console.log('\n🧮 Step 1: Forecast math...');
+
+  // 4 ahead at 120s ± 30s on two idle counters: 4 × 120 / 2 = 240, range 1.28 × √4 × 30 / 2 = 38.4
+  const context = {
+    stats: [lineStats(10, 120, 30)],
+    counters: [counter(1), counter(2)]
+  };
+  checkForecast('two idle counters share the people ahead', forecastWait(context, LINE, 4), {
+    estimatedWaitTime: 240, minWaitTime: 202, maxWaitTime: 278, confidence: 'high', avgServiceTime: 120, openCounters: 2
+  });
+
+  checkForecast('one busy counter of two adds no wait for the current customer',
+    forecastWait({ ...context, counters: [counter(1, true), counter(2)] }, LINE, 4),
+    { estimatedWaitTime: 240, openCounters: 2 });
+
+  checkForecast('all counters busy adds half a service for the current customer',
+    forecastWait({ ...context, counters: [counter(1, true), counter(2, true)] }, LINE, 4),
+    { estimatedWaitTime: 300, minWaitTime: 262, maxWaitTime: 338 });
+
+  checkForecast('nobody ahead at an idle counter means no wait',
+    forecastWait(context, LINE, 0), { estimatedWaitTime: 0, minWaitTime: 0, maxWaitTime: 0 });
+
+  console.log('\n🚪 Step 2: Counters that may call the line...');
+  const mixedCounters = [counter(1), counter(2, false, [LINE]), counter(3, false, [OTHER_LINE])];
+
+  checkForecast('a counter restricted to another line does not count',
+    forecastWait({ ...context, counters: mixedCounters }, LINE, 4), { estimatedWaitTime: 240, openCounters: 2 });
+  checkForecast('every open counter may call the general line',
+    forecastWait({ ...context, counters: mixedCounters }, null, 6), { openCounters: 3 });
+
+  console.log('\n⛔ Step 3: No open counter...');
+  // The people ahead wait for one server that is busy: 4 × 120 + 60 = 540, range 1.28 × 2 × 30 = 76.8
+  checkForecast('no open counters forecasts a single busy server with low confidence',
+    forecastWait({ ...context, counters: [] }, LINE, 4), {
+      estimatedWaitTime: 540, minWaitTime: 463, maxWaitTime: 617, confidence: 'low', openCounters: 0
+    });
+  checkForecast('only counters of another line open counts as none open',
+    forecastWait({ ...context, counters: [counter(3, false, [OTHER_LINE])] }, LINE, 4),
+    { estimatedWaitTime: 540, confidence: 'low', openCounters: 0 });
+
+  console.log('\n📊 Step 4: Service-time statistics fallback...');
+  const branchStats = [
+    { serviceId: undefined, currentHour: true, samples: 20, avgServiceTime: 200, stddevServiceTime: 40 },
+    { serviceId: undefined, currentHour: false, samples: 50, avgServiceTime: 150, stddevServiceTime: 30 }
+  ];
+
+  checkForecast('the line of the current hour is used first',
+    forecastWait({ stats: [lineStats(10, 120, 30), lineStats(40, 100, 20, false), ...branchStats], counters: [counter(1)] }, LINE, 2),
+    { avgServiceTime: 120, confidence: 'high' });
+  checkForecast('too few samples in this hour fall back to the whole line',
+    forecastWait({ stats: [lineStats(4, 120, 30), lineStats(40, 100, 20, false), ...branchStats], counters: [counter(1)] }, LINE, 2),
+    { avgServiceTime: 100, confidence: 'medium' });
+  checkForecast('a line without history falls back to the branch in this hour',
+    forecastWait({ stats: branchStats, counters: [counter(1)] }, LINE, 2), { avgServiceTime: 200, confidence: 'medium' });
+  checkForecast('the whole branch is used when this hour has too few samples',
+    forecastWait({ stats: [{ ...branchStats[0], samples: 3 }, branchStats[1]], counters: [counter(1)] }, LINE, 2),
+    { avgServiceTime: 150, confidence: 'low' });
+
+  // 2 ahead at the default 180s ± 90s on one idle counter: 360, range 1.28 × √2 × 90 = 162.9
+  checkForecast('without any history the configured service time is used',
+    forecastWait({ stats: [], counters: [counter(1)] }, LINE, 2), {
+      estimatedWaitTime: 360, minWaitTime: 197, maxWaitTime: 523, confidence: 'low', avgServiceTime: 180
+    });
+  checkForecast('a missing deviation is taken as a share of the mean',
+    forecastWait({ stats: [lineStats(10, 120, null)], counters: [counter(1)] }, LINE, 4),
+    { minWaitTime: 326, maxWaitTime: 634 });
+}
+
+async function createBranch(client) {
+  const suffix = Date.now().toString(36);
+  const insert = async (text, params) => (await client.query(text, params)).rows[0].id;
+
+  const branchId = await insert('INSERT INTO branches (name) VALUES ($1) RETURNING id', [`Forecast Test ${suffix}`]);
+  const lineId = await insert("INSERT INTO services (branch_id, name, code) VALUES ($1, 'Forecast', 'F') RETURNING id", [branchId]);
+  const otherLineId = await insert("INSERT INTO services (branch_id, name, code) VALUES ($1, 'Other', 'O') RETURNING id", [branchId]);
+
+  // One session per counter: idle, busy, paused, closed, and open on another line only
+  const sessions = {};
+  for (const [number, name] of ['idle', 'busy', 'paused', 'closed', 'otherLine'].entries()) {
+    const counterId = await insert('INSERT INTO counters (branch_id, number) VALUES ($1, $2) RETURNING id', [branchId, number + 1]);
+    const userId = await insert(
+      "INSERT INTO users (username, password_hash, role, branch_id) VALUES ($1, 'x', 'clerk', $2) RETURNING id",
+      [`forecast_${name}_${suffix}`, branchId]
+    );
+    const sessionId = await insert(
+      `INSERT INTO counter_sessions (counter_id, user_id, paused_at, end_time)
+       VALUES ($1, $2, $3, $4) RETURNING id`,
+      [counterId, userId, name === 'paused' ? new Date() : null, name === 'closed' ? new Date() : null]
+    );
+    sessions[name] = { counterId, sessionId };
+  }
+
+  await client.query('INSERT INTO counter_services (counter_id, service_id) VALUES ($1, $2)', [sessions.otherLine.counterId, otherLineId]);
+
+  await client.query(
+    `INSERT INTO queue (branch_id, service_id, number, tracking_code, status, called_at, counter_id, counter_session_id)
+     VALUES ($1, $2, 1, $3, 'called', CURRENT_TIMESTAMP, $4, $5)`,
+    [branchId, lineId, `FCB${suffix}`.slice(0, 16).toUpperCase(), sessions.busy.counterId, sessions.busy.sessionId]
+  );
+
+  // Five completed services of 100..140 seconds: mean 120, sample deviation √250
+  for (let i = 0; i < 5; i++) {
+    await client.query(
+      `INSERT INTO queue (branch_id, service_id, number, tracking_code, status, serving_started_at, completed_at, service_duration)
+       VALUES ($1, $2, $3, $4, 'completed', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, $5)`,
+      [branchId, lineId, i + 2, `FC${i}${suffix}`.slice(0, 16).toUpperCase(), 100 + i * 10]
+    );
+  }
+
+  return { branchId, lineId, sessions };
+}
+
+async function testForecastContext(client) {
+  console.log('\n🏢 Step 5: Forecast context of a branch...');
+
+  const { branchId, lineId, sessions } = await createBranch(client);
+  const context = await loadForecastContext(branchId, client);
+  const counterIds = context.counters.map(item => item.id).sort((a, b) => a - b);
+  const expectedIds = [sessions.idle.counterId, sessions.busy.counterId, sessions.otherLine.counterId].sort((a, b) => a - b);
+
+  check('only open sessions that are not on break are counted', JSON.stringify(counterIds) === JSON.stringify(expectedIds));
+  check('the counter with a called ticket is busy',
+    context.counters.find(item => item.id === sessions.busy.counterId)?.busy === true);
+  check('the idle counter is not busy',
+    context.counters.find(item => item.id === sessions.idle.counterId)?.busy === false);
+
+  const stats = context.stats.find(row => row.serviceId === lineId && row.currentHour);
+  check('the line statistics of this hour are loaded',
+    stats?.samples === 5 && stats.avgServiceTime === 120 && Math.abs(stats.stddevServiceTime - Math.sqrt(250)) < 1e-9);
+
+  // Idle and busy counters call the line: 4 × 120 / 2 = 240, range 1.28 × 2 × √250 / 2 = 20.2
+  checkForecast('the paused counter does not share the people ahead',
+    forecastWait(context, lineId, 4), { estimatedWaitTime: 240, minWaitTime: 220, maxWaitTime: 260, confidence: 'high', openCounters: 2 });
+
+  await client.query(
+    'UPDATE counter_sessions SET paused_at = CURRENT_TIMESTAMP WHERE id = ANY($1)',
+    [[sessions.idle.sessionId, sessions.busy.sessionId]]
+  );
+  const pausedContext = await loadForecastContext(branchId, client);
+
+  checkForecast('with every counter of the line on break no counter is open',
+    forecastWait(pausedContext, lineId, 4), { estimatedWaitTime: 540, confidence: 'low', openCounters: 0 });
+}
+
+async function testWaitForecast() {
+  console.log('🧪 Testing: wait forecast');
+  console.log('='.repeat(60));
+
+  Object.assign(appConfig.forecast, FORECAST);
+
+  testForecastMath();
+
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+    await testForecastContext(client);
+  } finally {
+    await client.query('ROLLBACK');
+    client.release();
+    await closePool();
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log(passed ? '🎉 Wait forecast test passed' : '💥 Wait forecast test failed');
+  return passed;
+}
+
+testWaitForecast()
+  .then(result => process.exit(result ? 0 : 1))
+  .catch(error => {
+    console.error('❌ Test failed:', error.message);
+    process.exit(1);
+  });
@@ -26,7 +26,9 @@ export const appConfig = {
     ],
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    // Lets the frontend read the file name of report downloads
+    exposedHeaders: ['Content-Disposition']
   },
 
   // Database Configuration
@@ -41,7 +43,7 @@ export const appConfig = {
   // JWT Configuration
   jwt: {
     secret: process.env.JWT_SECRET || 'queuematic-secret-key-2024-change-in-production',
-    expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m'
   },
 
   // Logging Configuration
@@ -78,6 +80,102 @@ export const appConfig = {
     healthCheck: 60000        // 1 minute
   },
 
+  // Real-time Events Configuration (Server-Sent Events)
+  realtime: {
+    heartbeatInterval: 25000, // 25 seconds
+    retryInterval: 3000       // Client reconnect delay
+  },
+
+  // Queue Configuration
+  queue: {
+    // Highest daily ticket number per service line; numbering wraps around to 1 after it
+    maxQueueNumber: parseInt(process.env.QUEUE_MAX_NUMBER) || 999,
+    // Priority level stored on a ticket for each priority type (0 = normal)
+    priorityLevels: {
+      normal: 0,
+      elderly: 2,
+      disabled: 2,
+      pregnant: 2,
+      vip: 1
+    },
+    // Seconds of extra waiting credited per priority level when call-next picks a ticket.
+    // A normal ticket overtakes a priority one only after waiting this much longer.
+    priorityWeightSeconds: parseInt(process.env.QUEUE_PRIORITY_WEIGHT_SECONDS) || 600,
+    // Recalls allowed before a recall closes the ticket as no-show (0 = unlimited)
+    maxRecalls: parseInt(process.env.QUEUE_MAX_RECALLS) || 0,
+    // Seconds a called ticket may wait for the customer before it is closed as no-show (0 = never)
+    noShowTimeoutSeconds: parseInt(process.env.QUEUE_NO_SHOW_TIMEOUT_SECONDS) || 0,
+    // Seconds between the server's checks for timed-out calls
+    noShowSweepSeconds: parseInt(process.env.QUEUE_NO_SHOW_SWEEP_SECONDS) || 30
+  },
+
+  // Appointment Configuration
+  appointments: {
+    // Check-in window around the slot start, in minutes
+    checkInEarlyMinutes: parseInt(process.env.APPOINTMENT_CHECKIN_EARLY_MINUTES) || 30,
+    checkInLateMinutes: parseInt(process.env.APPOINTMENT_CHECKIN_LATE_MINUTES) || 15,
+    // Upper limit of slots generated by one request
+    maxSlotsPerRequest: 200
+  },
+
+  // Wait Forecast Configuration
+  forecast: {
+    // Days of completed tickets used for the rolling service-time averages
+    historyDays: parseInt(process.env.FORECAST_HISTORY_DAYS) || 28,
+    // Completed tickets needed before a line or hour statistic is trusted
+    minSamples: 5,
+    // Service time in seconds assumed when there is not enough history
+    defaultServiceTime: 180,
+    // Standard deviation as a share of the mean when it cannot be measured
+    defaultSpread: 0.5,
+    // Normal quantile of the reported range (1.28 = 80% range)
+    confidenceZ: 1.28
+  },
+
+  // Report Configuration
+  reports: {
+    // Days covered when a report request has no date range
+    defaultRangeDays: 7,
+    // Longest date range a single report may cover
+    maxRangeDays: parseInt(process.env.REPORT_MAX_RANGE_DAYS) || 366,
+    // Days covered by the clerk performance dashboard unless requested otherwise, and its limit
+    performanceDays: 28,
+    maxPerformanceDays: 180
+  },
+
+  // Login Lockout Configuration
+  loginLockout: {
+    // Failed logins in a row before the account is locked
+    maxFailedAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+    // Lock after the last allowed failure in seconds, doubled for every further failure up to the maximum
+    baseLockSeconds: parseInt(process.env.LOGIN_LOCK_SECONDS) || 60,
+    maxLockSeconds: parseInt(process.env.LOGIN_MAX_LOCK_SECONDS) || 3600
+  },
+
+  // Password Policy Configuration
+  passwordPolicy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+    requireDigit: process.env.PASSWORD_REQUIRE_DIGIT !== 'false',
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+    // Recent passwords, the current one included, that cannot be chosen again (0 = no check)
+    historySize: process.env.PASSWORD_HISTORY_SIZE !== undefined ? parseInt(process.env.PASSWORD_HISTORY_SIZE) : 5
+  },
+
+  // Two-Factor Authentication Configuration
+  twoFactor: {
+    // Name shown next to the account in authenticator apps
+    issuer: process.env.TWO_FACTOR_ISSUER || 'Sıramatik',
+    // Roles that must enrol before using the system, comma separated (empty = 2FA is optional)
+    requiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES || '').split(',').map(role => role.trim()).filter(Boolean),
+    // Lifetime of the token between the password step and the code step
+    challengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+    recoveryCodeCount: parseInt(process.env.TWO_FACTOR_RECOVERY_CODES) || 10,
+    // 30 second steps accepted before and after the current one for clock drift
+    window: process.env.TWO_FACTOR_WINDOW !== undefined ? parseInt(process.env.TWO_FACTOR_WINDOW) : 1
+  },
+
   // Security Configuration
   security: {
     bodyLimit: '10mb',
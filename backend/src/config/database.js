@@ -35,17 +35,20 @@ pool.on('error', (err) => {
  * Execute a query with parameters
  * @param {string} text - SQL query text
  * @param {Array} params - Query parameters
+ * @param {Object} options - Query options
+ * @param {boolean} options.redactParams - Keep the parameters out of the log, for statements that carry secrets
  * @returns {Promise<Object>} Query result
  */
-export const query = async (text, params) => {
+export const query = async (text, params, { redactParams = false } = {}) => {
   const start = Date.now();
+  const loggedParams = redactParams && params ? params.map(() => '[redacted]') : params;
   try {
     const res = await pool.query(text, params);
     const duration = Date.now() - start;
-    console.log(`🔍 Query executed in ${duration}ms:`, { text, params, rows: res.rowCount });
+    console.log(`🔍 Query executed in ${duration}ms:`, { text, params: loggedParams, rows: res.rowCount });
     return res;
   } catch (error) {
-    console.error('❌ Database query error:', { text, params, error: error.message });
+    console.error('❌ Database query error:', { text, params: loggedParams, error: error.message });
     throw error;
   }
 };
@@ -0,0 +1,113 @@
+/**
+ * Role Permissions
+ * Maps each user role to the permissions it grants. Routes ask for permissions through
+ * authorize(...), never for roles, so a role's rights are defined in one place.
+ */
+
+export const USER_ROLES = ['admin', 'branch_manager', 'clerk'];
+
+export const PERMISSIONS = {
+  ALL_BRANCHES: 'branches.all',           // Not limited to the user's own branch
+  MANAGE_BRANCHES: 'branches.manage',
+  MANAGE_USERS: 'users.manage',
+  MANAGE_ADMINS: 'users.manage_admins',   // Create and edit admins and branch managers
+  MANAGE_COUNTERS: 'counters.manage',
+  MANAGE_SERVICES: 'services.manage',
+  MANAGE_APPOINTMENTS: 'appointments.manage',
+  MANAGE_DEVICES: 'devices.manage',
+  MANAGE_QUEUE: 'queue.manage',           // Cancel tickets of other people
+  SERVE_QUEUE: 'queue.serve',             // Work at a counter
+  VIEW_REPORTS: 'reports.view',
+  VIEW_PERFORMANCE: 'performance.view',   // Performance of other clerks
+  VIEW_AUDIT: 'audit.view'
+};
+
+const ROLE_PERMISSIONS = {
+  admin: [
+    PERMISSIONS.ALL_BRANCHES,
+    PERMISSIONS.MANAGE_BRANCHES,
+    PERMISSIONS.MANAGE_USERS,
+    PERMISSIONS.MANAGE_ADMINS,
+    PERMISSIONS.MANAGE_COUNTERS,
+    PERMISSIONS.MANAGE_SERVICES,
+    PERMISSIONS.MANAGE_APPOINTMENTS,
+    PERMISSIONS.MANAGE_DEVICES,
+    PERMISSIONS.MANAGE_QUEUE,
+    PERMISSIONS.VIEW_REPORTS,
+    PERMISSIONS.VIEW_PERFORMANCE,
+    PERMISSIONS.VIEW_AUDIT
+  ],
+  // Runs one branch: its clerks, counters, tickets and reports
+  branch_manager: [
+    PERMISSIONS.MANAGE_USERS,
+    PERMISSIONS.MANAGE_COUNTERS,
+    PERMISSIONS.MANAGE_QUEUE,
+    PERMISSIONS.VIEW_REPORTS,
+    PERMISSIONS.VIEW_PERFORMANCE
+  ],
+  clerk: [
+    PERMISSIONS.SERVE_QUEUE
+  ]
+};
+
+/**
+ * Check if a role grants a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission name
+ * @returns {boolean} True if granted
+ */
+export const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+/**
+ * Get the permissions a role grants, sent to the client so it never keeps its own copy
+ * @param {string} role - User role
+ * @returns {Array<string>} Permission names
+ */
+export const getRolePermissions = (role) => {
+  return [...(ROLE_PERMISSIONS[role] || [])];
+};
+
+/**
+ * Get the roles a user may give to the accounts they manage
+ * @param {string} role - Role of the managing user
+ * @returns {Array<string>} Assignable roles, every role with the manage admins permission
+ * and only clerks with the manage users permission alone
+ */
+export const getAssignableRoles = (role) => {
+  if (hasPermission(role, PERMISSIONS.MANAGE_ADMINS)) {
+    return [...USER_ROLES];
+  }
+
+  return hasPermission(role, PERMISSIONS.MANAGE_USERS) ? ['clerk'] : [];
+};
+
+/**
+ * Check if a user may work with the data of a branch
+ * @param {Object} user - User row (role, branch_id)
+ * @param {number} branchId - Branch ID
+ * @returns {boolean} True if the user sees every branch or the branch is their own
+ */
+export const canAccessBranch = (user, branchId) => {
+  return hasPermission(user.role, PERMISSIONS.ALL_BRANCHES) || user.branch_id === parseInt(branchId);
+};
+
+/**
+ * Check if a role must belong to a branch
+ * @param {string} role - User role
+ * @returns {boolean} True if the role is limited to one branch
+ */
+export const requiresBranch = (role) => {
+  return USER_ROLES.includes(role) && !hasPermission(role, PERMISSIONS.ALL_BRANCHES);
+};
+
+export default {
+  USER_ROLES,
+  PERMISSIONS,
+  hasPermission,
+  getRolePermissions,
+  getAssignableRoles,
+  canAccessBranch,
+  requiresBranch
+};
@@ -19,7 +19,20 @@ const dropAllTables = async () => {
     try {
       // Drop tables in correct order (reverse of creation due to foreign keys)
       const dropCommands = [
+        'DROP TABLE IF EXISTS audit_log CASCADE',
+        'DROP TABLE IF EXISTS recovery_codes CASCADE',
+        'DROP TABLE IF EXISTS password_history CASCADE',
+        'DROP TABLE IF EXISTS auth_sessions CASCADE',
+        'DROP TABLE IF EXISTS queue_events CASCADE',
+        'DROP TABLE IF EXISTS queue_transfers CASCADE',
+        'DROP TABLE IF EXISTS queue_number_sequences CASCADE',
         'DROP TABLE IF EXISTS queue CASCADE',
+        'DROP TABLE IF EXISTS appointments CASCADE',
+        'DROP TABLE IF EXISTS appointment_slots CASCADE',
+        'DROP TABLE IF EXISTS counter_services CASCADE',
+        'DROP TABLE IF EXISTS devices CASCADE',
+        'DROP TABLE IF EXISTS services CASCADE',
+        'DROP TABLE IF EXISTS counter_breaks CASCADE',
         'DROP TABLE IF EXISTS counter_sessions CASCADE',
         'DROP TABLE IF EXISTS counters CASCADE',
         'DROP TABLE IF EXISTS users CASCADE',
@@ -27,6 +40,7 @@ const dropAllTables = async () => {
         'DROP VIEW IF EXISTS active_queue_status CASCADE',
         'DROP VIEW IF EXISTS daily_queue_stats CASCADE',
         'DROP FUNCTION IF EXISTS reset_daily_queue() CASCADE',
+        'DROP FUNCTION IF EXISTS prevent_queue_event_update() CASCADE',
         'DROP FUNCTION IF EXISTS update_updated_at_column() CASCADE'
       ];
       
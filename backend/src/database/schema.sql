@@ -3,7 +3,20 @@
 -- Updated to match backend API routes
 
 -- Drop existing tables if they exist (for reset functionality)
+DROP TABLE IF EXISTS audit_log CASCADE;
+DROP TABLE IF EXISTS recovery_codes CASCADE;
+DROP TABLE IF EXISTS password_history CASCADE;
+DROP TABLE IF EXISTS auth_sessions CASCADE;
+DROP TABLE IF EXISTS queue_events CASCADE;
+DROP TABLE IF EXISTS queue_transfers CASCADE;
+DROP TABLE IF EXISTS queue_number_sequences CASCADE;
 DROP TABLE IF EXISTS queue CASCADE;
+DROP TABLE IF EXISTS appointments CASCADE;
+DROP TABLE IF EXISTS appointment_slots CASCADE;
+DROP TABLE IF EXISTS counter_services CASCADE;
+DROP TABLE IF EXISTS devices CASCADE;
+DROP TABLE IF EXISTS services CASCADE;
+DROP TABLE IF EXISTS counter_breaks CASCADE;
 DROP TABLE IF EXISTS counter_sessions CASCADE;
 DROP TABLE IF EXISTS counters CASCADE;
 DROP TABLE IF EXISTS users CASCADE;
@@ -25,9 +38,15 @@ CREATE TABLE users (
     id SERIAL PRIMARY KEY,
     username VARCHAR(50) UNIQUE NOT NULL,
     password_hash VARCHAR(255) NOT NULL,
-    role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'clerk')),
+    role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'branch_manager', 'clerk')),
     branch_id INTEGER REFERENCES branches(id) ON DELETE SET NULL,
     is_active BOOLEAN DEFAULT true,
+    failed_login_attempts INTEGER NOT NULL DEFAULT 0, -- failed logins in a row, reset by a successful one
+    locked_until TIMESTAMP NULL,
+    must_change_password BOOLEAN NOT NULL DEFAULT false, -- set for temporary passwords given by an admin
+    totp_secret VARCHAR(64) NULL, -- base32 TOTP secret, kept while enrolment is pending
+    totp_enabled BOOLEAN NOT NULL DEFAULT false,
+    totp_last_step BIGINT NULL, -- time step of the last accepted code, so a code cannot be used twice
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     last_login TIMESTAMP NULL
@@ -50,33 +69,229 @@ CREATE TABLE counter_sessions (
     counter_id INTEGER NOT NULL REFERENCES counters(id) ON DELETE CASCADE,
     user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     start_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    end_time TIMESTAMP NULL,
+    paused_at TIMESTAMP NULL, -- set while the clerk is on break, the counter stays reserved
+    break_reason VARCHAR(20) NULL
+);
+
+-- Create counter_breaks table (breaks taken during a counter session, kept apart from working time)
+CREATE TABLE counter_breaks (
+    id SERIAL PRIMARY KEY,
+    counter_session_id INTEGER NOT NULL REFERENCES counter_sessions(id) ON DELETE CASCADE,
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('short', 'lunch', 'meeting', 'training', 'other')),
+    start_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     end_time TIMESTAMP NULL
 );
 
+-- Create devices table (kiosks and wall displays signed in with a device token instead of a user account)
+CREATE TABLE devices (
+    id SERIAL PRIMARY KEY,
+    branch_id INTEGER NOT NULL REFERENCES branches(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('kiosk', 'display')),
+    token_version INTEGER NOT NULL DEFAULT 1, -- incremented to invalidate issued tokens
+    is_active BOOLEAN DEFAULT true,
+    last_seen_at TIMESTAMP NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(branch_id, name)
+);
+
+-- Create services table (service lines offered by each branch, e.g. cash desk)
+CREATE TABLE services (
+    id SERIAL PRIMARY KEY,
+    branch_id INTEGER NOT NULL REFERENCES branches(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    code VARCHAR(5) NOT NULL, -- ticket prefix shown before the number, e.g. 'A'
+    display_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(branch_id, code)
+);
+
+-- Create counter_services table (service lines a counter may call; no rows means all lines)
+CREATE TABLE counter_services (
+    counter_id INTEGER NOT NULL REFERENCES counters(id) ON DELETE CASCADE,
+    service_id INTEGER NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+    preference INTEGER NOT NULL DEFAULT 1 CHECK (preference > 0), -- 1 = primary, higher = fallback
+    PRIMARY KEY (counter_id, service_id)
+);
+
+-- Create appointment_slots table (bookable time slots per branch and service line)
+CREATE TABLE appointment_slots (
+    id SERIAL PRIMARY KEY,
+    branch_id INTEGER NOT NULL REFERENCES branches(id) ON DELETE CASCADE,
+    service_id INTEGER REFERENCES services(id) ON DELETE CASCADE, -- NULL for the general line
+    starts_at TIMESTAMP NOT NULL,
+    ends_at TIMESTAMP NOT NULL,
+    capacity INTEGER NOT NULL DEFAULT 1 CHECK (capacity > 0), -- appointments that can be booked into the slot
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (ends_at > starts_at)
+);
+
+-- Create appointments table (customers booked into a slot)
+CREATE TABLE appointments (
+    id SERIAL PRIMARY KEY,
+    slot_id INTEGER NOT NULL REFERENCES appointment_slots(id) ON DELETE CASCADE,
+    customer_name VARCHAR(100) NOT NULL,
+    customer_phone VARCHAR(20),
+    code VARCHAR(16) NOT NULL UNIQUE, -- random code the customer enters at the kiosk to check in
+    status VARCHAR(20) DEFAULT 'booked' CHECK (status IN ('booked', 'checked_in', 'cancelled')),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL, -- NULL when booked by the customer
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    checked_in_at TIMESTAMP NULL,
+    cancelled_at TIMESTAMP NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Create queue table (main queue management)
 CREATE TABLE queue (
     id SERIAL PRIMARY KEY,
     branch_id INTEGER NOT NULL REFERENCES branches(id) ON DELETE CASCADE,
+    service_id INTEGER REFERENCES services(id) ON DELETE SET NULL,
     number INTEGER NOT NULL,
-    status VARCHAR(20) DEFAULT 'waiting' CHECK (status IN ('waiting', 'called', 'serving', 'completed', 'cancelled')),
+    number_cycle INTEGER NOT NULL DEFAULT 0, -- increases each time the daily number wraps around
+    tracking_code VARCHAR(16) NOT NULL UNIQUE, -- random public code the customer uses to follow the ticket
+    priority_type VARCHAR(20) NOT NULL DEFAULT 'normal' CHECK (priority_type IN ('normal', 'elderly', 'disabled', 'pregnant', 'vip')),
+    priority INTEGER NOT NULL DEFAULT 0, -- level taken from config when the ticket is issued, higher is served earlier
+    status VARCHAR(20) DEFAULT 'waiting' CHECK (status IN ('waiting', 'called', 'serving', 'completed', 'cancelled', 'no_show')),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     called_at TIMESTAMP NULL,
-    completed_at TIMESTAMP NULL,
+    serving_started_at TIMESTAMP NULL, -- when the customer arrived at the counter
+    completed_at TIMESTAMP NULL, -- also set when the ticket is closed as no-show
+    recall_count INTEGER NOT NULL DEFAULT 0,
+    last_recalled_at TIMESTAMP NULL,
     counter_id INTEGER REFERENCES counters(id) ON DELETE SET NULL,
     counter_session_id INTEGER REFERENCES counter_sessions(id) ON DELETE SET NULL,
-    service_duration INTEGER NULL -- in seconds
+    wait_duration INTEGER NULL, -- in seconds, from ticket issue until called
+    walk_up_duration INTEGER NULL, -- in seconds, from called until the customer arrived
+    service_duration INTEGER NULL, -- in seconds, from arrival (or call, if arrival was not recorded) until completed
+    target_counter_id INTEGER REFERENCES counters(id) ON DELETE SET NULL, -- set when transferred to a specific counter
+    target_service_id INTEGER REFERENCES services(id) ON DELETE SET NULL, -- set when transferred to another service line
+    head_of_line BOOLEAN NOT NULL DEFAULT false, -- set when transferred to the head of the line
+    transfer_count INTEGER NOT NULL DEFAULT 0,
+    appointment_id INTEGER REFERENCES appointments(id) ON DELETE SET NULL, -- set when issued at appointment check-in
+    scheduled_at TIMESTAMP NULL -- slot start of an appointment ticket, call-next orders by it instead of created_at
+);
+
+-- Create queue_number_sequences table (one daily counter per branch and service line)
+CREATE TABLE queue_number_sequences (
+    id SERIAL PRIMARY KEY,
+    branch_id INTEGER NOT NULL REFERENCES branches(id) ON DELETE CASCADE,
+    service_id INTEGER REFERENCES services(id) ON DELETE CASCADE, -- NULL for the general line
+    sequence_date DATE NOT NULL,
+    last_number INTEGER NOT NULL DEFAULT 0,
+    cycle INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create queue_transfers table (history of tickets moved between counters/services)
+CREATE TABLE queue_transfers (
+    id SERIAL PRIMARY KEY,
+    queue_id INTEGER NOT NULL REFERENCES queue(id) ON DELETE CASCADE,
+    from_counter_id INTEGER REFERENCES counters(id) ON DELETE SET NULL,
+    from_session_id INTEGER REFERENCES counter_sessions(id) ON DELETE SET NULL,
+    from_service_id INTEGER REFERENCES services(id) ON DELETE SET NULL,
+    to_counter_id INTEGER REFERENCES counters(id) ON DELETE SET NULL,
+    to_service_id INTEGER REFERENCES services(id) ON DELETE SET NULL,
+    head_of_line BOOLEAN NOT NULL DEFAULT false,
+    reason TEXT,
+    transferred_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    called_at TIMESTAMP NULL, -- when the ticket was called at the counter it left
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create queue_events table (append-only timeline of every ticket state change)
+CREATE TABLE queue_events (
+    id SERIAL PRIMARY KEY,
+    queue_id INTEGER NOT NULL REFERENCES queue(id) ON DELETE CASCADE,
+    event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('issued', 'called', 'recalled', 'serving', 'transferred', 'completed', 'no_show', 'cancelled')),
+    counter_id INTEGER REFERENCES counters(id) ON DELETE SET NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    details JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create auth_sessions table (signed-in users with their current refresh token)
+CREATE TABLE auth_sessions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash VARCHAR(64) NOT NULL UNIQUE, -- SHA-256 of the refresh token, the token itself is not stored
+    previous_token_hash VARCHAR(64), -- rotated token, presenting it again revokes the session
+    user_agent VARCHAR(255),
+    ip_address VARCHAR(45),
+    expires_at TIMESTAMP NOT NULL,
+    last_used_at TIMESTAMP NULL,
+    revoked_at TIMESTAMP NULL,
+    revoked_reason VARCHAR(30),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create password_history table (replaced password hashes, checked so recent passwords are not reused)
+CREATE TABLE password_history (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    password_hash VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create recovery_codes table (single-use codes that replace a TOTP code when the authenticator is lost)
+CREATE TABLE recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create audit_log table (administrative changes with the entity state before and after)
+CREATE TABLE audit_log (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    username VARCHAR(50), -- kept when the acting user is deleted
+    action VARCHAR(50) NOT NULL,
+    entity_type VARCHAR(30) NOT NULL,
+    entity_id INTEGER,
+    before_data JSONB,
+    after_data JSONB,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Create indexes for better performance
 CREATE INDEX idx_queue_branch_status ON queue(branch_id, status);
 CREATE INDEX idx_queue_created_at ON queue(created_at);
 CREATE INDEX idx_queue_branch_date ON queue(branch_id, DATE(created_at));
+CREATE INDEX idx_queue_service_status ON queue(service_id, status);
+CREATE UNIQUE INDEX idx_queue_daily_number ON queue(branch_id, COALESCE(service_id, 0), DATE(created_at), number_cycle, number);
+CREATE UNIQUE INDEX idx_queue_number_sequences_day ON queue_number_sequences(branch_id, COALESCE(service_id, 0), sequence_date);
+CREATE INDEX idx_queue_target_counter ON queue(target_counter_id) WHERE target_counter_id IS NOT NULL;
+CREATE INDEX idx_queue_transfers_queue ON queue_transfers(queue_id);
+CREATE INDEX idx_queue_events_queue ON queue_events(queue_id, created_at);
+CREATE UNIQUE INDEX idx_appointment_slots_start ON appointment_slots(branch_id, COALESCE(service_id, 0), starts_at) WHERE is_active;
+CREATE INDEX idx_appointment_slots_branch_start ON appointment_slots(branch_id, starts_at);
+CREATE INDEX idx_appointments_slot_status ON appointments(slot_id, status);
 CREATE INDEX idx_counter_sessions_active ON counter_sessions(counter_id, end_time);
 CREATE INDEX idx_counter_sessions_user ON counter_sessions(user_id, end_time);
+CREATE INDEX idx_counter_breaks_session ON counter_breaks(counter_session_id, start_time);
+CREATE INDEX idx_counter_breaks_start ON counter_breaks(start_time);
 CREATE INDEX idx_users_branch_role ON users(branch_id, role);
 CREATE INDEX idx_users_active ON users(is_active);
 CREATE INDEX idx_branches_active ON branches(is_active);
 CREATE INDEX idx_counters_branch_active ON counters(branch_id, is_active);
+CREATE INDEX idx_services_branch_active ON services(branch_id, is_active);
+CREATE INDEX idx_counter_services_service ON counter_services(service_id);
+CREATE INDEX idx_devices_branch ON devices(branch_id);
+CREATE INDEX idx_auth_sessions_user ON auth_sessions(user_id, revoked_at);
+CREATE INDEX idx_auth_sessions_previous_token ON auth_sessions(previous_token_hash);
+CREATE INDEX idx_password_history_user ON password_history(user_id, created_at);
+CREATE INDEX idx_recovery_codes_user ON recovery_codes(user_id, code_hash);
+CREATE INDEX idx_audit_log_created_at ON audit_log(created_at);
+CREATE INDEX idx_audit_log_entity ON audit_log(entity_type, entity_id);
 
 -- Create functions for automatic timestamp updates
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -97,25 +312,57 @@ CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
 CREATE TRIGGER update_counters_updated_at BEFORE UPDATE ON counters
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_services_updated_at BEFORE UPDATE ON services
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_devices_updated_at BEFORE UPDATE ON devices
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_appointment_slots_updated_at BEFORE UPDATE ON appointment_slots
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_appointments_updated_at BEFORE UPDATE ON appointments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Queue events are append-only, recorded events can not be changed.
+-- Only direct updates are rejected: the ON DELETE SET NULL of counter_id and user_id runs
+-- inside the foreign key trigger, so counters and users can still be deleted.
+CREATE OR REPLACE FUNCTION prevent_queue_event_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'queue_events is append-only';
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER prevent_queue_events_update BEFORE UPDATE ON queue_events
+    FOR EACH ROW WHEN (pg_trigger_depth() = 0) EXECUTE FUNCTION prevent_queue_event_update();
+
 -- Insert sample data for testing
 -- Note: Password hash is for 'password123' - should be changed in production
 INSERT INTO branches (name, address, phone) VALUES
 ('Ana Şube', 'Merkez Mahallesi, Ana Cadde No:1, İstanbul', '+90 212 555 0001'),
 ('Kadıköy Şubesi', 'Kadıköy Mahallesi, Bağdat Caddesi No:123, İstanbul', '+90 216 555 0002');
 
--- Insert users with bcrypt hashed passwords (password: 'password123')
-INSERT INTO users (username, password_hash, role, branch_id) VALUES
-('admin', '$2a$12$ajCoMLqznzSh1SQFfXlJMO0sO3tfO9AYWmyKlW6GPcjWGt2AiDGwu', 'admin', NULL),
-('clerk1', '$2a$12$ajCoMLqznzSh1SQFfXlJMO0sO3tfO9AYWmyKlW6GPcjWGt2AiDGwu', 'clerk', 1),
-('clerk2', '$2a$12$ajCoMLqznzSh1SQFfXlJMO0sO3tfO9AYWmyKlW6GPcjWGt2AiDGwu', 'clerk', 1),
-('clerk3', '$2a$12$ajCoMLqznzSh1SQFfXlJMO0sO3tfO9AYWmyKlW6GPcjWGt2AiDGwu', 'clerk', 2),
-('clerk4', '$2a$12$ajCoMLqznzSh1SQFfXlJMO0sO3tfO9AYWmyKlW6GPcjWGt2AiDGwu', 'clerk', 2);
+-- Insert users with bcrypt hashed passwords (password: 'password123').
+-- The default password does not meet the password policy, so it must be changed at the first login.
+INSERT INTO users (username, password_hash, role, branch_id, must_change_password) VALUES
+('admin', '$2a$12$ajCoMLqznzSh1SQFfXlJMO0sO3tfO9AYWmyKlW6GPcjWGt2AiDGwu', 'admin', NULL, true),
+('clerk1', '$2a$12$ajCoMLqznzSh1SQFfXlJMO0sO3tfO9AYWmyKlW6GPcjWGt2AiDGwu', 'clerk', 1, true),
+('clerk2', '$2a$12$ajCoMLqznzSh1SQFfXlJMO0sO3tfO9AYWmyKlW6GPcjWGt2AiDGwu', 'clerk', 1, true),
+('clerk3', '$2a$12$ajCoMLqznzSh1SQFfXlJMO0sO3tfO9AYWmyKlW6GPcjWGt2AiDGwu', 'clerk', 2, true),
+('clerk4', '$2a$12$ajCoMLqznzSh1SQFfXlJMO0sO3tfO9AYWmyKlW6GPcjWGt2AiDGwu', 'clerk', 2, true),
+('manager1', '$2a$12$ajCoMLqznzSh1SQFfXlJMO0sO3tfO9AYWmyKlW6GPcjWGt2AiDGwu', 'branch_manager', 1, true);
 
 -- Insert counters for each branch
 INSERT INTO counters (branch_id, number) VALUES
 (1, 1), (1, 2), (1, 3),
 (2, 1), (2, 2);
 
+-- Insert service lines for each branch
+INSERT INTO services (branch_id, name, code, display_order) VALUES
+(1, 'Hesap Açılışı', 'A', 1), (1, 'Vezne İşlemleri', 'B', 2), (1, 'Genel Bilgi', 'C', 3),
+(2, 'Hesap Açılışı', 'A', 1), (2, 'Vezne İşlemleri', 'B', 2), (2, 'Genel Bilgi', 'C', 3);
+
 
 
 -- Create view for active queue status
@@ -124,17 +371,28 @@ SELECT
     q.id,
     q.branch_id,
     b.name as branch_name,
+    q.service_id,
+    s.name as service_name,
+    s.code as service_code,
     q.number as queue_number,
+    q.priority_type,
+    q.priority,
     q.status,
+    q.transfer_count,
+    q.recall_count,
     q.created_at,
     q.called_at,
+    q.serving_started_at,
     q.completed_at,
+    q.wait_duration,
+    q.walk_up_duration,
     q.service_duration,
     c.number as counter_number,
     u.username as clerk_username,
     cs.start_time as session_start_time
 FROM queue q
 LEFT JOIN branches b ON q.branch_id = b.id
+LEFT JOIN services s ON q.service_id = s.id
 LEFT JOIN counters c ON q.counter_id = c.id
 LEFT JOIN counter_sessions cs ON q.counter_session_id = cs.id
 LEFT JOIN users u ON cs.user_id = u.id
@@ -152,6 +410,11 @@ SELECT
     COUNT(CASE WHEN q.status = 'waiting' THEN 1 END) as waiting_count,
     COUNT(CASE WHEN q.status = 'called' THEN 1 END) as called_count,
     COUNT(CASE WHEN q.status = 'serving' THEN 1 END) as serving_count,
+    COUNT(CASE WHEN q.status = 'no_show' THEN 1 END) as no_show_count,
+    COUNT(CASE WHEN q.priority > 0 THEN 1 END) as priority_count,
+    SUM(q.recall_count) as recall_count,
+    AVG(q.wait_duration) as avg_wait_time,
+    AVG(q.walk_up_duration) as avg_walk_up_time,
     AVG(CASE WHEN q.service_duration IS NOT NULL THEN q.service_duration END) as avg_service_time,
     MAX(q.number) as max_queue_number
 FROM queue q
@@ -169,11 +432,20 @@ BEGIN
     WHERE status = 'completed' 
     AND completed_at < CURRENT_DATE - INTERVAL '7 days';
     
-    -- Cancel any waiting items older than 1 day
-    UPDATE queue 
-    SET status = 'cancelled' 
-    WHERE status = 'waiting' 
-    AND created_at < CURRENT_DATE - INTERVAL '1 day';
+    -- Daily number counters are only needed for the current day
+    DELETE FROM queue_number_sequences
+    WHERE sequence_date < CURRENT_DATE;
+    
+    -- Cancel any waiting items older than 1 day and record it on their timeline
+    WITH cancelled AS (
+        UPDATE queue 
+        SET status = 'cancelled' 
+        WHERE status = 'waiting' 
+        AND created_at < CURRENT_DATE - INTERVAL '1 day'
+        RETURNING id
+    )
+    INSERT INTO queue_events (queue_id, event_type, details)
+    SELECT id, 'cancelled', '{"reason": "daily_reset"}'::jsonb FROM cancelled;
 END;
 $$ LANGUAGE plpgsql;
 
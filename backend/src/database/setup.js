@@ -81,7 +81,7 @@ const verifySetup = async () => {
       ORDER BY table_name
     `);
     
-    const expectedTables = ['branches', 'users', 'counters', 'counter_sessions', 'queue'];
+    const expectedTables = ['branches', 'users', 'counters', 'counter_sessions', 'counter_breaks', 'services', 'counter_services', 'queue', 'queue_number_sequences', 'queue_transfers', 'queue_events', 'appointment_slots', 'appointments', 'devices', 'auth_sessions', 'password_history', 'recovery_codes', 'audit_log'];
     const existingTables = tablesResult.rows.map(row => row.table_name);
     
     console.log('📋 Existing tables:', existingTables.join(', '));
@@ -96,11 +96,13 @@ const verifySetup = async () => {
     const branchCount = await pool.query('SELECT COUNT(*) as count FROM branches');
     const userCount = await pool.query('SELECT COUNT(*) as count FROM users');
     const counterCount = await pool.query('SELECT COUNT(*) as count FROM counters');
+    const serviceCount = await pool.query('SELECT COUNT(*) as count FROM services');
     
     console.log('📊 Sample data:');
     console.log(`   Branches: ${branchCount.rows[0].count}`);
     console.log(`   Users: ${userCount.rows[0].count}`);
     console.log(`   Counters: ${counterCount.rows[0].count}`);
+    console.log(`   Services: ${serviceCount.rows[0].count}`);
     
     // Check views
     const viewsResult = await pool.query(`
@@ -156,7 +158,8 @@ const setupDatabase = async () => {
       console.log('   Clerk2: username="clerk2", password="password123"');
       console.log('   Clerk3: username="clerk3", password="password123"');
       console.log('   Clerk4: username="clerk4", password="password123"');
-      console.log('\n⚠️  Remember to change default passwords in production!');
+      console.log('   Manager1: username="manager1", password="password123"');
+      console.log('\n⚠️  Every default account must choose a new password at its first login.');
     } else {
       console.log('\n❌ Database setup verification failed');
       process.exit(1);
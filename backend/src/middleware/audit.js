@@ -0,0 +1,121 @@
+/**
+ * Audit Middleware
+ * Records administrative changes in the audit_log table with the entity state before and after
+ */
+
+import { query } from '../config/database.js';
+import { consoleLogger } from './logger.js';
+
+// Snapshot queries of auditable entities; secrets such as password hashes are never selected
+const ENTITY_SNAPSHOTS = {
+  user: `SELECT id, username, role, branch_id, is_active, totp_enabled as two_factor_enabled FROM users WHERE id = $1`,
+  branch: `SELECT id, name, address, phone, is_active FROM branches WHERE id = $1`,
+  counter: `SELECT c.id, c.branch_id, c.number, c.is_active,
+                   COALESCE(JSON_AGG(JSON_BUILD_OBJECT('serviceId', cs.service_id, 'preference', cs.preference)
+                            ORDER BY cs.preference, cs.service_id) FILTER (WHERE cs.service_id IS NOT NULL), '[]') as services
+            FROM counters c
+            LEFT JOIN counter_services cs ON cs.counter_id = c.id
+            WHERE c.id = $1
+            GROUP BY c.id`,
+  service: `SELECT id, branch_id, name, code, display_order, is_active FROM services WHERE id = $1`,
+  device: `SELECT id, branch_id, name, role, is_active, token_version FROM devices WHERE id = $1`
+};
+
+export const AUDIT_ENTITY_TYPES = Object.keys(ENTITY_SNAPSHOTS);
+
+/**
+ * Load the current state of an entity
+ * @param {string} entityType - Key of ENTITY_SNAPSHOTS
+ * @param {number} entityId - Entity ID
+ * @param {Object} db - Query executor (default: pool helper)
+ * @returns {Promise<Object|null>} Entity row, null if it does not exist
+ */
+const loadSnapshot = async (entityType, entityId, db = { query }) => {
+  const result = await db.query(ENTITY_SNAPSHOTS[entityType], [entityId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Get the client IP of a request
+ * @param {Object} req - Express request object
+ * @returns {string|null} IP address
+ */
+const getClientIp = (req) => req.ip || req.socket?.remoteAddress || null;
+
+/**
+ * Write an audit log entry
+ * @param {Object} req - Express request object of the acting user
+ * @param {Object} entry - Audit entry
+ * @param {string} entry.action - Action name, e.g. "create" or "reset_password"
+ * @param {string} entry.entityType - Entity type, e.g. "user"
+ * @param {number|null} entry.entityId - Entity ID
+ * @param {Object|null} entry.before - Entity state before the change
+ * @param {Object|null} entry.after - Entity state after the change
+ * @param {Object} db - Query executor (default: pool helper)
+ * @returns {Promise<void>}
+ */
+export const recordAudit = async (req, { action, entityType, entityId = null, before = null, after = null }, db = { query }) => {
+  await db.query(
+    `INSERT INTO audit_log (user_id, username, action, entity_type, entity_id, before_data, after_data, ip_address)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      req.user?.id || null,
+      req.user?.username || null,
+      action,
+      entityType,
+      entityId,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+      getClientIp(req)
+    ]
+  );
+};
+
+/**
+ * Audit a route automatically: the entity of req.params.id is captured before the handler runs,
+ * and after a successful response the entry is written with the entity's new state.
+ * Created entities are identified by the data.id (or data.device.id) of the response.
+ * Must run after authenticate so the acting user is known.
+ * @param {string} entityType - Key of ENTITY_SNAPSHOTS
+ * @param {string} action - Action name
+ * @returns {Function} Middleware function
+ */
+export const auditTrail = (entityType, action) => async (req, res, next) => {
+  try {
+    const paramId = parseInt(req.params.id) || null;
+    const before = paramId ? await loadSnapshot(entityType, paramId) : null;
+
+    let responseBody = null;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400) {
+        return;
+      }
+
+      // The response is already sent, so a failed audit write is logged rather than reported
+      try {
+        const entityId = paramId || responseBody?.data?.id || responseBody?.data?.device?.id || null;
+        const after = entityId ? await loadSnapshot(entityType, entityId) : null;
+
+        await recordAudit(req, { action, entityType, entityId, before, after });
+      } catch (error) {
+        consoleLogger.error(`Failed to write audit log for ${entityType} ${action}:`, error.message);
+      }
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  auditTrail,
+  recordAudit,
+  AUDIT_ENTITY_TYPES
+};
@@ -1,20 +1,35 @@
 /**
  * Authentication Middleware
- * Handles JWT token verification and user authorization
+ * Handles JWT token verification and user authorization, and the device tokens
+ * of kiosks and wall displays
  */
 
 import jwt from 'jsonwebtoken';
 import { query } from '../config/database.js';
+import appConfig from '../config/appConfig.js';
+import { PERMISSIONS, hasPermission, canAccessBranch } from '../config/permissions.js';
+import { isTwoFactorSetupRequired } from '../utils/twoFactor.js';
 import { AppError } from './errorHandler.js';
 
 /**
  * JWT secret key
  */
 const JWT_SECRET = process.env.JWT_SECRET || 'queuematic-secret-key-2024';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const DEVICE_TOKEN_EXPIRES_IN = process.env.DEVICE_TOKEN_EXPIRES_IN || '365d';
+
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = appConfig.twoFactor.challengeExpiresIn;
+
+// Endpoints a user can reach before finishing the setup of the account
+const ACCOUNT_PATHS = ['/api/auth/me', '/api/auth/validate-token', '/api/auth/logout'];
+// ...with a temporary password, to choose a new password
+const PASSWORD_CHANGE_PATHS = [...ACCOUNT_PATHS, '/api/auth/change-password'];
+// ...in a role that must use two-factor authentication, to enrol
+const TWO_FACTOR_SETUP_PATHS = [...ACCOUNT_PATHS, '/api/auth/2fa', '/api/auth/2fa/setup', '/api/auth/2fa/enable'];
 
 /**
- * Generate JWT token
+ * Generate a short-lived access token. The payload carries the auth session ID,
+ * the session is renewed with its refresh token (see utils/authSessions.js).
  * @param {Object} payload - Token payload
  * @returns {string} JWT token
  */
@@ -24,6 +39,39 @@ export const generateToken = (payload) => {
   });
 };
 
+/**
+ * Generate a long-lived device token. It stays valid until it expires or the device
+ * is revoked, which increments the device's token version.
+ * @param {Object} device - Device row
+ * @returns {string} JWT token
+ */
+export const generateDeviceToken = (device) => {
+  return jwt.sign({
+    type: 'device',
+    deviceId: device.id,
+    role: device.role,
+    branchId: device.branch_id,
+    tokenVersion: device.token_version
+  }, JWT_SECRET, {
+    expiresIn: DEVICE_TOKEN_EXPIRES_IN
+  });
+};
+
+/**
+ * Generate the token that links the password step of a login to its two-factor step.
+ * It proves the password was right, but is not an access token and opens no session.
+ * @param {number} userId - User ID
+ * @returns {string} JWT token
+ */
+export const generateChallengeToken = (userId) => {
+  return jwt.sign({
+    type: 'two_factor',
+    userId
+  }, JWT_SECRET, {
+    expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN
+  });
+};
+
 /**
  * Verify JWT token
  * @param {string} token - JWT token
@@ -33,6 +81,36 @@ export const verifyToken = (token) => {
   return jwt.verify(token, JWT_SECRET);
 };
 
+/**
+ * Load the user of a verified access token, as long as its auth session is still open
+ * @param {Object} decoded - Decoded access token payload
+ * @returns {Promise<Object|null>} User row, or null if the user does not exist
+ * @throws {AppError} If the session was revoked or expired
+ */
+const loadSessionUser = async (decoded) => {
+  const userResult = await query(
+    `SELECT u.id, u.username, u.role, u.branch_id, u.is_active, u.must_change_password, u.totp_enabled,
+            s.id as session_id
+     FROM users u
+     LEFT JOIN auth_sessions s ON s.id = $2 AND s.user_id = u.id
+                              AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP
+     WHERE u.id = $1`,
+    [decoded.userId, decoded.sessionId || null]
+  );
+  
+  if (userResult.rows.length === 0) {
+    return null;
+  }
+  
+  const { session_id: sessionId, ...user } = userResult.rows[0];
+  
+  if (!sessionId) {
+    throw new AppError('Session has been revoked', 401);
+  }
+  
+  return user;
+};
+
 /**
  * Authentication middleware - verifies JWT token
  * @param {Object} req - Express request object
@@ -53,25 +131,106 @@ export const authenticate = async (req, res, next) => {
     // Verify token
     const decoded = verifyToken(token);
     
+    // Device tokens only reach the endpoints that accept devices
+    if (decoded.type === 'device') {
+      throw new AppError('Device tokens cannot access this endpoint', 403);
+    }
+    
+    if (decoded.type === 'two_factor') {
+      throw new AppError('Two-factor verification is not complete', 401);
+    }
+    
     // Get user from database
-    const userResult = await query(
-      'SELECT id, username, role, branch_id, is_active FROM users WHERE id = $1',
-      [decoded.userId]
-    );
+    const user = await loadSessionUser(decoded);
     
-    if (userResult.rows.length === 0) {
+    if (!user) {
       throw new AppError('User not found', 401);
     }
     
-    const user = userResult.rows[0];
-    
     if (!user.is_active) {
       throw new AppError('User account is deactivated', 401);
     }
     
+    if (user.must_change_password && !PASSWORD_CHANGE_PATHS.includes(req.baseUrl + req.path)) {
+      throw new AppError('Password change required', 403);
+    }
+    
+    if (isTwoFactorSetupRequired(user) && !TWO_FACTOR_SETUP_PATHS.includes(req.baseUrl + req.path)) {
+      throw new AppError('Two-factor setup required', 403);
+    }
+    
     // Add user to request object
     req.user = user;
     req.token = token;
+    req.sessionId = decoded.sessionId;
+    
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      return next(new AppError('Invalid token', 401));
+    }
+    if (error.name === 'TokenExpiredError') {
+      return next(new AppError('Token expired', 401));
+    }
+    next(error);
+  }
+};
+
+/**
+ * Load the device of a verified device token
+ * @param {Object} decoded - Decoded device token payload
+ * @returns {Promise<Object>} Device row
+ * @throws {AppError} If the device does not exist or its token was revoked
+ */
+const loadDevice = async (decoded) => {
+  const deviceResult = await query(
+    'SELECT id, branch_id, name, role, token_version, is_active FROM devices WHERE id = $1',
+    [decoded.deviceId]
+  );
+  
+  if (deviceResult.rows.length === 0) {
+    throw new AppError('Device not found', 401);
+  }
+  
+  const device = deviceResult.rows[0];
+  
+  if (!device.is_active || device.token_version !== decoded.tokenVersion) {
+    throw new AppError('Device token has been revoked', 401);
+  }
+  
+  // Record activity at most once a minute so polling displays do not write on every request
+  await query(
+    `UPDATE devices SET last_seen_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND (last_seen_at IS NULL OR last_seen_at < CURRENT_TIMESTAMP - INTERVAL '1 minute')`,
+    [device.id]
+  );
+  
+  return device;
+};
+
+/**
+ * Device authentication middleware - verifies a device token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const authenticateDevice = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      throw new AppError('Access token is required', 401);
+    }
+    
+    const token = authHeader.substring(7);
+    const decoded = verifyToken(token);
+    
+    if (decoded.type !== 'device') {
+      throw new AppError('Device token is required', 401);
+    }
+    
+    req.device = await loadDevice(decoded);
+    req.token = token;
     
     next();
   } catch (error) {
@@ -86,17 +245,47 @@ export const authenticate = async (req, res, next) => {
 };
 
 /**
- * Authorization middleware - checks user role
- * @param {...string} roles - Allowed roles
+ * Device restriction middleware - limits device tokens to their role and branch.
+ * Requests without a device are passed through unchanged.
+ * @param {...string} roles - Device roles allowed on the endpoint
  * @returns {Function} Express middleware function
  */
-export const authorize = (...roles) => {
+export const restrictDevice = (...roles) => {
+  return (req, res, next) => {
+    if (!req.device) {
+      return next();
+    }
+    
+    if (!roles.includes(req.device.role)) {
+      return next(new AppError('Device is not allowed to access this endpoint', 403));
+    }
+    
+    const requestedBranchId = parseInt(
+      req.params.branchId || 
+      req.body.branchId || 
+      req.query.branchId
+    );
+    
+    if (requestedBranchId && requestedBranchId !== req.device.branch_id) {
+      return next(new AppError('Access denied to this branch', 403));
+    }
+    
+    next();
+  };
+};
+
+/**
+ * Authorization middleware - checks that the user's role grants a permission
+ * @param {...string} permissions - Accepted permissions, any one of them is enough (see config/permissions.js)
+ * @returns {Function} Express middleware function
+ */
+export const authorize = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return next(new AppError('Authentication required', 401));
     }
     
-    if (!roles.includes(req.user.role)) {
+    if (!permissions.some(permission => hasPermission(req.user.role, permission))) {
       return next(new AppError('Insufficient permissions', 403));
     }
     
@@ -115,8 +304,8 @@ export const checkBranchAccess = (req, res, next) => {
     return next(new AppError('Authentication required', 401));
   }
   
-  // Admin can access all branches
-  if (req.user.role === 'admin') {
+  // Roles that are not limited to one branch can access all branches
+  if (hasPermission(req.user.role, PERMISSIONS.ALL_BRANCHES)) {
     return next();
   }
   
@@ -134,7 +323,7 @@ export const checkBranchAccess = (req, res, next) => {
   }
   
   // Check if user can access the requested branch
-  if (req.user.branch_id !== requestedBranchId) {
+  if (!canAccessBranch(req.user, requestedBranchId)) {
     return next(new AppError('Access denied to this branch', 403));
   }
   
@@ -143,7 +332,9 @@ export const checkBranchAccess = (req, res, next) => {
 };
 
 /**
- * Optional authentication middleware - doesn't fail if no token
+ * Optional authentication middleware - doesn't fail if no token.
+ * A token that is presented but invalid, expired or revoked is rejected rather than ignored,
+ * so it cannot pass the device restrictions as an anonymous request.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
@@ -159,56 +350,51 @@ export const optionalAuth = async (req, res, next) => {
     const token = authHeader.substring(7);
     const decoded = verifyToken(token);
     
-    const userResult = await query(
-      'SELECT id, username, role, branch_id, is_active FROM users WHERE id = $1',
-      [decoded.userId]
-    );
-    
-    if (userResult.rows.length > 0 && userResult.rows[0].is_active) {
-      req.user = userResult.rows[0];
+    if (decoded.type === 'device') {
+      req.device = await loadDevice(decoded);
       req.token = token;
+      return next();
     }
     
+    if (decoded.type === 'two_factor') {
+      throw new AppError('Two-factor verification is not complete', 401);
+    }
+    
+    const user = await loadSessionUser(decoded);
+    
+    if (!user) {
+      throw new AppError('User not found', 401);
+    }
+    
+    if (!user.is_active) {
+      throw new AppError('User account is deactivated', 401);
+    }
+    
+    req.user = user;
+    req.token = token;
+    req.sessionId = decoded.sessionId;
+    
     next();
-  } catch {
-    // Ignore authentication errors for optional auth
-    next();
-  }
-};
-
-/**
- * Rate limiting for authentication attempts
- */
-const authAttempts = new Map();
-
-/**
- * Check authentication rate limit
- * @param {string} identifier - IP address or username
- * @param {number} maxAttempts - Maximum attempts allowed
- * @param {number} windowMs - Time window in milliseconds
- * @returns {boolean} Whether request is allowed
- */
-export const checkAuthRateLimit = (identifier, maxAttempts = 5, windowMs = 15 * 60 * 1000) => {
-  const now = Date.now();
-  const attempts = authAttempts.get(identifier) || { count: 0, resetTime: now + windowMs };
-  
-  if (now > attempts.resetTime) {
-    attempts.count = 0;
-    attempts.resetTime = now + windowMs;
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      return next(new AppError('Invalid token', 401));
+    }
+    if (error.name === 'TokenExpiredError') {
+      return next(new AppError('Token expired', 401));
+    }
+    next(error);
   }
-  
-  attempts.count++;
-  authAttempts.set(identifier, attempts);
-  
-  return attempts.count <= maxAttempts;
 };
 
 export default {
   generateToken,
+  generateDeviceToken,
+  generateChallengeToken,
   verifyToken,
   authenticate,
+  authenticateDevice,
+  restrictDevice,
   authorize,
   checkBranchAccess,
-  optionalAuth,
-  checkAuthRateLimit
+  optionalAuth
 };
\ No newline at end of file
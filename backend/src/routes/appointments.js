@@ -0,0 +1,370 @@
+/**
+ * Appointment Routes
+ * Handles bookable slots and appointments; check-in happens through POST /api/queue/check-in
+ */
+
+import express from 'express';
+import { query, transaction } from '../config/database.js';
+import appConfig from '../config/appConfig.js';
+import { authenticate, authorize, checkBranchAccess, optionalAuth } from '../middleware/auth.js';
+import { PERMISSIONS, canAccessBranch } from '../config/permissions.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { generatePublicCode } from '../utils/publicCode.js';
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number} Minutes
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Map a slot row to the API shape
+ * @param {Object} slot - Database row
+ * @returns {Object} Slot data
+ */
+const formatSlot = (slot) => ({
+  id: slot.id,
+  branchId: slot.branch_id,
+  serviceId: slot.service_id,
+  serviceName: slot.service_name || null,
+  serviceCode: slot.service_code || null,
+  startsAt: slot.starts_at,
+  endsAt: slot.ends_at,
+  capacity: slot.capacity,
+  bookedCount: parseInt(slot.booked_count) || 0,
+  availableCount: Math.max(slot.capacity - (parseInt(slot.booked_count) || 0), 0)
+});
+
+/**
+ * Map an appointment row to the API shape
+ * @param {Object} appointment - Database row
+ * @returns {Object} Appointment data
+ */
+const formatAppointment = (appointment) => ({
+  id: appointment.id,
+  slotId: appointment.slot_id,
+  branchId: appointment.branch_id,
+  serviceId: appointment.service_id,
+  serviceName: appointment.service_name || null,
+  serviceCode: appointment.service_code || null,
+  startsAt: appointment.starts_at,
+  endsAt: appointment.ends_at,
+  customerName: appointment.customer_name,
+  customerPhone: appointment.customer_phone,
+  code: appointment.code,
+  status: appointment.status,
+  queueId: appointment.queue_id || null,
+  queueNumber: appointment.queue_number || null,
+  createdAt: appointment.created_at,
+  checkedInAt: appointment.checked_in_at,
+  cancelledAt: appointment.cancelled_at
+});
+
+/**
+ * GET /api/appointments/slots/:branchId
+ * Get bookable slots of a branch for a day (?date=YYYY-MM-DD, optional ?serviceId=)
+ */
+router.get('/slots/:branchId', optionalAuth, asyncHandler(async (req, res) => {
+  const { branchId } = req.params;
+  const { serviceId } = req.query;
+  const date = req.query.date || new Date().toISOString().split('T')[0];
+
+  if (!DATE_PATTERN.test(date)) {
+    throw new AppError('Date must be in YYYY-MM-DD format', 400);
+  }
+
+  const slotsResult = await query(
+    `SELECT sl.id, sl.branch_id, sl.service_id, sl.starts_at, sl.ends_at, sl.capacity,
+            s.name as service_name, s.code as service_code,
+            COUNT(a.id) as booked_count
+     FROM appointment_slots sl
+     LEFT JOIN services s ON sl.service_id = s.id
+     LEFT JOIN appointments a ON a.slot_id = sl.id AND a.status IN ('booked', 'checked_in')
+     WHERE sl.branch_id = $1 AND sl.is_active = true AND DATE(sl.starts_at) = $2
+           AND ($3::integer IS NULL OR sl.service_id = $3)
+     GROUP BY sl.id, s.id
+     ORDER BY sl.starts_at ASC, s.display_order ASC`,
+    [branchId, date, serviceId || null]
+  );
+
+  res.status(200).json({
+    success: true,
+    data: slotsResult.rows.map(formatSlot)
+  });
+}));
+
+/**
+ * POST /api/appointments/slots
+ * Create bookable slots for a time window of one day (admin only)
+ */
+router.post('/slots', authenticate, authorize(PERMISSIONS.MANAGE_APPOINTMENTS), asyncHandler(async (req, res) => {
+  const { branchId, serviceId, date, startTime, endTime, durationMinutes, capacity = 1 } = req.body;
+
+  if (!branchId || !date || !startTime || !endTime || !durationMinutes) {
+    throw new AppError('Branch ID, date, start time, end time and duration are required', 400);
+  }
+
+  if (!DATE_PATTERN.test(date)) {
+    throw new AppError('Date must be in YYYY-MM-DD format', 400);
+  }
+
+  if (!TIME_PATTERN.test(startTime) || !TIME_PATTERN.test(endTime)) {
+    throw new AppError('Start and end time must be in HH:MM format', 400);
+  }
+
+  const duration = parseInt(durationMinutes);
+  const slotCapacity = parseInt(capacity);
+
+  if (!duration || duration <= 0) {
+    throw new AppError('Duration must be a positive number of minutes', 400);
+  }
+
+  if (!slotCapacity || slotCapacity <= 0) {
+    throw new AppError('Capacity must be a positive number', 400);
+  }
+
+  const windowMinutes = toMinutes(endTime) - toMinutes(startTime);
+  if (windowMinutes < duration) {
+    throw new AppError('End time must be at least one slot after start time', 400);
+  }
+
+  if (Math.floor(windowMinutes / duration) > appConfig.appointments.maxSlotsPerRequest) {
+    throw new AppError(`Cannot create more than ${appConfig.appointments.maxSlotsPerRequest} slots at once`, 400);
+  }
+
+  // Check if branch exists
+  const branchResult = await query(
+    'SELECT id FROM branches WHERE id = $1 AND is_active = true',
+    [branchId]
+  );
+
+  if (branchResult.rows.length === 0) {
+    throw new AppError('Branch not found', 404);
+  }
+
+  if (serviceId) {
+    const serviceResult = await query(
+      'SELECT id FROM services WHERE id = $1 AND branch_id = $2 AND is_active = true',
+      [serviceId, branchId]
+    );
+
+    if (serviceResult.rows.length === 0) {
+      throw new AppError('Service not found', 404);
+    }
+  }
+
+  // One slot every durationMinutes; slots that already exist are left untouched
+  const slotsResult = await query(
+    `INSERT INTO appointment_slots (branch_id, service_id, starts_at, ends_at, capacity)
+     SELECT $1, $2, slot_start, slot_start + make_interval(mins => $6), $7
+     FROM generate_series(
+       $3::date + $4::time,
+       $3::date + $5::time - make_interval(mins => $6),
+       make_interval(mins => $6)
+     ) AS slot_start
+     ON CONFLICT (branch_id, (COALESCE(service_id, 0)), starts_at) WHERE is_active DO NOTHING
+     RETURNING id, branch_id, service_id, starts_at, ends_at, capacity`,
+    [branchId, serviceId || null, date, startTime, endTime, duration, slotCapacity]
+  );
+
+  res.status(201).json({
+    success: true,
+    message: `${slotsResult.rows.length} appointment slots created`,
+    data: slotsResult.rows.map(formatSlot)
+  });
+}));
+
+/**
+ * DELETE /api/appointments/slots/:id
+ * Remove a slot that has no active bookings (admin only)
+ */
+router.delete('/slots/:id', authenticate, authorize(PERMISSIONS.MANAGE_APPOINTMENTS), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const slotResult = await query(
+    'SELECT id FROM appointment_slots WHERE id = $1 AND is_active = true',
+    [id]
+  );
+
+  if (slotResult.rows.length === 0) {
+    throw new AppError('Appointment slot not found', 404);
+  }
+
+  const bookedResult = await query(
+    `SELECT COUNT(*) as count FROM appointments
+     WHERE slot_id = $1 AND status IN ('booked', 'checked_in')`,
+    [id]
+  );
+
+  if (parseInt(bookedResult.rows[0].count) > 0) {
+    throw new AppError('Cannot remove slot with booked appointments. Cancel them first.', 409);
+  }
+
+  await query(
+    'UPDATE appointment_slots SET is_active = false WHERE id = $1',
+    [id]
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Appointment slot removed successfully'
+  });
+}));
+
+/**
+ * GET /api/appointments/branch/:branchId
+ * List appointments of a branch for a day (?date=YYYY-MM-DD, optional ?status=)
+ */
+router.get('/branch/:branchId', authenticate, checkBranchAccess, asyncHandler(async (req, res) => {
+  const { branchId } = req.params;
+  const { status } = req.query;
+  const date = req.query.date || new Date().toISOString().split('T')[0];
+
+  if (!DATE_PATTERN.test(date)) {
+    throw new AppError('Date must be in YYYY-MM-DD format', 400);
+  }
+
+  const appointmentsResult = await query(
+    `SELECT a.id, a.slot_id, a.customer_name, a.customer_phone, a.code, a.status,
+            a.created_at, a.checked_in_at, a.cancelled_at,
+            sl.branch_id, sl.service_id, sl.starts_at, sl.ends_at,
+            s.name as service_name, s.code as service_code,
+            q.id as queue_id, q.number as queue_number
+     FROM appointments a
+     JOIN appointment_slots sl ON a.slot_id = sl.id
+     LEFT JOIN services s ON sl.service_id = s.id
+     LEFT JOIN queue q ON q.appointment_id = a.id
+     WHERE sl.branch_id = $1 AND DATE(sl.starts_at) = $2
+           AND ($3::varchar IS NULL OR a.status = $3)
+     ORDER BY sl.starts_at ASC, a.created_at ASC`,
+    [branchId, date, status || null]
+  );
+
+  res.status(200).json({
+    success: true,
+    data: appointmentsResult.rows.map(formatAppointment)
+  });
+}));
+
+/**
+ * POST /api/appointments
+ * Book an appointment into a slot (customers may book without logging in)
+ */
+router.post('/', optionalAuth, asyncHandler(async (req, res) => {
+  const { slotId, customerName, customerPhone } = req.body;
+
+  if (!slotId || !customerName?.trim()) {
+    throw new AppError('Slot ID and customer name are required', 400);
+  }
+
+  const appointment = await transaction(async (client) => {
+    // Lock the slot so concurrent bookings cannot exceed its capacity
+    const slotResult = await client.query(
+      `SELECT sl.id, sl.branch_id, sl.service_id, sl.starts_at, sl.ends_at, sl.capacity,
+              sl.starts_at <= CURRENT_TIMESTAMP as has_started,
+              s.name as service_name, s.code as service_code
+       FROM appointment_slots sl
+       LEFT JOIN services s ON sl.service_id = s.id
+       WHERE sl.id = $1 AND sl.is_active = true
+       FOR UPDATE OF sl`,
+      [slotId]
+    );
+
+    if (slotResult.rows.length === 0) {
+      throw new AppError('Appointment slot not found', 404);
+    }
+
+    const slot = slotResult.rows[0];
+
+    if (slot.has_started) {
+      throw new AppError('Appointment slot has already started', 400);
+    }
+
+    const bookedResult = await client.query(
+      `SELECT COUNT(*) as count FROM appointments
+       WHERE slot_id = $1 AND status IN ('booked', 'checked_in')`,
+      [slot.id]
+    );
+
+    if (parseInt(bookedResult.rows[0].count) >= slot.capacity) {
+      throw new AppError('Appointment slot is full', 409);
+    }
+
+    const appointmentResult = await client.query(
+      `INSERT INTO appointments (slot_id, customer_name, customer_phone, code, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, slot_id, customer_name, customer_phone, code, status, created_at,
+                 checked_in_at, cancelled_at`,
+      [slot.id, customerName.trim(), customerPhone?.trim() || null, generatePublicCode(), req.user?.id || null]
+    );
+
+    return {
+      ...appointmentResult.rows[0],
+      branch_id: slot.branch_id,
+      service_id: slot.service_id,
+      service_name: slot.service_name,
+      service_code: slot.service_code,
+      starts_at: slot.starts_at,
+      ends_at: slot.ends_at
+    };
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Appointment booked successfully',
+    data: formatAppointment(appointment)
+  });
+}));
+
+/**
+ * POST /api/appointments/:id/cancel
+ * Cancel a booked appointment (staff of the branch or admin)
+ */
+router.post('/:id/cancel', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const appointmentResult = await query(
+    `SELECT a.id, a.status, sl.branch_id
+     FROM appointments a
+     JOIN appointment_slots sl ON a.slot_id = sl.id
+     WHERE a.id = $1`,
+    [id]
+  );
+
+  if (appointmentResult.rows.length === 0) {
+    throw new AppError('Appointment not found', 404);
+  }
+
+  const appointment = appointmentResult.rows[0];
+
+  if (!canAccessBranch(req.user, appointment.branch_id)) {
+    throw new AppError('Access denied to this branch', 403);
+  }
+
+  if (appointment.status !== 'booked') {
+    throw new AppError('Only booked appointments can be cancelled', 400);
+  }
+
+  await query(
+    `UPDATE appointments
+     SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [id]
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Appointment cancelled successfully'
+  });
+}));
+
+export default router;
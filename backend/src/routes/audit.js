@@ -0,0 +1,98 @@
+/**
+ * Audit Routes
+ * Search the audit log of administrative changes
+ */
+
+import express from 'express';
+import { query } from '../config/database.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { AUDIT_ENTITY_TYPES } from '../middleware/audit.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Map an audit log row to the API shape
+ * @param {Object} entry - Database row
+ * @returns {Object} Audit entry
+ */
+const formatAuditEntry = (entry) => ({
+  id: entry.id,
+  userId: entry.user_id,
+  username: entry.username,
+  action: entry.action,
+  entityType: entry.entity_type,
+  entityId: entry.entity_id,
+  before: entry.before_data,
+  after: entry.after_data,
+  ipAddress: entry.ip_address,
+  createdAt: entry.created_at
+});
+
+/**
+ * GET /api/audit
+ * Search audit entries, newest first (admin only)
+ * (optional ?search=, ?entityType=, ?entityId=, ?action=, ?userId=, ?from=YYYY-MM-DD, ?to=YYYY-MM-DD, ?page=, ?limit=)
+ */
+router.get('/', authenticate, authorize(PERMISSIONS.VIEW_AUDIT), asyncHandler(async (req, res) => {
+  const { search, entityType, entityId, action, userId, from, to } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  if (entityType && !AUDIT_ENTITY_TYPES.includes(entityType)) {
+    throw new AppError(`Entity type must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}`, 400);
+  }
+
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    throw new AppError('Dates must be in YYYY-MM-DD format', 400);
+  }
+
+  // The free-text search matches the acting user, the action and the stored entity values
+  const filters = `($1::varchar IS NULL OR a.username ILIKE $1 OR a.action ILIKE $1
+                     OR a.before_data::text ILIKE $1 OR a.after_data::text ILIKE $1)
+                   AND ($2::varchar IS NULL OR a.entity_type = $2)
+                   AND ($3::integer IS NULL OR a.entity_id = $3)
+                   AND ($4::varchar IS NULL OR a.action = $4)
+                   AND ($5::integer IS NULL OR a.user_id = $5)
+                   AND ($6::date IS NULL OR a.created_at >= $6::date)
+                   AND ($7::date IS NULL OR a.created_at < $7::date + 1)`;
+  const params = [
+    search?.trim() ? `%${search.trim()}%` : null,
+    entityType || null,
+    parseInt(entityId) || null,
+    action || null,
+    parseInt(userId) || null,
+    from || null,
+    to || null
+  ];
+
+  const countResult = await query(`SELECT COUNT(*) as total FROM audit_log a WHERE ${filters}`, params);
+
+  const entriesResult = await query(
+    `SELECT a.*
+     FROM audit_log a
+     WHERE ${filters}
+     ORDER BY a.created_at DESC, a.id DESC
+     LIMIT $8 OFFSET $9`,
+    [...params, limit, (page - 1) * limit]
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      entries: entriesResult.rows.map(formatAuditEntry),
+      pagination: {
+        page,
+        limit,
+        total: parseInt(countResult.rows[0].total)
+      }
+    }
+  });
+}));
+
+export default router;
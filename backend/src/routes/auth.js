@@ -1,39 +1,202 @@
 /**
  * Authentication Routes
- * Handles user login, logout, and token validation
+ * Handles user login, logout, token refresh and token validation, password changes and
+ * two-factor enrolment
  */
 
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import { query } from '../config/database.js';
-import { generateToken, authenticate, checkAuthRateLimit } from '../middleware/auth.js';
+import { query, transaction } from '../config/database.js';
+import appConfig from '../config/appConfig.js';
+import { generateToken, generateChallengeToken, verifyToken, authenticate } from '../middleware/auth.js';
+import { recordAudit } from '../middleware/audit.js';
+import { getRolePermissions, getAssignableRoles, requiresBranch } from '../config/permissions.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { createAuthSession, rotateAuthSession, revokeAuthSession, revokeUserSessions } from '../utils/authSessions.js';
+import { recordFailedLogin } from '../utils/loginLockout.js';
+import { getPasswordPolicy, assertPasswordStrength, assertPasswordNotReused, setUserPassword } from '../utils/passwordPolicy.js';
+import { generateSecret, buildOtpAuthUrl, verifyTotp } from '../utils/totp.js';
+import {
+  isTwoFactorRequired,
+  isTwoFactorSetupRequired,
+  generateRecoveryCodes,
+  countRecoveryCodes,
+  disableTwoFactor,
+  verifySecondFactor
+} from '../utils/twoFactor.js';
 
 const router = express.Router();
 
+/**
+ * Reject a login to a locked account and tell the client when to try again
+ * @param {Object} res - Express response object
+ * @param {number} lockSeconds - Seconds until the lock ends
+ * @throws {AppError} Always
+ */
+const rejectLockedAccount = (res, lockSeconds) => {
+  res.set('Retry-After', String(lockSeconds));
+  throw new AppError(`Account is temporarily locked. Try again in ${lockSeconds} seconds`, 429);
+};
+
+// Columns of the user a login is checked against, by username in the password step and by ID in the code step
+const LOGIN_USER_COLUMNS = `u.id, u.username, u.password_hash, u.role, u.branch_id, u.is_active, u.must_change_password,
+            u.totp_enabled, u.totp_secret, u.totp_last_step,
+            GREATEST(0, CEIL(EXTRACT(EPOCH FROM u.locked_until - CURRENT_TIMESTAMP)))::integer as lock_seconds,
+            b.name as branch_name`;
+
+/**
+ * Format the signed-in user for login, refresh and profile responses.
+ * The permissions and assignable roles come from config/permissions.js, so the client
+ * shows what the server allows without a role table of its own.
+ * @param {Object} user - User row
+ * @returns {Object} User data
+ */
+const formatAuthUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  role: user.role,
+  branchId: user.branch_id,
+  branchName: user.branch_name,
+  mustChangePassword: user.must_change_password,
+  twoFactorEnabled: user.totp_enabled,
+  twoFactorSetupRequired: isTwoFactorSetupRequired(user),
+  permissions: getRolePermissions(user.role),
+  assignableRoles: getAssignableRoles(user.role).map(role => ({
+    role,
+    requiresBranch: requiresBranch(role)
+  }))
+});
+
+/**
+ * Count a failed password or code, rejecting the login as locked once the limit is reached
+ * @param {Object} res - Express response object
+ * @param {number} userId - User ID
+ * @param {string} message - Error message when the account is not locked yet
+ * @param {number} statusCode - Status when the account is not locked yet
+ * @throws {AppError} Always
+ */
+const rejectFailedLogin = async (res, userId, message, statusCode = 401) => {
+  const lockSeconds = await recordFailedLogin(userId);
+
+  if (lockSeconds > 0) {
+    rejectLockedAccount(res, lockSeconds);
+  }
+
+  throw new AppError(message, statusCode);
+};
+
+/**
+ * Start a session for a user who passed every login step and send its tokens
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - User row
+ */
+const completeLogin = async (req, res, user) => {
+  // Start a session and generate its tokens
+  const { sessionId, refreshToken } = await createAuthSession(user.id, req);
+  const token = generateToken({
+    userId: user.id,
+    username: user.username,
+    role: user.role,
+    branchId: user.branch_id,
+    sessionId
+  });
+
+  // Update last login and forget earlier failed attempts
+  await query(
+    `UPDATE users
+     SET last_login = CURRENT_TIMESTAMP, failed_login_attempts = 0, locked_until = NULL
+     WHERE id = $1`,
+    [user.id]
+  );
+
+  // Return user data and token
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: formatAuthUser(user),
+      token,
+      refreshToken
+    }
+  });
+};
+
+/**
+ * Check the code step of a login started by a password step
+ * @param {Object} res - Express response object
+ * @param {string} challengeToken - Token returned by the password step
+ * @param {string} code - TOTP code or recovery code
+ * @returns {Promise<Object>} User row
+ * @throws {AppError} If the challenge or the code is not valid
+ */
+const verifyLoginChallenge = async (res, challengeToken, code) => {
+  let decoded;
+
+  try {
+    decoded = verifyToken(challengeToken);
+  } catch {
+    throw new AppError('Two-factor challenge is invalid or expired', 401);
+  }
+
+  if (decoded.type !== 'two_factor') {
+    throw new AppError('Two-factor challenge is invalid or expired', 401);
+  }
+
+  if (!code) {
+    throw new AppError('Verification code is required', 400);
+  }
+
+  const userResult = await query(
+    `SELECT ${LOGIN_USER_COLUMNS}
+     FROM users u
+     LEFT JOIN branches b ON u.branch_id = b.id
+     WHERE u.id = $1`,
+    [decoded.userId]
+  );
+
+  const user = userResult.rows[0];
+
+  if (!user || !user.is_active || !user.totp_enabled) {
+    throw new AppError('Two-factor challenge is invalid or expired', 401);
+  }
+
+  // The code step shares the lockout of the password step, so codes cannot be guessed either
+  if (user.lock_seconds > 0) {
+    rejectLockedAccount(res, user.lock_seconds);
+  }
+
+  if (!await verifySecondFactor(user, code)) {
+    await rejectFailedLogin(res, user.id, 'Invalid verification code');
+  }
+
+  return user;
+};
+
 /**
  * @route   POST /api/auth/login
- * @desc    Authenticate user and return token
+ * @desc    Authenticate user and return an access token with its refresh token.
+ *          With two-factor authentication enabled the password step returns a challenge token
+ *          instead, which is sent back with a code ({ challengeToken, code }) to finish the login.
  * @access  Public
  */
 router.post('/login', asyncHandler(async (req, res) => {
-  const { username, password } = req.body;
+  const { username, password, challengeToken, code } = req.body;
+
+  if (challengeToken) {
+    const user = await verifyLoginChallenge(res, challengeToken, code);
+    await completeLogin(req, res, user);
+    return;
+  }
 
   // Validate input
   if (!username || !password) {
     throw new AppError('Username and password are required', 400);
   }
 
-  // Check rate limiting
-  const clientId = req.ip + ':' + username;
-  if (!checkAuthRateLimit(clientId)) {
-    throw new AppError('Too many login attempts. Please try again later.', 429);
-  }
-
   // Get user from database
   const userResult = await query(
-    `SELECT u.id, u.username, u.password_hash, u.role, u.branch_id, u.is_active,
-            b.name as branch_name
+    `SELECT ${LOGIN_USER_COLUMNS}
      FROM users u
      LEFT JOIN branches b ON u.branch_id = b.id
      WHERE u.username = $1`,
@@ -51,52 +214,75 @@ router.post('/login', asyncHandler(async (req, res) => {
     throw new AppError('Account is deactivated', 401);
   }
 
+  // A locked account is rejected before its password is checked, so guessing cannot go on
+  if (user.lock_seconds > 0) {
+    rejectLockedAccount(res, user.lock_seconds);
+  }
+
   // Verify password
   const isPasswordValid = await bcrypt.compare(password, user.password_hash);
   if (!isPasswordValid) {
-    throw new AppError('Invalid credentials', 401);
+    await rejectFailedLogin(res, user.id, 'Invalid credentials');
   }
 
-  // Generate token
+  // Failed attempts are kept until the code step passes, a right password alone does not reset them
+  if (user.totp_enabled) {
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor verification required',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user.id)
+      }
+    });
+    return;
+  }
+
+  await completeLogin(req, res, user);
+}));
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token and refresh token
+ * @access  Public
+ */
+router.post('/refresh', asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    throw new AppError('Refresh token is required', 400);
+  }
+
+  const session = await rotateAuthSession(refreshToken);
+  const { user } = session;
+
   const token = generateToken({
     userId: user.id,
     username: user.username,
     role: user.role,
-    branchId: user.branch_id
+    branchId: user.branch_id,
+    sessionId: session.sessionId
   });
 
-  // Update last login
-  await query(
-    'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
-    [user.id]
-  );
-
-  // Return user data and token
   res.status(200).json({
     success: true,
-    message: 'Login successful',
+    message: 'Token refreshed successfully',
     data: {
-      user: {
-        id: user.id,
-        username: user.username,
-        role: user.role,
-        branchId: user.branch_id,
-        branchName: user.branch_name
-      },
-      token
+      user: formatAuthUser(user),
+      token,
+      refreshToken: session.refreshToken
     }
   });
 }));
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user (invalidate token on client side)
+ * @desc    Logout user and revoke the session of the token
  * @access  Private
  */
 router.post('/logout', authenticate, asyncHandler(async (req, res) => {
-  // In a more sophisticated system, we would maintain a blacklist of tokens
-  // For now, we just return success and let the client handle token removal
-  
+  await revokeAuthSession(req.sessionId, 'logout');
+
   // Update last logout time
   await query(
     'UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = $1',
@@ -117,7 +303,7 @@ router.post('/logout', authenticate, asyncHandler(async (req, res) => {
 router.get('/me', authenticate, asyncHandler(async (req, res) => {
   // Get updated user data
   const userResult = await query(
-    `SELECT u.id, u.username, u.role, u.branch_id, u.is_active,
+    `SELECT u.id, u.username, u.role, u.branch_id, u.is_active, u.must_change_password, u.totp_enabled,
             b.name as branch_name, b.address as branch_address
      FROM users u
      LEFT JOIN branches b ON u.branch_id = b.id
@@ -135,11 +321,7 @@ router.get('/me', authenticate, asyncHandler(async (req, res) => {
     success: true,
     data: {
       user: {
-        id: user.id,
-        username: user.username,
-        role: user.role,
-        branchId: user.branch_id,
-        branchName: user.branch_name,
+        ...formatAuthUser(user),
         branchAddress: user.branch_address,
         isActive: user.is_active
       }
@@ -167,9 +349,21 @@ router.post('/validate-token', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @route   GET /api/auth/password-policy
+ * @desc    Get the rules new passwords must follow
+ * @access  Public
+ */
+router.get('/password-policy', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: getPasswordPolicy()
+  });
+});
+
 /**
  * @route   POST /api/auth/change-password
- * @desc    Change user password
+ * @desc    Change user password, also the way to replace a temporary password
  * @access  Private
  */
 router.post('/change-password', authenticate, asyncHandler(async (req, res) => {
@@ -180,9 +374,7 @@ router.post('/change-password', authenticate, asyncHandler(async (req, res) => {
     throw new AppError('Current password and new password are required', 400);
   }
 
-  if (newPassword.length < 6) {
-    throw new AppError('New password must be at least 6 characters long', 400);
-  }
+  assertPasswordStrength(newPassword);
 
   // Get current user with password
   const userResult = await query(
@@ -202,19 +394,234 @@ router.post('/change-password', authenticate, asyncHandler(async (req, res) => {
     throw new AppError('Current password is incorrect', 400);
   }
 
-  // Hash new password
-  const saltRounds = 12;
-  const newPasswordHash = await bcrypt.hash(newPassword, saltRounds);
+  await assertPasswordNotReused(req.user.id, newPassword);
+
+  await transaction(async (client) => {
+    await setUserPassword(req.user.id, newPassword, false, client);
+
+    // Sign out the other devices of the user, the current session stays open
+    await revokeUserSessions(req.user.id, 'password_change', req.sessionId, client);
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Password changed successfully'
+  });
+}));
+
+/**
+ * Load the two-factor state of the signed-in user
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} User row with password hash and TOTP columns
+ */
+const loadTwoFactorUser = async (userId) => {
+  const userResult = await query(
+    `SELECT id, username, role, password_hash, totp_enabled, totp_secret, totp_last_step,
+            GREATEST(0, CEIL(EXTRACT(EPOCH FROM locked_until - CURRENT_TIMESTAMP)))::integer as lock_seconds
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+
+  if (userResult.rows.length === 0) {
+    throw new AppError('User not found', 404);
+  }
+
+  return userResult.rows[0];
+};
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get the two-factor authentication state of the signed-in user
+ * @access  Private
+ */
+router.get('/2fa', authenticate, asyncHandler(async (req, res) => {
+  const user = await loadTwoFactorUser(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: user.totp_enabled,
+      required: isTwoFactorRequired(user.role),
+      recoveryCodesRemaining: user.totp_enabled ? await countRecoveryCodes(user.id) : 0
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start two-factor enrolment: create a new secret for the authenticator app.
+ *          It is not used for logins until a code from the app confirms it (see /2fa/enable).
+ * @access  Private
+ */
+router.post('/2fa/setup', authenticate, asyncHandler(async (req, res) => {
+  const user = await loadTwoFactorUser(req.user.id);
+
+  if (user.totp_enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 400);
+  }
+
+  const secret = generateSecret();
 
-  // Update password
   await query(
-    'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-    [newPasswordHash, req.user.id]
+    'UPDATE users SET totp_secret = $2, totp_last_step = NULL WHERE id = $1',
+    [user.id, secret],
+    { redactParams: true }
   );
 
   res.status(200).json({
     success: true,
-    message: 'Password changed successfully'
+    data: {
+      secret,
+      otpauthUrl: buildOtpAuthUrl(secret, user.username, appConfig.twoFactor.issuer)
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Finish two-factor enrolment with a code from the authenticator app and return the recovery codes
+ * @access  Private
+ */
+router.post('/2fa/enable', authenticate, asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    throw new AppError('Verification code is required', 400);
+  }
+
+  const user = await loadTwoFactorUser(req.user.id);
+
+  if (user.totp_enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 400);
+  }
+
+  if (!user.totp_secret) {
+    throw new AppError('Two-factor setup has not been started', 400);
+  }
+
+  const step = verifyTotp(user.totp_secret, code, { window: appConfig.twoFactor.window });
+
+  if (step === null) {
+    throw new AppError('Invalid verification code', 400);
+  }
+
+  const recoveryCodes = await transaction(async (client) => {
+    await client.query(
+      `UPDATE users SET totp_enabled = true, totp_last_step = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [user.id, step]
+    );
+
+    // Sessions on other devices were opened with the password alone
+    await revokeUserSessions(user.id, 'two_factor_enabled', req.sessionId, client);
+    await recordAudit(req, {
+      action: 'enable_two_factor',
+      entityType: 'user',
+      entityId: user.id,
+      before: { username: user.username, two_factor_enabled: false },
+      after: { username: user.username, two_factor_enabled: true }
+    }, client);
+
+    return generateRecoveryCodes(user.id, client);
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled successfully',
+    data: {
+      recoveryCodes
+    }
+  });
+}));
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn off two-factor authentication, confirmed with the password and a current code.
+ *          Not allowed for roles that require two-factor authentication.
+ * @access  Private
+ */
+router.post('/2fa/disable', authenticate, asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  if (!password || !code) {
+    throw new AppError('Password and verification code are required', 400);
+  }
+
+  const user = await loadTwoFactorUser(req.user.id);
+
+  if (isTwoFactorRequired(user.role)) {
+    throw new AppError('Two-factor authentication is required for this role', 403);
+  }
+
+  if (!user.totp_enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  // Wrong passwords and codes count toward the login lockout, so a stolen session cannot guess them
+  if (user.lock_seconds > 0) {
+    rejectLockedAccount(res, user.lock_seconds);
+  }
+
+  const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+  if (!isPasswordValid) {
+    await rejectFailedLogin(res, user.id, 'Current password is incorrect', 400);
+  }
+
+  if (!await verifySecondFactor(user, code)) {
+    await rejectFailedLogin(res, user.id, 'Invalid verification code', 400);
+  }
+
+  await transaction(async (client) => {
+    await disableTwoFactor(user.id, client);
+    await recordAudit(req, {
+      action: 'disable_two_factor',
+      entityType: 'user',
+      entityId: user.id,
+      before: { username: user.username, two_factor_enabled: true },
+      after: { username: user.username, two_factor_enabled: false }
+    }, client);
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled successfully'
+  });
+}));
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace the recovery codes, confirmed with a current code; the old codes stop working
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', authenticate, asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    throw new AppError('Verification code is required', 400);
+  }
+
+  const user = await loadTwoFactorUser(req.user.id);
+
+  if (!user.totp_enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  if (user.lock_seconds > 0) {
+    rejectLockedAccount(res, user.lock_seconds);
+  }
+
+  if (!await verifySecondFactor(user, code)) {
+    await rejectFailedLogin(res, user.id, 'Invalid verification code', 400);
+  }
+
+  const recoveryCodes = await generateRecoveryCodes(user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Recovery codes regenerated successfully',
+    data: {
+      recoveryCodes
+    }
   });
 }));
 
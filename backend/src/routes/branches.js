@@ -5,21 +5,60 @@
 
 import express from 'express';
 import { query } from '../config/database.js';
+import { PERMISSIONS, hasPermission, canAccessBranch } from '../config/permissions.js';
 import { authenticate, authorize, optionalAuth } from '../middleware/auth.js';
+import { auditTrail } from '../middleware/audit.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 
 const router = express.Router();
 
+/**
+ * Ensure a branch can be deactivated: no active users and no customers waiting or being called
+ * @param {number} id - Branch ID
+ * @throws {AppError} If the branch is still in use
+ */
+const assertBranchCanBeDeactivated = async (id) => {
+  // Check if branch has active users
+  const activeUsersResult = await query(
+    'SELECT COUNT(*) as user_count FROM users WHERE branch_id = $1 AND is_active = true',
+    [id]
+  );
+
+  if (parseInt(activeUsersResult.rows[0].user_count) > 0) {
+    throw new AppError('Cannot deactivate branch with active users', 400);
+  }
+
+  // Check if branch has active queue items
+  const activeQueueResult = await query(
+    'SELECT COUNT(*) as queue_count FROM queue WHERE branch_id = $1 AND status IN ($2, $3, $4)',
+    [id, 'waiting', 'called', 'serving']
+  );
+
+  if (parseInt(activeQueueResult.rows[0].queue_count) > 0) {
+    throw new AppError('Cannot deactivate branch with active queue items', 400);
+  }
+};
+
 /**
  * GET /api/branches
- * Get all branches
+ * Get all branches with counter and waiting counts
+ * Admins may pass ?includeInactive=true to also list deactivated branches
  */
 router.get('/', optionalAuth, asyncHandler(async (req, res) => {
+  const includeInactive = req.query.includeInactive === 'true' && hasPermission(req.user?.role, PERMISSIONS.MANAGE_BRANCHES);
+
   const branchesResult = await query(
-    `SELECT id, name, address, phone, is_active, created_at, updated_at
-     FROM branches
-     WHERE is_active = true
-     ORDER BY name ASC`
+    `SELECT b.id, b.name, b.address, b.phone, b.is_active, b.created_at, b.updated_at,
+            (SELECT COUNT(*) FROM counters c WHERE c.branch_id = b.id) as counters_count,
+            (SELECT COUNT(*) FROM counter_sessions cs
+             JOIN counters c ON cs.counter_id = c.id
+             WHERE c.branch_id = b.id AND cs.end_time IS NULL AND cs.paused_at IS NULL) as active_counters_count,
+            (SELECT COUNT(*) FROM queue q
+             WHERE q.branch_id = b.id AND q.status = 'waiting') as waiting_queue_count
+     FROM branches b
+     WHERE b.is_active = true OR $1
+     ORDER BY b.is_active DESC, b.name ASC`,
+    [includeInactive]
   );
 
   res.status(200).json({
@@ -30,6 +69,9 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
       address: branch.address,
       phone: branch.phone,
       isActive: branch.is_active,
+      countersCount: parseInt(branch.counters_count),
+      activeCountersCount: parseInt(branch.active_counters_count),
+      waitingQueueCount: parseInt(branch.waiting_queue_count),
       createdAt: branch.created_at,
       updatedAt: branch.updated_at
     }))
@@ -82,11 +124,11 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
  * POST /api/branches
  * Create new branch (admin only)
  */
-router.post('/', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+router.post('/', authenticate, authorize(PERMISSIONS.MANAGE_BRANCHES), auditTrail('branch', 'create'), asyncHandler(async (req, res) => {
   const { name, address, phone } = req.body;
 
   // Validate input
-  if (!name || !address) {
+  if (!name?.trim() || !address?.trim()) {
     throw new AppError('Name and address are required', 400);
   }
 
@@ -128,7 +170,7 @@ router.post('/', authenticate, authorize('admin'), asyncHandler(async (req, res)
  * PUT /api/branches/:id
  * Update branch (admin only)
  */
-router.put('/:id', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+router.put('/:id', authenticate, authorize(PERMISSIONS.MANAGE_BRANCHES), auditTrail('branch', 'update'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { name, address, phone, isActive } = req.body;
 
@@ -144,6 +186,14 @@ router.put('/:id', authenticate, authorize('admin'), asyncHandler(async (req, re
 
   const existingBranch = existingBranchResult.rows[0];
 
+  if ((name !== undefined && !name?.trim()) || (address !== undefined && !address?.trim())) {
+    throw new AppError('Name and address cannot be empty', 400);
+  }
+
+  if (isActive === false) {
+    await assertBranchCanBeDeactivated(id);
+  }
+
   // Check if new name already exists (if name is being changed)
   if (name && name !== existingBranch.name) {
     const duplicateResult = await query(
@@ -189,7 +239,7 @@ router.put('/:id', authenticate, authorize('admin'), asyncHandler(async (req, re
  * DELETE /api/branches/:id
  * Delete branch (admin only)
  */
-router.delete('/:id', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+router.delete('/:id', authenticate, authorize(PERMISSIONS.MANAGE_BRANCHES), auditTrail('branch', 'delete'), asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   // Check if branch exists
@@ -202,25 +252,7 @@ router.delete('/:id', authenticate, authorize('admin'), asyncHandler(async (req,
     throw new AppError('Branch not found', 404);
   }
 
-  // Check if branch has active users
-  const activeUsersResult = await query(
-    'SELECT COUNT(*) as user_count FROM users WHERE branch_id = $1 AND is_active = true',
-    [id]
-  );
-
-  if (parseInt(activeUsersResult.rows[0].user_count) > 0) {
-    throw new AppError('Cannot delete branch with active users', 400);
-  }
-
-  // Check if branch has active queue items
-  const activeQueueResult = await query(
-    'SELECT COUNT(*) as queue_count FROM queue WHERE branch_id = $1 AND status IN ($2, $3)',
-    [id, 'waiting', 'called']
-  );
-
-  if (parseInt(activeQueueResult.rows[0].queue_count) > 0) {
-    throw new AppError('Cannot delete branch with active queue items', 400);
-  }
+  await assertBranchCanBeDeactivated(id);
 
   // Soft delete by deactivating the branch
   await query(
@@ -251,15 +283,15 @@ router.get('/:id/counters', authenticate, asyncHandler(async (req, res) => {
     throw new AppError('Branch not found', 404);
   }
 
-  // Check branch access for non-admin users
-  if (req.user.role !== 'admin' && req.user.branch_id !== parseInt(id)) {
+  // Check branch access for users limited to their own branch
+  if (!canAccessBranch(req.user, id)) {
     throw new AppError('Access denied to this branch', 403);
   }
 
   // Get counters with session information
   const countersResult = await query(
     `SELECT c.id, c.number, c.is_active,
-            cs.id as session_id, cs.user_id, cs.start_time,
+            cs.id as session_id, cs.user_id, cs.start_time, cs.paused_at, cs.break_reason,
             u.username as clerk_username
      FROM counters c
      LEFT JOIN counter_sessions cs ON c.id = cs.counter_id AND cs.end_time IS NULL
@@ -279,7 +311,10 @@ router.get('/:id/counters', authenticate, asyncHandler(async (req, res) => {
         id: counter.session_id,
         userId: counter.user_id,
         clerkUsername: counter.clerk_username,
-        startTime: counter.start_time
+        startTime: counter.start_time,
+        isPaused: counter.paused_at !== null,
+        pausedAt: counter.paused_at,
+        breakReason: counter.break_reason
       } : null
     }))
   });
@@ -302,8 +337,8 @@ router.get('/:id/stats', authenticate, asyncHandler(async (req, res) => {
     throw new AppError('Branch not found', 404);
   }
 
-  // Check branch access for non-admin users
-  if (req.user.role !== 'admin' && req.user.branch_id !== parseInt(id)) {
+  // Check branch access for users limited to their own branch
+  if (!canAccessBranch(req.user, id)) {
     throw new AppError('Access denied to this branch', 403);
   }
 
@@ -316,13 +351,15 @@ router.get('/:id/stats', authenticate, asyncHandler(async (req, res) => {
        COUNT(CASE WHEN q.status = 'called' THEN 1 END) as called_count,
        COUNT(CASE WHEN q.status = 'completed' AND DATE(q.completed_at) = $2 THEN 1 END) as completed_today,
        COUNT(CASE WHEN q.status = 'completed' THEN 1 END) as total_completed,
+       COUNT(CASE WHEN q.status = 'no_show' AND DATE(q.completed_at) = $2 THEN 1 END) as no_show_today,
+       COUNT(CASE WHEN q.status = 'no_show' THEN 1 END) as total_no_show,
        AVG(CASE WHEN q.status = 'completed' AND q.service_duration IS NOT NULL 
                 THEN q.service_duration END) as avg_service_time,
        COUNT(DISTINCT cs.id) as active_counters,
        COUNT(DISTINCT c.id) as total_counters
      FROM queue q
      RIGHT JOIN counters c ON q.counter_id = c.id
-     LEFT JOIN counter_sessions cs ON c.id = cs.counter_id AND cs.end_time IS NULL
+     LEFT JOIN counter_sessions cs ON c.id = cs.counter_id AND cs.end_time IS NULL AND cs.paused_at IS NULL
      WHERE c.branch_id = $1`,
     [id, today]
   );
@@ -336,6 +373,8 @@ router.get('/:id/stats', authenticate, asyncHandler(async (req, res) => {
       calledCount: parseInt(stats.called_count) || 0,
       completedToday: parseInt(stats.completed_today) || 0,
       totalCompleted: parseInt(stats.total_completed) || 0,
+      noShowToday: parseInt(stats.no_show_today) || 0,
+      totalNoShow: parseInt(stats.total_no_show) || 0,
       avgServiceTime: stats.avg_service_time ? Math.round(parseFloat(stats.avg_service_time)) : 0,
       activeCounters: parseInt(stats.active_counters) || 0,
       totalCounters: parseInt(stats.total_counters) || 0
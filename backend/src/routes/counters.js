@@ -4,12 +4,162 @@
  */
 
 import express from 'express';
-import { query } from '../config/database.js';
+import { query, transaction } from '../config/database.js';
 import { authenticate, authorize, checkBranchAccess } from '../middleware/auth.js';
+import { auditTrail } from '../middleware/audit.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { publishBranchEvent } from '../utils/branchEvents.js';
+import { PERMISSIONS, hasPermission, canAccessBranch } from '../config/permissions.js';
 
 const router = express.Router();
 
+// Reasons a clerk may give when pausing a counter session
+const BREAK_REASONS = ['short', 'lunch', 'meeting', 'training', 'other'];
+
+/**
+ * Parse counter service assignments from a request body.
+ * Each entry is either a service ID (primary line) or { serviceId, preference },
+ * where preference 1 is a primary line and higher numbers are fallback lines.
+ * @param {Array} services - Raw assignments
+ * @returns {Array<{serviceId: number, preference: number}>} Assignments
+ */
+const parseServiceAssignments = (services) => {
+  if (!Array.isArray(services)) {
+    throw new AppError('Services must be an array', 400);
+  }
+
+  const assignments = new Map();
+
+  for (const entry of services) {
+    const isObject = entry !== null && typeof entry === 'object';
+    const serviceId = Number(isObject ? entry.serviceId : entry);
+    const preference = isObject && entry.preference !== undefined ? Number(entry.preference) : 1;
+
+    if (!Number.isInteger(serviceId) || !Number.isInteger(preference) || preference < 1) {
+      throw new AppError('Each service requires a valid service ID and a preference of at least 1', 400);
+    }
+
+    assignments.set(serviceId, preference);
+  }
+
+  return [...assignments].map(([serviceId, preference]) => ({ serviceId, preference }));
+};
+
+/**
+ * Check that a counter number is a positive whole number
+ * @param {*} number - Counter number from the request body
+ * @throws {AppError} If the number is invalid
+ */
+const assertValidCounterNumber = (number) => {
+  if (!Number.isInteger(Number(number)) || Number(number) < 1) {
+    throw new AppError('Counter number must be a positive integer', 400);
+  }
+};
+
+/**
+ * Replace the service lines a counter may call
+ * @param {Object} client - Transaction client
+ * @param {number} counterId - Counter ID
+ * @param {number} branchId - Branch of the counter
+ * @param {Array<{serviceId: number, preference: number}>} assignments - New assignments
+ */
+const saveServiceAssignments = async (client, counterId, branchId, assignments) => {
+  const serviceIds = assignments.map(a => a.serviceId);
+
+  if (serviceIds.length > 0) {
+    const servicesResult = await client.query(
+      'SELECT id FROM services WHERE branch_id = $1 AND id = ANY($2::integer[])',
+      [branchId, serviceIds]
+    );
+
+    if (servicesResult.rows.length !== serviceIds.length) {
+      throw new AppError('Services must belong to the counter\'s branch', 400);
+    }
+  }
+
+  await client.query('DELETE FROM counter_services WHERE counter_id = $1', [counterId]);
+
+  if (serviceIds.length > 0) {
+    await client.query(
+      `INSERT INTO counter_services (counter_id, service_id, preference)
+       SELECT $1, a.service_id, a.preference
+       FROM UNNEST($2::integer[], $3::integer[]) AS a(service_id, preference)`,
+      [counterId, serviceIds, assignments.map(a => a.preference)]
+    );
+  }
+};
+
+/**
+ * Get the service assignments of several counters
+ * @param {Object} db - Query runner (pool helper or transaction client)
+ * @param {Array<number>} counterIds - Counter IDs
+ * @returns {Promise<Map<number, Array>>} Assignments keyed by counter ID
+ */
+const getServiceAssignments = async (db, counterIds) => {
+  const assignments = new Map(counterIds.map(id => [id, []]));
+
+  if (counterIds.length === 0) {
+    return assignments;
+  }
+
+  const result = await db.query(
+    `SELECT csv.counter_id, csv.service_id, csv.preference, s.code, s.name
+     FROM counter_services csv
+     JOIN services s ON csv.service_id = s.id
+     WHERE csv.counter_id = ANY($1::integer[])
+     ORDER BY csv.preference ASC, s.display_order ASC`,
+    [counterIds]
+  );
+
+  for (const row of result.rows) {
+    assignments.get(row.counter_id).push({
+      serviceId: row.service_id,
+      code: row.code,
+      name: row.name,
+      preference: row.preference
+    });
+  }
+
+  return assignments;
+};
+
+/**
+ * Load an open counter session and check that the user owns it or manages the counters of its branch.
+ * The session row is locked so pausing, resuming, ending and call-next cannot interleave.
+ * @param {number} sessionId - Counter session ID
+ * @param {Object} user - Authenticated user
+ * @param {Object} db - Transaction client
+ * @returns {Promise<Object>} Session row with counter number and branch
+ * @throws {AppError} If the session is not open or belongs to someone else
+ */
+const loadOpenSession = async (sessionId, user, db) => {
+  const sessionResult = await db.query(
+    `SELECT cs.id, cs.counter_id, cs.user_id, cs.start_time, cs.paused_at, cs.break_reason,
+            c.number as counter_number, c.branch_id
+     FROM counter_sessions cs
+     JOIN counters c ON cs.counter_id = c.id
+     WHERE cs.id = $1 AND cs.end_time IS NULL
+     FOR UPDATE OF cs`,
+    [sessionId]
+  );
+
+  if (sessionResult.rows.length === 0) {
+    throw new AppError('Active session not found', 404);
+  }
+
+  const session = sessionResult.rows[0];
+
+  // Check if user owns this session or manages the counters of its branch
+  const managesCounter = hasPermission(user.role, PERMISSIONS.MANAGE_COUNTERS) &&
+    canAccessBranch(user, session.branch_id);
+
+  if (!managesCounter && user.id !== session.user_id) {
+    throw new AppError('Access denied to this session', 403);
+  }
+
+  return session;
+};
+
 /**
  * GET /api/counters/available/:branchId
  * Get available counters for a branch
@@ -26,12 +176,15 @@ router.get('/available/:branchId', authenticate, checkBranchAccess, asyncHandler
     [branchId]
   );
 
+  const services = await getServiceAssignments({ query }, countersResult.rows.map(c => c.id));
+
   res.status(200).json({
     success: true,
     data: countersResult.rows.map(counter => ({
       id: counter.id,
       number: counter.number,
-      isActive: counter.is_active
+      isActive: counter.is_active,
+      services: services.get(counter.id)
     }))
   });
 }));
@@ -40,17 +193,22 @@ router.get('/available/:branchId', authenticate, checkBranchAccess, asyncHandler
  * GET /api/counters/my-session
  * Get current user's active counter session
  */
-router.get('/my-session', authenticate, authorize('clerk'), asyncHandler(async (req, res) => {
+router.get('/my-session', authenticate, authorize(PERMISSIONS.SERVE_QUEUE), asyncHandler(async (req, res) => {
   const sessionResult = await query(
-    `SELECT cs.id, cs.counter_id, cs.start_time,
+    `SELECT cs.id, cs.counter_id, cs.start_time, cs.paused_at, cs.break_reason,
             c.number as counter_number, c.branch_id,
             b.name as branch_name,
             q.id as current_queue_id, q.number as current_queue_number,
-            q.status as current_queue_status, q.created_at as queue_created_at
+            q.status as current_queue_status, q.created_at as queue_created_at,
+            q.called_at as queue_called_at, q.serving_started_at as queue_serving_started_at,
+            q.priority_type as current_queue_priority_type,
+            q.recall_count as current_queue_recall_count,
+            s.name as current_service_name, s.code as current_service_code
      FROM counter_sessions cs
      JOIN counters c ON cs.counter_id = c.id
      JOIN branches b ON c.branch_id = b.id
      LEFT JOIN queue q ON cs.id = q.counter_session_id AND q.status IN ('called', 'serving')
+     LEFT JOIN services s ON q.service_id = s.id
      WHERE cs.user_id = $1 AND cs.end_time IS NULL`,
     [req.user.id]
   );
@@ -73,11 +231,20 @@ router.get('/my-session', authenticate, authorize('clerk'), asyncHandler(async (
       branchId: session.branch_id,
       branchName: session.branch_name,
       startTime: session.start_time,
+      isPaused: session.paused_at !== null,
+      pausedAt: session.paused_at,
+      breakReason: session.break_reason,
       currentQueue: session.current_queue_id ? {
         id: session.current_queue_id,
         number: session.current_queue_number,
         status: session.current_queue_status,
-        createdAt: session.queue_created_at
+        priorityType: session.current_queue_priority_type,
+        serviceName: session.current_service_name,
+        serviceCode: session.current_service_code,
+        recallCount: session.current_queue_recall_count,
+        createdAt: session.queue_created_at,
+        calledAt: session.queue_called_at,
+        servingStartedAt: session.queue_serving_started_at
       } : null
     }
   });
@@ -87,7 +254,7 @@ router.get('/my-session', authenticate, authorize('clerk'), asyncHandler(async (
  * GET /api/counters/last-used
  * Get current user's last used counter if available
  */
-router.get('/last-used', authenticate, authorize('clerk'), asyncHandler(async (req, res) => {
+router.get('/last-used', authenticate, authorize(PERMISSIONS.SERVE_QUEUE), asyncHandler(async (req, res) => {
   // Find user's most recent completed counter session
   const lastSessionResult = await query(
     `SELECT cs.counter_id, c.number as counter_number, c.branch_id, c.is_active,
@@ -153,7 +320,7 @@ router.get('/:branchId', authenticate, checkBranchAccess, asyncHandler(async (re
 
   const countersResult = await query(
     `SELECT c.id, c.number, c.is_active,
-            cs.id as session_id, cs.user_id, cs.start_time,
+            cs.id as session_id, cs.user_id, cs.start_time, cs.paused_at, cs.break_reason,
             u.username as clerk_username,
             q.id as current_queue_id, q.number as current_queue_number,
             q.status as current_queue_status
@@ -166,17 +333,23 @@ router.get('/:branchId', authenticate, checkBranchAccess, asyncHandler(async (re
     [branchId]
   );
 
+  const services = await getServiceAssignments({ query }, countersResult.rows.map(c => c.id));
+
   res.status(200).json({
     success: true,
     data: countersResult.rows.map(counter => ({
       id: counter.id,
       number: counter.number,
       isActive: counter.is_active,
+      services: services.get(counter.id),
       session: counter.session_id ? {
         id: counter.session_id,
         userId: counter.user_id,
         clerkUsername: counter.clerk_username,
         startTime: counter.start_time,
+        isPaused: counter.paused_at !== null,
+        pausedAt: counter.paused_at,
+        breakReason: counter.break_reason,
         currentQueue: counter.current_queue_id ? {
           id: counter.current_queue_id,
           number: counter.current_queue_number,
@@ -191,7 +364,7 @@ router.get('/:branchId', authenticate, checkBranchAccess, asyncHandler(async (re
  * POST /api/counters/start-session
  * Start a counter session
  */
-router.post('/start-session', authenticate, authorize('clerk'), asyncHandler(async (req, res) => {
+router.post('/start-session', authenticate, authorize(PERMISSIONS.SERVE_QUEUE), asyncHandler(async (req, res) => {
   const { counterId } = req.body;
 
   if (!counterId) {
@@ -218,7 +391,7 @@ router.post('/start-session', authenticate, authorize('clerk'), asyncHandler(asy
   }
 
   // Check if user has access to this branch
-  if (req.user.role !== 'admin' && req.user.branch_id !== counter.branch_id) {
+  if (!canAccessBranch(req.user, counter.branch_id)) {
     throw new AppError('Access denied to this branch', 403);
   }
 
@@ -252,6 +425,11 @@ router.post('/start-session', authenticate, authorize('clerk'), asyncHandler(asy
 
   const newSession = sessionResult.rows[0];
 
+  publishBranchEvent(counter.branch_id, 'session-started', {
+    counterId: counter.id,
+    counterNumber: counter.number
+  });
+
   res.status(201).json({
     success: true,
     message: 'Counter session started successfully',
@@ -267,69 +445,190 @@ router.post('/start-session', authenticate, authorize('clerk'), asyncHandler(asy
 
 /**
  * POST /api/counters/end-session
- * End a counter session
+ * End a counter session (counter managers can end the sessions of their branch)
  */
-router.post('/end-session', authenticate, authorize('clerk'), asyncHandler(async (req, res) => {
+router.post('/end-session', authenticate, authorize(PERMISSIONS.SERVE_QUEUE, PERMISSIONS.MANAGE_COUNTERS), asyncHandler(async (req, res) => {
   const { sessionId } = req.body;
 
   if (!sessionId) {
     throw new AppError('Session ID is required', 400);
   }
 
-  // Get session details
-  const sessionResult = await query(
-    `SELECT cs.id, cs.counter_id, cs.user_id, cs.start_time,
-            c.number as counter_number, c.branch_id
-     FROM counter_sessions cs
-     JOIN counters c ON cs.counter_id = c.id
-     WHERE cs.id = $1 AND cs.end_time IS NULL`,
-    [sessionId]
-  );
+  // End the session, closing a break that is still running
+  const session = await transaction(async (client) => {
+    const session = await loadOpenSession(sessionId, req.user, client);
 
-  if (sessionResult.rows.length === 0) {
-    throw new AppError('Active session not found', 404);
-  }
+    // Check if there are any active queue items for this session
+    const activeQueueResult = await client.query(
+      'SELECT id FROM queue WHERE counter_session_id = $1 AND status IN ($2, $3)',
+      [sessionId, 'called', 'serving']
+    );
 
-  const session = sessionResult.rows[0];
+    if (activeQueueResult.rows.length > 0) {
+      throw new AppError('Cannot end session with active queue items. Complete or cancel current service first.', 400);
+    }
 
-  // Check if user owns this session or is admin
-  if (req.user.role !== 'admin' && req.user.id !== session.user_id) {
-    throw new AppError('Access denied to this session', 403);
+    await client.query(
+      'UPDATE counter_breaks SET end_time = CURRENT_TIMESTAMP WHERE counter_session_id = $1 AND end_time IS NULL',
+      [sessionId]
+    );
+    await client.query(
+      `UPDATE counter_sessions
+       SET end_time = CURRENT_TIMESTAMP, paused_at = NULL, break_reason = NULL
+       WHERE id = $1`,
+      [sessionId]
+    );
+
+    return session;
+  });
+
+  publishBranchEvent(session.branch_id, 'session-ended', {
+    counterId: session.counter_id,
+    counterNumber: session.counter_number
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Counter session ended successfully'
+  });
+}));
+
+/**
+ * POST /api/counters/pause-session
+ * Put a counter session on break. The counter stays reserved for the clerk but calls no customers
+ * and does not count as serving capacity until the session is resumed.
+ */
+router.post('/pause-session', authenticate, authorize(PERMISSIONS.SERVE_QUEUE, PERMISSIONS.MANAGE_COUNTERS), asyncHandler(async (req, res) => {
+  const { sessionId, reason } = req.body;
+
+  if (!sessionId) {
+    throw new AppError('Session ID is required', 400);
   }
 
-  // Check if there are any active queue items for this session
-  const activeQueueResult = await query(
-    'SELECT id FROM queue WHERE counter_session_id = $1 AND status IN ($2, $3)',
-    [sessionId, 'called', 'serving']
-  );
+  if (!BREAK_REASONS.includes(reason)) {
+    throw new AppError(`Break reason must be one of: ${BREAK_REASONS.join(', ')}`, 400);
+  }
+
+  const { session, pausedAt } = await transaction(async (client) => {
+    const session = await loadOpenSession(sessionId, req.user, client);
+
+    if (session.paused_at) {
+      throw new AppError('Counter session is already paused', 409);
+    }
+
+    const activeQueueResult = await client.query(
+      'SELECT id FROM queue WHERE counter_session_id = $1 AND status IN ($2, $3)',
+      [sessionId, 'called', 'serving']
+    );
+
+    if (activeQueueResult.rows.length > 0) {
+      throw new AppError('Cannot pause session with active queue items. Complete or cancel current service first.', 400);
+    }
+
+    const breakResult = await client.query(
+      `INSERT INTO counter_breaks (counter_session_id, reason, start_time)
+       VALUES ($1, $2, CURRENT_TIMESTAMP)
+       RETURNING start_time`,
+      [sessionId, reason]
+    );
+
+    const pausedAt = breakResult.rows[0].start_time;
 
-  if (activeQueueResult.rows.length > 0) {
-    throw new AppError('Cannot end session with active queue items. Complete or cancel current service first.', 400);
+    await client.query(
+      'UPDATE counter_sessions SET paused_at = $2, break_reason = $3 WHERE id = $1',
+      [sessionId, pausedAt, reason]
+    );
+
+    return { session, pausedAt };
+  });
+
+  publishBranchEvent(session.branch_id, 'session-paused', {
+    counterId: session.counter_id,
+    counterNumber: session.counter_number,
+    reason
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Counter session paused successfully',
+    data: {
+      sessionId: session.id,
+      counterId: session.counter_id,
+      isPaused: true,
+      pausedAt,
+      breakReason: reason
+    }
+  });
+}));
+
+/**
+ * POST /api/counters/resume-session
+ * End the break of a paused counter session
+ */
+router.post('/resume-session', authenticate, authorize(PERMISSIONS.SERVE_QUEUE, PERMISSIONS.MANAGE_COUNTERS), asyncHandler(async (req, res) => {
+  const { sessionId } = req.body;
+
+  if (!sessionId) {
+    throw new AppError('Session ID is required', 400);
   }
 
-  // End the session
-  await query(
-    'UPDATE counter_sessions SET end_time = CURRENT_TIMESTAMP WHERE id = $1',
-    [sessionId]
-  );
+  const { session, breakDuration } = await transaction(async (client) => {
+    const session = await loadOpenSession(sessionId, req.user, client);
+
+    if (!session.paused_at) {
+      throw new AppError('Counter session is not paused', 409);
+    }
+
+    const breakResult = await client.query(
+      `UPDATE counter_breaks SET end_time = CURRENT_TIMESTAMP
+       WHERE counter_session_id = $1 AND end_time IS NULL
+       RETURNING EXTRACT(EPOCH FROM end_time - start_time) as duration`,
+      [sessionId]
+    );
+
+    await client.query(
+      'UPDATE counter_sessions SET paused_at = NULL, break_reason = NULL WHERE id = $1',
+      [sessionId]
+    );
+
+    const breakDuration = breakResult.rows.length > 0 ? Math.round(Number(breakResult.rows[0].duration)) : 0;
+
+    return { session, breakDuration };
+  });
+
+  publishBranchEvent(session.branch_id, 'session-resumed', {
+    counterId: session.counter_id,
+    counterNumber: session.counter_number
+  });
 
   res.status(200).json({
     success: true,
-    message: 'Counter session ended successfully'
+    message: 'Counter session resumed successfully',
+    data: {
+      sessionId: session.id,
+      counterId: session.counter_id,
+      isPaused: false,
+      breakDuration
+    }
   });
 }));
 
 /**
  * POST /api/counters
- * Create new counter (admin only)
+ * Create new counter (branch managers only in their own branch)
+ * Optional services restrict which service lines the counter may call
  */
-router.post('/', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
-  const { branchId, number } = req.body;
+router.post('/', authenticate, authorize(PERMISSIONS.MANAGE_COUNTERS), checkBranchAccess, auditTrail('counter', 'create'), asyncHandler(async (req, res) => {
+  const { branchId, number, services } = req.body;
 
   if (!branchId || !number) {
     throw new AppError('Branch ID and counter number are required', 400);
   }
 
+  assertValidCounterNumber(number);
+
+  const assignments = services !== undefined ? parseServiceAssignments(services) : [];
+
   // Check if branch exists
   const branchResult = await query(
     'SELECT id FROM branches WHERE id = $1 AND is_active = true',
@@ -350,15 +649,21 @@ router.post('/', authenticate, authorize('admin'), asyncHandler(async (req, res)
     throw new AppError('Counter number already exists in this branch', 409);
   }
 
-  // Create counter
-  const counterResult = await query(
-    `INSERT INTO counters (branch_id, number, is_active)
-     VALUES ($1, $2, true)
-     RETURNING id, branch_id, number, is_active, created_at`,
-    [branchId, number]
-  );
+  // Create counter together with its service lines
+  const { newCounter, counterServices } = await transaction(async (client) => {
+    const counterResult = await client.query(
+      `INSERT INTO counters (branch_id, number, is_active)
+       VALUES ($1, $2, true)
+       RETURNING id, branch_id, number, is_active, created_at`,
+      [branchId, number]
+    );
 
-  const newCounter = counterResult.rows[0];
+    const newCounter = counterResult.rows[0];
+    await saveServiceAssignments(client, newCounter.id, newCounter.branch_id, assignments);
+    const counterServices = await getServiceAssignments(client, [newCounter.id]);
+
+    return { newCounter, counterServices: counterServices.get(newCounter.id) };
+  });
 
   res.status(201).json({
     success: true,
@@ -368,6 +673,7 @@ router.post('/', authenticate, authorize('admin'), asyncHandler(async (req, res)
       branchId: newCounter.branch_id,
       number: newCounter.number,
       isActive: newCounter.is_active,
+      services: counterServices,
       createdAt: newCounter.created_at
     }
   });
@@ -375,11 +681,18 @@ router.post('/', authenticate, authorize('admin'), asyncHandler(async (req, res)
 
 /**
  * PUT /api/counters/:id
- * Update counter (admin only)
+ * Update counter (branch managers only in their own branch)
+ * When services is given it replaces the counter's service lines; an empty list lets it call every line
  */
-router.put('/:id', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+router.put('/:id', authenticate, authorize(PERMISSIONS.MANAGE_COUNTERS), auditTrail('counter', 'update'), asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { number, isActive } = req.body;
+  const { number, isActive, services } = req.body;
+
+  if (number !== undefined && number !== null) {
+    assertValidCounterNumber(number);
+  }
+
+  const assignments = services !== undefined ? parseServiceAssignments(services) : null;
 
   // Check if counter exists
   const existingCounterResult = await query(
@@ -393,8 +706,12 @@ router.put('/:id', authenticate, authorize('admin'), asyncHandler(async (req, re
 
   const existingCounter = existingCounterResult.rows[0];
 
+  if (!canAccessBranch(req.user, existingCounter.branch_id)) {
+    throw new AppError('Access denied to this branch', 403);
+  }
+
   // Check if new number already exists in this branch (if number is being changed)
-  if (number && number !== existingCounter.number) {
+  if (number && Number(number) !== existingCounter.number) {
     const duplicateResult = await query(
       'SELECT id FROM counters WHERE branch_id = $1 AND number = $2 AND id != $3',
       [existingCounter.branch_id, number, id]
@@ -417,18 +734,28 @@ router.put('/:id', authenticate, authorize('admin'), asyncHandler(async (req, re
     }
   }
 
-  // Update counter
-  const updateResult = await query(
-    `UPDATE counters 
-     SET number = COALESCE($1, number),
-         is_active = COALESCE($2, is_active),
-         updated_at = CURRENT_TIMESTAMP
-     WHERE id = $3
-     RETURNING id, branch_id, number, is_active, updated_at`,
-    [number, isActive, id]
-  );
+  // Update counter and, if given, replace its service lines
+  const { updatedCounter, counterServices } = await transaction(async (client) => {
+    const updateResult = await client.query(
+      `UPDATE counters 
+       SET number = COALESCE($1, number),
+           is_active = COALESCE($2, is_active),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING id, branch_id, number, is_active, updated_at`,
+      [number, isActive, id]
+    );
+
+    const updatedCounter = updateResult.rows[0];
+
+    if (assignments) {
+      await saveServiceAssignments(client, updatedCounter.id, updatedCounter.branch_id, assignments);
+    }
 
-  const updatedCounter = updateResult.rows[0];
+    const counterServices = await getServiceAssignments(client, [updatedCounter.id]);
+
+    return { updatedCounter, counterServices: counterServices.get(updatedCounter.id) };
+  });
 
   res.status(200).json({
     success: true,
@@ -438,6 +765,7 @@ router.put('/:id', authenticate, authorize('admin'), asyncHandler(async (req, re
       branchId: updatedCounter.branch_id,
       number: updatedCounter.number,
       isActive: updatedCounter.is_active,
+      services: counterServices,
       updatedAt: updatedCounter.updated_at
     }
   });
@@ -445,14 +773,14 @@ router.put('/:id', authenticate, authorize('admin'), asyncHandler(async (req, re
 
 /**
  * DELETE /api/counters/:id
- * Delete counter (admin only)
+ * Delete counter (branch managers only in their own branch)
  */
-router.delete('/:id', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+router.delete('/:id', authenticate, authorize(PERMISSIONS.MANAGE_COUNTERS), auditTrail('counter', 'delete'), asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   // Check if counter exists
   const counterResult = await query(
-    'SELECT id FROM counters WHERE id = $1',
+    'SELECT id, branch_id FROM counters WHERE id = $1',
     [id]
   );
 
@@ -460,6 +788,10 @@ router.delete('/:id', authenticate, authorize('admin'), asyncHandler(async (req,
     throw new AppError('Counter not found', 404);
   }
 
+  if (!canAccessBranch(req.user, counterResult.rows[0].branch_id)) {
+    throw new AppError('Access denied to this branch', 403);
+  }
+
   // Check for active sessions
   const activeSessionResult = await query(
     'SELECT id FROM counter_sessions WHERE counter_id = $1 AND end_time IS NULL',
@@ -0,0 +1,208 @@
+/**
+ * Device Routes
+ * Handles kiosk and wall display registration and their long-lived device tokens
+ */
+
+import express from 'express';
+import { query } from '../config/database.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { authenticate, authenticateDevice, authorize, generateDeviceToken } from '../middleware/auth.js';
+import { auditTrail } from '../middleware/audit.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+const DEVICE_ROLES = ['kiosk', 'display'];
+
+/**
+ * Map a device row to the API shape
+ * @param {Object} device - Database row
+ * @returns {Object} Device data
+ */
+const formatDevice = (device) => ({
+  id: device.id,
+  branchId: device.branch_id,
+  branchName: device.branch_name || null,
+  name: device.name,
+  role: device.role,
+  isActive: device.is_active,
+  lastSeenAt: device.last_seen_at,
+  createdAt: device.created_at,
+  updatedAt: device.updated_at
+});
+
+/**
+ * Get a device with its branch name
+ * @param {number} id - Device ID
+ * @returns {Promise<Object>} Device row
+ * @throws {AppError} If the device does not exist
+ */
+const getDevice = async (id) => {
+  const result = await query(
+    `SELECT d.*, b.name as branch_name
+     FROM devices d
+     JOIN branches b ON d.branch_id = b.id
+     WHERE d.id = $1`,
+    [id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Device not found', 404);
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * GET /api/devices/me
+ * Get the device of the request's device token, used by kiosks and displays to check their session
+ */
+router.get('/me', authenticateDevice, asyncHandler(async (req, res) => {
+  const device = await getDevice(req.device.id);
+
+  res.status(200).json({
+    success: true,
+    data: formatDevice(device)
+  });
+}));
+
+/**
+ * GET /api/devices
+ * List registered devices (admin only, optional ?branchId=)
+ */
+router.get('/', authenticate, authorize(PERMISSIONS.MANAGE_DEVICES), asyncHandler(async (req, res) => {
+  const { branchId } = req.query;
+
+  const result = await query(
+    `SELECT d.*, b.name as branch_name
+     FROM devices d
+     JOIN branches b ON d.branch_id = b.id
+     WHERE ($1::integer IS NULL OR d.branch_id = $1)
+     ORDER BY b.name, d.role, d.name`,
+    [branchId || null]
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.rows.map(formatDevice)
+  });
+}));
+
+/**
+ * POST /api/devices
+ * Register a kiosk or display (admin only); the device token is only returned here and on regenerate
+ */
+router.post('/', authenticate, authorize(PERMISSIONS.MANAGE_DEVICES), auditTrail('device', 'create'), asyncHandler(async (req, res) => {
+  const { branchId, name, role } = req.body;
+
+  if (!branchId || !name || !name.trim() || !role) {
+    throw new AppError('Branch ID, name and role are required', 400);
+  }
+
+  if (!DEVICE_ROLES.includes(role)) {
+    throw new AppError('Role must be kiosk or display', 400);
+  }
+
+  const branchResult = await query(
+    'SELECT id FROM branches WHERE id = $1 AND is_active = true',
+    [branchId]
+  );
+
+  if (branchResult.rows.length === 0) {
+    throw new AppError('Branch not found', 404);
+  }
+
+  const existingResult = await query(
+    'SELECT id FROM devices WHERE branch_id = $1 AND name = $2',
+    [branchId, name.trim()]
+  );
+
+  if (existingResult.rows.length > 0) {
+    throw new AppError('A device with this name already exists in the branch', 409);
+  }
+
+  const result = await query(
+    `INSERT INTO devices (branch_id, name, role, created_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id`,
+    [branchId, name.trim(), role, req.user.id]
+  );
+
+  const device = await getDevice(result.rows[0].id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Device registered successfully',
+    data: {
+      device: formatDevice(device),
+      token: generateDeviceToken(device)
+    }
+  });
+}));
+
+/**
+ * POST /api/devices/:id/regenerate
+ * Issue a new device token (admin only); earlier tokens stop working and a revoked device is reactivated
+ */
+router.post('/:id/regenerate', authenticate, authorize(PERMISSIONS.MANAGE_DEVICES), auditTrail('device', 'regenerate_token'), asyncHandler(async (req, res) => {
+  await getDevice(req.params.id);
+
+  await query(
+    'UPDATE devices SET token_version = token_version + 1, is_active = true WHERE id = $1',
+    [req.params.id]
+  );
+
+  const device = await getDevice(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Device token regenerated successfully',
+    data: {
+      device: formatDevice(device),
+      token: generateDeviceToken(device)
+    }
+  });
+}));
+
+/**
+ * POST /api/devices/:id/revoke
+ * Revoke a device's token (admin only); the device must be given a regenerated token to sign in again
+ */
+router.post('/:id/revoke', authenticate, authorize(PERMISSIONS.MANAGE_DEVICES), auditTrail('device', 'revoke'), asyncHandler(async (req, res) => {
+  await getDevice(req.params.id);
+
+  await query(
+    'UPDATE devices SET token_version = token_version + 1, is_active = false WHERE id = $1',
+    [req.params.id]
+  );
+
+  const device = await getDevice(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Device revoked successfully',
+    data: formatDevice(device)
+  });
+}));
+
+/**
+ * DELETE /api/devices/:id
+ * Remove a device (admin only)
+ */
+router.delete('/:id', authenticate, authorize(PERMISSIONS.MANAGE_DEVICES), auditTrail('device', 'delete'), asyncHandler(async (req, res) => {
+  const result = await query(
+    'DELETE FROM devices WHERE id = $1 RETURNING id',
+    [req.params.id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Device not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Device removed successfully'
+  });
+}));
+
+export default router;
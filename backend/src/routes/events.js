@@ -0,0 +1,57 @@
+/**
+ * Event Routes
+ * Server-Sent Events stream that pushes queue changes of a branch to displays, kiosks and clerks
+ */
+
+import express from 'express';
+import { query } from '../config/database.js';
+import appConfig from '../config/appConfig.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { subscribe } from '../utils/branchEvents.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/events/:branchId
+ * Subscribe to queue events of a branch (text/event-stream)
+ * Public like the display endpoint, since events only carry ticket and counter numbers
+ */
+router.get('/:branchId', asyncHandler(async (req, res) => {
+  const { branchId } = req.params;
+
+  // Verify branch exists
+  const branchResult = await query(
+    'SELECT id FROM branches WHERE id = $1 AND is_active = true',
+    [branchId]
+  );
+
+  if (branchResult.rows.length === 0) {
+    throw new AppError('Branch not found', 404);
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering
+  });
+  res.flushHeaders();
+
+  // Tell the browser how fast to reconnect and confirm the subscription
+  res.write(`retry: ${appConfig.realtime.retryInterval}\n\n`);
+  res.write(`data: ${JSON.stringify({ type: 'connected', branchId: parseInt(branchId), timestamp: new Date().toISOString() })}\n\n`);
+
+  const unsubscribe = subscribe(branchId, res);
+
+  // Comment lines keep idle connections open through proxies
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, appConfig.realtime.heartbeatInterval);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}));
+
+export default router;
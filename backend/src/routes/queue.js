@@ -4,23 +4,173 @@
  */
 
 import express from 'express';
-import { query } from '../config/database.js';
-import { authenticate, authorize, optionalAuth } from '../middleware/auth.js';
+import { query, transaction } from '../config/database.js';
+import appConfig from '../config/appConfig.js';
+import { authenticate, authorize, optionalAuth, restrictDevice } from '../middleware/auth.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { publishBranchEvent } from '../utils/branchEvents.js';
+import { generatePublicCode, normalizePublicCode } from '../utils/publicCode.js';
+import { loadForecastContext, forecastWait } from '../utils/waitForecast.js';
+import { loadClerkPerformance } from '../utils/clerkPerformance.js';
+import { recordQueueEvent } from '../utils/queueEvents.js';
+import { expireNoShows, publishExpiredNoShows } from '../utils/noShowExpiry.js';
+import { PERMISSIONS, hasPermission, canAccessBranch } from '../config/permissions.js';
 
 const router = express.Router();
 
+/**
+ * Get the ticket of an UPDATE that only matches while the ticket is still in the state the
+ * request checked, so a concurrent call, transfer or no-show cannot be overwritten
+ * @param {Object} updateResult - Result of the guarded UPDATE ... RETURNING
+ * @returns {Object} Updated queue row
+ * @throws {AppError} If the ticket changed since it was read
+ */
+const getGuardedQueueUpdate = (updateResult) => {
+  if (updateResult.rows.length === 0) {
+    throw new AppError('Queue item has changed in the meantime. Refresh and try again.', 409);
+  }
+
+  return updateResult.rows[0];
+};
+
+/**
+ * Issue a ticket with the next number of the day in its service line.
+ * The daily counter row is incremented atomically, so simultaneous kiosks never get the
+ * same number; after maxQueueNumber the numbering wraps around to 1 and starts a new cycle.
+ * @param {Object} client - Transaction client
+ * @param {Object} ticket - Ticket data
+ * @param {number} ticket.branchId - Branch ID
+ * @param {number|null} ticket.serviceId - Service line (null for the general line)
+ * @param {string} ticket.priorityType - Priority type
+ * @param {number} ticket.priority - Priority level
+ * @param {number|null} ticket.appointmentId - Appointment checked in with this ticket
+ * @param {Date|null} ticket.scheduledAt - Appointment slot start
+ * @param {number|null} ticket.userId - Signed-in user who issued the ticket (null for kiosks)
+ * @returns {Promise<Object>} Created queue row
+ */
+const issueTicket = async (client, {
+  branchId,
+  serviceId,
+  priorityType = 'normal',
+  priority = 0,
+  appointmentId = null,
+  scheduledAt = null,
+  userId = null
+}) => {
+  const sequenceResult = await client.query(
+    `INSERT INTO queue_number_sequences (branch_id, service_id, sequence_date, last_number, cycle)
+     VALUES ($1, $2, CURRENT_DATE, 1, 0)
+     ON CONFLICT (branch_id, (COALESCE(service_id, 0)), sequence_date) DO UPDATE
+     SET cycle = queue_number_sequences.cycle +
+                 CASE WHEN queue_number_sequences.last_number >= $3 THEN 1 ELSE 0 END,
+         last_number = CASE WHEN queue_number_sequences.last_number >= $3 THEN 1
+                            ELSE queue_number_sequences.last_number + 1 END,
+         updated_at = CURRENT_TIMESTAMP
+     RETURNING last_number, cycle`,
+    [branchId, serviceId, appConfig.queue.maxQueueNumber]
+  );
+
+  const sequence = sequenceResult.rows[0];
+
+  const queueResult = await client.query(
+    `INSERT INTO queue (branch_id, service_id, number, number_cycle, tracking_code, priority_type, priority,
+                        appointment_id, scheduled_at, status, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'waiting', CURRENT_TIMESTAMP)
+     RETURNING id, branch_id, service_id, number, tracking_code, priority_type, priority,
+               appointment_id, scheduled_at, status, created_at`,
+    [
+      branchId,
+      serviceId,
+      sequence.last_number,
+      sequence.cycle,
+      generatePublicCode(),
+      priorityType,
+      priority,
+      appointmentId,
+      scheduledAt
+    ]
+  );
+
+  const newQueue = queueResult.rows[0];
+
+  await recordQueueEvent(newQueue.id, 'issued', {
+    userId,
+    details: { priorityType, appointmentId }
+  }, client);
+
+  return newQueue;
+};
+
+// Order of the waiting tickets in a line, shared by call-next, line positions and the display:
+// transfers placed at the head first, then the wait since the ticket became due (appointments
+// from their scheduled time) weighted by priority. $3 must be the priority weight in seconds.
+const WAITING_ORDER = `q.head_of_line DESC,
+  EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - COALESCE(q.scheduled_at, q.created_at))) + q.priority * $3 DESC,
+  COALESCE(q.scheduled_at, q.created_at) ASC`;
+
+// Tickets waiting today, shared by call-next, line positions, the status and the display,
+// so a ticket left waiting from an earlier day is neither called nor ranked nor counted.
+// $2 must be today's date.
+const WAITING_TODAY = `q.status = 'waiting' AND DATE(q.created_at) = $2`;
+
+/**
+ * Rank a waiting ticket within its line using the same order as call-next
+ * @param {number} branchId - Branch ID
+ * @param {number|null} lineServiceId - Service line the ticket waits in (null for the general line)
+ * @param {number} queueId - Ticket ID
+ * @returns {Promise<number>} Position in the line, 1 = next to be called
+ */
+const getLinePosition = async (branchId, lineServiceId, queueId) => {
+  const today = new Date().toISOString().split('T')[0];
+
+  const positionResult = await query(
+    `SELECT position FROM (
+       SELECT q.id,
+              ROW_NUMBER() OVER (
+                ORDER BY (q.target_counter_id IS NOT NULL) DESC, ${WAITING_ORDER}
+              ) as position
+       FROM queue q
+       WHERE q.branch_id = $1 AND ${WAITING_TODAY}
+             AND COALESCE(q.target_service_id, q.service_id) IS NOT DISTINCT FROM $5
+     ) line
+     WHERE line.id = $4`,
+    [branchId, today, appConfig.queue.priorityWeightSeconds, queueId, lineServiceId]
+  );
+
+  return parseInt(positionResult.rows[0]?.position) || 1;
+};
+
+/**
+ * Get the people ahead and the wait forecast of a ticket that was just issued
+ * @param {Object} queueItem - Created queue row
+ * @returns {Promise<Object>} People ahead and wait forecast
+ */
+const getIssuedTicketOutlook = async (queueItem) => {
+  const position = await getLinePosition(queueItem.branch_id, queueItem.service_id, queueItem.id);
+  const forecastContext = await loadForecastContext(queueItem.branch_id);
+
+  return {
+    peopleAhead: position - 1,
+    waitForecast: forecastWait(forecastContext, queueItem.service_id, position - 1)
+  };
+};
+
 /**
  * POST /api/queue/next-number
  * Get next queue number for a branch
  */
-router.post('/next-number', asyncHandler(async (req, res) => {
-  const { branchId } = req.body;
+router.post('/next-number', optionalAuth, restrictDevice('kiosk'), asyncHandler(async (req, res) => {
+  const { branchId, serviceId, priorityType = 'normal' } = req.body;
 
   if (!branchId) {
     throw new AppError('Branch ID is required', 400);
   }
 
+  const priorityLevels = appConfig.queue.priorityLevels;
+  if (!Object.prototype.hasOwnProperty.call(priorityLevels, priorityType)) {
+    throw new AppError(`Priority type must be one of: ${Object.keys(priorityLevels).join(', ')}`, 400);
+  }
+
   // Verify branch exists
   const branchResult = await query(
     'SELECT id, name FROM branches WHERE id = $1 AND is_active = true',
@@ -33,27 +183,38 @@ router.post('/next-number', asyncHandler(async (req, res) => {
 
   const branch = branchResult.rows[0];
 
-  // Get next queue number for today
-  const today = new Date().toISOString().split('T')[0];
-  
-  const nextNumberResult = await query(
-    `SELECT COALESCE(MAX(number), 0) + 1 as next_number
-     FROM queue 
-     WHERE branch_id = $1 AND DATE(created_at) = $2`,
-    [branchId, today]
-  );
+  // Verify service belongs to the branch (tickets without a service use the general line)
+  let service = null;
+  if (serviceId) {
+    const serviceResult = await query(
+      'SELECT id, name, code FROM services WHERE id = $1 AND branch_id = $2 AND is_active = true',
+      [serviceId, branchId]
+    );
 
-  const nextNumber = nextNumberResult.rows[0].next_number;
+    if (serviceResult.rows.length === 0) {
+      throw new AppError('Service not found', 404);
+    }
 
-  // Create queue entry
-  const queueResult = await query(
-    `INSERT INTO queue (branch_id, number, status, created_at)
-     VALUES ($1, $2, 'waiting', CURRENT_TIMESTAMP)
-     RETURNING id, branch_id, number, status, created_at`,
-    [branchId, nextNumber]
-  );
+    service = serviceResult.rows[0];
+  }
 
-  const newQueue = queueResult.rows[0];
+  const newQueue = await transaction(client => issueTicket(client, {
+    branchId,
+    serviceId: service?.id || null,
+    priorityType,
+    priority: priorityLevels[priorityType],
+    userId: req.user?.id || null
+  }));
+
+  const outlook = await getIssuedTicketOutlook(newQueue);
+
+  publishBranchEvent(newQueue.branch_id, 'ticket-issued', {
+    id: newQueue.id,
+    number: newQueue.number,
+    serviceCode: service?.code || null,
+    priorityType: newQueue.priority_type,
+    status: newQueue.status
+  });
 
   res.status(201).json({
     success: true,
@@ -62,9 +223,127 @@ router.post('/next-number', asyncHandler(async (req, res) => {
       id: newQueue.id,
       branchId: newQueue.branch_id,
       branchName: branch.name,
+      serviceId: newQueue.service_id,
+      serviceName: service?.name || null,
+      serviceCode: service?.code || null,
+      number: newQueue.number,
+      trackingCode: newQueue.tracking_code,
+      priorityType: newQueue.priority_type,
+      priority: newQueue.priority,
+      status: newQueue.status,
+      createdAt: newQueue.created_at,
+      peopleAhead: outlook.peopleAhead,
+      waitForecast: outlook.waitForecast
+    }
+  });
+}));
+
+/**
+ * POST /api/queue/check-in
+ * Turn a booked appointment into a ticket that is called around its slot time
+ */
+router.post('/check-in', optionalAuth, restrictDevice('kiosk'), asyncHandler(async (req, res) => {
+  const { code: rawCode, branchId } = req.body;
+  const code = normalizePublicCode(rawCode);
+
+  if (!code) {
+    throw new AppError('Valid appointment code is required', 400);
+  }
+
+  const { checkInEarlyMinutes, checkInLateMinutes } = appConfig.appointments;
+
+  const { appointment, newQueue } = await transaction(async (client) => {
+    // Lock the appointment so a double tap at the kiosk cannot issue two tickets
+    const appointmentResult = await client.query(
+      `SELECT a.id, a.status, a.customer_name, sl.branch_id, sl.service_id, sl.starts_at,
+              b.name as branch_name, s.name as service_name, s.code as service_code,
+              CURRENT_TIMESTAMP < sl.starts_at - make_interval(mins => $2) as too_early,
+              CURRENT_TIMESTAMP > sl.starts_at + make_interval(mins => $3) as too_late
+       FROM appointments a
+       JOIN appointment_slots sl ON a.slot_id = sl.id
+       JOIN branches b ON sl.branch_id = b.id
+       LEFT JOIN services s ON sl.service_id = s.id
+       WHERE a.code = $1
+       FOR UPDATE OF a`,
+      [code, checkInEarlyMinutes, checkInLateMinutes]
+    );
+
+    if (appointmentResult.rows.length === 0) {
+      throw new AppError('Appointment not found', 404);
+    }
+
+    const appointment = appointmentResult.rows[0];
+
+    if (branchId && parseInt(branchId) !== appointment.branch_id) {
+      throw new AppError('Appointment belongs to another branch', 400);
+    }
+
+    if (appointment.status === 'cancelled') {
+      throw new AppError('Appointment was cancelled', 400);
+    }
+
+    if (appointment.status === 'checked_in') {
+      throw new AppError('Appointment already checked in', 409);
+    }
+
+    if (appointment.too_early) {
+      throw new AppError(`Check-in opens ${checkInEarlyMinutes} minutes before the appointment`, 400);
+    }
+
+    if (appointment.too_late) {
+      throw new AppError('Appointment check-in time has passed, please take a walk-in number', 400);
+    }
+
+    const newQueue = await issueTicket(client, {
+      branchId: appointment.branch_id,
+      serviceId: appointment.service_id,
+      appointmentId: appointment.id,
+      scheduledAt: appointment.starts_at,
+      userId: req.user?.id || null
+    });
+
+    await client.query(
+      `UPDATE appointments
+       SET status = 'checked_in', checked_in_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [appointment.id]
+    );
+
+    return { appointment, newQueue };
+  });
+
+  const outlook = await getIssuedTicketOutlook(newQueue);
+
+  publishBranchEvent(newQueue.branch_id, 'ticket-issued', {
+    id: newQueue.id,
+    number: newQueue.number,
+    serviceCode: appointment.service_code,
+    priorityType: newQueue.priority_type,
+    status: newQueue.status,
+    scheduledAt: newQueue.scheduled_at
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Appointment checked in successfully',
+    data: {
+      id: newQueue.id,
+      branchId: newQueue.branch_id,
+      branchName: appointment.branch_name,
+      serviceId: newQueue.service_id,
+      serviceName: appointment.service_name,
+      serviceCode: appointment.service_code,
       number: newQueue.number,
+      trackingCode: newQueue.tracking_code,
+      priorityType: newQueue.priority_type,
+      priority: newQueue.priority,
       status: newQueue.status,
-      createdAt: newQueue.created_at
+      createdAt: newQueue.created_at,
+      appointmentId: newQueue.appointment_id,
+      scheduledAt: newQueue.scheduled_at,
+      customerName: appointment.customer_name,
+      peopleAhead: outlook.peopleAhead,
+      waitForecast: outlook.waitForecast
     }
   });
 }));
@@ -73,73 +352,141 @@ router.post('/next-number', asyncHandler(async (req, res) => {
  * POST /api/queue/call-next
  * Call next customer
  */
-router.post('/call-next', authenticate, authorize('clerk'), asyncHandler(async (req, res) => {
-  const { counterId } = req.body;
+router.post('/call-next', authenticate, authorize(PERMISSIONS.SERVE_QUEUE), asyncHandler(async (req, res) => {
+  const { counterId, serviceId } = req.body;
 
   if (!counterId) {
     throw new AppError('Counter ID is required', 400);
   }
 
-  // Get counter and session information
-  const counterResult = await query(
-    `SELECT c.id, c.number, c.branch_id,
-            cs.id as session_id, cs.user_id
-     FROM counters c
-     JOIN counter_sessions cs ON c.id = cs.counter_id AND cs.end_time IS NULL
-     WHERE c.id = $1`,
-    [counterId]
-  );
+  // Claim the next customer in a single transaction. The session row lock serializes
+  // concurrent calls from the same counter, and SKIP LOCKED lets concurrent counters
+  // claim different tickets instead of reading the same oldest waiting row.
+  const { counter, nextCustomer, calledQueue, expiredTickets } = await transaction(async (client) => {
+    // Get counter and session information
+    const counterResult = await client.query(
+      `SELECT c.id, c.number, c.branch_id,
+              cs.id as session_id, cs.user_id, cs.paused_at
+       FROM counters c
+       JOIN counter_sessions cs ON c.id = cs.counter_id AND cs.end_time IS NULL
+       WHERE c.id = $1
+       FOR UPDATE OF cs`,
+      [counterId]
+    );
+
+    if (counterResult.rows.length === 0) {
+      throw new AppError('Counter not found or no active session', 404);
+    }
 
-  if (counterResult.rows.length === 0) {
-    throw new AppError('Counter not found or no active session', 404);
-  }
+    const counter = counterResult.rows[0];
 
-  const counter = counterResult.rows[0];
+    // Check if user owns this session
+    if (req.user.id !== counter.user_id) {
+      throw new AppError('Access denied to this counter session', 403);
+    }
 
-  // Check if user owns this session
-  if (req.user.id !== counter.user_id) {
-    throw new AppError('Access denied to this counter session', 403);
-  }
+    if (counter.paused_at) {
+      throw new AppError('Counter is on break. Resume the session before calling customers.', 409);
+    }
 
-  // Check if counter already has an active queue item
-  const activeQueueResult = await query(
-    'SELECT id FROM queue WHERE counter_session_id = $1 AND status IN ($2, $3)',
-    [counter.session_id, 'called', 'serving']
-  );
+    // Expire stale calls first so they do not block the counter
+    const expiredTickets = await expireNoShows(counter.branch_id, client);
 
-  if (activeQueueResult.rows.length > 0) {
-    throw new AppError('Counter already has an active queue item. Complete current service first.', 409);
-  }
+    // Check if counter already has an active queue item
+    const activeQueueResult = await client.query(
+      'SELECT id FROM queue WHERE counter_session_id = $1 AND status IN ($2, $3)',
+      [counter.session_id, 'called', 'serving']
+    );
 
-  // Get next waiting customer
-  const nextCustomerResult = await query(
-    `SELECT id, number, created_at
-     FROM queue 
-     WHERE branch_id = $1 AND status = 'waiting'
-     ORDER BY created_at ASC
-     LIMIT 1`,
-    [counter.branch_id]
-  );
+    if (activeQueueResult.rows.length > 0) {
+      throw new AppError('Counter already has an active queue item. Complete current service first.', 409);
+    }
 
-  if (nextCustomerResult.rows.length === 0) {
-    throw new AppError('No customers waiting in queue', 404);
-  }
+    // Counters with assigned service lines may only call those lines
+    const counterServicesResult = await client.query(
+      'SELECT service_id FROM counter_services WHERE counter_id = $1',
+      [counterId]
+    );
+    const assignedServiceIds = counterServicesResult.rows.map(row => row.service_id);
+    const isRestricted = assignedServiceIds.length > 0;
+
+    if (serviceId && isRestricted && !assignedServiceIds.includes(parseInt(serviceId))) {
+      throw new AppError('Counter is not assigned to this service', 403);
+    }
 
-  const nextCustomer = nextCustomerResult.rows[0];
+    // Get next waiting customer, optionally restricted to one service line.
+    // Tickets transferred to this counter come first, then tickets transferred to the
+    // head of the line. Tickets transferred to another counter are left for that counter.
+    // A counter with assigned lines calls its primary lines before its fallback lines,
+    // and general tickets without a line only when all of its lines are empty.
+    // Each priority level counts as extra waiting time, so priority tickets go first
+    // without starving normal tickets that have waited much longer. Appointment tickets
+    // count their waiting time from the slot start, so early arrivals wait for their slot
+    // and on-time arrivals go ahead of walk-ins who came after the slot started.
+    const today = new Date().toISOString().split('T')[0];
+    const nextCustomerResult = await client.query(
+      `SELECT q.id, q.number, q.priority_type, q.priority, q.created_at,
+              s.name as service_name, s.code as service_code
+       FROM queue q
+       LEFT JOIN services s ON q.service_id = s.id
+       LEFT JOIN counter_services csv
+              ON csv.counter_id = $4 AND csv.service_id = COALESCE(q.target_service_id, q.service_id)
+       WHERE q.branch_id = $1 AND ${WAITING_TODAY}
+             AND ($6::integer IS NULL OR COALESCE(q.target_service_id, q.service_id) = $6)
+             AND (q.target_counter_id IS NULL OR q.target_counter_id = $4)
+             AND (NOT $5::boolean OR q.target_counter_id = $4 OR csv.service_id IS NOT NULL
+                  OR COALESCE(q.target_service_id, q.service_id) IS NULL)
+       ORDER BY (q.target_counter_id IS NOT NULL) DESC,
+                csv.preference ASC NULLS LAST,
+                ${WAITING_ORDER}
+       LIMIT 1
+       FOR UPDATE OF q SKIP LOCKED`,
+      [counter.branch_id, today, appConfig.queue.priorityWeightSeconds, counterId, isRestricted, serviceId || null]
+    );
+
+    if (nextCustomerResult.rows.length === 0) {
+      throw new AppError('No customers waiting in queue', 404);
+    }
 
-  // Call the customer
-  const updateResult = await query(
-    `UPDATE queue 
-     SET status = 'called',
-         counter_id = $1,
-         counter_session_id = $2,
-         called_at = CURRENT_TIMESTAMP
-     WHERE id = $3
-     RETURNING id, branch_id, number, status, created_at, called_at`,
-    [counterId, counter.session_id, nextCustomer.id]
-  );
+    const nextCustomer = nextCustomerResult.rows[0];
+
+    // Call the customer. A transferred ticket keeps the wait before its first call and adds
+    // only the wait since its last transfer, so time at the previous counter is not counted.
+    const updateResult = await client.query(
+      `UPDATE queue 
+       SET status = 'called',
+           counter_id = $1,
+           counter_session_id = $2,
+           called_at = CURRENT_TIMESTAMP,
+           wait_duration = CASE
+             WHEN transfer_count > 0 THEN COALESCE(wait_duration, 0) + ROUND(EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - (
+               SELECT MAX(qt.created_at) FROM queue_transfers qt WHERE qt.queue_id = queue.id
+             ))))
+             ELSE ROUND(EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - created_at)))
+           END
+       WHERE id = $3
+       RETURNING id, branch_id, service_id, number, status, created_at, called_at, wait_duration`,
+      [counterId, counter.session_id, nextCustomer.id]
+    );
+
+    await recordQueueEvent(nextCustomer.id, 'called', {
+      counterId: counter.id,
+      userId: req.user.id
+    }, client);
+
+    return { counter, nextCustomer, calledQueue: updateResult.rows[0], expiredTickets };
+  });
 
-  const calledQueue = updateResult.rows[0];
+  publishExpiredNoShows(expiredTickets);
+
+  publishBranchEvent(calledQueue.branch_id, 'ticket-called', {
+    id: calledQueue.id,
+    number: calledQueue.number,
+    serviceCode: nextCustomer.service_code,
+    priorityType: nextCustomer.priority_type,
+    counterNumber: counter.number,
+    status: calledQueue.status
+  });
 
   res.status(200).json({
     success: true,
@@ -147,12 +494,100 @@ router.post('/call-next', authenticate, authorize('clerk'), asyncHandler(async (
     data: {
       id: calledQueue.id,
       branchId: calledQueue.branch_id,
+      serviceId: calledQueue.service_id,
+      serviceName: nextCustomer.service_name,
+      serviceCode: nextCustomer.service_code,
       number: calledQueue.number,
+      priorityType: nextCustomer.priority_type,
+      priority: nextCustomer.priority,
       status: calledQueue.status,
       counterId: counterId,
       counterNumber: counter.number,
       createdAt: calledQueue.created_at,
-      calledAt: calledQueue.called_at
+      calledAt: calledQueue.called_at,
+      waitDuration: calledQueue.wait_duration
+    }
+  });
+}));
+
+/**
+ * POST /api/queue/start-service
+ * Customer arrived at the counter, start the actual service
+ */
+router.post('/start-service', authenticate, authorize(PERMISSIONS.SERVE_QUEUE), asyncHandler(async (req, res) => {
+  const { queueId } = req.body;
+
+  if (!queueId) {
+    throw new AppError('Queue ID is required', 400);
+  }
+
+  // Get queue item with session information
+  const queueResult = await query(
+    `SELECT q.id, q.branch_id, q.number, q.status, q.counter_id, q.counter_session_id,
+            cs.user_id, c.number as counter_number, s.code as service_code
+     FROM queue q
+     JOIN counter_sessions cs ON q.counter_session_id = cs.id
+     JOIN counters c ON cs.counter_id = c.id
+     LEFT JOIN services s ON q.service_id = s.id
+     WHERE q.id = $1`,
+    [queueId]
+  );
+
+  if (queueResult.rows.length === 0) {
+    throw new AppError('Queue item not found', 404);
+  }
+
+  const queueItem = queueResult.rows[0];
+
+  // Check if user owns this session
+  if (req.user.id !== queueItem.user_id) {
+    throw new AppError('Access denied to this queue item', 403);
+  }
+
+  if (queueItem.status !== 'called') {
+    throw new AppError('Service can only be started for a called queue item', 400);
+  }
+
+  const servingQueue = await transaction(async (client) => {
+    const updateResult = await client.query(
+      `UPDATE queue
+       SET status = 'serving',
+           serving_started_at = CURRENT_TIMESTAMP,
+           walk_up_duration = ROUND(EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - called_at)))
+       WHERE id = $1 AND counter_session_id = $2 AND status = 'called'
+       RETURNING id, number, status, called_at, serving_started_at, wait_duration, walk_up_duration`,
+      [queueId, queueItem.counter_session_id]
+    );
+    const servingQueue = getGuardedQueueUpdate(updateResult);
+
+    await recordQueueEvent(queueItem.id, 'serving', {
+      counterId: queueItem.counter_id,
+      userId: req.user.id
+    }, client);
+
+    return servingQueue;
+  });
+
+  publishBranchEvent(queueItem.branch_id, 'ticket-serving', {
+    id: servingQueue.id,
+    number: servingQueue.number,
+    serviceCode: queueItem.service_code,
+    counterNumber: queueItem.counter_number,
+    status: servingQueue.status
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Service started successfully',
+    data: {
+      id: servingQueue.id,
+      number: servingQueue.number,
+      status: servingQueue.status,
+      counterNumber: queueItem.counter_number,
+      calledAt: servingQueue.called_at,
+      servingStartedAt: servingQueue.serving_started_at,
+      waitDuration: servingQueue.wait_duration,
+      walkUpDuration: servingQueue.walk_up_duration
     }
   });
 }));
@@ -161,7 +596,7 @@ router.post('/call-next', authenticate, authorize('clerk'), asyncHandler(async (
  * POST /api/queue/complete
  * Complete current service
  */
-router.post('/complete', authenticate, authorize('clerk'), asyncHandler(async (req, res) => {
+router.post('/complete', authenticate, authorize(PERMISSIONS.SERVE_QUEUE), asyncHandler(async (req, res) => {
   const { queueId } = req.body;
 
   if (!queueId) {
@@ -170,11 +605,12 @@ router.post('/complete', authenticate, authorize('clerk'), asyncHandler(async (r
 
   // Get queue item with session information
   const queueResult = await query(
-    `SELECT q.id, q.number, q.status, q.called_at, q.counter_session_id,
-            cs.user_id, c.number as counter_number
+    `SELECT q.id, q.branch_id, q.number, q.status, q.counter_id, q.counter_session_id,
+            cs.user_id, c.number as counter_number, s.code as service_code
      FROM queue q
      JOIN counter_sessions cs ON q.counter_session_id = cs.id
      JOIN counters c ON cs.counter_id = c.id
+     LEFT JOIN services s ON q.service_id = s.id
      WHERE q.id = $1`,
     [queueId]
   );
@@ -195,22 +631,35 @@ router.post('/complete', authenticate, authorize('clerk'), asyncHandler(async (r
     throw new AppError('Queue item cannot be completed in current status', 400);
   }
 
-  // Calculate service duration
-  const serviceDuration = queueItem.called_at ? 
-    Math.round((new Date() - new Date(queueItem.called_at)) / 1000) : null;
-
-  // Complete the service
-  const updateResult = await query(
-    `UPDATE queue 
-     SET status = 'completed',
-         completed_at = CURRENT_TIMESTAMP,
-         service_duration = $1
-     WHERE id = $2
-     RETURNING id, number, status, completed_at, service_duration`,
-    [serviceDuration, queueId]
-  );
+  // Complete the service. Service time runs from the customer's arrival; when the clerk
+  // skipped the arrival step it falls back to the call time, as walk-up time is unknown.
+  const completedQueue = await transaction(async (client) => {
+    const updateResult = await client.query(
+      `UPDATE queue 
+       SET status = 'completed',
+           completed_at = CURRENT_TIMESTAMP,
+           service_duration = ROUND(EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - COALESCE(serving_started_at, called_at))))
+       WHERE id = $1 AND counter_session_id = $2 AND status IN ('called', 'serving')
+       RETURNING id, number, status, completed_at, wait_duration, walk_up_duration, service_duration`,
+      [queueId, queueItem.counter_session_id]
+    );
+    const completedQueue = getGuardedQueueUpdate(updateResult);
+
+    await recordQueueEvent(queueItem.id, 'completed', {
+      counterId: queueItem.counter_id,
+      userId: req.user.id
+    }, client);
+
+    return completedQueue;
+  });
 
-  const completedQueue = updateResult.rows[0];
+  publishBranchEvent(queueItem.branch_id, 'ticket-completed', {
+    id: completedQueue.id,
+    number: completedQueue.number,
+    serviceCode: queueItem.service_code,
+    counterNumber: queueItem.counter_number,
+    status: completedQueue.status
+  });
 
   res.status(200).json({
     success: true,
@@ -221,16 +670,477 @@ router.post('/complete', authenticate, authorize('clerk'), asyncHandler(async (r
       status: completedQueue.status,
       counterNumber: queueItem.counter_number,
       completedAt: completedQueue.completed_at,
+      waitDuration: completedQueue.wait_duration,
+      walkUpDuration: completedQueue.walk_up_duration,
       serviceDuration: completedQueue.service_duration
     }
   });
 }));
 
+/**
+ * POST /api/queue/recall
+ * Call the current customer again (re-announced on the display)
+ */
+router.post('/recall', authenticate, authorize(PERMISSIONS.SERVE_QUEUE), asyncHandler(async (req, res) => {
+  const { queueId } = req.body;
+
+  if (!queueId) {
+    throw new AppError('Queue ID is required', 400);
+  }
+
+  // Get queue item with session information
+  const queueResult = await query(
+    `SELECT q.id, q.branch_id, q.number, q.status, q.recall_count, q.counter_id, q.counter_session_id,
+            cs.user_id, c.number as counter_number, s.code as service_code
+     FROM queue q
+     JOIN counter_sessions cs ON q.counter_session_id = cs.id
+     JOIN counters c ON cs.counter_id = c.id
+     LEFT JOIN services s ON q.service_id = s.id
+     WHERE q.id = $1`,
+    [queueId]
+  );
+
+  if (queueResult.rows.length === 0) {
+    throw new AppError('Queue item not found', 404);
+  }
+
+  const queueItem = queueResult.rows[0];
+
+  // Check if user owns this session
+  if (req.user.id !== queueItem.user_id) {
+    throw new AppError('Access denied to this queue item', 403);
+  }
+
+  // Only customers who have not arrived yet can be recalled
+  if (queueItem.status !== 'called') {
+    throw new AppError('Queue item cannot be recalled in current status', 400);
+  }
+
+  // Close the ticket as no-show once the recall limit is used up
+  const maxRecalls = appConfig.queue.maxRecalls;
+  const limitReached = maxRecalls > 0 && queueItem.recall_count >= maxRecalls;
+
+  const recalledQueue = await transaction(async (client) => {
+    const updateResult = limitReached
+      ? await client.query(
+        `UPDATE queue
+         SET status = 'no_show',
+             completed_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND counter_session_id = $2 AND status = 'called' AND recall_count = $3
+         RETURNING id, number, status, recall_count, last_recalled_at, completed_at`,
+        [queueId, queueItem.counter_session_id, queueItem.recall_count]
+      )
+      : await client.query(
+        `UPDATE queue
+         SET recall_count = recall_count + 1,
+             last_recalled_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND counter_session_id = $2 AND status = 'called' AND recall_count = $3
+         RETURNING id, number, status, recall_count, last_recalled_at, completed_at`,
+        [queueId, queueItem.counter_session_id, queueItem.recall_count]
+      );
+
+    const recalledQueue = getGuardedQueueUpdate(updateResult);
+
+    await recordQueueEvent(queueItem.id, limitReached ? 'no_show' : 'recalled', {
+      counterId: queueItem.counter_id,
+      userId: req.user.id,
+      details: limitReached ? { reason: 'recall_limit' } : { recallCount: recalledQueue.recall_count }
+    }, client);
+
+    return recalledQueue;
+  });
+
+  publishBranchEvent(queueItem.branch_id, limitReached ? 'ticket-no-show' : 'ticket-recalled', {
+    id: recalledQueue.id,
+    number: recalledQueue.number,
+    serviceCode: queueItem.service_code,
+    counterNumber: queueItem.counter_number,
+    recallCount: recalledQueue.recall_count,
+    status: recalledQueue.status
+  });
+
+  res.status(200).json({
+    success: true,
+    message: limitReached
+      ? 'Recall limit reached, customer marked as no-show'
+      : 'Customer recalled successfully',
+    data: {
+      id: recalledQueue.id,
+      number: recalledQueue.number,
+      status: recalledQueue.status,
+      counterNumber: queueItem.counter_number,
+      recallCount: recalledQueue.recall_count,
+      lastRecalledAt: recalledQueue.last_recalled_at,
+      completedAt: recalledQueue.completed_at
+    }
+  });
+}));
+
+/**
+ * POST /api/queue/no-show
+ * Close the current ticket because the customer did not show up
+ */
+router.post('/no-show', authenticate, authorize(PERMISSIONS.SERVE_QUEUE), asyncHandler(async (req, res) => {
+  const { queueId } = req.body;
+
+  if (!queueId) {
+    throw new AppError('Queue ID is required', 400);
+  }
+
+  // Get queue item with session information
+  const queueResult = await query(
+    `SELECT q.id, q.branch_id, q.number, q.status, q.counter_id, q.counter_session_id,
+            cs.user_id, c.number as counter_number, s.code as service_code
+     FROM queue q
+     JOIN counter_sessions cs ON q.counter_session_id = cs.id
+     JOIN counters c ON cs.counter_id = c.id
+     LEFT JOIN services s ON q.service_id = s.id
+     WHERE q.id = $1`,
+    [queueId]
+  );
+
+  if (queueResult.rows.length === 0) {
+    throw new AppError('Queue item not found', 404);
+  }
+
+  const queueItem = queueResult.rows[0];
+
+  // Check if user owns this session
+  if (req.user.id !== queueItem.user_id) {
+    throw new AppError('Access denied to this queue item', 403);
+  }
+
+  if (queueItem.status !== 'called') {
+    throw new AppError('Queue item cannot be marked as no-show in current status', 400);
+  }
+
+  const noShowQueue = await transaction(async (client) => {
+    const updateResult = await client.query(
+      `UPDATE queue
+       SET status = 'no_show',
+           completed_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND counter_session_id = $2 AND status = 'called'
+       RETURNING id, number, status, recall_count, completed_at`,
+      [queueId, queueItem.counter_session_id]
+    );
+    const noShowQueue = getGuardedQueueUpdate(updateResult);
+
+    await recordQueueEvent(queueItem.id, 'no_show', {
+      counterId: queueItem.counter_id,
+      userId: req.user.id
+    }, client);
+
+    return noShowQueue;
+  });
+
+  publishBranchEvent(queueItem.branch_id, 'ticket-no-show', {
+    id: noShowQueue.id,
+    number: noShowQueue.number,
+    serviceCode: queueItem.service_code,
+    counterNumber: queueItem.counter_number,
+    status: noShowQueue.status
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Customer marked as no-show',
+    data: {
+      id: noShowQueue.id,
+      number: noShowQueue.number,
+      status: noShowQueue.status,
+      counterNumber: queueItem.counter_number,
+      recallCount: noShowQueue.recall_count,
+      completedAt: noShowQueue.completed_at
+    }
+  });
+}));
+
+/**
+ * POST /api/queue/transfer
+ * Transfer an active customer back to the waiting pool, keeping the ticket number.
+ * The ticket can be targeted at a specific counter and/or service line, or placed at the head of the line.
+ */
+router.post('/transfer', authenticate, authorize(PERMISSIONS.SERVE_QUEUE), asyncHandler(async (req, res) => {
+  const { queueId, targetCounterId, targetServiceId, placeAtHead = false, reason } = req.body;
+
+  if (!queueId) {
+    throw new AppError('Queue ID is required', 400);
+  }
+
+  if (!targetCounterId && !targetServiceId && !placeAtHead) {
+    throw new AppError('Target counter, target service or head of line is required', 400);
+  }
+
+  // Get queue item with session information
+  const queueResult = await query(
+    `SELECT q.id, q.branch_id, q.number, q.status, q.called_at, q.service_id, q.target_service_id,
+            q.counter_id, q.counter_session_id, cs.user_id
+     FROM queue q
+     JOIN counter_sessions cs ON q.counter_session_id = cs.id
+     WHERE q.id = $1`,
+    [queueId]
+  );
+
+  if (queueResult.rows.length === 0) {
+    throw new AppError('Queue item not found', 404);
+  }
+
+  const queueItem = queueResult.rows[0];
+
+  // Check if user owns this session
+  if (req.user.id !== queueItem.user_id) {
+    throw new AppError('Access denied to this queue item', 403);
+  }
+
+  // Only active tickets can be transferred
+  if (!['called', 'serving'].includes(queueItem.status)) {
+    throw new AppError('Queue item cannot be transferred in current status', 400);
+  }
+
+  // Verify target counter belongs to the same branch
+  let targetCounter = null;
+  if (targetCounterId) {
+    if (parseInt(targetCounterId) === queueItem.counter_id) {
+      throw new AppError('Cannot transfer to the same counter', 400);
+    }
+
+    const counterResult = await query(
+      'SELECT id, number FROM counters WHERE id = $1 AND branch_id = $2 AND is_active = true',
+      [targetCounterId, queueItem.branch_id]
+    );
+
+    if (counterResult.rows.length === 0) {
+      throw new AppError('Target counter not found', 404);
+    }
+
+    targetCounter = counterResult.rows[0];
+  }
+
+  // Verify target service belongs to the same branch
+  let targetService = null;
+  if (targetServiceId) {
+    const serviceResult = await query(
+      'SELECT id, name, code FROM services WHERE id = $1 AND branch_id = $2 AND is_active = true',
+      [targetServiceId, queueItem.branch_id]
+    );
+
+    if (serviceResult.rows.length === 0) {
+      throw new AppError('Target service not found', 404);
+    }
+
+    targetService = serviceResult.rows[0];
+  }
+
+  const transferredQueue = await transaction(async (client) => {
+    // Record transfer history
+    await client.query(
+      `INSERT INTO queue_transfers (queue_id, from_counter_id, from_session_id, from_service_id,
+                                    to_counter_id, to_service_id, head_of_line, reason,
+                                    transferred_by, called_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [
+        queueItem.id,
+        queueItem.counter_id,
+        queueItem.counter_session_id,
+        queueItem.target_service_id || queueItem.service_id,
+        targetCounter?.id || null,
+        targetService?.id || null,
+        Boolean(placeAtHead),
+        reason || null,
+        req.user.id,
+        queueItem.called_at
+      ]
+    );
+
+    // Put the ticket back into the waiting pool with its original number
+    const updateResult = await client.query(
+      `UPDATE queue
+       SET status = 'waiting',
+           counter_id = NULL,
+           counter_session_id = NULL,
+           called_at = NULL,
+           serving_started_at = NULL,
+           walk_up_duration = NULL,
+           target_counter_id = $1,
+           target_service_id = COALESCE($2, target_service_id),
+           head_of_line = $3,
+           recall_count = 0,
+           last_recalled_at = NULL,
+           transfer_count = transfer_count + 1
+       WHERE id = $4 AND counter_session_id = $5 AND status IN ('called', 'serving')
+       RETURNING id, branch_id, service_id, target_counter_id, target_service_id,
+                 number, status, head_of_line, transfer_count`,
+      [targetCounter?.id || null, targetService?.id || null, Boolean(placeAtHead), queueItem.id,
+        queueItem.counter_session_id]
+    );
+    const transferredQueue = getGuardedQueueUpdate(updateResult);
+
+    await recordQueueEvent(queueItem.id, 'transferred', {
+      counterId: queueItem.counter_id,
+      userId: req.user.id,
+      details: {
+        toCounterId: targetCounter?.id || null,
+        toCounterNumber: targetCounter?.number || null,
+        toServiceId: targetService?.id || null,
+        toServiceName: targetService?.name || null,
+        headOfLine: Boolean(placeAtHead),
+        reason: reason || null
+      }
+    }, client);
+
+    return transferredQueue;
+  });
+
+  publishBranchEvent(transferredQueue.branch_id, 'ticket-transferred', {
+    id: transferredQueue.id,
+    number: transferredQueue.number,
+    targetCounterNumber: targetCounter?.number || null,
+    targetServiceId: transferredQueue.target_service_id,
+    headOfLine: transferredQueue.head_of_line,
+    status: transferredQueue.status
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Customer transferred successfully',
+    data: {
+      id: transferredQueue.id,
+      branchId: transferredQueue.branch_id,
+      serviceId: transferredQueue.service_id,
+      number: transferredQueue.number,
+      status: transferredQueue.status,
+      targetCounterId: transferredQueue.target_counter_id,
+      targetCounterNumber: targetCounter?.number || null,
+      targetServiceId: transferredQueue.target_service_id,
+      targetServiceName: targetService?.name || null,
+      headOfLine: transferredQueue.head_of_line,
+      transferCount: transferredQueue.transfer_count
+    }
+  });
+}));
+
+/**
+ * GET /api/queue/:id/transfers
+ * Get transfer history of a queue item
+ */
+router.get('/:id/transfers', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const queueResult = await query(
+    'SELECT id, branch_id, number FROM queue WHERE id = $1',
+    [id]
+  );
+
+  if (queueResult.rows.length === 0) {
+    throw new AppError('Queue item not found', 404);
+  }
+
+  // Users limited to a branch can only see its tickets
+  if (!canAccessBranch(req.user, queueResult.rows[0].branch_id)) {
+    throw new AppError('Access denied to this queue item', 403);
+  }
+
+  const transfersResult = await query(
+    `SELECT t.id, t.head_of_line, t.reason, t.called_at, t.created_at,
+            fc.number as from_counter_number, tc.number as to_counter_number,
+            fs.name as from_service_name, ts.name as to_service_name,
+            u.username as transferred_by
+     FROM queue_transfers t
+     LEFT JOIN counters fc ON t.from_counter_id = fc.id
+     LEFT JOIN counters tc ON t.to_counter_id = tc.id
+     LEFT JOIN services fs ON t.from_service_id = fs.id
+     LEFT JOIN services ts ON t.to_service_id = ts.id
+     LEFT JOIN users u ON t.transferred_by = u.id
+     WHERE t.queue_id = $1
+     ORDER BY t.created_at ASC`,
+    [id]
+  );
+
+  res.status(200).json({
+    success: true,
+    data: transfersResult.rows.map(transfer => ({
+      id: transfer.id,
+      fromCounterNumber: transfer.from_counter_number,
+      toCounterNumber: transfer.to_counter_number,
+      fromServiceName: transfer.from_service_name,
+      toServiceName: transfer.to_service_name,
+      headOfLine: transfer.head_of_line,
+      reason: transfer.reason,
+      transferredBy: transfer.transferred_by,
+      calledAt: transfer.called_at,
+      transferredAt: transfer.created_at
+    }))
+  });
+}));
+
+/**
+ * GET /api/queue/:id/timeline
+ * Get every state change of a queue item, oldest first
+ */
+router.get('/:id/timeline', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const queueResult = await query(
+    `SELECT q.id, q.branch_id, q.number, q.status, q.priority_type, q.created_at,
+            s.name as service_name, s.code as service_code
+     FROM queue q
+     LEFT JOIN services s ON q.service_id = s.id
+     WHERE q.id = $1`,
+    [id]
+  );
+
+  if (queueResult.rows.length === 0) {
+    throw new AppError('Queue item not found', 404);
+  }
+
+  const queueItem = queueResult.rows[0];
+
+  // Users limited to a branch can only see its tickets
+  if (!canAccessBranch(req.user, queueItem.branch_id)) {
+    throw new AppError('Access denied to this queue item', 403);
+  }
+
+  const eventsResult = await query(
+    `SELECT e.id, e.event_type, e.counter_id, e.user_id, e.details, e.created_at,
+            c.number as counter_number, u.username
+     FROM queue_events e
+     LEFT JOIN counters c ON e.counter_id = c.id
+     LEFT JOIN users u ON e.user_id = u.id
+     WHERE e.queue_id = $1
+     ORDER BY e.created_at ASC, e.id ASC`,
+    [id]
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      id: queueItem.id,
+      branchId: queueItem.branch_id,
+      number: queueItem.number,
+      status: queueItem.status,
+      priorityType: queueItem.priority_type,
+      serviceName: queueItem.service_name,
+      serviceCode: queueItem.service_code,
+      createdAt: queueItem.created_at,
+      events: eventsResult.rows.map(event => ({
+        id: event.id,
+        type: event.event_type,
+        counterId: event.counter_id,
+        counterNumber: event.counter_number,
+        userId: event.user_id,
+        username: event.username,
+        details: event.details,
+        createdAt: event.created_at
+      }))
+    }
+  });
+}));
+
 /**
  * GET /api/queue/status/:branchId
  * Get queue status for a branch
  */
-router.get('/status/:branchId', optionalAuth, asyncHandler(async (req, res) => {
+router.get('/status/:branchId', optionalAuth, restrictDevice('kiosk', 'display'), asyncHandler(async (req, res) => {
   const { branchId } = req.params;
 
   // Verify branch exists
@@ -252,10 +1162,13 @@ router.get('/status/:branchId', optionalAuth, asyncHandler(async (req, res) => {
        COUNT(CASE WHEN status = 'called' THEN 1 END) as called_count,
        COUNT(CASE WHEN status = 'serving' THEN 1 END) as serving_count,
        COUNT(CASE WHEN status = 'completed' AND DATE(completed_at) = $2 THEN 1 END) as completed_today,
+       COUNT(CASE WHEN status = 'no_show' AND DATE(completed_at) = $2 THEN 1 END) as no_show_today,
        MAX(CASE WHEN status = 'completed' THEN number END) as last_completed_number,
        MAX(CASE WHEN status IN ('called', 'serving') THEN number END) as current_serving_number,
        AVG(CASE WHEN status = 'completed' AND service_duration IS NOT NULL 
-                THEN service_duration END) as avg_service_time
+                THEN service_duration END) as avg_service_time,
+       AVG(wait_duration) as avg_wait_time,
+       AVG(walk_up_duration) as avg_walk_up_time
      FROM queue 
      WHERE branch_id = $1 AND DATE(created_at) = $2`,
     [branchId, today]
@@ -273,14 +1186,17 @@ router.get('/status/:branchId', optionalAuth, asyncHandler(async (req, res) => {
     [branchId, today]
   );
 
-  // Estimate waiting time based on average service time and queue length
   const avgServiceTime = stats.avg_service_time ? Math.round(parseFloat(stats.avg_service_time)) : 180; // Default 3 minutes
   const waitingCount = parseInt(stats.waiting_count) || 0;
-  const estimatedWaitTime = waitingCount * avgServiceTime;
 
-  // Get active counters count
+  // Forecast the wait of a ticket taken now, for the whole branch and for each line
+  const forecastContext = await loadForecastContext(branchId);
+  const waitForecast = forecastWait(forecastContext, undefined, waitingCount);
+
+  // Get active counters count; counters on break are counted apart
   const activeCountersResult = await query(
-    `SELECT COUNT(DISTINCT cs.id) as active_counters
+    `SELECT COUNT(DISTINCT cs.id) FILTER (WHERE cs.paused_at IS NULL) as active_counters,
+            COUNT(DISTINCT cs.id) FILTER (WHERE cs.paused_at IS NOT NULL) as paused_counters
      FROM counters c
      LEFT JOIN counter_sessions cs ON c.id = cs.counter_id AND cs.end_time IS NULL
      WHERE c.branch_id = $1`,
@@ -288,15 +1204,31 @@ router.get('/status/:branchId', optionalAuth, asyncHandler(async (req, res) => {
   );
 
   const activeCounters = parseInt(activeCountersResult.rows[0].active_counters) || 0;
+  const pausedCounters = parseInt(activeCountersResult.rows[0].paused_counters) || 0;
+
+  // Get waiting counts per service line
+  const servicesResult = await query(
+    `SELECT s.id, s.name, s.code, COUNT(q.id) as waiting_count
+     FROM services s
+     LEFT JOIN queue q ON COALESCE(q.target_service_id, q.service_id) = s.id
+                         AND ${WAITING_TODAY}
+     WHERE s.branch_id = $1 AND s.is_active = true
+     GROUP BY s.id
+     ORDER BY s.display_order ASC, s.code ASC`,
+    [branchId, today]
+  );
 
   // Get last called queue information
   const lastCalledResult = await query(
-    `SELECT q.id, q.branch_id, q.number, q.status, q.created_at, q.called_at,
-            c.id as counter_id, c.number as counter_number
+    `SELECT q.id, q.branch_id, q.number, q.priority_type, q.status, q.created_at, q.called_at,
+            q.serving_started_at, q.recall_count, q.last_recalled_at,
+            c.id as counter_id, c.number as counter_number,
+            s.name as service_name, s.code as service_code
      FROM queue q
      LEFT JOIN counters c ON q.counter_id = c.id
+     LEFT JOIN services s ON q.service_id = s.id
      WHERE q.branch_id = $1 AND q.status IN ('called', 'serving')
-     ORDER BY q.called_at DESC
+     ORDER BY COALESCE(q.last_recalled_at, q.called_at) DESC
      LIMIT 1`,
     [branchId]
   );
@@ -305,11 +1237,17 @@ router.get('/status/:branchId', optionalAuth, asyncHandler(async (req, res) => {
     id: lastCalledResult.rows[0].id,
     branchId: lastCalledResult.rows[0].branch_id,
     number: lastCalledResult.rows[0].number,
+    priorityType: lastCalledResult.rows[0].priority_type,
     status: lastCalledResult.rows[0].status,
     createdAt: lastCalledResult.rows[0].created_at,
     calledAt: lastCalledResult.rows[0].called_at,
+    servingStartedAt: lastCalledResult.rows[0].serving_started_at,
+    recallCount: lastCalledResult.rows[0].recall_count,
+    lastRecalledAt: lastCalledResult.rows[0].last_recalled_at,
     counterId: lastCalledResult.rows[0].counter_id,
-    counterNumber: lastCalledResult.rows[0].counter_number
+    counterNumber: lastCalledResult.rows[0].counter_number,
+    serviceName: lastCalledResult.rows[0].service_name,
+    serviceCode: lastCalledResult.rows[0].service_code
   } : null;
 
   res.status(200).json({
@@ -321,13 +1259,25 @@ router.get('/status/:branchId', optionalAuth, asyncHandler(async (req, res) => {
       calledCount: parseInt(stats.called_count) || 0,
       servingCount: parseInt(stats.serving_count) || 0,
       completedToday: parseInt(stats.completed_today) || 0,
+      noShowToday: parseInt(stats.no_show_today) || 0,
       lastCompletedNumber: stats.last_completed_number || 0,
       currentServingNumber: stats.current_serving_number || 0,
       avgServiceTime: avgServiceTime,
-      estimatedWaitTime: estimatedWaitTime,
+      avgWaitTime: stats.avg_wait_time ? Math.round(parseFloat(stats.avg_wait_time)) : 0,
+      avgWalkUpTime: stats.avg_walk_up_time ? Math.round(parseFloat(stats.avg_walk_up_time)) : 0,
+      estimatedWaitTime: waitForecast.estimatedWaitTime,
+      waitForecast: waitForecast,
       activeCounters: activeCounters,
+      pausedCounters: pausedCounters,
       canTakeNumber: true, // Always allow taking queue numbers regardless of active counters
       lastCalled: lastCalled,
+      services: servicesResult.rows.map(service => ({
+        id: service.id,
+        name: service.name,
+        code: service.code,
+        waitingCount: parseInt(service.waiting_count) || 0,
+        waitForecast: forecastWait(forecastContext, service.id, parseInt(service.waiting_count) || 0)
+      })),
       recentCompleted: recentCompletedResult.rows.map(item => ({
         number: item.number,
         completedAt: item.completed_at
@@ -340,7 +1290,7 @@ router.get('/status/:branchId', optionalAuth, asyncHandler(async (req, res) => {
  * GET /api/queue/display/:branchId
  * Get display data for a branch (for display panel)
  */
-router.get('/display/:branchId', optionalAuth, asyncHandler(async (req, res) => {
+router.get('/display/:branchId', optionalAuth, restrictDevice('display'), asyncHandler(async (req, res) => {
   const { branchId } = req.params;
 
   // Verify branch exists
@@ -357,33 +1307,40 @@ router.get('/display/:branchId', optionalAuth, asyncHandler(async (req, res) =>
 
   // Get currently serving customers
   const currentlyServingResult = await query(
-    `SELECT q.number as queue_number, c.number as counter_number,
-            q.called_at, q.status
+    `SELECT q.id, q.number as queue_number, c.number as counter_number,
+            q.called_at, q.status, q.priority_type, q.recall_count, q.last_recalled_at,
+            s.code as service_code
      FROM queue q
      JOIN counters c ON q.counter_id = c.id
+     LEFT JOIN services s ON q.service_id = s.id
      WHERE q.branch_id = $1 AND q.status IN ('called', 'serving')
      ORDER BY q.called_at ASC`,
     [branchId]
   );
 
-  // Get waiting queue numbers
+  // Get waiting queue numbers in the order call-next will serve them
   const waitingQueueResult = await query(
-    `SELECT id, number, created_at
-     FROM queue 
-     WHERE branch_id = $1 AND status = 'waiting' AND DATE(created_at) = $2
-     ORDER BY created_at ASC
+    `SELECT q.id, q.number, q.priority_type, q.created_at, s.code as service_code,
+            tc.number as target_counter_number
+     FROM queue q
+     LEFT JOIN services s ON q.service_id = s.id
+     LEFT JOIN counters tc ON q.target_counter_id = tc.id
+     WHERE q.branch_id = $1 AND ${WAITING_TODAY}
+     ORDER BY (q.target_counter_id IS NOT NULL) DESC, ${WAITING_ORDER}
      LIMIT 10`,
-    [branchId, today]
+    [branchId, today, appConfig.queue.priorityWeightSeconds]
   );
 
-  // Get last called number
+  // Get last called number (a recall counts as a new call)
   const lastCalledResult = await query(
-    `SELECT q.number, c.number as counter_number, called_at
+    `SELECT q.number, c.number as counter_number, called_at, s.code as service_code,
+            q.recall_count, q.last_recalled_at
      FROM queue q
      JOIN counters c ON q.counter_id = c.id
-     WHERE q.branch_id = $1 AND q.status IN ('called', 'serving', 'completed') 
+     LEFT JOIN services s ON q.service_id = s.id
+     WHERE q.branch_id = $1 AND q.status IN ('called', 'serving', 'completed', 'no_show')
            AND DATE(q.created_at) = $2
-     ORDER BY q.called_at DESC
+     ORDER BY COALESCE(q.last_recalled_at, q.called_at) DESC
      LIMIT 1`,
     [branchId, today]
   );
@@ -404,10 +1361,32 @@ router.get('/display/:branchId', optionalAuth, asyncHandler(async (req, res) =>
     `SELECT COUNT(DISTINCT cs.counter_id) as active_count
      FROM counter_sessions cs
      JOIN counters c ON cs.counter_id = c.id
-     WHERE c.branch_id = $1 AND cs.end_time IS NULL`,
+     WHERE c.branch_id = $1 AND cs.end_time IS NULL AND cs.paused_at IS NULL`,
     [branchId]
   );
 
+  // Counters whose clerk is on break, shown as such instead of as free or serving
+  const countersOnBreakResult = await query(
+    `SELECT c.id, c.number, cs.paused_at
+     FROM counter_sessions cs
+     JOIN counters c ON cs.counter_id = c.id
+     WHERE c.branch_id = $1 AND cs.end_time IS NULL AND cs.paused_at IS NOT NULL
+     ORDER BY c.number ASC`,
+    [branchId]
+  );
+
+  // Get waiting counts per service line
+  const servicesResult = await query(
+    `SELECT s.id, s.name, s.code, COUNT(q.id) as waiting_count
+     FROM services s
+     LEFT JOIN queue q ON COALESCE(q.target_service_id, q.service_id) = s.id
+                         AND ${WAITING_TODAY}
+     WHERE s.branch_id = $1 AND s.is_active = true
+     GROUP BY s.id
+     ORDER BY s.display_order ASC, s.code ASC`,
+    [branchId, today]
+  );
+
   // Get completed today count
   const completedTodayResult = await query(
     `SELECT COUNT(*) as completed_count
@@ -416,42 +1395,146 @@ router.get('/display/:branchId', optionalAuth, asyncHandler(async (req, res) =>
     [branchId, today]
   );
 
+  // Forecast the wait of a ticket taken now, for the whole branch and for each line
+  const waitingCountResult = await query(
+    `SELECT COUNT(*) as waiting_count
+     FROM queue q
+     WHERE q.branch_id = $1 AND ${WAITING_TODAY}`,
+    [branchId, today]
+  );
+
+  const forecastContext = await loadForecastContext(branchId);
+
   res.status(200).json({
     success: true,
     data: {
       branchId: parseInt(branchId),
       branchName: branchResult.rows[0].name,
       currentlyServing: currentlyServingResult.rows.map(item => ({
-        id: `serving-${item.queue_number}`,
+        id: item.id,
         queueNumber: item.queue_number,
+        serviceCode: item.service_code,
+        priorityType: item.priority_type,
         counterNumber: item.counter_number,
         calledAt: item.called_at,
+        recallCount: item.recall_count,
+        lastRecalledAt: item.last_recalled_at,
         status: item.status
       })),
       waitingQueue: waitingQueueResult.rows.map(item => ({
         id: item.id,
         queueNumber: item.number,
+        serviceCode: item.service_code,
+        priorityType: item.priority_type,
+        targetCounterNumber: item.target_counter_number,
         createdAt: item.created_at,
         status: 'waiting'
       })),
       lastCalled: lastCalledResult.rows.length > 0 ? {
         id: `last-${lastCalledResult.rows[0].number}`,
         queueNumber: lastCalledResult.rows[0].number,
+        serviceCode: lastCalledResult.rows[0].service_code,
         counterNumber: lastCalledResult.rows[0].counter_number,
-        calledAt: lastCalledResult.rows[0].called_at
+        calledAt: lastCalledResult.rows[0].called_at,
+        recallCount: lastCalledResult.rows[0].recall_count,
+        lastRecalledAt: lastCalledResult.rows[0].last_recalled_at
       } : null,
       recentCompleted: recentCompletedResult.rows.map(item => ({
         queueNumber: item.number,
         counterNumber: item.counter_number,
         completedAt: item.completed_at
       })),
+      services: servicesResult.rows.map(service => ({
+        id: service.id,
+        name: service.name,
+        code: service.code,
+        waitingCount: parseInt(service.waiting_count) || 0,
+        waitForecast: forecastWait(forecastContext, service.id, parseInt(service.waiting_count) || 0)
+      })),
+      waitForecast: forecastWait(forecastContext, undefined, parseInt(waitingCountResult.rows[0].waiting_count) || 0),
       activeCounters: parseInt(activeCountersResult.rows[0].active_count) || 0,
+      countersOnBreak: countersOnBreakResult.rows.map(counter => ({
+        counterId: counter.id,
+        counterNumber: counter.number,
+        pausedAt: counter.paused_at
+      })),
       completedToday: parseInt(completedTodayResult.rows[0].completed_count) || 0,
       timestamp: new Date().toISOString()
     }
   });
 }));
 
+/**
+ * GET /api/queue/track/:code
+ * Follow a single ticket by its public tracking code (no authentication)
+ */
+router.get('/track/:code', asyncHandler(async (req, res) => {
+  const code = normalizePublicCode(req.params.code);
+
+  if (!code) {
+    throw new AppError('Ticket not found', 404);
+  }
+
+  const ticketResult = await query(
+    `SELECT q.id, q.branch_id, q.number, q.status, q.priority_type, q.created_at, q.called_at,
+            q.serving_started_at, q.completed_at, q.recall_count, q.last_recalled_at,
+            COALESCE(q.target_service_id, q.service_id) as line_service_id,
+            b.name as branch_name, s.name as service_name, s.code as service_code,
+            c.number as counter_number, tc.number as target_counter_number
+     FROM queue q
+     JOIN branches b ON q.branch_id = b.id
+     LEFT JOIN services s ON q.service_id = s.id
+     LEFT JOIN counters c ON q.counter_id = c.id
+     LEFT JOIN counters tc ON q.target_counter_id = tc.id
+     WHERE q.tracking_code = $1`,
+    [code]
+  );
+
+  if (ticketResult.rows.length === 0) {
+    throw new AppError('Ticket not found', 404);
+  }
+
+  const ticket = ticketResult.rows[0];
+
+  let position = null;
+  let peopleAhead = 0;
+  let waitForecast = null;
+
+  if (ticket.status === 'waiting') {
+    position = await getLinePosition(ticket.branch_id, ticket.line_service_id, ticket.id);
+    peopleAhead = position - 1;
+
+    // Forecast from the open counters that may call this line and its service-time history
+    const forecastContext = await loadForecastContext(ticket.branch_id);
+    waitForecast = forecastWait(forecastContext, ticket.line_service_id, peopleAhead);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      branchId: ticket.branch_id,
+      branchName: ticket.branch_name,
+      serviceName: ticket.service_name,
+      serviceCode: ticket.service_code,
+      number: ticket.number,
+      priorityType: ticket.priority_type,
+      status: ticket.status,
+      position: position,
+      peopleAhead: peopleAhead,
+      estimatedWaitTime: waitForecast ? waitForecast.estimatedWaitTime : 0,
+      waitForecast: waitForecast,
+      counterNumber: ['called', 'serving'].includes(ticket.status) ? ticket.counter_number : null,
+      targetCounterNumber: ticket.target_counter_number,
+      recallCount: ticket.recall_count,
+      createdAt: ticket.created_at,
+      calledAt: ticket.called_at,
+      lastRecalledAt: ticket.last_recalled_at,
+      servingStartedAt: ticket.serving_started_at,
+      completedAt: ticket.completed_at
+    }
+  });
+}));
+
 /**
  * GET /api/queue/history/:userId
  * Get work history for a clerk
@@ -460,37 +1543,54 @@ router.get('/history/:userId', authenticate, asyncHandler(async (req, res) => {
   const { userId } = req.params;
 
   // Check if user can access this history
-  if (req.user.role !== 'admin' && req.user.id !== parseInt(userId)) {
-    throw new AppError('Access denied to this user history', 403);
+  if (req.user.id !== parseInt(userId)) {
+    if (!hasPermission(req.user.role, PERMISSIONS.VIEW_PERFORMANCE)) {
+      throw new AppError('Access denied to this user history', 403);
+    }
+
+    const userResult = await query('SELECT branch_id FROM users WHERE id = $1', [userId]);
+
+    if (userResult.rows.length === 0) {
+      throw new AppError('User not found', 404);
+    }
+
+    if (!canAccessBranch(req.user, userResult.rows[0].branch_id)) {
+      throw new AppError('Access denied to this user history', 403);
+    }
   }
 
   const today = new Date().toISOString().split('T')[0];
 
   // Get today's completed work
   const historyResult = await query(
-    `SELECT q.id, q.number, q.status, q.created_at, q.called_at, q.completed_at,
-            q.service_duration, c.number as counter_number,
-            b.name as branch_name
+    `SELECT q.id, q.number, q.priority_type, q.status, q.created_at, q.called_at,
+            q.serving_started_at, q.completed_at, q.wait_duration, q.walk_up_duration,
+            q.service_duration, q.transfer_count, q.recall_count, c.number as counter_number,
+            b.name as branch_name, s.name as service_name, s.code as service_code
      FROM queue q
      JOIN counter_sessions cs ON q.counter_session_id = cs.id
      JOIN counters c ON cs.counter_id = c.id
      JOIN branches b ON c.branch_id = b.id
+     LEFT JOIN services s ON q.service_id = s.id
      WHERE cs.user_id = $1 AND DATE(q.completed_at) = $2
      ORDER BY q.completed_at DESC`,
     [userId, today]
   );
 
-  // Get session statistics
+  // Get session statistics (no-shows are counted separately and excluded from service times)
   const statsResult = await query(
     `SELECT 
-       COUNT(*) as total_completed,
-       AVG(service_duration) as avg_service_time,
-       SUM(service_duration) as total_service_time,
-       MIN(completed_at) as first_completion,
-       MAX(completed_at) as last_completion
+       COUNT(CASE WHEN q.status = 'completed' THEN 1 END) as total_completed,
+       COUNT(CASE WHEN q.status = 'no_show' THEN 1 END) as total_no_show,
+       AVG(CASE WHEN q.status = 'completed' THEN service_duration END) as avg_service_time,
+       SUM(CASE WHEN q.status = 'completed' THEN service_duration END) as total_service_time,
+       AVG(wait_duration) as avg_wait_time,
+       AVG(walk_up_duration) as avg_walk_up_time,
+       MIN(CASE WHEN q.status = 'completed' THEN completed_at END) as first_completion,
+       MAX(CASE WHEN q.status = 'completed' THEN completed_at END) as last_completion
      FROM queue q
      JOIN counter_sessions cs ON q.counter_session_id = cs.id
-     WHERE cs.user_id = $1 AND DATE(q.completed_at) = $2 AND q.status = 'completed'`,
+     WHERE cs.user_id = $1 AND DATE(q.completed_at) = $2 AND q.status IN ('completed', 'no_show')`,
     [userId, today]
   );
 
@@ -503,31 +1603,99 @@ router.get('/history/:userId', authenticate, asyncHandler(async (req, res) => {
       date: today,
       statistics: {
         totalCompleted: parseInt(stats.total_completed) || 0,
+        totalNoShow: parseInt(stats.total_no_show) || 0,
         avgServiceTime: stats.avg_service_time ? Math.round(parseFloat(stats.avg_service_time)) : 0,
         totalServiceTime: parseInt(stats.total_service_time) || 0,
+        avgWaitTime: stats.avg_wait_time ? Math.round(parseFloat(stats.avg_wait_time)) : 0,
+        avgWalkUpTime: stats.avg_walk_up_time ? Math.round(parseFloat(stats.avg_walk_up_time)) : 0,
         firstCompletion: stats.first_completion,
         lastCompletion: stats.last_completion
       },
       history: historyResult.rows.map(item => ({
         id: item.id,
         queueNumber: item.number,
+        priorityType: item.priority_type,
         status: item.status,
         counterNumber: item.counter_number,
         branchName: item.branch_name,
+        serviceName: item.service_name,
+        serviceCode: item.service_code,
         createdAt: item.created_at,
         calledAt: item.called_at,
+        servingStartedAt: item.serving_started_at,
         completedAt: item.completed_at,
-        serviceDuration: item.service_duration
+        waitDuration: item.wait_duration,
+        walkUpDuration: item.walk_up_duration,
+        serviceDuration: item.service_duration,
+        transferCount: item.transfer_count,
+        recallCount: item.recall_count
       }))
     }
   });
 }));
 
+/**
+ * GET /api/queue/performance/:userId
+ * Get the performance dashboard of a clerk for the last days (?days=, default 28)
+ * with daily and weekly trends and the per-clerk average of their branch
+ */
+router.get('/performance/:userId', authenticate, asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { performanceDays, maxPerformanceDays } = appConfig.reports;
+  const days = req.query.days !== undefined ? parseInt(req.query.days) : performanceDays;
+
+  // Clerks can only see their own numbers
+  const isOwnPerformance = req.user.id === parseInt(userId);
+  if (!isOwnPerformance && !hasPermission(req.user.role, PERMISSIONS.VIEW_PERFORMANCE)) {
+    throw new AppError('Access denied to this user performance', 403);
+  }
+
+  if (!(days >= 1 && days <= maxPerformanceDays)) {
+    throw new AppError(`Days must be between 1 and ${maxPerformanceDays}`, 400);
+  }
+
+  const userResult = await query(
+    `SELECT u.id, u.username, u.role, u.branch_id, b.name as branch_name,
+            TO_CHAR(CURRENT_DATE - $2::integer + 1, 'YYYY-MM-DD') as from_date,
+            TO_CHAR(CURRENT_DATE, 'YYYY-MM-DD') as to_date
+     FROM users u
+     LEFT JOIN branches b ON u.branch_id = b.id
+     WHERE u.id = $1`,
+    [userId, days]
+  );
+
+  if (userResult.rows.length === 0) {
+    throw new AppError('User not found', 404);
+  }
+
+  const user = userResult.rows[0];
+
+  // Branch managers only see the clerks of their own branch
+  if (!isOwnPerformance && !canAccessBranch(req.user, user.branch_id)) {
+    throw new AppError('Access denied to this user performance', 403);
+  }
+
+  const performance = await loadClerkPerformance(user, user.from_date, user.to_date);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      userId: user.id,
+      username: user.username,
+      branchId: user.branch_id,
+      branchName: user.branch_name,
+      from: user.from_date,
+      to: user.to_date,
+      ...performance
+    }
+  });
+}));
+
 /**
  * DELETE /api/queue/:id
- * Cancel/remove queue item (admin only)
+ * Cancel a waiting queue item (admins and managers of its branch)
  */
-router.delete('/:id', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+router.delete('/:id', authenticate, authorize(PERMISSIONS.MANAGE_QUEUE), asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   // Get queue item
@@ -542,13 +1710,34 @@ router.delete('/:id', authenticate, authorize('admin'), asyncHandler(async (req,
 
   const queueItem = queueResult.rows[0];
 
+  if (!canAccessBranch(req.user, queueItem.branch_id)) {
+    throw new AppError('Access denied to this queue item', 403);
+  }
+
   // Only allow cancellation of waiting items
   if (queueItem.status !== 'waiting') {
     throw new AppError('Can only cancel waiting queue items', 400);
   }
 
-  // Remove the queue item
-  await query('DELETE FROM queue WHERE id = $1', [id]);
+  // Keep the cancelled ticket so its timeline stays available
+  await transaction(async (client) => {
+    const updateResult = await client.query(
+      `UPDATE queue
+       SET status = 'cancelled'
+       WHERE id = $1 AND status = 'waiting'
+       RETURNING id`,
+      [id]
+    );
+    getGuardedQueueUpdate(updateResult);
+
+    await recordQueueEvent(queueItem.id, 'cancelled', { userId: req.user.id }, client);
+  });
+
+  publishBranchEvent(queueItem.branch_id, 'ticket-cancelled', {
+    id: queueItem.id,
+    number: queueItem.number,
+    status: 'cancelled'
+  });
 
   res.status(200).json({
     success: true,
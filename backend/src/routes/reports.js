@@ -0,0 +1,244 @@
+/**
+ * Report Routes
+ * Historical ticket statistics by branch, service, counter, clerk or hour of day,
+ * returned as JSON or downloaded as CSV/XLSX
+ */
+
+import express from 'express';
+import { query } from '../config/database.js';
+import { PERMISSIONS, hasPermission, canAccessBranch } from '../config/permissions.js';
+import appConfig from '../config/appConfig.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { REPORT_FORMATS, buildReportCSV, buildReportXLSX } from '../utils/reportExport.js';
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Grouping dimensions: the columns a report row is identified by and how rows are ordered.
+// Counter and clerk reports only cover tickets that were called to a counter.
+// breakKey groups counter breaks the same way; service and hour reports have no break time.
+const REPORT_GROUPS = {
+  branch: {
+    columns: [['q.branch_id', 'group_key'], ['b.name', 'group_label']],
+    orderBy: 'b.name',
+    breakKey: 'c.branch_id'
+  },
+  service: {
+    columns: [
+      ['COALESCE(q.target_service_id, q.service_id)', 'group_key'],
+      ["COALESCE(s.code || ' - ' || s.name, 'Genel Sıra')", 'group_label'],
+      ['b.name', 'branch_name']
+    ],
+    orderBy: "b.name, COALESCE(s.code || ' - ' || s.name, 'Genel Sıra')"
+  },
+  counter: {
+    columns: [['q.counter_id', 'group_key'], ["'Gişe ' || c.number", 'group_label'], ['b.name', 'branch_name'], ['c.number', 'counter_number']],
+    where: 'q.counter_id IS NOT NULL',
+    orderBy: 'b.name, c.number',
+    breakKey: 'cs.counter_id'
+  },
+  clerk: {
+    columns: [['cs.user_id', 'group_key'], ['u.username', 'group_label']],
+    where: 'cs.user_id IS NOT NULL',
+    orderBy: 'u.username',
+    breakKey: 'cs.user_id'
+  },
+  hour: {
+    columns: [['EXTRACT(HOUR FROM q.created_at)::integer', 'group_key'], ["LPAD(EXTRACT(HOUR FROM q.created_at)::text, 2, '0') || ':00'", 'group_label']],
+    orderBy: 'EXTRACT(HOUR FROM q.created_at)::integer'
+  }
+};
+
+/**
+ * Round a duration aggregate to whole seconds
+ * @param {string|number|null} value - Aggregate from the database
+ * @returns {number|null} Seconds
+ */
+const toSeconds = (value) => (value === null || value === undefined ? null : Math.round(Number(value)));
+
+/**
+ * Map a report row to the API shape
+ * @param {Object} row - Database row
+ * @param {Map<*, Object>|null} breaks - Break aggregates keyed by group key ('total' for the range), null if the grouping has none
+ * @returns {Object} Report row
+ */
+const formatReportRow = (row, breaks) => ({
+  key: row.group_key,
+  label: row.group_label,
+  branchName: row.branch_name || null,
+  issued: parseInt(row.issued),
+  served: parseInt(row.served),
+  noShows: parseInt(row.no_shows),
+  cancelled: parseInt(row.cancelled),
+  avgWaitTime: toSeconds(row.avg_wait_time),
+  medianWaitTime: toSeconds(row.median_wait_time),
+  p90WaitTime: toSeconds(row.p90_wait_time),
+  avgServiceTime: toSeconds(row.avg_service_time),
+  medianServiceTime: toSeconds(row.median_service_time),
+  p90ServiceTime: toSeconds(row.p90_service_time),
+  // Time counters were paused for breaks, kept out of the ticket figures above
+  breakTime: breaks ? toSeconds(breaks.get(row.is_total ? 'total' : row.group_key)?.break_time) || 0 : null
+});
+
+/**
+ * Sum the counter breaks that started in a date range per report group and for the whole range.
+ * Breaks still running count until now.
+ * @param {Object} group - Report grouping
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @param {number|null} branchId - Branch filter
+ * @returns {Promise<Map<*, Object>|null>} Break aggregates keyed by group key and 'total', null if the grouping has none
+ */
+const loadBreakTotals = async (group, from, to, branchId) => {
+  if (!group.breakKey) {
+    return null;
+  }
+
+  const breaksResult = await query(
+    `SELECT ${group.breakKey} as group_key,
+            GROUPING(${group.breakKey}) = 1 as is_total,
+            SUM(EXTRACT(EPOCH FROM COALESCE(cb.end_time, CURRENT_TIMESTAMP) - cb.start_time)) as break_time
+     FROM counter_breaks cb
+     JOIN counter_sessions cs ON cb.counter_session_id = cs.id
+     JOIN counters c ON cs.counter_id = c.id
+     WHERE cb.start_time >= $1::date AND cb.start_time < $2::date + 1
+           AND ($3::integer IS NULL OR c.branch_id = $3)
+     GROUP BY GROUPING SETS ((${group.breakKey}), ())`,
+    [from, to, branchId]
+  );
+
+  return new Map(breaksResult.rows.map(row => [row.is_total ? 'total' : row.group_key, row]));
+};
+
+/**
+ * Validate the date range of a report request, defaulting to the last days of the configured range
+ * @param {Object} params - Request query
+ * @returns {{from: string, to: string}} Inclusive date range
+ * @throws {AppError} If a date is malformed or the range is invalid
+ */
+const resolveDateRange = ({ from, to }) => {
+  const { defaultRangeDays, maxRangeDays } = appConfig.reports;
+  const toDate = to || new Date().toISOString().split('T')[0];
+  const fromDate = from || new Date(Date.parse(toDate) - (defaultRangeDays - 1) * DAY_MS).toISOString().split('T')[0];
+
+  if (!DATE_PATTERN.test(fromDate) || !DATE_PATTERN.test(toDate) || isNaN(Date.parse(fromDate)) || isNaN(Date.parse(toDate))) {
+    throw new AppError('Dates must be in YYYY-MM-DD format', 400);
+  }
+
+  const rangeDays = (Date.parse(toDate) - Date.parse(fromDate)) / DAY_MS + 1;
+
+  if (rangeDays < 1) {
+    throw new AppError('Start date must not be after end date', 400);
+  }
+
+  if (rangeDays > maxRangeDays) {
+    throw new AppError(`Date range cannot exceed ${maxRangeDays} days`, 400);
+  }
+
+  return { from: fromDate, to: toDate };
+};
+
+/**
+ * GET /api/reports/:groupBy
+ * Ticket statistics grouped by branch, service, counter, clerk or hour for a date range
+ * (?from=YYYY-MM-DD&to=YYYY-MM-DD, optional ?branchId=, ?format=json|csv|xlsx)
+ */
+router.get('/:groupBy', authenticate, authorize(PERMISSIONS.VIEW_REPORTS), asyncHandler(async (req, res) => {
+  const { groupBy } = req.params;
+  // Users limited to a branch report on their own branch by default
+  const branchId = req.query.branchId || (hasPermission(req.user.role, PERMISSIONS.ALL_BRANCHES) ? undefined : req.user.branch_id);
+  const format = req.query.format || 'json';
+  const group = REPORT_GROUPS[groupBy];
+
+  if (!group) {
+    throw new AppError(`Report grouping must be one of: ${Object.keys(REPORT_GROUPS).join(', ')}`, 400);
+  }
+
+  if (format !== 'json' && !REPORT_FORMATS[format]) {
+    throw new AppError('Report format must be json, csv or xlsx', 400);
+  }
+
+  if (branchId && !(parseInt(branchId) > 0)) {
+    throw new AppError('Branch ID must be a positive integer', 400);
+  }
+
+  if (!canAccessBranch(req.user, branchId)) {
+    throw new AppError('Access denied to this branch', 403);
+  }
+
+  const { from, to } = resolveDateRange(req.query);
+
+  let branchName = null;
+  if (branchId) {
+    const branchResult = await query('SELECT name FROM branches WHERE id = $1', [branchId]);
+
+    if (branchResult.rows.length === 0) {
+      throw new AppError('Branch not found', 404);
+    }
+
+    branchName = branchResult.rows[0].name;
+  }
+
+  const groupExpressions = group.columns.map(([expression]) => expression).join(', ');
+
+  // The empty grouping set adds the totals row of the whole range
+  const reportResult = await query(
+    `SELECT ${group.columns.map(([expression, alias]) => `${expression} as ${alias}`).join(', ')},
+            GROUPING(${group.columns[0][0]}) = 1 as is_total,
+            COUNT(*) as issued,
+            COUNT(*) FILTER (WHERE q.status = 'completed') as served,
+            COUNT(*) FILTER (WHERE q.status = 'no_show') as no_shows,
+            COUNT(*) FILTER (WHERE q.status = 'cancelled') as cancelled,
+            AVG(q.wait_duration) as avg_wait_time,
+            PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY q.wait_duration) as median_wait_time,
+            PERCENTILE_CONT(0.9) WITHIN GROUP (ORDER BY q.wait_duration) as p90_wait_time,
+            AVG(q.service_duration) FILTER (WHERE q.status = 'completed') as avg_service_time,
+            PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY q.service_duration) FILTER (WHERE q.status = 'completed') as median_service_time,
+            PERCENTILE_CONT(0.9) WITHIN GROUP (ORDER BY q.service_duration) FILTER (WHERE q.status = 'completed') as p90_service_time
+     FROM queue q
+     JOIN branches b ON q.branch_id = b.id
+     LEFT JOIN services s ON s.id = COALESCE(q.target_service_id, q.service_id)
+     LEFT JOIN counters c ON q.counter_id = c.id
+     LEFT JOIN counter_sessions cs ON q.counter_session_id = cs.id
+     LEFT JOIN users u ON cs.user_id = u.id
+     WHERE q.created_at >= $1::date AND q.created_at < $2::date + 1
+           AND ($3::integer IS NULL OR q.branch_id = $3)
+           ${group.where ? `AND ${group.where}` : ''}
+     GROUP BY GROUPING SETS ((${groupExpressions}), ())
+     ORDER BY is_total, ${group.orderBy}`,
+    [from, to, branchId || null]
+  );
+
+  const totalRow = reportResult.rows.find(row => row.is_total);
+  const breaks = await loadBreakTotals(group, from, to, branchId || null);
+
+  const report = {
+    groupBy,
+    from,
+    to,
+    branchId: branchId ? parseInt(branchId) : null,
+    branchName,
+    rows: reportResult.rows.filter(row => !row.is_total).map(row => formatReportRow(row, breaks)),
+    // Without any ticket in range the totals row is the only row and its counts are zero
+    totals: formatReportRow(totalRow, breaks)
+  };
+
+  if (format === 'json') {
+    return res.status(200).json({
+      success: true,
+      data: report
+    });
+  }
+
+  const { contentType, extension } = REPORT_FORMATS[format];
+  const content = format === 'csv' ? buildReportCSV(report) : await buildReportXLSX(report);
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="rapor-${groupBy}-${from}-${to}.${extension}"`);
+  res.status(200).send(content);
+}));
+
+export default router;
@@ -0,0 +1,248 @@
+/**
+ * Service Routes
+ * Handles service lines (account opening, cash desk, etc.) offered by each branch
+ */
+
+import express from 'express';
+import { query } from '../config/database.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { authenticate, authorize, optionalAuth, restrictDevice } from '../middleware/auth.js';
+import { auditTrail } from '../middleware/audit.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+/**
+ * Check that a service code fits the ticket prefix: 1-5 letters or digits
+ * @param {*} code - Service code from the request body
+ * @throws {AppError} If the code is invalid
+ */
+const assertValidServiceCode = (code) => {
+  if (typeof code !== 'string' || !/^[A-Za-z0-9]{1,5}$/.test(code)) {
+    throw new AppError('Service code must be 1 to 5 letters or digits', 400);
+  }
+};
+
+/**
+ * GET /api/services/:branchId
+ * Get active services for a branch with their waiting counts
+ */
+router.get('/:branchId', optionalAuth, restrictDevice('kiosk', 'display'), asyncHandler(async (req, res) => {
+  const { branchId } = req.params;
+
+  // Verify branch exists
+  const branchResult = await query(
+    'SELECT id FROM branches WHERE id = $1 AND is_active = true',
+    [branchId]
+  );
+
+  if (branchResult.rows.length === 0) {
+    throw new AppError('Branch not found', 404);
+  }
+
+  const today = new Date().toISOString().split('T')[0];
+
+  const servicesResult = await query(
+    `SELECT s.id, s.branch_id, s.name, s.code, s.display_order, s.is_active,
+            COUNT(q.id) as waiting_count
+     FROM services s
+     LEFT JOIN queue q ON COALESCE(q.target_service_id, q.service_id) = s.id
+                         AND q.status = 'waiting' AND DATE(q.created_at) = $2
+     WHERE s.branch_id = $1 AND s.is_active = true
+     GROUP BY s.id
+     ORDER BY s.display_order ASC, s.code ASC`,
+    [branchId, today]
+  );
+
+  res.status(200).json({
+    success: true,
+    data: servicesResult.rows.map(service => ({
+      id: service.id,
+      branchId: service.branch_id,
+      name: service.name,
+      code: service.code,
+      displayOrder: service.display_order,
+      isActive: service.is_active,
+      waitingCount: parseInt(service.waiting_count) || 0
+    }))
+  });
+}));
+
+/**
+ * POST /api/services
+ * Create new service for a branch (admin only)
+ */
+router.post('/', authenticate, authorize(PERMISSIONS.MANAGE_SERVICES), auditTrail('service', 'create'), asyncHandler(async (req, res) => {
+  const { branchId, name, code, displayOrder } = req.body;
+
+  if (!branchId || !name || !code) {
+    throw new AppError('Branch ID, service name and code are required', 400);
+  }
+
+  assertValidServiceCode(code);
+
+  // Check if branch exists
+  const branchResult = await query(
+    'SELECT id FROM branches WHERE id = $1 AND is_active = true',
+    [branchId]
+  );
+
+  if (branchResult.rows.length === 0) {
+    throw new AppError('Branch not found', 404);
+  }
+
+  // Check if service code already exists in this branch
+  const existingServiceResult = await query(
+    'SELECT id FROM services WHERE branch_id = $1 AND code = $2',
+    [branchId, code]
+  );
+
+  if (existingServiceResult.rows.length > 0) {
+    throw new AppError('Service code already exists in this branch', 409);
+  }
+
+  const serviceResult = await query(
+    `INSERT INTO services (branch_id, name, code, display_order, is_active)
+     VALUES ($1, $2, $3, $4, true)
+     RETURNING id, branch_id, name, code, display_order, is_active, created_at`,
+    [branchId, name, code, displayOrder || 0]
+  );
+
+  const newService = serviceResult.rows[0];
+
+  res.status(201).json({
+    success: true,
+    message: 'Service created successfully',
+    data: {
+      id: newService.id,
+      branchId: newService.branch_id,
+      name: newService.name,
+      code: newService.code,
+      displayOrder: newService.display_order,
+      isActive: newService.is_active,
+      createdAt: newService.created_at
+    }
+  });
+}));
+
+/**
+ * PUT /api/services/:id
+ * Update service (admin only)
+ */
+router.put('/:id', authenticate, authorize(PERMISSIONS.MANAGE_SERVICES), auditTrail('service', 'update'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { name, code, displayOrder, isActive } = req.body;
+
+  if (code !== undefined && code !== null) {
+    assertValidServiceCode(code);
+  }
+
+  // Check if service exists
+  const existingServiceResult = await query(
+    'SELECT id, branch_id, code FROM services WHERE id = $1',
+    [id]
+  );
+
+  if (existingServiceResult.rows.length === 0) {
+    throw new AppError('Service not found', 404);
+  }
+
+  const existingService = existingServiceResult.rows[0];
+
+  // Check if new code already exists in this branch (if code is being changed)
+  if (code && code !== existingService.code) {
+    const duplicateResult = await query(
+      'SELECT id FROM services WHERE branch_id = $1 AND code = $2 AND id != $3',
+      [existingService.branch_id, code, id]
+    );
+
+    if (duplicateResult.rows.length > 0) {
+      throw new AppError('Service code already exists in this branch', 409);
+    }
+  }
+
+  const updateResult = await query(
+    `UPDATE services
+     SET name = COALESCE($1, name),
+         code = COALESCE($2, code),
+         display_order = COALESCE($3, display_order),
+         is_active = COALESCE($4, is_active),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $5
+     RETURNING id, branch_id, name, code, display_order, is_active, updated_at`,
+    [name, code, displayOrder, isActive, id]
+  );
+
+  const updatedService = updateResult.rows[0];
+
+  res.status(200).json({
+    success: true,
+    message: 'Service updated successfully',
+    data: {
+      id: updatedService.id,
+      branchId: updatedService.branch_id,
+      name: updatedService.name,
+      code: updatedService.code,
+      displayOrder: updatedService.display_order,
+      isActive: updatedService.is_active,
+      updatedAt: updatedService.updated_at
+    }
+  });
+}));
+
+/**
+ * DELETE /api/services/:id
+ * Delete service (admin only)
+ */
+router.delete('/:id', authenticate, authorize(PERMISSIONS.MANAGE_SERVICES), auditTrail('service', 'delete'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  // Check if service exists
+  const serviceResult = await query(
+    'SELECT id FROM services WHERE id = $1',
+    [id]
+  );
+
+  if (serviceResult.rows.length === 0) {
+    throw new AppError('Service not found', 404);
+  }
+
+  // Check for waiting customers in this service line
+  const waitingResult = await query(
+    'SELECT COUNT(*) as waiting_count FROM queue WHERE service_id = $1 AND status IN ($2, $3, $4)',
+    [id, 'waiting', 'called', 'serving']
+  );
+
+  if (parseInt(waitingResult.rows[0].waiting_count) > 0) {
+    throw new AppError('Cannot delete service with active queue items', 400);
+  }
+
+  // Check for queue history
+  const queueHistoryResult = await query(
+    'SELECT COUNT(*) as queue_count FROM queue WHERE service_id = $1',
+    [id]
+  );
+
+  if (parseInt(queueHistoryResult.rows[0].queue_count) > 0) {
+    // Soft delete by deactivating
+    await query(
+      'UPDATE services SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [id]
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Service deactivated successfully (has queue history)'
+    });
+  } else {
+    // Hard delete if no history
+    await query('DELETE FROM services WHERE id = $1', [id]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Service deleted successfully'
+    });
+  }
+}));
+
+export default router;
@@ -4,25 +4,72 @@
  */
 
 import express from 'express';
-import bcrypt from 'bcryptjs';
-import { query } from '../config/database.js';
+import { query, transaction } from '../config/database.js';
 import { authenticate, authorize } from '../middleware/auth.js';
+import { auditTrail } from '../middleware/audit.js';
+import { revokeUserSessions } from '../utils/authSessions.js';
+import { disableTwoFactor } from '../utils/twoFactor.js';
+import { assertPasswordStrength, assertPasswordNotReused, hashPassword, setUserPassword } from '../utils/passwordPolicy.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { USER_ROLES, PERMISSIONS, hasPermission, getAssignableRoles, canAccessBranch, requiresBranch } from '../config/permissions.js';
 
 const router = express.Router();
 
+/**
+ * Check that the signed-in user may manage an account. Without the manage admins
+ * permission only the clerks of the user's own branch can be managed.
+ * @param {Object} actor - Signed-in user
+ * @param {Object} target - User row being managed (role, branch_id)
+ * @throws {AppError} If the account is out of reach
+ */
+const assertCanManageUser = (actor, target) => {
+  if (hasPermission(actor.role, PERMISSIONS.MANAGE_ADMINS)) {
+    return;
+  }
+
+  if (target.role !== 'clerk' || !canAccessBranch(actor, target.branch_id)) {
+    throw new AppError('Access denied to this user', 403);
+  }
+};
+
+/**
+ * Check that the signed-in user may give an account a role and branch
+ * @param {Object} actor - Signed-in user
+ * @param {string|undefined} role - Requested role
+ * @param {number|undefined} branchId - Requested branch
+ * @throws {AppError} If the role or branch can not be assigned
+ */
+const assertCanAssign = (actor, role, branchId) => {
+  if (hasPermission(actor.role, PERMISSIONS.MANAGE_ADMINS)) {
+    return;
+  }
+
+  if (role && !getAssignableRoles(actor.role).includes(role)) {
+    throw new AppError('Insufficient permissions to assign this role', 403);
+  }
+
+  if (branchId && !canAccessBranch(actor, branchId)) {
+    throw new AppError('Access denied to this branch', 403);
+  }
+};
+
 /**
  * GET /api/users
- * Get all users (admin only)
+ * Get all users (branch managers see the users of their own branch)
  */
-router.get('/', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+router.get('/', authenticate, authorize(PERMISSIONS.MANAGE_USERS), asyncHandler(async (req, res) => {
+  const branchScope = hasPermission(req.user.role, PERMISSIONS.ALL_BRANCHES) ? null : req.user.branch_id;
+
   const usersResult = await query(
     `SELECT u.id, u.username, u.role, u.branch_id, u.is_active, 
-            u.created_at, u.last_login,
+            u.must_change_password, u.totp_enabled, u.created_at, u.last_login,
+            CASE WHEN u.locked_until > CURRENT_TIMESTAMP THEN u.locked_until END as locked_until,
             b.name as branch_name
      FROM users u
      LEFT JOIN branches b ON u.branch_id = b.id
-     ORDER BY u.created_at DESC`
+     WHERE $1::integer IS NULL OR u.branch_id = $1
+     ORDER BY u.created_at DESC`,
+    [branchScope]
   );
 
   res.status(200).json({
@@ -34,6 +81,9 @@ router.get('/', authenticate, authorize('admin'), asyncHandler(async (req, res)
       branchId: user.branch_id,
       branchName: user.branch_name,
       isActive: user.is_active,
+      mustChangePassword: user.must_change_password,
+      twoFactorEnabled: user.totp_enabled,
+      lockedUntil: user.locked_until,
       createdAt: user.created_at,
       lastLogin: user.last_login
     }))
@@ -42,14 +92,15 @@ router.get('/', authenticate, authorize('admin'), asyncHandler(async (req, res)
 
 /**
  * GET /api/users/:id
- * Get user by ID (admin only)
+ * Get user by ID (branch managers only within their own branch)
  */
-router.get('/:id', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+router.get('/:id', authenticate, authorize(PERMISSIONS.MANAGE_USERS), asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   const userResult = await query(
     `SELECT u.id, u.username, u.role, u.branch_id, u.is_active, 
-            u.created_at, u.updated_at, u.last_login,
+            u.must_change_password, u.totp_enabled, u.created_at, u.updated_at, u.last_login,
+            CASE WHEN u.locked_until > CURRENT_TIMESTAMP THEN u.locked_until END as locked_until,
             b.name as branch_name, b.address as branch_address
      FROM users u
      LEFT JOIN branches b ON u.branch_id = b.id
@@ -63,6 +114,10 @@ router.get('/:id', authenticate, authorize('admin'), asyncHandler(async (req, re
 
   const user = userResult.rows[0];
 
+  if (!canAccessBranch(req.user, user.branch_id)) {
+    throw new AppError('Access denied to this user', 403);
+  }
+
   res.status(200).json({
     success: true,
     data: {
@@ -73,6 +128,9 @@ router.get('/:id', authenticate, authorize('admin'), asyncHandler(async (req, re
       branchName: user.branch_name,
       branchAddress: user.branch_address,
       isActive: user.is_active,
+      mustChangePassword: user.must_change_password,
+      twoFactorEnabled: user.totp_enabled,
+      lockedUntil: user.locked_until,
       createdAt: user.created_at,
       updatedAt: user.updated_at,
       lastLogin: user.last_login
@@ -82,28 +140,31 @@ router.get('/:id', authenticate, authorize('admin'), asyncHandler(async (req, re
 
 /**
  * POST /api/users
- * Create new user (admin only)
+ * Create new user (branch managers can only create clerks of their own branch)
+ * The password is temporary, the user has to change it at the first login
  */
-router.post('/', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
-  const { username, password, role, branchId } = req.body;
+router.post('/', authenticate, authorize(PERMISSIONS.MANAGE_USERS), auditTrail('user', 'create'), asyncHandler(async (req, res) => {
+  const { username, password, role } = req.body;
+  const branchId = req.body.branchId ||
+    (hasPermission(req.user.role, PERMISSIONS.ALL_BRANCHES) ? null : req.user.branch_id);
 
   // Validate input
   if (!username || !password || !role) {
     throw new AppError('Username, password, and role are required', 400);
   }
 
-  if (password.length < 6) {
-    throw new AppError('Password must be at least 6 characters long', 400);
-  }
+  assertPasswordStrength(password);
 
-  if (!['admin', 'clerk'].includes(role)) {
-    throw new AppError('Role must be either admin or clerk', 400);
+  if (!USER_ROLES.includes(role)) {
+    throw new AppError(`Role must be one of: ${USER_ROLES.join(', ')}`, 400);
   }
 
-  if (role === 'clerk' && !branchId) {
-    throw new AppError('Branch ID is required for clerk role', 400);
+  if (requiresBranch(role) && !branchId) {
+    throw new AppError(`Branch ID is required for ${role} role`, 400);
   }
 
+  assertCanAssign(req.user, role, branchId);
+
   // Check if username already exists
   const existingUserResult = await query(
     'SELECT id FROM users WHERE username = $1',
@@ -127,14 +188,13 @@ router.post('/', authenticate, authorize('admin'), asyncHandler(async (req, res)
   }
 
   // Hash password
-  const saltRounds = 12;
-  const passwordHash = await bcrypt.hash(password, saltRounds);
+  const passwordHash = await hashPassword(password);
 
   // Create user
   const userResult = await query(
-    `INSERT INTO users (username, password_hash, role, branch_id, is_active)
-     VALUES ($1, $2, $3, $4, true)
-     RETURNING id, username, role, branch_id, is_active, created_at`,
+    `INSERT INTO users (username, password_hash, role, branch_id, is_active, must_change_password)
+     VALUES ($1, $2, $3, $4, true, true)
+     RETURNING id, username, role, branch_id, is_active, must_change_password, created_at`,
     [username, passwordHash, role, branchId || null]
   );
 
@@ -160,6 +220,7 @@ router.post('/', authenticate, authorize('admin'), asyncHandler(async (req, res)
       branchId: newUser.branch_id,
       branchName,
       isActive: newUser.is_active,
+      mustChangePassword: newUser.must_change_password,
       createdAt: newUser.created_at
     }
   });
@@ -167,15 +228,15 @@ router.post('/', authenticate, authorize('admin'), asyncHandler(async (req, res)
 
 /**
  * PUT /api/users/:id
- * Update user (admin only)
+ * Update user (branch managers only for clerks of their own branch)
  */
-router.put('/:id', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+router.put('/:id', authenticate, authorize(PERMISSIONS.MANAGE_USERS), auditTrail('user', 'update'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { username, role, branchId, isActive } = req.body;
 
   // Check if user exists
   const existingUserResult = await query(
-    'SELECT id, username, role FROM users WHERE id = $1',
+    'SELECT id, username, role, branch_id FROM users WHERE id = $1',
     [id]
   );
 
@@ -185,19 +246,22 @@ router.put('/:id', authenticate, authorize('admin'), asyncHandler(async (req, re
 
   const existingUser = existingUserResult.rows[0];
 
+  assertCanManageUser(req.user, existingUser);
+  assertCanAssign(req.user, role, branchId);
+
   // Prevent admin from deactivating themselves
   if (req.user.id === parseInt(id) && isActive === false) {
     throw new AppError('Cannot deactivate your own account', 400);
   }
 
   // Validate role if provided
-  if (role && !['admin', 'clerk'].includes(role)) {
-    throw new AppError('Role must be either admin or clerk', 400);
+  if (role && !USER_ROLES.includes(role)) {
+    throw new AppError(`Role must be one of: ${USER_ROLES.join(', ')}`, 400);
   }
 
-  // Validate branch if role is clerk
-  if (role === 'clerk' && !branchId) {
-    throw new AppError('Branch ID is required for clerk role', 400);
+  // Validate branch if the role is limited to one branch
+  if (role && requiresBranch(role) && !branchId) {
+    throw new AppError(`Branch ID is required for ${role} role`, 400);
   }
 
   // Check if new username already exists (if username is being changed)
@@ -239,6 +303,11 @@ router.put('/:id', authenticate, authorize('admin'), asyncHandler(async (req, re
 
   const updatedUser = updateResult.rows[0];
 
+  // A deactivated user is signed out everywhere
+  if (!updatedUser.is_active) {
+    await revokeUserSessions(updatedUser.id, 'deactivated');
+  }
+
   // Get branch name if applicable
   let branchName = null;
   if (updatedUser.branch_id) {
@@ -266,9 +335,9 @@ router.put('/:id', authenticate, authorize('admin'), asyncHandler(async (req, re
 
 /**
  * DELETE /api/users/:id
- * Delete user (admin only)
+ * Delete user (branch managers only for clerks of their own branch)
  */
-router.delete('/:id', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+router.delete('/:id', authenticate, authorize(PERMISSIONS.MANAGE_USERS), auditTrail('user', 'delete'), asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   // Prevent admin from deleting themselves
@@ -278,7 +347,7 @@ router.delete('/:id', authenticate, authorize('admin'), asyncHandler(async (req,
 
   // Check if user exists
   const userResult = await query(
-    'SELECT id, username FROM users WHERE id = $1',
+    'SELECT id, username, role, branch_id FROM users WHERE id = $1',
     [id]
   );
 
@@ -286,11 +355,14 @@ router.delete('/:id', authenticate, authorize('admin'), asyncHandler(async (req,
     throw new AppError('User not found', 404);
   }
 
+  assertCanManageUser(req.user, userResult.rows[0]);
+
   // Soft delete by deactivating the user
   await query(
     'UPDATE users SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
     [id]
   );
+  await revokeUserSessions(id, 'deactivated');
 
   res.status(200).json({
     success: true,
@@ -300,9 +372,10 @@ router.delete('/:id', authenticate, authorize('admin'), asyncHandler(async (req,
 
 /**
  * POST /api/users/:id/reset-password
- * Reset user password (admin only)
+ * Reset user password (branch managers only for clerks of their own branch)
+ * The new password is temporary and unlocks an account locked by failed logins
  */
-router.post('/:id/reset-password', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+router.post('/:id/reset-password', authenticate, authorize(PERMISSIONS.MANAGE_USERS), auditTrail('user', 'reset_password'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { newPassword } = req.body;
 
@@ -310,13 +383,11 @@ router.post('/:id/reset-password', authenticate, authorize('admin'), asyncHandle
     throw new AppError('New password is required', 400);
   }
 
-  if (newPassword.length < 6) {
-    throw new AppError('Password must be at least 6 characters long', 400);
-  }
+  assertPasswordStrength(newPassword);
 
   // Check if user exists
   const userResult = await query(
-    'SELECT id, username FROM users WHERE id = $1',
+    'SELECT id, username, role, branch_id FROM users WHERE id = $1',
     [id]
   );
 
@@ -324,15 +395,14 @@ router.post('/:id/reset-password', authenticate, authorize('admin'), asyncHandle
     throw new AppError('User not found', 404);
   }
 
-  // Hash new password
-  const saltRounds = 12;
-  const passwordHash = await bcrypt.hash(newPassword, saltRounds);
+  assertCanManageUser(req.user, userResult.rows[0]);
 
-  // Update password
-  await query(
-    'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-    [passwordHash, id]
-  );
+  await assertPasswordNotReused(id, newPassword);
+
+  await transaction(async (client) => {
+    await setUserPassword(id, newPassword, true, client);
+    await revokeUserSessions(id, 'password_reset', null, client);
+  });
 
   res.status(200).json({
     success: true,
@@ -340,4 +410,35 @@ router.post('/:id/reset-password', authenticate, authorize('admin'), asyncHandle
   });
 }));
 
+/**
+ * POST /api/users/:id/reset-two-factor
+ * Turn off two-factor authentication of a user who lost the authenticator and the recovery codes
+ * (branch managers only for clerks of their own branch). Roles that require 2FA enrol again at next login.
+ */
+router.post('/:id/reset-two-factor', authenticate, authorize(PERMISSIONS.MANAGE_USERS), auditTrail('user', 'reset_two_factor'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  // Check if user exists
+  const userResult = await query(
+    'SELECT id, username, role, branch_id FROM users WHERE id = $1',
+    [id]
+  );
+
+  if (userResult.rows.length === 0) {
+    throw new AppError('User not found', 404);
+  }
+
+  assertCanManageUser(req.user, userResult.rows[0]);
+
+  await transaction(async (client) => {
+    await disableTwoFactor(id, client);
+    await revokeUserSessions(id, 'two_factor_reset', null, client);
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication reset successfully'
+  });
+}));
+
 export default router;
\ No newline at end of file
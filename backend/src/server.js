@@ -17,11 +17,20 @@ import userRoutes from './routes/users.js';
 import branchRoutes from './routes/branches.js';
 import counterRoutes from './routes/counters.js';
 import queueRoutes from './routes/queue.js';
+import serviceRoutes from './routes/services.js';
+import eventRoutes from './routes/events.js';
+import appointmentRoutes from './routes/appointments.js';
+import deviceRoutes from './routes/devices.js';
+import reportRoutes from './routes/reports.js';
+import auditRoutes from './routes/audit.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
 import { logger } from './middleware/logger.js';
 
+// Import background jobs
+import { startNoShowExpiry } from './utils/noShowExpiry.js';
+
 const app = express();
 const PORT = appConfig.server.port;
 
@@ -33,7 +42,8 @@ app.use(cors({
   origin: appConfig.cors.allowedOrigins,
   credentials: appConfig.cors.credentials,
   methods: appConfig.cors.methods,
-  allowedHeaders: appConfig.cors.allowedHeaders
+  allowedHeaders: appConfig.cors.allowedHeaders,
+  exposedHeaders: appConfig.cors.exposedHeaders
 }));
 
 // Rate limiting
@@ -63,6 +73,12 @@ app.use('/api/users', userRoutes);
 app.use('/api/branches', branchRoutes);
 app.use('/api/counters', counterRoutes);
 app.use('/api/queue', queueRoutes);
+app.use('/api/services', serviceRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/appointments', appointmentRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/audit', auditRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -83,6 +99,9 @@ app.listen(PORT, () => {
   console.log(`🔗 Allowed CORS Origins: ${appConfig.cors.allowedOrigins.join(', ')}`);
 });
 
+// Close timed-out calls even when no clerk is calling the next customer
+startNoShowExpiry();
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
@@ -0,0 +1,175 @@
+/**
+ * Auth Sessions
+ * Server-side sign-in sessions with rotating refresh tokens. Access tokens carry the
+ * session ID, so revoking a session also stops its short-lived access token.
+ */
+
+import crypto from 'crypto';
+import { query, transaction } from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// Two tabs may refresh with the same token at once; the loser of that race is not treated as theft
+const REUSE_GRACE_SECONDS = 30;
+
+/**
+ * Hash a refresh token for storage, only the hash is kept in the database
+ * @param {string} refreshToken - Refresh token
+ * @returns {string} Hex SHA-256 hash
+ */
+const hashToken = (refreshToken) => crypto.createHash('sha256').update(refreshToken).digest('hex');
+
+/**
+ * Generate a random refresh token
+ * @returns {string} URL-safe refresh token
+ */
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+/**
+ * Start a session for a user who just signed in
+ * @param {number} userId - User ID
+ * @param {Object} req - Express request object, for the client address and user agent
+ * @returns {Promise<{sessionId: number, refreshToken: string}>} New session
+ */
+export const createAuthSession = async (userId, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const sessionResult = await query(
+    `INSERT INTO auth_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(days => $5))
+     RETURNING id`,
+    [
+      userId,
+      hashToken(refreshToken),
+      req.get('user-agent')?.slice(0, 255) || null,
+      req.ip || null,
+      REFRESH_TOKEN_EXPIRES_DAYS
+    ]
+  );
+
+  return { sessionId: sessionResult.rows[0].id, refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new one. Each refresh token can be used once; presenting
+ * an already rotated token again means it was copied, so the whole session is revoked.
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<{sessionId: number, refreshToken: string, user: Object}>} Session, new refresh token and its user
+ * @throws {AppError} If the token is unknown, expired, revoked or reused
+ */
+export const rotateAuthSession = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+
+  // Revocations are returned instead of thrown, so they are committed before the request is rejected
+  const result = await transaction(async (client) => {
+    const sessionResult = await client.query(
+      `SELECT s.id, s.user_id, s.refresh_token_hash, s.revoked_at,
+              s.expires_at < CURRENT_TIMESTAMP as expired,
+              s.last_used_at > CURRENT_TIMESTAMP - make_interval(secs => $2) as recently_rotated,
+              u.username, u.role, u.branch_id, u.is_active, u.must_change_password, u.totp_enabled,
+              b.name as branch_name
+       FROM auth_sessions s
+       JOIN users u ON s.user_id = u.id
+       LEFT JOIN branches b ON u.branch_id = b.id
+       WHERE s.refresh_token_hash = $1 OR s.previous_token_hash = $1
+       FOR UPDATE OF s`,
+      [tokenHash, REUSE_GRACE_SECONDS]
+    );
+
+    if (sessionResult.rows.length === 0) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    const session = sessionResult.rows[0];
+
+    if (session.revoked_at || session.expired) {
+      throw new AppError('Session has expired or been revoked', 401);
+    }
+
+    if (session.refresh_token_hash !== tokenHash) {
+      if (session.recently_rotated) {
+        throw new AppError('Refresh token was already rotated', 401);
+      }
+
+      await revokeAuthSession(session.id, 'token_reuse', client);
+      return { rejection: 'Refresh token was already used, session revoked' };
+    }
+
+    if (!session.is_active) {
+      await revokeAuthSession(session.id, 'deactivated', client);
+      return { rejection: 'Account is deactivated' };
+    }
+
+    const nextRefreshToken = generateRefreshToken();
+
+    await client.query(
+      `UPDATE auth_sessions
+       SET previous_token_hash = refresh_token_hash,
+           refresh_token_hash = $1,
+           last_used_at = CURRENT_TIMESTAMP,
+           expires_at = CURRENT_TIMESTAMP + make_interval(days => $2)
+       WHERE id = $3`,
+      [hashToken(nextRefreshToken), REFRESH_TOKEN_EXPIRES_DAYS, session.id]
+    );
+
+    return {
+      sessionId: session.id,
+      refreshToken: nextRefreshToken,
+      user: {
+        id: session.user_id,
+        username: session.username,
+        role: session.role,
+        branch_id: session.branch_id,
+        branch_name: session.branch_name,
+        must_change_password: session.must_change_password,
+        totp_enabled: session.totp_enabled
+      }
+    };
+  });
+
+  if (result.rejection) {
+    throw new AppError(result.rejection, 401);
+  }
+
+  return result;
+};
+
+/**
+ * Revoke one session
+ * @param {number} sessionId - Session ID
+ * @param {string} reason - Why the session ended, e.g. 'logout'
+ * @param {Object} db - Query executor, a transaction client or the pool helper (default)
+ */
+export const revokeAuthSession = async (sessionId, reason, db = { query }) => {
+  await db.query(
+    `UPDATE auth_sessions
+     SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+     WHERE id = $1 AND revoked_at IS NULL`,
+    [sessionId, reason]
+  );
+};
+
+/**
+ * Revoke every open session of a user, e.g. after a password change or deactivation
+ * @param {number} userId - User ID
+ * @param {string} reason - Why the sessions ended
+ * @param {number|null} exceptSessionId - Session to keep open, e.g. the one changing the password
+ * @param {Object} db - Query executor, a transaction client or the pool helper (default)
+ */
+export const revokeUserSessions = async (userId, reason, exceptSessionId = null, db = { query }) => {
+  await db.query(
+    `UPDATE auth_sessions
+     SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL
+           AND ($3::integer IS NULL OR id <> $3)`,
+    [userId, reason, exceptSessionId]
+  );
+};
+
+export default {
+  createAuthSession,
+  rotateAuthSession,
+  revokeAuthSession,
+  revokeUserSessions
+};
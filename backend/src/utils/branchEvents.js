@@ -0,0 +1,86 @@
+/**
+ * Branch Events
+ * In-process publish/subscribe hub that pushes queue events to clients over Server-Sent Events
+ */
+
+// branchId -> Set of open SSE responses
+const subscribers = new Map();
+
+/**
+ * Write one SSE message to a client
+ * @param {Object} res - Express response object of an open SSE stream
+ * @param {Object} event - Event payload
+ */
+const writeEvent = (res, event) => {
+  res.write(`data: ${JSON.stringify(event)}\n\n`);
+};
+
+/**
+ * Register an open SSE response for a branch
+ * @param {number} branchId - Branch ID
+ * @param {Object} res - Express response object
+ * @returns {Function} Function that removes the subscription
+ */
+export const subscribe = (branchId, res) => {
+  const key = parseInt(branchId);
+
+  if (!subscribers.has(key)) {
+    subscribers.set(key, new Set());
+  }
+
+  subscribers.get(key).add(res);
+
+  return () => {
+    const branchSubscribers = subscribers.get(key);
+    if (!branchSubscribers) return;
+
+    branchSubscribers.delete(res);
+    if (branchSubscribers.size === 0) {
+      subscribers.delete(key);
+    }
+  };
+};
+
+/**
+ * Push an event to every client subscribed to a branch
+ * @param {number} branchId - Branch ID
+ * @param {string} type - Event type (e.g. 'ticket-called')
+ * @param {Object} data - Event data
+ */
+export const publishBranchEvent = (branchId, type, data = {}) => {
+  const branchSubscribers = subscribers.get(parseInt(branchId));
+
+  if (!branchSubscribers || branchSubscribers.size === 0) {
+    return;
+  }
+
+  const event = {
+    type,
+    branchId: parseInt(branchId),
+    data,
+    timestamp: new Date().toISOString()
+  };
+
+  for (const res of branchSubscribers) {
+    try {
+      writeEvent(res, event);
+    } catch (error) {
+      console.error('❌ Failed to push branch event:', error.message);
+    }
+  }
+};
+
+/**
+ * Get number of connected clients for a branch
+ * @param {number} branchId - Branch ID
+ * @returns {number} Subscriber count
+ */
+export const getSubscriberCount = (branchId) => {
+  return subscribers.get(parseInt(branchId))?.size || 0;
+};
+
+export default {
+  subscribe,
+  publishBranchEvent,
+  getSubscriberCount
+};
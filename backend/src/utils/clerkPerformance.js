@@ -0,0 +1,202 @@
+/**
+ * Clerk Performance
+ * Daily and weekly work statistics of a clerk and of their branch from counter sessions
+ * and the tickets called during them
+ */
+
+import { query } from '../config/database.js';
+
+// Filters a performance scope may use, keyed by scope type
+const SCOPE_COLUMNS = {
+  clerk: 'cs.user_id',
+  branch: 'c.branch_id'
+};
+
+/**
+ * Load ticket and session aggregates of a scope per day, per week and for the whole range
+ * @param {string} scope - clerk or branch
+ * @param {number} id - User ID or branch ID
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @param {Object} db - Query executor (default: pool helper)
+ * @returns {Promise<{tickets: Array, sessions: Array}>} Aggregate rows
+ */
+const loadAggregates = async (scope, id, from, to, db) => {
+  const column = SCOPE_COLUMNS[scope];
+
+  // Idle time is the gap between the previous ticket of the session (or the session start)
+  // and the next call, less the breaks taken in it; busy time runs from the call until the ticket is closed
+  const ticketsResult = await db.query(
+    `WITH calls AS (
+       SELECT q.status, q.service_duration, q.counter_session_id, q.called_at, q.completed_at, cs.user_id,
+              COALESCE(
+                LAG(q.completed_at) OVER (PARTITION BY q.counter_session_id ORDER BY q.called_at),
+                cs.start_time
+              ) as idle_since
+       FROM queue q
+       JOIN counter_sessions cs ON q.counter_session_id = cs.id
+       JOIN counters c ON cs.counter_id = c.id
+       WHERE ${column} = $1 AND q.status IN ('completed', 'no_show') AND q.called_at IS NOT NULL
+             AND q.completed_at >= $2::date AND q.completed_at < $3::date + 1
+     ),
+     tickets AS (
+       SELECT status, service_duration, user_id,
+              TO_CHAR(completed_at, 'YYYY-MM-DD') as day,
+              TO_CHAR(DATE_TRUNC('week', completed_at), 'YYYY-MM-DD') as week,
+              EXTRACT(EPOCH FROM completed_at - called_at) as busy_seconds,
+              GREATEST(EXTRACT(EPOCH FROM called_at - idle_since) - COALESCE((
+                SELECT SUM(EXTRACT(EPOCH FROM cb.end_time - cb.start_time))
+                FROM counter_breaks cb
+                WHERE cb.counter_session_id = calls.counter_session_id
+                      AND cb.start_time >= idle_since AND cb.end_time <= called_at
+              ), 0), 0) as idle_seconds
+       FROM calls
+     )
+     SELECT day, week, GROUPING(day) as all_days, GROUPING(week) as all_weeks,
+            COUNT(DISTINCT user_id) as clerks,
+            COUNT(*) FILTER (WHERE status = 'completed') as served,
+            COUNT(*) FILTER (WHERE status = 'no_show') as no_shows,
+            AVG(service_duration) FILTER (WHERE status = 'completed') as avg_service_time,
+            PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY service_duration) FILTER (WHERE status = 'completed') as median_service_time,
+            AVG(idle_seconds) as avg_idle_time,
+            SUM(busy_seconds) as busy_time
+     FROM tickets
+     GROUP BY GROUPING SETS ((day), (week), ())`,
+    [id, from, to]
+  );
+
+  // Open sessions and running breaks count until now; sessions belong to the day they started
+  const sessionsResult = await db.query(
+    `WITH sessions AS (
+       SELECT cs.user_id,
+              TO_CHAR(cs.start_time, 'YYYY-MM-DD') as day,
+              TO_CHAR(DATE_TRUNC('week', cs.start_time), 'YYYY-MM-DD') as week,
+              EXTRACT(EPOCH FROM COALESCE(cs.end_time, CURRENT_TIMESTAMP) - cs.start_time) as session_seconds,
+              (SELECT COALESCE(SUM(EXTRACT(EPOCH FROM COALESCE(cb.end_time, CURRENT_TIMESTAMP) - cb.start_time)), 0)
+               FROM counter_breaks cb
+               WHERE cb.counter_session_id = cs.id) as break_seconds
+       FROM counter_sessions cs
+       JOIN counters c ON cs.counter_id = c.id
+       WHERE ${column} = $1 AND cs.start_time >= $2::date AND cs.start_time < $3::date + 1
+     )
+     SELECT day, week, GROUPING(day) as all_days, GROUPING(week) as all_weeks,
+            COUNT(DISTINCT user_id) as clerks,
+            SUM(session_seconds) as session_time,
+            SUM(break_seconds) as break_time
+     FROM sessions
+     GROUP BY GROUPING SETS ((day), (week), ())`,
+    [id, from, to]
+  );
+
+  return { tickets: ticketsResult.rows, sessions: sessionsResult.rows };
+};
+
+/**
+ * Find the aggregate row of a day, a week or the whole range
+ * @param {Array} rows - Aggregate rows
+ * @param {string} period - day, week or total
+ * @param {string} [key] - Day or week start (YYYY-MM-DD)
+ * @returns {Object|undefined} Matching row
+ */
+const findPeriod = (rows, period, key) => rows.find(row => {
+  if (period === 'total') return row.all_days === 1 && row.all_weeks === 1;
+  if (period === 'day') return row.all_days === 0 && row.day === key;
+  return row.all_weeks === 0 && row.week === key;
+});
+
+/**
+ * Round an aggregate to whole units, keeping missing values
+ * @param {string|number|null|undefined} value - Aggregate from the database
+ * @param {number} divisor - Number of clerks the value is averaged over
+ * @param {number} digits - Decimal places
+ * @returns {number|null} Rounded value
+ */
+const toNumber = (value, divisor = 1, digits = 0) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const factor = 10 ** digits;
+  return Math.round((Number(value) / divisor) * factor) / factor;
+};
+
+/**
+ * Build the metrics of one period. Branch figures are averaged per clerk who worked in the period,
+ * durations and utilisation are branch-wide.
+ * @param {Object|undefined} tickets - Ticket aggregate row
+ * @param {Object|undefined} sessions - Session aggregate row
+ * @param {boolean} perClerk - Average counts and times over the clerks of the period
+ * @returns {Object} Period metrics
+ */
+const buildMetrics = (tickets, sessions, perClerk) => {
+  const clerks = Math.max(parseInt(tickets?.clerks) || 0, parseInt(sessions?.clerks) || 0);
+  const divisor = perClerk ? Math.max(clerks, 1) : 1;
+  const digits = perClerk ? 1 : 0;
+  const sessionTime = Number(sessions?.session_time) || 0;
+  const breakTime = Number(sessions?.break_time) || 0;
+  const workTime = sessionTime - breakTime;
+  const busyTime = Number(tickets?.busy_time) || 0;
+
+  return {
+    ...(perClerk ? { clerks } : {}),
+    served: toNumber(tickets?.served || 0, divisor, digits),
+    noShows: toNumber(tickets?.no_shows || 0, divisor, digits),
+    avgServiceTime: toNumber(tickets?.avg_service_time),
+    medianServiceTime: toNumber(tickets?.median_service_time),
+    avgIdleTime: toNumber(tickets?.avg_idle_time),
+    sessionTime: toNumber(sessionTime, divisor),
+    breakTime: toNumber(breakTime, divisor),
+    busyTime: toNumber(busyTime, divisor),
+    // Share of the session time outside breaks spent with called customers
+    utilisation: workTime > 0 ? toNumber(Math.min(busyTime / workTime, 1), 1, 3) : null
+  };
+};
+
+/**
+ * List the days of a range and the Monday starts of the weeks they fall in
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @returns {{days: string[], weeks: string[]}} Period keys in order
+ */
+const listPeriods = (from, to) => {
+  const days = [];
+  const weeks = [];
+
+  for (let time = Date.parse(from); time <= Date.parse(to); time += 24 * 60 * 60 * 1000) {
+    const date = new Date(time);
+    const monday = new Date(time - ((date.getUTCDay() + 6) % 7) * 24 * 60 * 60 * 1000);
+    const week = monday.toISOString().split('T')[0];
+
+    days.push(date.toISOString().split('T')[0]);
+    if (!weeks.includes(week)) weeks.push(week);
+  }
+
+  return { days, weeks };
+};
+
+/**
+ * Load the performance dashboard of a clerk compared with the per-clerk average of their branch
+ * @param {Object} user - User row with id and branch_id
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @param {Object} db - Query executor (default: pool helper)
+ * @returns {Promise<Object>} Summary, daily and weekly metrics
+ */
+export const loadClerkPerformance = async (user, from, to, db = { query }) => {
+  const clerk = await loadAggregates('clerk', user.id, from, to, db);
+  const branch = user.branch_id ? await loadAggregates('branch', user.branch_id, from, to, db) : null;
+  const { days, weeks } = listPeriods(from, to);
+
+  const buildPeriod = (period, key) => ({
+    clerk: buildMetrics(findPeriod(clerk.tickets, period, key), findPeriod(clerk.sessions, period, key), false),
+    branchAverage: branch
+      ? buildMetrics(findPeriod(branch.tickets, period, key), findPeriod(branch.sessions, period, key), true)
+      : null
+  });
+
+  return {
+    summary: buildPeriod('total'),
+    daily: days.map(day => ({ date: day, ...buildPeriod('day', day) })),
+    weekly: weeks.map(week => ({ weekStart: week, ...buildPeriod('week', week) }))
+  };
+};
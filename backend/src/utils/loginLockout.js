@@ -0,0 +1,38 @@
+/**
+ * Login Lockout
+ * Locks an account after repeated failed logins. Every failure past the limit doubles
+ * the lock, so guessing a password slows down exponentially.
+ */
+
+import { query } from '../config/database.js';
+import appConfig from '../config/appConfig.js';
+
+/**
+ * Count a failed login and lock the account once the limit is reached
+ * @param {number} userId - User ID
+ * @param {Object} db - Query executor, a transaction client or the pool helper (default)
+ * @returns {Promise<number>} Seconds the account is locked for, 0 if it is not locked
+ */
+export const recordFailedLogin = async (userId, db = { query }) => {
+  const { maxFailedAttempts, baseLockSeconds, maxLockSeconds } = appConfig.loginLockout;
+
+  // The right-hand side of SET sees the count before this failure
+  const lockResult = await db.query(
+    `UPDATE users
+     SET failed_login_attempts = failed_login_attempts + 1,
+         locked_until = CASE
+           WHEN failed_login_attempts + 1 >= $2
+           THEN CURRENT_TIMESTAMP + make_interval(secs => LEAST($4, $3 * POWER(2, failed_login_attempts + 1 - $2)))
+           ELSE locked_until
+         END
+     WHERE id = $1
+     RETURNING GREATEST(0, CEIL(EXTRACT(EPOCH FROM locked_until - CURRENT_TIMESTAMP)))::integer as lock_seconds`,
+    [userId, maxFailedAttempts, baseLockSeconds, maxLockSeconds]
+  );
+
+  return lockResult.rows[0]?.lock_seconds || 0;
+};
+
+export default {
+  recordFailedLogin
+};
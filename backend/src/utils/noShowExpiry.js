@@ -0,0 +1,92 @@
+/**
+ * No-Show Expiry
+ * Closes called tickets whose customer did not show up within the configured timeout.
+ * Call-next runs it for its branch before picking a ticket, and the server runs it for
+ * every branch on a timer, so status, display and tracking reads never change tickets.
+ */
+
+import { query, transaction } from '../config/database.js';
+import appConfig from '../config/appConfig.js';
+import { publishBranchEvent } from './branchEvents.js';
+import { recordQueueEvent } from './queueEvents.js';
+
+/**
+ * Close called tickets whose customer did not show up within the configured timeout.
+ * Publish the returned tickets with publishExpiredNoShows once the transaction is committed,
+ * so clients never hear of an expiry that was rolled back.
+ * @param {number|null} branchId - Branch ID, null for every branch
+ * @param {Object} db - Query executor, a transaction client or the pool helper (default)
+ * @returns {Promise<Array>} Expired tickets
+ */
+export const expireNoShows = async (branchId = null, db = { query }) => {
+  const timeoutSeconds = appConfig.queue.noShowTimeoutSeconds;
+
+  if (!timeoutSeconds) {
+    return [];
+  }
+
+  const expiredResult = await db.query(
+    `UPDATE queue
+     SET status = 'no_show',
+         completed_at = CURRENT_TIMESTAMP
+     WHERE ($1::integer IS NULL OR branch_id = $1) AND status = 'called'
+           AND COALESCE(last_recalled_at, called_at) < CURRENT_TIMESTAMP - make_interval(secs => $2)
+     RETURNING id, branch_id, number, status, counter_id`,
+    [branchId, timeoutSeconds]
+  );
+
+  for (const item of expiredResult.rows) {
+    await recordQueueEvent(item.id, 'no_show', {
+      counterId: item.counter_id,
+      details: { reason: 'timeout' }
+    }, db);
+  }
+
+  return expiredResult.rows;
+};
+
+/**
+ * Tell the displays and counters of each branch about expired tickets
+ * @param {Array} expiredTickets - Tickets returned by expireNoShows
+ */
+export const publishExpiredNoShows = (expiredTickets) => {
+  expiredTickets.forEach(item => {
+    publishBranchEvent(item.branch_id, 'ticket-no-show', {
+      id: item.id,
+      number: item.number,
+      status: item.status
+    });
+  });
+};
+
+/**
+ * Run the no-show expiry of every branch on a timer, when a no-show timeout is configured
+ * @returns {Object|null} Interval timer, null when no-shows never expire
+ */
+export const startNoShowExpiry = () => {
+  const { noShowTimeoutSeconds, noShowSweepSeconds } = appConfig.queue;
+
+  if (!noShowTimeoutSeconds) {
+    return null;
+  }
+
+  const timer = setInterval(async () => {
+    try {
+      const expiredTickets = await transaction(client => expireNoShows(null, client));
+      publishExpiredNoShows(expiredTickets);
+    } catch (error) {
+      console.error('❌ No-show expiry failed:', error.message);
+    }
+  }, noShowSweepSeconds * 1000);
+
+  // The timer alone should not keep the process running
+  timer.unref();
+
+  return timer;
+};
+
+export default {
+  expireNoShows,
+  publishExpiredNoShows,
+  startNoShowExpiry
+};
@@ -0,0 +1,131 @@
+/**
+ * Password Policy
+ * Strength rules for new passwords and the history that keeps recent passwords from being reused
+ */
+
+import bcrypt from 'bcryptjs';
+import { query } from '../config/database.js';
+import appConfig from '../config/appConfig.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const SALT_ROUNDS = 12;
+
+// Character rules in the order they are checked, each enabled by a flag of the policy
+const CHARACTER_RULES = [
+  { flag: 'requireUppercase', pattern: /[A-Z]/, message: 'Password must contain an uppercase letter' },
+  { flag: 'requireLowercase', pattern: /[a-z]/, message: 'Password must contain a lowercase letter' },
+  { flag: 'requireDigit', pattern: /[0-9]/, message: 'Password must contain a digit' },
+  { flag: 'requireSymbol', pattern: /[^A-Za-z0-9]/, message: 'Password must contain a symbol' }
+];
+
+/**
+ * Get the password policy, as shown to users choosing a password
+ * @returns {Object} Policy settings
+ */
+export const getPasswordPolicy = () => {
+  const { minLength, requireUppercase, requireLowercase, requireDigit, requireSymbol, historySize } = appConfig.passwordPolicy;
+  return { minLength, requireUppercase, requireLowercase, requireDigit, requireSymbol, historySize };
+};
+
+/**
+ * Check a new password against the length and character rules of the policy
+ * @param {string} password - New password
+ * @throws {AppError} With the first rule the password breaks
+ */
+export const assertPasswordStrength = (password) => {
+  const policy = appConfig.passwordPolicy;
+
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    throw new AppError(`Password must be at least ${policy.minLength} characters long`, 400);
+  }
+
+  const brokenRule = CHARACTER_RULES.find(rule => policy[rule.flag] && !rule.pattern.test(password));
+
+  if (brokenRule) {
+    throw new AppError(brokenRule.message, 400);
+  }
+};
+
+/**
+ * Check that a new password is not the current or a recent password of the user
+ * @param {number} userId - User ID
+ * @param {string} password - New password
+ * @param {Object} db - Query executor, a transaction client or the pool helper (default)
+ * @throws {AppError} If the password was used recently
+ */
+export const assertPasswordNotReused = async (userId, password, db = { query }) => {
+  const { historySize } = appConfig.passwordPolicy;
+
+  if (!(historySize > 0)) {
+    return;
+  }
+
+  const hashesResult = await db.query(
+    `(SELECT password_hash FROM users WHERE id = $1)
+     UNION ALL
+     (SELECT password_hash FROM password_history
+      WHERE user_id = $1
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2)`,
+    [userId, historySize - 1]
+  );
+
+  for (const { password_hash: passwordHash } of hashesResult.rows) {
+    if (await bcrypt.compare(password, passwordHash)) {
+      throw new AppError('Password was used recently, choose a different one', 400);
+    }
+  }
+};
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Password
+ * @returns {Promise<string>} bcrypt hash
+ */
+export const hashPassword = (password) => bcrypt.hash(password, SALT_ROUNDS);
+
+/**
+ * Replace the password of a user. The old hash is moved to the history, which is trimmed to
+ * the policy size, and a lock from failed logins is lifted.
+ * @param {number} userId - User ID
+ * @param {string} password - New password, already checked against the policy
+ * @param {boolean} mustChange - True for a temporary password the user has to replace at the next login
+ * @param {Object} db - Query executor, a transaction client or the pool helper (default)
+ */
+export const setUserPassword = async (userId, password, mustChange, db = { query }) => {
+  const { historySize } = appConfig.passwordPolicy;
+  const passwordHash = await hashPassword(password);
+
+  await db.query(
+    `INSERT INTO password_history (user_id, password_hash)
+     SELECT id, password_hash FROM users WHERE id = $1`,
+    [userId]
+  );
+
+  await db.query(
+    `DELETE FROM password_history
+     WHERE user_id = $1
+       AND id NOT IN (SELECT id FROM password_history
+                      WHERE user_id = $1
+                      ORDER BY created_at DESC, id DESC
+                      LIMIT $2)`,
+    [userId, Math.max(historySize - 1, 0)]
+  );
+
+  await db.query(
+    `UPDATE users
+     SET password_hash = $2, must_change_password = $3,
+         failed_login_attempts = 0, locked_until = NULL,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [userId, passwordHash, mustChange]
+  );
+};
+
+export default {
+  getPasswordPolicy,
+  assertPasswordStrength,
+  assertPasswordNotReused,
+  hashPassword,
+  setUserPassword
+};
@@ -0,0 +1,35 @@
+/**
+ * Public Codes
+ * Random codes handed to customers (ticket tracking, appointment check-in)
+ */
+
+import crypto from 'crypto';
+
+// Alphabet without look-alike characters (0/O, 1/I/L)
+const PUBLIC_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+export const PUBLIC_CODE_LENGTH = 10;
+
+/**
+ * Generate an unguessable public code
+ * @returns {string} Random code, e.g. "K7QX2MZP9D"
+ */
+export const generatePublicCode = () => {
+  const bytes = crypto.randomBytes(PUBLIC_CODE_LENGTH);
+  return Array.from(bytes, byte => PUBLIC_CODE_ALPHABET[byte % PUBLIC_CODE_ALPHABET.length]).join('');
+};
+
+/**
+ * Normalize a code typed or scanned by a customer
+ * @param {string} code - Raw code
+ * @returns {string|null} Upper-case code, or null if it cannot be a valid code
+ */
+export const normalizePublicCode = (code) => {
+  const normalized = String(code || '').trim().toUpperCase();
+  return normalized.length === PUBLIC_CODE_LENGTH ? normalized : null;
+};
+
+export default {
+  generatePublicCode,
+  normalizePublicCode
+};
@@ -0,0 +1,46 @@
+/**
+ * Queue Events
+ * Append-only timeline of the state changes of a ticket
+ */
+
+import { query } from '../config/database.js';
+
+export const QUEUE_EVENT_TYPES = [
+  'issued',
+  'called',
+  'recalled',
+  'serving',
+  'transferred',
+  'completed',
+  'no_show',
+  'cancelled'
+];
+
+/**
+ * Append a state change to the timeline of a ticket.
+ * Call it with the transaction client of the state change, so the event and the
+ * new ticket state are written together.
+ * @param {number} queueId - Ticket ID
+ * @param {string} eventType - One of QUEUE_EVENT_TYPES
+ * @param {Object} event - Event data
+ * @param {number|null} event.counterId - Counter involved in the change
+ * @param {number|null} event.userId - User who made the change (null for kiosks and automatic changes)
+ * @param {Object|null} event.details - Extra data of the change, e.g. the transfer target
+ * @param {Object} db - Query executor, a transaction client or the pool helper (default)
+ */
+export const recordQueueEvent = async (queueId, eventType, {
+  counterId = null,
+  userId = null,
+  details = null
+} = {}, db = { query }) => {
+  await db.query(
+    `INSERT INTO queue_events (queue_id, event_type, counter_id, user_id, details)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [queueId, eventType, counterId, userId, details ? JSON.stringify(details) : null]
+  );
+};
+
+export default {
+  QUEUE_EVENT_TYPES,
+  recordQueueEvent
+};
@@ -0,0 +1,120 @@
+/**
+ * Report Export
+ * Renders report data as CSV or XLSX files for download
+ */
+
+import ExcelJS from 'exceljs';
+
+export const REPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const GROUP_HEADERS = {
+  branch: 'Şube',
+  service: 'Hizmet',
+  counter: 'Gişe',
+  clerk: 'Görevli',
+  hour: 'Saat'
+};
+
+// Metric columns of every report, durations in seconds
+const METRIC_COLUMNS = [
+  { key: 'issued', header: 'Verilen Bilet' },
+  { key: 'served', header: 'Hizmet Verilen' },
+  { key: 'noShows', header: 'Gelmeyen' },
+  { key: 'cancelled', header: 'İptal' },
+  { key: 'avgWaitTime', header: 'Ort. Bekleme (sn)' },
+  { key: 'medianWaitTime', header: 'Medyan Bekleme (sn)' },
+  { key: 'p90WaitTime', header: '%90 Bekleme (sn)' },
+  { key: 'avgServiceTime', header: 'Ort. Hizmet (sn)' },
+  { key: 'medianServiceTime', header: 'Medyan Hizmet (sn)' },
+  { key: 'p90ServiceTime', header: '%90 Hizmet (sn)' }
+];
+
+// Break time column of the groupings that have one (branch, counter, clerk)
+const BREAK_COLUMN = { key: 'breakTime', header: 'Mola (sn)' };
+
+/**
+ * Build the header and value rows of a report table, totals last
+ * @param {Object} report - Report data from the reports route
+ * @returns {{header: string[], rows: Array<Array>}} Table content
+ */
+const buildReportTable = (report) => {
+  // Service and counter labels repeat across branches, so they get a branch column
+  const withBranch = report.rows.some(row => row.branchName);
+  const columns = report.totals.breakTime !== null ? [...METRIC_COLUMNS, BREAK_COLUMN] : METRIC_COLUMNS;
+
+  const header = [
+    GROUP_HEADERS[report.groupBy],
+    ...(withBranch ? ['Şube'] : []),
+    ...columns.map(column => column.header)
+  ];
+
+  const toValues = (row, label, branchName) => [
+    label,
+    ...(withBranch ? [branchName] : []),
+    ...columns.map(column => row[column.key])
+  ];
+
+  return {
+    header,
+    rows: [
+      ...report.rows.map(row => toValues(row, row.label, row.branchName)),
+      toValues(report.totals, 'Toplam', '')
+    ]
+  };
+};
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+const escapeCSV = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render a report as CSV
+ * @param {Object} report - Report data from the reports route
+ * @returns {string} CSV content with a byte order mark so spreadsheet programs read Turkish characters
+ */
+export const buildReportCSV = (report) => {
+  const { header, rows } = buildReportTable(report);
+
+  return '\uFEFF' + [header, ...rows]
+    .map(values => values.map(escapeCSV).join(','))
+    .join('\r\n') + '\r\n';
+};
+
+/**
+ * Render a report as an XLSX workbook
+ * @param {Object} report - Report data from the reports route
+ * @returns {Promise<Buffer>} Workbook file content
+ */
+export const buildReportXLSX = async (report) => {
+  const { header, rows } = buildReportTable(report);
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Rapor');
+
+  const title = `${GROUP_HEADERS[report.groupBy]} raporu, ${report.from} - ${report.to}` +
+    (report.branchName ? `, ${report.branchName}` : '');
+  sheet.addRow([title]).font = { bold: true, size: 14 };
+  sheet.addRow([]);
+
+  sheet.addRow(header).font = { bold: true };
+  rows.forEach(values => sheet.addRow(values));
+  sheet.lastRow.font = { bold: true };
+
+  sheet.columns.forEach((column, index) => {
+    column.width = index === 0 ? 24 : 16;
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
@@ -0,0 +1,174 @@
+/**
+ * TOTP
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30 second steps) as used
+ * by authenticator apps. Computed locally, so verification needs no network access.
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const SECRET_BYTES = 20; // 160 bits, the HMAC-SHA1 key size recommended by RFC 4226
+
+/**
+ * Encode bytes as base32 without padding (RFC 4648)
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} Base32 text
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode base32 text, ignoring case, spaces and padding
+ * @param {string} text - Base32 text
+ * @returns {Buffer} Bytes
+ * @throws {Error} If the text has characters outside the alphabet
+ */
+export const base32Decode = (text) => {
+  const clean = text.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random TOTP secret
+ * @returns {string} Base32 secret
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * Compute the HOTP code of a counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Counter, for TOTP the time step
+ * @returns {string} Zero-padded code
+ */
+export const generateHotp = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+
+  // Dynamic truncation: the low nibble of the last byte picks four bytes of the digest
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Get the time step of a moment
+ * @param {number} timeMs - Unix time in milliseconds (default: now)
+ * @returns {number} Time step
+ */
+export const getTimeStep = (timeMs = Date.now()) => Math.floor(timeMs / 1000 / STEP_SECONDS);
+
+/**
+ * Compute the TOTP code of a moment
+ * @param {string} secret - Base32 secret
+ * @param {number} timeMs - Unix time in milliseconds (default: now)
+ * @returns {string} Code
+ */
+export const generateTotp = (secret, timeMs = Date.now()) => generateHotp(secret, getTimeStep(timeMs));
+
+/**
+ * Verify a TOTP code, accepting the steps next to the current one for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - Verification options
+ * @param {number} options.window - Steps accepted before and after the current one (default 1)
+ * @param {number|null} options.lastStep - Last step already used, it and earlier steps are rejected against replay
+ * @returns {number|null} Matching time step, or null if the code is not valid
+ */
+export const verifyTotp = (secret, code, { window = 1, lastStep = null } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    if (lastStep !== null && step <= lastStep) {
+      continue;
+    }
+
+    const expected = generateHotp(secret, step);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URL that authenticator apps read from a QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account shown in the app, e.g. the username
+ * @param {string} issuer - Service name shown in the app
+ * @returns {string} otpauth URL
+ */
+export const buildOtpAuthUrl = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export default {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  getTimeStep,
+  generateTotp,
+  verifyTotp,
+  buildOtpAuthUrl
+};
@@ -0,0 +1,160 @@
+/**
+ * Two-Factor Authentication
+ * Second login step with a TOTP code from an authenticator app, or a single-use recovery
+ * code when the app is not at hand, and the roles that must enrol
+ */
+
+import crypto from 'crypto';
+import { query } from '../config/database.js';
+import appConfig from '../config/appConfig.js';
+import { verifyTotp } from './totp.js';
+
+// Letters and digits that cannot be mistaken for each other when read from paper
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const RECOVERY_CODE_LENGTH = 8;
+
+/**
+ * Hash a recovery code. Codes are stored like passwords, only their hash is kept.
+ * Dashes, spaces and case are ignored so a code can be typed the way it reads.
+ * @param {string} code - Recovery code
+ * @returns {string} SHA-256 hash in hex
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Generate a random recovery code such as 'K7QD-M2XP'
+ * @returns {string} Recovery code
+ */
+const generateRecoveryCode = () => {
+  let code = '';
+
+  for (let i = 0; i < RECOVERY_CODE_LENGTH; i++) {
+    code += RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)];
+  }
+
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+};
+
+/**
+ * Check whether a role must use two-factor authentication
+ * @param {string} role - User role
+ * @returns {boolean} True if the role must enrol
+ */
+export const isTwoFactorRequired = (role) => {
+  return appConfig.twoFactor.requiredRoles.includes(role);
+};
+
+/**
+ * Check whether a user must still enrol before using the system
+ * @param {Object} user - User row with role and totp_enabled
+ * @returns {boolean} True if enrolment is required but not done
+ */
+export const isTwoFactorSetupRequired = (user) => {
+  return isTwoFactorRequired(user.role) && !user.totp_enabled;
+};
+
+/**
+ * Replace the recovery codes of a user with a new set
+ * @param {number} userId - User ID
+ * @param {Object} db - Query executor, a transaction client or the pool helper (default)
+ * @returns {Promise<Array<string>>} The new codes, shown to the user once
+ */
+export const generateRecoveryCodes = async (userId, db = { query }) => {
+  const codes = Array.from({ length: appConfig.twoFactor.recoveryCodeCount }, generateRecoveryCode);
+
+  await db.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+  await db.query(
+    `INSERT INTO recovery_codes (user_id, code_hash)
+     SELECT $1, UNNEST($2::varchar[])`,
+    [userId, codes.map(hashRecoveryCode)]
+  );
+
+  return codes;
+};
+
+/**
+ * Count the recovery codes a user has not used yet
+ * @param {number} userId - User ID
+ * @param {Object} db - Query executor, a transaction client or the pool helper (default)
+ * @returns {Promise<number>} Unused codes
+ */
+export const countRecoveryCodes = async (userId, db = { query }) => {
+  const countResult = await db.query(
+    'SELECT COUNT(*)::integer as count FROM recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+
+  return countResult.rows[0].count;
+};
+
+/**
+ * Turn off two-factor authentication of a user and drop the secret and recovery codes
+ * @param {number} userId - User ID
+ * @param {Object} db - Query executor, a transaction client or the pool helper (default)
+ * @returns {Promise<void>}
+ */
+export const disableTwoFactor = async (userId, db = { query }) => {
+  await db.query(
+    `UPDATE users
+     SET totp_enabled = false, totp_secret = NULL, totp_last_step = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [userId]
+  );
+  await db.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+};
+
+/**
+ * Verify the second factor of a user: a TOTP code, or otherwise an unused recovery code.
+ * An accepted TOTP code cannot be used again, an accepted recovery code is used up.
+ * @param {Object} user - User row with id, totp_secret and totp_last_step
+ * @param {string} code - Code entered by the user
+ * @param {Object} db - Query executor, a transaction client or the pool helper (default)
+ * @returns {Promise<string|null>} 'totp' or 'recovery_code' for the factor that matched, null if none did
+ */
+export const verifySecondFactor = async (user, code, db = { query }) => {
+  if (!user.totp_secret || !code) {
+    return null;
+  }
+
+  const step = verifyTotp(user.totp_secret, code, {
+    window: appConfig.twoFactor.window,
+    lastStep: user.totp_last_step === null ? null : Number(user.totp_last_step)
+  });
+
+  if (step !== null) {
+    // The condition keeps two concurrent logins from both accepting the same code
+    const stepResult = await db.query(
+      `UPDATE users SET totp_last_step = $2
+       WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)
+       RETURNING id`,
+      [user.id, step]
+    );
+
+    return stepResult.rows.length > 0 ? 'totp' : null;
+  }
+
+  const recoveryResult = await db.query(
+    `UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE id = (
+       SELECT id FROM recovery_codes
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       LIMIT 1
+     ) AND used_at IS NULL
+     RETURNING id`,
+    [user.id, hashRecoveryCode(code)]
+  );
+
+  return recoveryResult.rows.length > 0 ? 'recovery_code' : null;
+};
+
+export default {
+  isTwoFactorRequired,
+  isTwoFactorSetupRequired,
+  generateRecoveryCodes,
+  countRecoveryCodes,
+  disableTwoFactor,
+  verifySecondFactor
+};
@@ -0,0 +1,144 @@
+/**
+ * Wait Forecast
+ * Estimates waiting times from the counters that are open right now and rolling
+ * service-time statistics per service line and hour of day
+ */
+
+import { query } from '../config/database.js';
+import appConfig from '../config/appConfig.js';
+
+/**
+ * Load the data a branch forecast is based on
+ * @param {number} branchId - Branch ID
+ * @param {Object} db - Query executor, a transaction client or the pool helper (default)
+ * @returns {Promise<Object>} Forecast context with service-time statistics and open counters
+ */
+export const loadForecastContext = async (branchId, db = { query }) => {
+  const { historyDays } = appConfig.forecast;
+
+  // Service-time statistics of the rolling window, per line and for the current hour of day.
+  // Grouping sets return line+hour, line, hour and branch-wide rows in one pass.
+  const statsResult = await db.query(
+    `SELECT COALESCE(target_service_id, service_id) as line_service_id,
+            EXTRACT(HOUR FROM serving_started_at) = EXTRACT(HOUR FROM CURRENT_TIMESTAMP) as current_hour,
+            GROUPING(COALESCE(target_service_id, service_id)) as all_lines,
+            GROUPING(EXTRACT(HOUR FROM serving_started_at) = EXTRACT(HOUR FROM CURRENT_TIMESTAMP)) as all_hours,
+            COUNT(*) as samples,
+            AVG(service_duration) as avg_service_time,
+            STDDEV_SAMP(service_duration) as stddev_service_time
+     FROM queue
+     WHERE branch_id = $1 AND status = 'completed' AND service_duration IS NOT NULL
+           AND serving_started_at >= CURRENT_TIMESTAMP - make_interval(days => $2)
+     GROUP BY GROUPING SETS (
+       (COALESCE(target_service_id, service_id), EXTRACT(HOUR FROM serving_started_at) = EXTRACT(HOUR FROM CURRENT_TIMESTAMP)),
+       (COALESCE(target_service_id, service_id)),
+       (EXTRACT(HOUR FROM serving_started_at) = EXTRACT(HOUR FROM CURRENT_TIMESTAMP)),
+       ()
+     )`,
+    [branchId, historyDays]
+  );
+
+  // Open counter sessions with their service lines and whether they are busy with a customer.
+  // Counters on break serve nobody until they resume, so they add no capacity.
+  const countersResult = await db.query(
+    `SELECT c.id,
+            EXISTS (SELECT 1 FROM queue q
+                    WHERE q.counter_session_id = cs.id AND q.status IN ('called', 'serving')) as busy,
+            COALESCE(ARRAY_AGG(csv.service_id) FILTER (WHERE csv.service_id IS NOT NULL), '{}') as service_ids
+     FROM counter_sessions cs
+     JOIN counters c ON cs.counter_id = c.id
+     LEFT JOIN counter_services csv ON csv.counter_id = c.id
+     WHERE c.branch_id = $1 AND cs.end_time IS NULL AND cs.paused_at IS NULL
+     GROUP BY c.id, cs.id`,
+    [branchId]
+  );
+
+  return {
+    stats: statsResult.rows
+      .filter(row => row.all_hours === 1 || row.current_hour === true)
+      .map(row => ({
+        serviceId: row.all_lines === 1 ? undefined : row.line_service_id,
+        currentHour: row.all_hours === 0,
+        samples: parseInt(row.samples),
+        avgServiceTime: parseFloat(row.avg_service_time),
+        stddevServiceTime: row.stddev_service_time !== null ? parseFloat(row.stddev_service_time) : null
+      })),
+    counters: countersResult.rows.map(row => ({
+      id: row.id,
+      busy: row.busy,
+      serviceIds: row.service_ids
+    }))
+  };
+};
+
+/**
+ * Pick the most specific service-time statistics with enough samples.
+ * Order: line in this hour, line, branch in this hour, branch, configured default.
+ * @param {Object} context - Forecast context
+ * @param {number|null|undefined} serviceId - Service line (null for the general line, undefined for the whole branch)
+ * @returns {Object} Mean, standard deviation and confidence level
+ */
+const getServiceTime = (context, serviceId) => {
+  const { minSamples, defaultServiceTime, defaultSpread } = appConfig.forecast;
+  const candidates = [
+    { serviceId, currentHour: true, confidence: 'high' },
+    { serviceId, currentHour: false, confidence: 'medium' },
+    { serviceId: undefined, currentHour: true, confidence: 'medium' },
+    { serviceId: undefined, currentHour: false, confidence: 'low' }
+  ];
+
+  for (const candidate of candidates) {
+    const stats = context.stats.find(row =>
+      row.serviceId === candidate.serviceId && row.currentHour === candidate.currentHour
+    );
+
+    if (stats && stats.samples >= minSamples) {
+      return {
+        mean: stats.avgServiceTime,
+        stddev: stats.stddevServiceTime ?? stats.avgServiceTime * defaultSpread,
+        confidence: candidate.confidence
+      };
+    }
+  }
+
+  return {
+    mean: defaultServiceTime,
+    stddev: defaultServiceTime * defaultSpread,
+    confidence: 'low'
+  };
+};
+
+/**
+ * Forecast the wait of a ticket with the given number of people ahead in its line.
+ * Open counters that may call the line share the people ahead; when all of them are
+ * busy the ticket also waits for the current customer, on average half a service.
+ * The range is the normal approximation of the summed service times.
+ * @param {Object} context - Forecast context from loadForecastContext
+ * @param {number|null|undefined} serviceId - Service line (null for the general line, undefined for the whole branch)
+ * @param {number} peopleAhead - Waiting tickets called before this one
+ * @returns {Object} Estimated wait in seconds with its range and confidence
+ */
+export const forecastWait = (context, serviceId, peopleAhead) => {
+  const { confidenceZ } = appConfig.forecast;
+  const serviceTime = getServiceTime(context, serviceId);
+
+  // Counters without assigned lines call every line, and any counter may call general tickets
+  const eligibleCounters = context.counters.filter(counter =>
+    serviceId == null || counter.serviceIds.length === 0 || counter.serviceIds.includes(serviceId)
+  );
+  const openCounters = eligibleCounters.length;
+  const servers = Math.max(openCounters, 1);
+  const allBusy = eligibleCounters.every(counter => counter.busy);
+
+  const expected = (peopleAhead * serviceTime.mean) / servers + (allBusy ? serviceTime.mean / 2 : 0);
+  const spread = confidenceZ * (Math.sqrt(peopleAhead) * serviceTime.stddev) / servers;
+
+  return {
+    estimatedWaitTime: Math.round(expected),
+    minWaitTime: Math.round(Math.max(expected - spread, 0)),
+    maxWaitTime: Math.round(expected + spread),
+    confidence: openCounters === 0 ? 'low' : serviceTime.confidence,
+    avgServiceTime: Math.round(serviceTime.mean),
+    openCounters
+  };
+};
@@ -11,8 +11,10 @@ import CustomerApp from './components/customer/CustomerApp.jsx';
 import ClerkApp from './components/clerk/ClerkApp.jsx';
 import DisplayApp from './components/display/DisplayApp.jsx';
 import AdminApp from './components/admin/AdminApp.jsx';
+import TrackingApp from './components/tracking/TrackingApp.jsx';
 import AppNavigation from './components/common/AppNavigation.jsx';
 import AuthService from './services/AuthService.js';
+import { PERMISSIONS, MANAGEMENT_PERMISSIONS } from './models/User.js';
 import Logger from './utils/Logger.js';
 import LayoutManager from './utils/LayoutManager.js';
 import './App.css';
@@ -49,11 +51,15 @@ function App() {
             } 
           />
 
-          {/* Customer App - Accessible by clerks for their branch */}
+          {/* Ticket Tracking - Public, customers open it with their tracking code */}
+          <Route path="/track" element={<TrackingApp />} />
+          <Route path="/track/:code" element={<TrackingApp />} />
+
+          {/* Customer App - Accessible by clerks and kiosk devices for their branch */}
           <Route 
             path="/customer" 
             element={
-              <ProtectedRoute requiredRole="clerk">
+              <ProtectedRoute requiredRole={['clerk', 'kiosk']}>
                 <AppNavigation />
                 <CustomerApp />
               </ProtectedRoute>
@@ -64,29 +70,29 @@ function App() {
           <Route 
             path="/clerk" 
             element={
-              <ProtectedRoute requiredRole="clerk">
+              <ProtectedRoute requiredPermission={PERMISSIONS.SERVE_QUEUE}>
                 <AppNavigation />
                 <ClerkApp />
               </ProtectedRoute>
             } 
           />
 
-          {/* Display Panel App - Accessible by clerks for their branch */}
+          {/* Display Panel App - Accessible by clerks and display devices for their branch */}
           <Route 
             path="/display" 
             element={
-              <ProtectedRoute requiredRole="clerk">
+              <ProtectedRoute requiredRole={['clerk', 'display']}>
                 <AppNavigation />
                 <DisplayApp />
               </ProtectedRoute>
             } 
           />
 
-          {/* Admin App - Accessible by admins only */}
+          {/* Admin App - Accessible by admins, and by branch managers for their branch */}
           <Route 
             path="/admin" 
             element={
-              <ProtectedRoute requiredRole="admin">
+              <ProtectedRoute requiredPermission={MANAGEMENT_PERMISSIONS}>
                 <AppNavigation />
                 <AdminApp />
               </ProtectedRoute>
@@ -122,12 +128,18 @@ const RoleBasedRedirect = () => {
   }
 
   // Redirect based on user role
-  if (user.isAdmin()) {
-    Logger.info('Redirecting admin user to admin app');
+  if (user.isAdmin() || user.isBranchManager()) {
+    Logger.info(`Redirecting ${user.role} user to admin app`);
     return <Navigate to="/admin" replace />;
   } else if (user.isClerk()) {
     Logger.info('Redirecting clerk user to clerk app');
     return <Navigate to="/clerk" replace />;
+  } else if (user.role === 'kiosk') {
+    Logger.info('Redirecting kiosk device to customer app');
+    return <Navigate to="/customer" replace />;
+  } else if (user.role === 'display') {
+    Logger.info('Redirecting display device to display panel');
+    return <Navigate to="/display" replace />;
   }
 
   // Fallback to login if role is not recognized
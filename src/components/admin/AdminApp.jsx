@@ -1,6 +1,7 @@
 /**
  * Admin App Component
- * Interface for administrators to manage users, branches, and system monitoring
+ * Interface for administrators to manage users, branches, and system monitoring.
+ * Branch managers see the tabs their permissions allow, limited to their own branch
  */
 
 import { useState, useEffect } from 'react';
@@ -8,10 +9,39 @@ import DatabaseService from '../../services/DatabaseService.js';
 import AuthService from '../../services/AuthService.js';
 import AppConfig from '../../config/AppConfig.js';
 import Logger from '../../utils/Logger.js';
-import User from '../../models/User.js';
+import User, { PERMISSIONS } from '../../models/User.js';
 import Branch from '../../models/Branch.js';
+import PasswordPolicy from '../../models/PasswordPolicy.js';
+import AppointmentManager from './AppointmentManager.jsx';
+import BranchManager from './BranchManager.jsx';
+import DeviceManager from './DeviceManager.jsx';
+import ReportManager from './ReportManager.jsx';
+import PerformanceManager from './PerformanceManager.jsx';
+import AuditManager from './AuditManager.jsx';
 import './AdminApp.css';
 
+// Tabs of the panel with the permission each one needs, the dashboard is shown to everyone
+const ADMIN_TABS = [
+  { id: 'dashboard', icon: '📊', label: 'Dashboard' },
+  { id: 'users', icon: '👥', label: 'Kullanıcılar', permission: PERMISSIONS.MANAGE_USERS },
+  { id: 'branches', icon: '🏢', label: 'Şubeler', permission: PERMISSIONS.MANAGE_COUNTERS },
+  { id: 'appointments', icon: '📅', label: 'Randevular', permission: PERMISSIONS.MANAGE_APPOINTMENTS },
+  { id: 'devices', icon: '🖥️', label: 'Cihazlar', permission: PERMISSIONS.MANAGE_DEVICES },
+  { id: 'reports', icon: '📈', label: 'Raporlar', permission: PERMISSIONS.VIEW_REPORTS },
+  { id: 'performance', icon: '🏅', label: 'Performans', permission: PERMISSIONS.VIEW_PERFORMANCE },
+  { id: 'audit', icon: '📜', label: 'Denetim', permission: PERMISSIONS.VIEW_AUDIT },
+  { id: 'system', icon: '⚙️', label: 'Sistem', permission: PERMISSIONS.ALL_BRANCHES }
+];
+
+/**
+ * Get the tabs a user may open
+ * @param {User|null} user - Signed-in user
+ * @returns {Array} Visible tabs
+ */
+const getVisibleTabs = (user) => {
+  return ADMIN_TABS.filter(tab => !tab.permission || user?.hasPermission(tab.permission));
+};
+
 const AdminApp = () => {
   const [currentUser] = useState(AuthService.getCurrentUser());
   const [activeTab, setActiveTab] = useState('dashboard');
@@ -24,9 +54,11 @@ const AdminApp = () => {
   const [editingUser, setEditingUser] = useState(null);
 
   const refreshInterval = AppConfig.get('refreshIntervals.adminApp');
+  const visibleTabs = getVisibleTabs(currentUser);
+  const canOpenPanel = visibleTabs.some(tab => tab.permission);
 
   useEffect(() => {
-    if (currentUser?.isAdmin()) {
+    if (canOpenPanel) {
       loadInitialData();
       
       // Set up auto-refresh for dashboard
@@ -38,7 +70,7 @@ const AdminApp = () => {
 
       return () => clearInterval(interval);
     }
-  }, [currentUser, activeTab, refreshInterval]);
+  }, [canOpenPanel, activeTab, refreshInterval]);
 
   /**
    * Load initial data for admin panel
@@ -64,7 +96,8 @@ const AdminApp = () => {
    */
   const loadUsers = async () => {
     try {
-      const usersData = await DatabaseService.getUsers(AuthService.getToken());
+      const response = await DatabaseService.getUsers(AuthService.getToken());
+      const usersData = response?.data || [];
       setUsers(usersData.map(u => User.fromAPI(u)));
       Logger.debug('Users loaded:', usersData);
     } catch (error) {
@@ -74,12 +107,15 @@ const AdminApp = () => {
   };
 
   /**
-   * Load all branches
+   * Load the branches the user may manage, including deactivated ones
    */
   const loadBranches = async () => {
     try {
-      const branchesData = await DatabaseService.getBranches(AuthService.getToken());
-      setBranches(branchesData.map(b => Branch.fromAPI(b)));
+      const response = await DatabaseService.getBranches(AuthService.getToken(), true);
+      const branchesData = response?.data || [];
+      setBranches(branchesData
+        .map(b => Branch.fromAPI(b))
+        .filter(branch => currentUser.hasAccessToBranch(branch.id)));
       Logger.debug('Branches loaded:', branchesData);
     } catch (error) {
       Logger.error('Error loading branches:', error);
@@ -178,7 +214,28 @@ const AdminApp = () => {
     }
   };
 
-  if (!currentUser?.isAdmin()) {
+  /**
+   * Turn off two-factor authentication of a user who lost the authenticator app
+   * @param {User} user - User to reset
+   */
+  const handleResetTwoFactor = async (user) => {
+    if (!window.confirm(`${user.getDisplayName()} kullanıcısının iki adımlı doğrulaması kapatılacak ve oturumları sonlandırılacak. Devam edilsin mi?`)) {
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      await DatabaseService.resetUserTwoFactor(user.id, AuthService.getToken());
+      await loadUsers();
+    } catch (error) {
+      Logger.error('Error resetting two-factor authentication:', error);
+      setError('İki adımlı doğrulama sıfırlanırken hata oluştu');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!canOpenPanel) {
     return (
       <div className="admin-app">
         <div className="access-denied">
@@ -194,40 +251,24 @@ const AdminApp = () => {
       <div className="admin-container">
         {/* Header */}
         <div className="admin-header">
-          <h1 className="admin-title">Sistem Yönetimi</h1>
+          <h1 className="admin-title">
+            {currentUser.hasPermission(PERMISSIONS.ALL_BRANCHES) ? 'Sistem Yönetimi' : `${currentUser.branchName} Yönetimi`}
+          </h1>
           <p className="admin-subtitle">Hoş geldiniz, {currentUser.getDisplayName()}</p>
         </div>
 
         {/* Navigation Tabs */}
         <div className="admin-tabs">
-          <button
-            onClick={() => handleTabChange('dashboard')}
-            className={`tab-button ${activeTab === 'dashboard' ? 'active' : ''}`}
-          >
-            <span className="tab-icon">📊</span>
-            Dashboard
-          </button>
-          <button
-            onClick={() => handleTabChange('users')}
-            className={`tab-button ${activeTab === 'users' ? 'active' : ''}`}
-          >
-            <span className="tab-icon">👥</span>
-            Kullanıcılar
-          </button>
-          <button
-            onClick={() => handleTabChange('branches')}
-            className={`tab-button ${activeTab === 'branches' ? 'active' : ''}`}
-          >
-            <span className="tab-icon">🏢</span>
-            Şubeler
-          </button>
-          <button
-            onClick={() => handleTabChange('system')}
-            className={`tab-button ${activeTab === 'system' ? 'active' : ''}`}
-          >
-            <span className="tab-icon">⚙️</span>
-            Sistem
-          </button>
+          {visibleTabs.map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => handleTabChange(tab.id)}
+              className={`tab-button ${activeTab === tab.id ? 'active' : ''}`}
+            >
+              <span className="tab-icon">{tab.icon}</span>
+              {tab.label}
+            </button>
+          ))}
         </div>
 
         {error && (
@@ -355,6 +396,21 @@ const AdminApp = () => {
                       <span className={`status-badge ${user.isActive ? 'active' : 'inactive'}`}>
                         {user.isActive ? 'Aktif' : 'Pasif'}
                       </span>
+                      {user.isLocked() && (
+                        <span className="status-badge locked" title="Hatalı giriş denemeleri nedeniyle kilitli">
+                          Kilitli
+                        </span>
+                      )}
+                      {user.mustChangePassword && (
+                        <span className="status-badge temporary-password" title="İlk girişte şifresini değiştirecek">
+                          Geçici Şifre
+                        </span>
+                      )}
+                      {user.twoFactorEnabled && (
+                        <span className="status-badge two-factor" title="İki adımlı doğrulama açık">
+                          2FA
+                        </span>
+                      )}
                     </div>
                     <div className="table-cell">
                       <button
@@ -364,6 +420,16 @@ const AdminApp = () => {
                       >
                         ✏️
                       </button>
+                      {user.twoFactorEnabled && (
+                        <button
+                          onClick={() => handleResetTwoFactor(user)}
+                          className="action-button reset-two-factor"
+                          title="İki adımlı doğrulamayı sıfırla"
+                          disabled={isLoading}
+                        >
+                          🔑
+                        </button>
+                      )}
                       <button
                         onClick={() => handleDeleteUser(user)}
                         className="action-button delete"
@@ -380,50 +446,24 @@ const AdminApp = () => {
 
           {/* Branches Tab */}
           {activeTab === 'branches' && (
-            <div className="branches-content">
-              <div className="content-header">
-                <h2 className="content-title">Şube Yönetimi</h2>
-              </div>
-
-              <div className="branches-grid">
-                {branches.map((branch) => (
-                  <div key={branch.id} className="branch-card">
-                    <div className="branch-header">
-                      <h3 className="branch-name">{branch.getDisplayName()}</h3>
-                      <span className={`status-badge ${branch.isActive ? 'active' : 'inactive'}`}>
-                        {branch.getStatusText()}
-                      </span>
-                    </div>
-                    <div className="branch-info">
-                      <div className="branch-detail">
-                        <span className="detail-label">Adres:</span>
-                        <span className="detail-value">{branch.getFormattedAddress()}</span>
-                      </div>
-                      <div className="branch-detail">
-                        <span className="detail-label">Telefon:</span>
-                        <span className="detail-value">{branch.getFormattedPhone()}</span>
-                      </div>
-                    </div>
-                    <div className="branch-stats">
-                      <div className="branch-stat">
-                        <span className="stat-value">{branch.countersCount || 0}</span>
-                        <span className="stat-label">Toplam Gişe</span>
-                      </div>
-                      <div className="branch-stat">
-                        <span className="stat-value">{branch.activeCountersCount || 0}</span>
-                        <span className="stat-label">Aktif Gişe</span>
-                      </div>
-                      <div className="branch-stat">
-                        <span className="stat-value">{branch.waitingQueueCount || 0}</span>
-                        <span className="stat-label">Bekleyen</span>
-                      </div>
-                    </div>
-                  </div>
-                ))}
-              </div>
-            </div>
+            <BranchManager branches={branches} onBranchesChange={loadBranches} />
           )}
 
+          {/* Appointments Tab */}
+          {activeTab === 'appointments' && <AppointmentManager />}
+
+          {/* Devices Tab */}
+          {activeTab === 'devices' && <DeviceManager />}
+
+          {/* Reports Tab */}
+          {activeTab === 'reports' && <ReportManager />}
+
+          {/* Performance Tab */}
+          {activeTab === 'performance' && <PerformanceManager users={users} />}
+
+          {/* Audit Tab */}
+          {activeTab === 'audit' && <AuditManager />}
+
           {/* System Tab */}
           {activeTab === 'system' && (
             <div className="system-content">
@@ -487,7 +527,7 @@ const AdminApp = () => {
       {showUserForm && (
         <UserFormModal
           user={editingUser}
-          branches={branches}
+          branches={branches.filter(b => b.isActive)}
           onSubmit={handleUserSubmit}
           onCancel={() => {
             setShowUserForm(false);
@@ -504,14 +544,24 @@ const AdminApp = () => {
  * User Form Modal Component
  */
 const UserFormModal = ({ user, branches, onSubmit, onCancel, isLoading }) => {
+  // The server tells which roles the signed-in user may give, branch managers only add clerks
+  const currentUser = AuthService.getCurrentUser();
+  const roles = currentUser.getAssignableRoles();
   const [formData, setFormData] = useState({
     username: user?.username || '',
     fullName: user?.fullName || '',
     role: user?.role || 'clerk',
-    branchId: user?.branchId || '',
+    branchId: user?.branchId || (branches.length === 1 ? branches[0].id : ''),
     password: '',
     confirmPassword: ''
   });
+  const [passwordPolicy, setPasswordPolicy] = useState(new PasswordPolicy());
+
+  useEffect(() => {
+    DatabaseService.getPasswordPolicy()
+      .then(policy => setPasswordPolicy(PasswordPolicy.fromAPI(policy)))
+      .catch(error => Logger.warning('Password policy could not be loaded:', error));
+  }, []);
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -529,6 +579,12 @@ const UserFormModal = ({ user, branches, onSubmit, onCancel, isLoading }) => {
       return;
     }
 
+    const passwordValidation = user ? { isValid: true } : passwordPolicy.validate(formData.password);
+    if (!passwordValidation.isValid) {
+      alert(passwordValidation.errors[0]);
+      return;
+    }
+
     onSubmit(formData);
   };
 
@@ -574,12 +630,13 @@ const UserFormModal = ({ user, branches, onSubmit, onCancel, isLoading }) => {
               onChange={handleInputChange}
               required
             >
-              <option value="clerk">Gişe Görevlisi</option>
-              <option value="admin">Yönetici</option>
+              {roles.map(role => (
+                <option key={role} value={role}>{User.getRoleName(role)}</option>
+              ))}
             </select>
           </div>
 
-          {formData.role === 'clerk' && (
+          {currentUser.roleRequiresBranch(formData.role) && (
             <div className="form-group">
               <label htmlFor="branchId">Şube</label>
               <select
@@ -602,7 +659,7 @@ const UserFormModal = ({ user, branches, onSubmit, onCancel, isLoading }) => {
           {!user && (
             <>
               <div className="form-group">
-                <label htmlFor="password">Şifre</label>
+                <label htmlFor="password">Geçici Şifre</label>
                 <input
                   type="password"
                   id="password"
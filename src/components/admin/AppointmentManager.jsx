@@ -0,0 +1,356 @@
+/**
+ * Appointment Manager Component
+ * Admin tab for defining bookable slots and managing the appointments of a branch
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import DatabaseService from '../../services/DatabaseService.js';
+import AuthService from '../../services/AuthService.js';
+import Logger from '../../utils/Logger.js';
+import Branch from '../../models/Branch.js';
+import Service from '../../models/Service.js';
+import Appointment from '../../models/Appointment.js';
+import QueueTimeline from '../common/QueueTimeline.jsx';
+import './AppointmentManager.css';
+
+/**
+ * Get a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+const toDateInput = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Format a slot's time range
+ * @param {Object} slot - Slot from the API
+ * @returns {string} Time range, e.g. "10:00 - 10:15"
+ */
+const formatSlotTime = (slot) => {
+  const format = (value) => new Date(value).toLocaleTimeString('tr-TR', { hour: '2-digit', minute: '2-digit' });
+  return `${format(slot.startsAt)} - ${format(slot.endsAt)}`;
+};
+
+const AppointmentManager = () => {
+  const [branches, setBranches] = useState([]);
+  const [services, setServices] = useState([]);
+  const [branchId, setBranchId] = useState('');
+  const [date, setDate] = useState(toDateInput(new Date()));
+  const [slots, setSlots] = useState([]);
+  const [appointments, setAppointments] = useState([]);
+  const [timelineQueueId, setTimelineQueueId] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [slotForm, setSlotForm] = useState({
+    serviceId: '',
+    startTime: '09:00',
+    endTime: '12:00',
+    durationMinutes: 15,
+    capacity: 1
+  });
+  const [bookingForm, setBookingForm] = useState({
+    slotId: '',
+    customerName: '',
+    customerPhone: ''
+  });
+
+  useEffect(() => {
+    const loadBranches = async () => {
+      try {
+        const response = await DatabaseService.getBranches(AuthService.getToken());
+        const branchList = (response?.data || []).map(b => Branch.fromAPI(b));
+        setBranches(branchList);
+        if (branchList.length > 0) {
+          setBranchId(String(branchList[0].id));
+        }
+      } catch (error) {
+        Logger.error('Error loading branches for appointments:', error);
+        setError('Şubeler yüklenirken hata oluştu');
+      }
+    };
+
+    loadBranches();
+  }, []);
+
+  /**
+   * Load slots and appointments of the selected branch and day
+   */
+  const loadDay = useCallback(async () => {
+    if (!branchId) return;
+
+    try {
+      const [slotData, appointmentData, serviceData] = await Promise.all([
+        DatabaseService.getAppointmentSlots(branchId, date),
+        DatabaseService.getAppointments(branchId, date, AuthService.getToken()),
+        DatabaseService.getServices(branchId)
+      ]);
+
+      setSlots(slotData || []);
+      setAppointments((appointmentData || []).map(a => Appointment.fromAPI(a)));
+      setServices((serviceData || []).map(s => Service.fromAPI(s)));
+    } catch (error) {
+      Logger.error('Error loading appointments:', error);
+      setError('Randevular yüklenirken hata oluştu');
+    }
+  }, [branchId, date]);
+
+  useEffect(() => {
+    loadDay();
+  }, [loadDay]);
+
+  /**
+   * Run an action with shared loading and error handling
+   * @param {Function} action - Async action
+   * @param {string} errorMessage - Message shown on failure
+   */
+  const runAction = async (action, errorMessage) => {
+    setIsLoading(true);
+    setError('');
+    setMessage('');
+
+    try {
+      await action();
+      await loadDay();
+    } catch (error) {
+      Logger.error(errorMessage, error);
+      setError(errorMessage);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSlotInputChange = (e) => {
+    const { name, value } = e.target;
+    setSlotForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleBookingInputChange = (e) => {
+    const { name, value } = e.target;
+    setBookingForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleCreateSlots = (e) => {
+    e.preventDefault();
+
+    runAction(async () => {
+      const response = await DatabaseService.createAppointmentSlots({
+        branchId: parseInt(branchId),
+        serviceId: slotForm.serviceId ? parseInt(slotForm.serviceId) : null,
+        date,
+        startTime: slotForm.startTime,
+        endTime: slotForm.endTime,
+        durationMinutes: parseInt(slotForm.durationMinutes),
+        capacity: parseInt(slotForm.capacity)
+      }, AuthService.getToken());
+
+      setMessage(`${response.data.length} randevu aralığı oluşturuldu`);
+    }, 'Randevu aralıkları oluşturulurken hata oluştu');
+  };
+
+  const handleDeleteSlot = (slot) => {
+    runAction(async () => {
+      await DatabaseService.deleteAppointmentSlot(slot.id, AuthService.getToken());
+    }, 'Randevu aralığı silinirken hata oluştu');
+  };
+
+  const handleBook = (e) => {
+    e.preventDefault();
+
+    runAction(async () => {
+      const response = await DatabaseService.createAppointment({
+        slotId: parseInt(bookingForm.slotId),
+        customerName: bookingForm.customerName,
+        customerPhone: bookingForm.customerPhone
+      }, AuthService.getToken());
+
+      setBookingForm({ slotId: '', customerName: '', customerPhone: '' });
+      setMessage(`Randevu oluşturuldu. Giriş kodu: ${response.data.code}`);
+    }, 'Randevu oluşturulurken hata oluştu');
+  };
+
+  const handleCancelAppointment = (appointment) => {
+    if (!window.confirm(`${appointment.customerName} randevusunu iptal etmek istediğinizden emin misiniz?`)) {
+      return;
+    }
+
+    runAction(async () => {
+      await DatabaseService.cancelAppointment(appointment.id, AuthService.getToken());
+    }, 'Randevu iptal edilirken hata oluştu');
+  };
+
+  const bookableSlots = slots.filter(slot => slot.availableCount > 0 && new Date(slot.startsAt) > new Date());
+
+  return (
+    <div className="appointments-content">
+      <div className="content-header">
+        <h2 className="content-title">Randevu Yönetimi</h2>
+        <div className="appointment-filters">
+          <select value={branchId} onChange={(e) => setBranchId(e.target.value)}>
+            {branches.map(branch => (
+              <option key={branch.id} value={branch.id}>{branch.getDisplayName()}</option>
+            ))}
+          </select>
+          <input type="date" value={date} onChange={(e) => setDate(e.target.value)} />
+        </div>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      {message && <div className="appointment-message">{message}</div>}
+
+      <div className="appointment-forms">
+        <form onSubmit={handleCreateSlots} className="appointment-form">
+          <h3 className="section-title">Randevu Aralığı Tanımla</h3>
+          <div className="form-group">
+            <label htmlFor="slotServiceId">Hizmet</label>
+            <select id="slotServiceId" name="serviceId" value={slotForm.serviceId} onChange={handleSlotInputChange}>
+              <option value="">Genel Sıra</option>
+              {services.map(service => (
+                <option key={service.id} value={service.id}>{service.code} - {service.getDisplayName()}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="startTime">Başlangıç</label>
+              <input type="time" id="startTime" name="startTime" value={slotForm.startTime} onChange={handleSlotInputChange} required />
+            </div>
+            <div className="form-group">
+              <label htmlFor="endTime">Bitiş</label>
+              <input type="time" id="endTime" name="endTime" value={slotForm.endTime} onChange={handleSlotInputChange} required />
+            </div>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="durationMinutes">Süre (dk)</label>
+              <input type="number" id="durationMinutes" name="durationMinutes" min="5" value={slotForm.durationMinutes} onChange={handleSlotInputChange} required />
+            </div>
+            <div className="form-group">
+              <label htmlFor="capacity">Kapasite</label>
+              <input type="number" id="capacity" name="capacity" min="1" value={slotForm.capacity} onChange={handleSlotInputChange} required />
+            </div>
+          </div>
+          <button type="submit" className="submit-button" disabled={isLoading || !branchId}>
+            Aralıkları Oluştur
+          </button>
+        </form>
+
+        <form onSubmit={handleBook} className="appointment-form">
+          <h3 className="section-title">Randevu Oluştur</h3>
+          <div className="form-group">
+            <label htmlFor="slotId">Randevu Saati</label>
+            <select id="slotId" name="slotId" value={bookingForm.slotId} onChange={handleBookingInputChange} required>
+              <option value="">Saat Seçin</option>
+              {bookableSlots.map(slot => (
+                <option key={slot.id} value={slot.id}>
+                  {formatSlotTime(slot)} {slot.serviceCode ? `(${slot.serviceCode})` : ''} - {slot.availableCount} boş
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="customerName">Müşteri Adı</label>
+            <input type="text" id="customerName" name="customerName" value={bookingForm.customerName} onChange={handleBookingInputChange} required />
+          </div>
+          <div className="form-group">
+            <label htmlFor="customerPhone">Telefon</label>
+            <input type="tel" id="customerPhone" name="customerPhone" value={bookingForm.customerPhone} onChange={handleBookingInputChange} />
+          </div>
+          <button type="submit" className="submit-button" disabled={isLoading || !bookingForm.slotId}>
+            Randevu Oluştur
+          </button>
+        </form>
+      </div>
+
+      <h3 className="section-title">Randevu Aralıkları</h3>
+      {slots.length === 0 ? (
+        <p className="appointment-empty">Bu gün için tanımlı randevu aralığı yok</p>
+      ) : (
+        <div className="slot-list">
+          {slots.map(slot => (
+            <div key={slot.id} className={`slot-chip ${slot.availableCount === 0 ? 'full' : ''}`}>
+              <span className="slot-time">{formatSlotTime(slot)}</span>
+              {slot.serviceCode && <span className="slot-service">{slot.serviceCode}</span>}
+              <span className="slot-count">{slot.bookedCount}/{slot.capacity}</span>
+              {slot.bookedCount === 0 && (
+                <button
+                  onClick={() => handleDeleteSlot(slot)}
+                  className="action-button delete"
+                  disabled={isLoading}
+                  title="Aralığı sil"
+                >
+                  🗑️
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <h3 className="section-title">Randevular</h3>
+      <div className="users-table appointments-table">
+        <div className="table-header">
+          <div className="table-cell">Saat</div>
+          <div className="table-cell">Müşteri</div>
+          <div className="table-cell">Telefon</div>
+          <div className="table-cell">Kod</div>
+          <div className="table-cell">Durum</div>
+          <div className="table-cell">İşlemler</div>
+        </div>
+
+        {appointments.map((appointment) => (
+          <div key={appointment.id} className="table-row">
+            <div className="table-cell">
+              {appointment.getTimeRange()}
+              {appointment.serviceCode && ` (${appointment.serviceCode})`}
+            </div>
+            <div className="table-cell">{appointment.customerName}</div>
+            <div className="table-cell">{appointment.customerPhone || '-'}</div>
+            <div className="table-cell appointment-code">{appointment.code}</div>
+            <div className="table-cell">
+              <span className={`appointment-status ${appointment.status}`}>
+                {appointment.getStatusText()}
+                {appointment.queueNumber && ` · ${appointment.serviceCode}${appointment.queueNumber}`}
+              </span>
+            </div>
+            <div className="table-cell">
+              {appointment.queueId && (
+                <button
+                  onClick={() => setTimelineQueueId(appointment.queueId)}
+                  className="action-button edit"
+                  title="Bilet geçmişini göster"
+                >
+                  🕘
+                </button>
+              )}
+              {appointment.isCancellable() && (
+                <button
+                  onClick={() => handleCancelAppointment(appointment)}
+                  className="action-button delete"
+                  disabled={isLoading}
+                  title="Randevuyu iptal et"
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {timelineQueueId && (
+        <QueueTimeline queueId={timelineQueueId} onClose={() => setTimelineQueueId(null)} />
+      )}
+    </div>
+  );
+};
+
+export default AppointmentManager;
@@ -0,0 +1,164 @@
+/**
+ * Audit Manager Component
+ * Admin tab for searching the audit log of administrative changes
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import DatabaseService from '../../services/DatabaseService.js';
+import AuthService from '../../services/AuthService.js';
+import Logger from '../../utils/Logger.js';
+import AuditEntry, { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } from '../../models/AuditEntry.js';
+import './AuditManager.css';
+
+const PAGE_SIZE = 25;
+
+const AuditManager = () => {
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, limit: PAGE_SIZE, total: 0 });
+  const [searchInput, setSearchInput] = useState('');
+  const [filters, setFilters] = useState({
+    search: '',
+    entityType: '',
+    action: '',
+    from: '',
+    to: ''
+  });
+  const [page, setPage] = useState(1);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  /**
+   * Load the audit entries of the current filters and page
+   */
+  const loadEntries = useCallback(async () => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      // Only send filters that are set
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      const data = await DatabaseService.getAuditLog({ ...params, page, limit: PAGE_SIZE }, AuthService.getToken());
+      setEntries((data?.entries || []).map(e => AuditEntry.fromAPI(e)));
+      setPagination(data?.pagination || { page, limit: PAGE_SIZE, total: 0 });
+    } catch (error) {
+      Logger.error('Error loading audit log:', error);
+      setError('Denetim kayıtları yüklenirken hata oluştu');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setPage(1);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setFilters(prev => ({ ...prev, search: searchInput.trim() }));
+    setPage(1);
+  };
+
+  const pageCount = Math.max(Math.ceil(pagination.total / pagination.limit), 1);
+
+  return (
+    <div className="audit-content">
+      <div className="content-header">
+        <h2 className="content-title">Denetim Kayıtları</h2>
+      </div>
+
+      <div className="audit-filters">
+        <form onSubmit={handleSearch} className="audit-search">
+          <input
+            type="text"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            placeholder="Kullanıcı, işlem veya değer ara"
+          />
+          <button type="submit" className="submit-button" disabled={isLoading}>Ara</button>
+        </form>
+        <select name="entityType" value={filters.entityType} onChange={handleFilterChange}>
+          <option value="">Tüm Kayıt Türleri</option>
+          {Object.entries(AUDIT_ENTITY_TYPES).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <select name="action" value={filters.action} onChange={handleFilterChange}>
+          <option value="">Tüm İşlemler</option>
+          {Object.entries(AUDIT_ACTIONS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <input type="date" name="from" value={filters.from} onChange={handleFilterChange} title="Başlangıç" />
+        <input type="date" name="to" value={filters.to} onChange={handleFilterChange} title="Bitiş" />
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      <div className="users-table audit-table">
+        <div className="table-header">
+          <div className="table-cell">Zaman</div>
+          <div className="table-cell">Kullanıcı</div>
+          <div className="table-cell">İşlem</div>
+          <div className="table-cell">Kayıt</div>
+          <div className="table-cell">Değişiklikler</div>
+          <div className="table-cell">IP</div>
+        </div>
+
+        {entries.length === 0 && (
+          <div className="table-row">
+            <div className="table-cell audit-empty">{isLoading ? 'Yükleniyor...' : 'Kayıt bulunamadı'}</div>
+          </div>
+        )}
+
+        {entries.map(entry => (
+          <div key={entry.id} className="table-row">
+            <div className="table-cell">{entry.getFormattedTime()}</div>
+            <div className="table-cell">{entry.username || '-'}</div>
+            <div className="table-cell">
+              <span className={`audit-action action-${entry.action}`}>{entry.getActionText()}</span>
+            </div>
+            <div className="table-cell">{entry.getEntityText()}</div>
+            <div className="table-cell audit-changes">
+              {entry.getChanges().length === 0 ? (
+                <span className="audit-no-change">Değer değişikliği yok</span>
+              ) : (
+                entry.getChanges().map(change => (
+                  <div key={change.field} className="audit-change">
+                    <strong>{change.field}:</strong>{' '}
+                    <span className="audit-before">{AuditEntry.formatValue(change.before)}</span>
+                    {' → '}
+                    <span className="audit-after">{AuditEntry.formatValue(change.after)}</span>
+                  </div>
+                ))
+              )}
+            </div>
+            <div className="table-cell audit-ip">{entry.ipAddress || '-'}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="audit-pagination">
+        <button onClick={() => setPage(page - 1)} className="action-button edit" disabled={isLoading || page <= 1}>
+          ‹ Önceki
+        </button>
+        <span>Sayfa {page} / {pageCount} ({pagination.total} kayıt)</span>
+        <button onClick={() => setPage(page + 1)} className="action-button edit" disabled={isLoading || page >= pageCount}>
+          Sonraki ›
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AuditManager;
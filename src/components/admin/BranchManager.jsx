@@ -0,0 +1,500 @@
+/**
+ * Branch Manager Component
+ * Admin tab for creating and editing branches and managing the counters of each branch.
+ * Branch managers only see their own branch and can manage its counters but not the branch itself
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import DatabaseService from '../../services/DatabaseService.js';
+import AuthService from '../../services/AuthService.js';
+import Logger from '../../utils/Logger.js';
+import Counter from '../../models/Counter.js';
+import { PERMISSIONS } from '../../models/User.js';
+import './BranchManager.css';
+
+// Turkish texts of the validation errors returned by the branch and counter endpoints
+const API_ERROR_MESSAGES = {
+  'Name and address are required': 'Şube adı ve adresi zorunludur',
+  'Name and address cannot be empty': 'Şube adı ve adresi boş bırakılamaz',
+  'Branch name already exists': 'Bu isimde bir şube zaten var',
+  'Branch not found': 'Şube bulunamadı',
+  'Cannot deactivate branch with active users': 'Aktif kullanıcısı olan şube pasif yapılamaz',
+  'Cannot deactivate branch with active queue items': 'Bekleyen veya çağrılmış müşterisi olan şube pasif yapılamaz',
+  'Branch ID and counter number are required': 'Gişe numarası zorunludur',
+  'Counter number must be a positive integer': 'Gişe numarası pozitif bir tam sayı olmalıdır',
+  'Counter number already exists in this branch': 'Bu şubede aynı numaralı bir gişe zaten var',
+  'Counter not found': 'Gişe bulunamadı',
+  'Cannot deactivate counter with active session': 'Açık oturumu olan gişe pasif yapılamaz',
+  'Cannot delete counter with active session': 'Açık oturumu olan gişe silinemez'
+};
+
+/**
+ * Get the message to show for a failed API call
+ * @param {Error} error - Error from DatabaseService
+ * @param {string} fallback - Message for unexpected errors
+ * @returns {string} Error message
+ */
+const getErrorMessage = (error, fallback) => {
+  if (API_ERROR_MESSAGES[error.apiMessage]) {
+    return API_ERROR_MESSAGES[error.apiMessage];
+  }
+
+  // Show other validation errors as sent by the API
+  if (error.statusCode >= 400 && error.statusCode < 500 && error.apiMessage) {
+    return error.apiMessage;
+  }
+
+  return fallback;
+};
+
+const BranchManager = ({ branches, onBranchesChange }) => {
+  const [showBranchForm, setShowBranchForm] = useState(false);
+  const [editingBranch, setEditingBranch] = useState(null);
+  const [expandedBranchId, setExpandedBranchId] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [formError, setFormError] = useState('');
+  const canManageBranches = AuthService.hasPermission(PERMISSIONS.MANAGE_BRANCHES);
+
+  /**
+   * Open the branch form
+   * @param {Branch|null} branch - Branch to edit, or null for a new branch
+   */
+  const openBranchForm = (branch = null) => {
+    setEditingBranch(branch);
+    setFormError('');
+    setShowBranchForm(true);
+  };
+
+  const closeBranchForm = () => {
+    setShowBranchForm(false);
+    setEditingBranch(null);
+    setFormError('');
+  };
+
+  /**
+   * Handle branch creation/editing
+   * @param {Object} branchData - Branch form data
+   */
+  const handleBranchSubmit = async (branchData) => {
+    setIsSaving(true);
+    setFormError('');
+
+    try {
+      if (editingBranch) {
+        await DatabaseService.updateBranch(editingBranch.id, branchData, AuthService.getToken());
+        Logger.info(`Branch ${editingBranch.id} updated`);
+      } else {
+        await DatabaseService.createBranch(branchData, AuthService.getToken());
+        Logger.info(`Branch ${branchData.name} created`);
+      }
+
+      closeBranchForm();
+      await onBranchesChange();
+    } catch (error) {
+      Logger.error('Error saving branch:', error);
+      setFormError(getErrorMessage(error, 'Şube kaydedilirken hata oluştu'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Show or hide the counter manager of a branch
+   * @param {Branch} branch - Branch
+   */
+  const toggleCounters = (branch) => {
+    setExpandedBranchId(prev => prev === branch.id ? null : branch.id);
+  };
+
+  return (
+    <div className="branches-content">
+      <div className="content-header">
+        <h2 className="content-title">Şube Yönetimi</h2>
+        {canManageBranches && (
+          <button onClick={() => openBranchForm()} className="add-button">
+            <span className="button-icon">➕</span>
+            Yeni Şube
+          </button>
+        )}
+      </div>
+
+      <div className="branches-grid">
+        {branches.map((branch) => (
+          <div
+            key={branch.id}
+            className={`branch-card ${branch.isActive ? '' : 'inactive'} ${expandedBranchId === branch.id ? 'expanded' : ''}`}
+          >
+            <div className="branch-header">
+              <h3 className="branch-name">{branch.getDisplayName()}</h3>
+              <div className="branch-actions">
+                <span className={`status-badge ${branch.isActive ? 'active' : 'inactive'}`}>
+                  {branch.getStatusText()}
+                </span>
+                {canManageBranches && (
+                  <button
+                    onClick={() => openBranchForm(branch)}
+                    className="action-button edit"
+                    title="Şubeyi düzenle"
+                  >
+                    ✏️
+                  </button>
+                )}
+              </div>
+            </div>
+            <div className="branch-info">
+              <div className="branch-detail">
+                <span className="detail-label">Adres:</span>
+                <span className="detail-value">{branch.getFormattedAddress()}</span>
+              </div>
+              <div className="branch-detail">
+                <span className="detail-label">Telefon:</span>
+                <span className="detail-value">{branch.getFormattedPhone()}</span>
+              </div>
+            </div>
+            <div className="branch-stats">
+              <div className="branch-stat">
+                <span className="stat-value">{branch.countersCount || 0}</span>
+                <span className="stat-label">Toplam Gişe</span>
+              </div>
+              <div className="branch-stat">
+                <span className="stat-value">{branch.activeCountersCount || 0}</span>
+                <span className="stat-label">Aktif Gişe</span>
+              </div>
+              <div className="branch-stat">
+                <span className="stat-value">{branch.waitingQueueCount || 0}</span>
+                <span className="stat-label">Bekleyen</span>
+              </div>
+            </div>
+
+            {branch.isActive && (
+              <button onClick={() => toggleCounters(branch)} className="counters-toggle">
+                {expandedBranchId === branch.id ? 'Gişeleri Gizle' : 'Gişeleri Yönet'}
+              </button>
+            )}
+
+            {branch.isActive && expandedBranchId === branch.id && (
+              <CounterManager branch={branch} onCountersChange={onBranchesChange} />
+            )}
+          </div>
+        ))}
+      </div>
+
+      {showBranchForm && (
+        <BranchFormModal
+          branch={editingBranch}
+          onSubmit={handleBranchSubmit}
+          onCancel={closeBranchForm}
+          isLoading={isSaving}
+          error={formError}
+        />
+      )}
+    </div>
+  );
+};
+
+/**
+ * Counter Manager Component
+ * Inline list of a branch's counters with add, renumber, activate/deactivate and delete
+ */
+const CounterManager = ({ branch, onCountersChange }) => {
+  const [counters, setCounters] = useState([]);
+  const [numbers, setNumbers] = useState({});
+  const [newNumber, setNewNumber] = useState('');
+  const [rowErrors, setRowErrors] = useState({});
+  const [addError, setAddError] = useState('');
+  const [message, setMessage] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  /**
+   * Load the counters of the branch
+   */
+  const loadCounters = useCallback(async () => {
+    try {
+      const counterData = await DatabaseService.getBranchCounters(branch.id, AuthService.getToken());
+      const counterList = counterData.map(c => Counter.fromAPI(c));
+
+      setCounters(counterList);
+      setNumbers(Object.fromEntries(counterList.map(c => [c.id, String(c.counterNumber)])));
+      setNewNumber(String(counterList.reduce((max, c) => Math.max(max, c.counterNumber), 0) + 1));
+    } catch (error) {
+      Logger.error(`Error loading counters of branch ${branch.id}:`, error);
+      setAddError('Gişeler yüklenirken hata oluştu');
+    }
+  }, [branch.id]);
+
+  useEffect(() => {
+    loadCounters();
+  }, [loadCounters]);
+
+  /**
+   * Run a counter action; errors are shown next to the counter (or the add form when counterId is null)
+   * @param {number|null} counterId - Counter the action belongs to
+   * @param {Function} action - Async action, may return a message to show
+   * @param {string} errorMessage - Message for unexpected errors
+   */
+  const runAction = async (counterId, action, errorMessage) => {
+    setIsLoading(true);
+    setMessage('');
+    setAddError('');
+    setRowErrors({});
+
+    try {
+      const resultMessage = await action();
+      if (resultMessage) setMessage(resultMessage);
+      await loadCounters();
+      await onCountersChange();
+    } catch (error) {
+      Logger.error(errorMessage, error);
+      const text = getErrorMessage(error, errorMessage);
+
+      if (counterId) {
+        setRowErrors({ [counterId]: text });
+      } else {
+        setAddError(text);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+
+    runAction(null, async () => {
+      await DatabaseService.createCounter({
+        branchId: branch.id,
+        number: Number(newNumber)
+      }, AuthService.getToken());
+      return `Gişe ${newNumber} eklendi`;
+    }, 'Gişe eklenirken hata oluştu');
+  };
+
+  const handleRenumber = (counter) => {
+    runAction(counter.id, async () => {
+      await DatabaseService.updateCounter(counter.id, {
+        number: Number(numbers[counter.id])
+      }, AuthService.getToken());
+      return `Gişe ${counter.counterNumber} numarası ${numbers[counter.id]} olarak değiştirildi`;
+    }, 'Gişe numarası değiştirilirken hata oluştu');
+  };
+
+  const handleToggleActive = (counter) => {
+    runAction(counter.id, async () => {
+      await DatabaseService.updateCounter(counter.id, {
+        isActive: !counter.isActive
+      }, AuthService.getToken());
+      return `${counter.getDisplayName()} ${counter.isActive ? 'pasif yapıldı' : 'aktif yapıldı'}`;
+    }, 'Gişe durumu değiştirilirken hata oluştu');
+  };
+
+  const handleDelete = (counter) => {
+    if (!window.confirm(`${counter.getDisplayName()} silinsin mi?`)) {
+      return;
+    }
+
+    runAction(counter.id, async () => {
+      const result = await DatabaseService.deleteCounter(counter.id, AuthService.getToken());
+
+      // Counters that already served customers are kept for the history and only deactivated
+      return result?.message?.includes('deactivated')
+        ? `${counter.getDisplayName()} geçmiş kayıtları olduğu için silinmedi, pasif yapıldı`
+        : `${counter.getDisplayName()} silindi`;
+    }, 'Gişe silinirken hata oluştu');
+  };
+
+  return (
+    <div className="counter-manager">
+      {message && <div className="counter-message">{message}</div>}
+
+      {counters.length === 0 && (
+        <p className="counter-empty">Bu şubede henüz gişe yok</p>
+      )}
+
+      {counters.map((counter) => {
+        const isRenumbered = numbers[counter.id] !== String(counter.counterNumber);
+
+        return (
+          <div key={counter.id} className="counter-row-wrapper">
+            <div className={`counter-row ${counter.isActive ? '' : 'inactive'}`}>
+              <label className="counter-number-field">
+                <span>Gişe</span>
+                <input
+                  type="number"
+                  min="1"
+                  value={numbers[counter.id] ?? ''}
+                  onChange={(e) => setNumbers(prev => ({ ...prev, [counter.id]: e.target.value }))}
+                  disabled={isLoading}
+                />
+              </label>
+              {isRenumbered && (
+                <button
+                  onClick={() => handleRenumber(counter)}
+                  className="counter-save-button"
+                  disabled={isLoading || !numbers[counter.id]}
+                >
+                  Kaydet
+                </button>
+              )}
+              <span className="counter-state">
+                {counter.isOccupied
+                  ? `${counter.isPaused ? 'Molada' : 'Açık'} · ${counter.userName}`
+                  : counter.isActive ? 'Boşta' : 'Pasif'}
+              </span>
+              <div className="counter-row-actions">
+                <button
+                  onClick={() => handleToggleActive(counter)}
+                  className="action-button edit"
+                  disabled={isLoading}
+                  title={counter.isActive ? 'Pasif yap' : 'Aktif yap'}
+                >
+                  {counter.isActive ? '⏸️' : '▶️'}
+                </button>
+                <button
+                  onClick={() => handleDelete(counter)}
+                  className="action-button delete"
+                  disabled={isLoading}
+                  title="Gişeyi sil"
+                >
+                  🗑️
+                </button>
+              </div>
+            </div>
+            {rowErrors[counter.id] && (
+              <div className="counter-error">{rowErrors[counter.id]}</div>
+            )}
+          </div>
+        );
+      })}
+
+      <form onSubmit={handleAdd} className="counter-add-form">
+        <label className="counter-number-field">
+          <span>Yeni gişe no</span>
+          <input
+            type="number"
+            min="1"
+            value={newNumber}
+            onChange={(e) => setNewNumber(e.target.value)}
+            disabled={isLoading}
+            required
+          />
+        </label>
+        <button type="submit" className="counter-save-button" disabled={isLoading || !newNumber}>
+          Gişe Ekle
+        </button>
+      </form>
+      {addError && <div className="counter-error">{addError}</div>}
+    </div>
+  );
+};
+
+/**
+ * Branch Form Modal Component
+ */
+const BranchFormModal = ({ branch, onSubmit, onCancel, isLoading, error }) => {
+  const [formData, setFormData] = useState({
+    name: branch?.name || '',
+    address: branch?.address || '',
+    phone: branch?.phone || '',
+    isActive: branch ? branch.isActive : true
+  });
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const branchData = {
+      name: formData.name.trim(),
+      address: formData.address.trim(),
+      phone: formData.phone.trim()
+    };
+
+    // New branches always start active
+    onSubmit(branch ? { ...branchData, isActive: formData.isActive } : branchData);
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content">
+        <div className="modal-header">
+          <h3>{branch ? 'Şube Düzenle' : 'Yeni Şube'}</h3>
+          <button onClick={onCancel} className="modal-close">✕</button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="user-form">
+          <div className="form-group">
+            <label htmlFor="branchName">Şube Adı</label>
+            <input
+              type="text"
+              id="branchName"
+              name="name"
+              value={formData.name}
+              onChange={handleInputChange}
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="branchAddress">Adres</label>
+            <input
+              type="text"
+              id="branchAddress"
+              name="address"
+              value={formData.address}
+              onChange={handleInputChange}
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="branchPhone">Telefon</label>
+            <input
+              type="tel"
+              id="branchPhone"
+              name="phone"
+              value={formData.phone}
+              onChange={handleInputChange}
+              placeholder="+90 212 555 0000"
+            />
+          </div>
+
+          {branch && (
+            <label className="branch-active-field">
+              <input
+                type="checkbox"
+                name="isActive"
+                checked={formData.isActive}
+                onChange={handleInputChange}
+              />
+              Şube aktif
+            </label>
+          )}
+
+          {error && (
+            <div className="error-message">
+              <span className="error-icon">⚠️</span>
+              {error}
+            </div>
+          )}
+
+          <div className="form-actions">
+            <button type="button" onClick={onCancel} className="cancel-button">
+              İptal
+            </button>
+            <button type="submit" disabled={isLoading} className="submit-button">
+              {isLoading ? 'Kaydediliyor...' : 'Kaydet'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default BranchManager;
@@ -0,0 +1,269 @@
+/**
+ * Device Manager Component
+ * Admin tab for registering kiosks and wall displays and managing their device tokens
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import DatabaseService from '../../services/DatabaseService.js';
+import AuthService from '../../services/AuthService.js';
+import Logger from '../../utils/Logger.js';
+import Branch from '../../models/Branch.js';
+import Device from '../../models/Device.js';
+import './DeviceManager.css';
+
+const DeviceManager = () => {
+  const [branches, setBranches] = useState([]);
+  const [devices, setDevices] = useState([]);
+  const [branchFilter, setBranchFilter] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [issuedToken, setIssuedToken] = useState(null);
+  const [deviceForm, setDeviceForm] = useState({
+    branchId: '',
+    name: '',
+    role: 'kiosk'
+  });
+
+  useEffect(() => {
+    const loadBranches = async () => {
+      try {
+        const response = await DatabaseService.getBranches(AuthService.getToken());
+        const branchList = (response?.data || []).map(b => Branch.fromAPI(b));
+        setBranches(branchList);
+        if (branchList.length > 0) {
+          setDeviceForm(prev => ({ ...prev, branchId: String(branchList[0].id) }));
+        }
+      } catch (error) {
+        Logger.error('Error loading branches for devices:', error);
+        setError('Şubeler yüklenirken hata oluştu');
+      }
+    };
+
+    loadBranches();
+  }, []);
+
+  /**
+   * Load registered devices, optionally of one branch
+   */
+  const loadDevices = useCallback(async () => {
+    try {
+      const deviceData = await DatabaseService.getDevices(branchFilter || null, AuthService.getToken());
+      setDevices((deviceData || []).map(d => Device.fromAPI(d)));
+    } catch (error) {
+      Logger.error('Error loading devices:', error);
+      setError('Cihazlar yüklenirken hata oluştu');
+    }
+  }, [branchFilter]);
+
+  useEffect(() => {
+    loadDevices();
+  }, [loadDevices]);
+
+  /**
+   * Run an action with shared loading and error handling
+   * @param {Function} action - Async action
+   * @param {string} errorMessage - Message shown on failure
+   */
+  const runAction = async (action, errorMessage) => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      await action();
+      await loadDevices();
+    } catch (error) {
+      Logger.error(errorMessage, error);
+      setError(error.statusCode === 409 ? 'Bu şubede aynı isimde bir cihaz zaten var' : errorMessage);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setDeviceForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+
+    runAction(async () => {
+      const result = await DatabaseService.createDevice({
+        branchId: parseInt(deviceForm.branchId),
+        name: deviceForm.name.trim(),
+        role: deviceForm.role
+      }, AuthService.getToken());
+
+      setIssuedToken({ device: Device.fromAPI(result.device), token: result.token });
+      setDeviceForm(prev => ({ ...prev, name: '' }));
+    }, 'Cihaz kaydedilirken hata oluştu');
+  };
+
+  const handleRegenerate = (device) => {
+    if (!window.confirm(`${device.name} için yeni anahtar oluşturulsun mu? Cihazdaki mevcut anahtar geçersiz olacak.`)) {
+      return;
+    }
+
+    runAction(async () => {
+      const result = await DatabaseService.regenerateDeviceToken(device.id, AuthService.getToken());
+      setIssuedToken({ device: Device.fromAPI(result.device), token: result.token });
+    }, 'Cihaz anahtarı oluşturulurken hata oluştu');
+  };
+
+  const handleRevoke = (device) => {
+    if (!window.confirm(`${device.name} cihazının erişimini iptal etmek istediğinizden emin misiniz?`)) {
+      return;
+    }
+
+    runAction(async () => {
+      await DatabaseService.revokeDevice(device.id, AuthService.getToken());
+      if (issuedToken?.device.id === device.id) setIssuedToken(null);
+    }, 'Cihaz erişimi iptal edilirken hata oluştu');
+  };
+
+  const handleDelete = (device) => {
+    if (!window.confirm(`${device.name} cihazını silmek istediğinizden emin misiniz?`)) {
+      return;
+    }
+
+    runAction(async () => {
+      await DatabaseService.deleteDevice(device.id, AuthService.getToken());
+      if (issuedToken?.device.id === device.id) setIssuedToken(null);
+    }, 'Cihaz silinirken hata oluştu');
+  };
+
+  const handleCopyToken = async () => {
+    try {
+      await navigator.clipboard.writeText(issuedToken.token);
+    } catch (error) {
+      Logger.warning('Device token could not be copied:', error);
+    }
+  };
+
+  return (
+    <div className="devices-content">
+      <div className="content-header">
+        <h2 className="content-title">Cihaz Yönetimi</h2>
+        <div className="device-filters">
+          <select value={branchFilter} onChange={(e) => setBranchFilter(e.target.value)}>
+            <option value="">Tüm Şubeler</option>
+            {branches.map(branch => (
+              <option key={branch.id} value={branch.id}>{branch.getDisplayName()}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      {issuedToken && (
+        <div className="device-token-panel">
+          <div className="device-token-header">
+            <strong>{issuedToken.device.name} için cihaz anahtarı</strong>
+            <button onClick={() => setIssuedToken(null)} className="device-token-close" title="Kapat">✕</button>
+          </div>
+          <p className="device-token-hint">
+            Bu anahtar yalnızca şimdi gösterilir. Cihazda {issuedToken.device.getPath()} sayfasını açın,
+            &quot;Bu cihazı kiosk veya ekran olarak etkinleştir&quot; seçeneğine tıklayın ve anahtarı yapıştırın.
+          </p>
+          <textarea className="device-token-value" value={issuedToken.token} readOnly rows={3} onFocus={(e) => e.target.select()} />
+          <button onClick={handleCopyToken} className="submit-button">Anahtarı Kopyala</button>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="device-form">
+        <h3 className="section-title">Cihaz Ekle</h3>
+        <div className="device-form-fields">
+          <div className="form-group">
+            <label htmlFor="deviceBranchId">Şube</label>
+            <select id="deviceBranchId" name="branchId" value={deviceForm.branchId} onChange={handleInputChange} required>
+              {branches.map(branch => (
+                <option key={branch.id} value={branch.id}>{branch.getDisplayName()}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="deviceName">Cihaz Adı</label>
+            <input type="text" id="deviceName" name="name" value={deviceForm.name} onChange={handleInputChange} placeholder="Örn. Giriş Kiosku" required />
+          </div>
+          <div className="form-group">
+            <label htmlFor="deviceRole">Tür</label>
+            <select id="deviceRole" name="role" value={deviceForm.role} onChange={handleInputChange}>
+              <option value="kiosk">Kiosk</option>
+              <option value="display">Ekran</option>
+            </select>
+          </div>
+        </div>
+        <button type="submit" className="submit-button" disabled={isLoading || !deviceForm.branchId || !deviceForm.name.trim()}>
+          Cihaz Ekle
+        </button>
+      </form>
+
+      <div className="users-table devices-table">
+        <div className="table-header">
+          <div className="table-cell">Cihaz</div>
+          <div className="table-cell">Şube</div>
+          <div className="table-cell">Tür</div>
+          <div className="table-cell">Son Bağlantı</div>
+          <div className="table-cell">Durum</div>
+          <div className="table-cell">İşlemler</div>
+        </div>
+
+        {devices.length === 0 && (
+          <div className="table-row">
+            <div className="table-cell device-empty">Kayıtlı cihaz yok</div>
+          </div>
+        )}
+
+        {devices.map((device) => (
+          <div key={device.id} className="table-row">
+            <div className="table-cell">{device.name}</div>
+            <div className="table-cell">{device.branchName}</div>
+            <div className="table-cell">{device.getRoleText()}</div>
+            <div className="table-cell">{device.getLastSeenText()}</div>
+            <div className="table-cell">
+              <span className={`status-badge ${device.isActive ? 'active' : 'inactive'}`}>
+                {device.isActive ? 'Aktif' : 'İptal Edildi'}
+              </span>
+            </div>
+            <div className="table-cell">
+              <button
+                onClick={() => handleRegenerate(device)}
+                className="action-button edit"
+                disabled={isLoading}
+                title="Yeni anahtar oluştur"
+              >
+                🔑
+              </button>
+              {device.isActive && (
+                <button
+                  onClick={() => handleRevoke(device)}
+                  className="action-button delete"
+                  disabled={isLoading}
+                  title="Erişimi iptal et"
+                >
+                  ⛔
+                </button>
+              )}
+              <button
+                onClick={() => handleDelete(device)}
+                className="action-button delete"
+                disabled={isLoading}
+                title="Cihazı sil"
+              >
+                🗑️
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default DeviceManager;
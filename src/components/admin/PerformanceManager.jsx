@@ -0,0 +1,39 @@
+/**
+ * Performance Manager Component
+ * Admin tab for the performance dashboard of a selected clerk
+ */
+
+import { useState } from 'react';
+import ClerkPerformanceDashboard from '../common/ClerkPerformanceDashboard.jsx';
+import './PerformanceManager.css';
+
+const PerformanceManager = ({ users }) => {
+  const clerks = users.filter(user => user.isClerk());
+  const [selectedUserId, setSelectedUserId] = useState('');
+  const userId = selectedUserId || (clerks[0] ? String(clerks[0].id) : '');
+
+  return (
+    <div className="performance-content">
+      <div className="content-header">
+        <h2 className="content-title">Görevli Performansı</h2>
+        <div className="performance-filters">
+          <select value={userId} onChange={(e) => setSelectedUserId(e.target.value)}>
+            {clerks.map(clerk => (
+              <option key={clerk.id} value={clerk.id}>
+                {clerk.getDisplayName()}{clerk.branchName ? ` - ${clerk.branchName}` : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {clerks.length === 0 ? (
+        <p className="performance-empty">Kayıtlı görevli yok</p>
+      ) : (
+        <ClerkPerformanceDashboard userId={parseInt(userId)} />
+      )}
+    </div>
+  );
+};
+
+export default PerformanceManager;
@@ -0,0 +1,256 @@
+/**
+ * Report Manager Component
+ * Admin tab for historical ticket statistics by date range with CSV and Excel downloads.
+ * Branch managers only report on their own branch
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import DatabaseService from '../../services/DatabaseService.js';
+import AuthService from '../../services/AuthService.js';
+import Logger from '../../utils/Logger.js';
+import Branch from '../../models/Branch.js';
+import { PERMISSIONS } from '../../models/User.js';
+import Report, { REPORT_GROUPS } from '../../models/Report.js';
+import './ReportManager.css';
+
+// Days covered by the default date range, ending today
+const DEFAULT_RANGE_DAYS = 7;
+
+/**
+ * Get a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+const toDateInput = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Get the initial report date range
+ * @returns {{from: string, to: string}} Last days up to today
+ */
+const getDefaultRange = () => {
+  const from = new Date();
+  from.setDate(from.getDate() - (DEFAULT_RANGE_DAYS - 1));
+  return { from: toDateInput(from), to: toDateInput(new Date()) };
+};
+
+const ReportManager = () => {
+  const allBranches = AuthService.hasPermission(PERMISSIONS.ALL_BRANCHES);
+  const [branches, setBranches] = useState([]);
+  const [filters, setFilters] = useState({
+    ...getDefaultRange(),
+    branchId: allBranches ? '' : String(AuthService.getCurrentUserBranchId() || ''),
+    groupBy: 'branch'
+  });
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadBranches = async () => {
+      try {
+        const response = await DatabaseService.getBranches(AuthService.getToken(), true);
+        setBranches((response?.data || [])
+          .map(b => Branch.fromAPI(b))
+          .filter(branch => AuthService.hasAccessToBranch(branch.id)));
+      } catch (error) {
+        Logger.error('Error loading branches for reports:', error);
+        setError('Şubeler yüklenirken hata oluştu');
+      }
+    };
+
+    loadBranches();
+  }, []);
+
+  /**
+   * Get the request filters of the current form
+   * @returns {Object} { from, to, branchId }
+   */
+  const getRequestFilters = useCallback(() => ({
+    from: filters.from,
+    to: filters.to,
+    ...(filters.branchId ? { branchId: filters.branchId } : {})
+  }), [filters.from, filters.to, filters.branchId]);
+
+  /**
+   * Load the report of the selected filters
+   */
+  const loadReport = useCallback(async () => {
+    if (!filters.from || !filters.to) {
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const reportData = await DatabaseService.getReport(filters.groupBy, getRequestFilters(), AuthService.getToken());
+      setReport(Report.fromAPI(reportData));
+    } catch (error) {
+      Logger.error('Error loading report:', error);
+      setReport(null);
+      setError(error.statusCode === 400 ? 'Tarih aralığı geçersiz veya çok uzun' : 'Rapor yüklenirken hata oluştu');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [filters.groupBy, filters.from, filters.to, getRequestFilters]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  /**
+   * Download the current report as a file
+   * @param {string} format - csv or xlsx
+   */
+  const handleDownload = async (format) => {
+    setError('');
+
+    try {
+      const { blob, filename } = await DatabaseService.downloadReport(
+        filters.groupBy,
+        getRequestFilters(),
+        format,
+        AuthService.getToken()
+      );
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      Logger.error('Error downloading report:', error);
+      setError('Rapor indirilirken hata oluştu');
+    }
+  };
+
+  /**
+   * Render the metric cells of a report row
+   * @param {Object} row - Report row or totals
+   * @returns {JSX.Element[]} Table cells
+   */
+  const renderMetrics = (row) => [
+    <div key="issued" className="table-cell">{row.issued}</div>,
+    <div key="served" className="table-cell">{row.served}</div>,
+    <div key="noShows" className="table-cell">{row.noShows}</div>,
+    <div key="wait" className="table-cell report-duration">
+      <span>{Report.formatDuration(row.avgWaitTime)}</span>
+      <small>Medyan {Report.formatDuration(row.medianWaitTime)} · %90 {Report.formatDuration(row.p90WaitTime)}</small>
+    </div>,
+    <div key="service" className="table-cell report-duration">
+      <span>{Report.formatDuration(row.avgServiceTime)}</span>
+      <small>Medyan {Report.formatDuration(row.medianServiceTime)} · %90 {Report.formatDuration(row.p90ServiceTime)}</small>
+    </div>,
+    ...(withBreaks ? [<div key="breaks" className="table-cell">{Report.formatDuration(row.breakTime)}</div>] : [])
+  ];
+
+  const withBranch = report?.hasBranchColumn();
+  const withBreaks = report?.hasBreakColumn();
+
+  return (
+    <div className="reports-content">
+      <div className="content-header">
+        <h2 className="content-title">Raporlar</h2>
+        <div className="report-downloads">
+          <button onClick={() => handleDownload('csv')} className="submit-button" disabled={isLoading || !report}>
+            CSV İndir
+          </button>
+          <button onClick={() => handleDownload('xlsx')} className="submit-button" disabled={isLoading || !report}>
+            Excel İndir
+          </button>
+        </div>
+      </div>
+
+      <div className="report-filters">
+        <div className="form-group">
+          <label htmlFor="reportFrom">Başlangıç</label>
+          <input type="date" id="reportFrom" name="from" value={filters.from} max={filters.to} onChange={handleFilterChange} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="reportTo">Bitiş</label>
+          <input type="date" id="reportTo" name="to" value={filters.to} min={filters.from} onChange={handleFilterChange} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="reportBranchId">Şube</label>
+          <select
+            id="reportBranchId"
+            name="branchId"
+            value={filters.branchId}
+            onChange={handleFilterChange}
+            disabled={!allBranches}
+          >
+            {allBranches && <option value="">Tüm Şubeler</option>}
+            {branches.map(branch => (
+              <option key={branch.id} value={branch.id}>{branch.getDisplayName()}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="reportGroupBy">Gruplama</label>
+          <select id="reportGroupBy" name="groupBy" value={filters.groupBy} onChange={handleFilterChange}>
+            {Object.entries(REPORT_GROUPS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      {report && (
+        <div className={`users-table report-table ${withBranch ? 'with-branch' : ''} ${withBreaks ? 'with-breaks' : ''}`}>
+          <div className="table-header">
+            <div className="table-cell">{report.getGroupTitle()}</div>
+            {withBranch && <div className="table-cell">Şube</div>}
+            <div className="table-cell">Verilen</div>
+            <div className="table-cell">Hizmet Verilen</div>
+            <div className="table-cell">Gelmeyen</div>
+            <div className="table-cell">Bekleme (ort.)</div>
+            <div className="table-cell">Hizmet Süresi (ort.)</div>
+            {withBreaks && <div className="table-cell">Mola Süresi</div>}
+          </div>
+
+          {report.rows.length === 0 && (
+            <div className="table-row">
+              <div className="table-cell report-empty">Bu tarih aralığında kayıt yok</div>
+            </div>
+          )}
+
+          {report.rows.map(row => (
+            <div key={row.key} className="table-row">
+              <div className="table-cell">{row.label}</div>
+              {withBranch && <div className="table-cell">{row.branchName}</div>}
+              {renderMetrics(row)}
+            </div>
+          ))}
+
+          {report.rows.length > 0 && report.totals && (
+            <div className="table-row report-totals">
+              <div className="table-cell">Toplam</div>
+              {withBranch && <div className="table-cell" />}
+              {renderMetrics(report.totals)}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReportManager;
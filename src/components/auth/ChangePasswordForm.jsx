@@ -0,0 +1,205 @@
+/**
+ * Change Password Form Component
+ * Shown instead of the requested page while the signed-in user still has a temporary
+ * password given by an administrator
+ */
+
+import { useState, useEffect } from 'react';
+import AuthService from '../../services/AuthService.js';
+import DatabaseService from '../../services/DatabaseService.js';
+import Logger from '../../utils/Logger.js';
+import PasswordPolicy from '../../models/PasswordPolicy.js';
+import './LoginForm.css';
+import './ChangePasswordForm.css';
+
+const ChangePasswordForm = ({ onPasswordChanged }) => {
+  const [formData, setFormData] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: ''
+  });
+  const [policy, setPolicy] = useState(new PasswordPolicy());
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadPolicy = async () => {
+      try {
+        setPolicy(PasswordPolicy.fromAPI(await DatabaseService.getPasswordPolicy()));
+      } catch (error) {
+        // The default rules are shown, the server still checks the configured ones
+        Logger.warning('Password policy could not be loaded:', error);
+      }
+    };
+
+    loadPolicy();
+  }, []);
+
+  /**
+   * Handle input changes
+   * @param {Event} e - Input change event
+   */
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+
+    if (error) {
+      setError('');
+    }
+  };
+
+  /**
+   * Handle form submission
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      setError('Şifreler eşleşmiyor');
+      return;
+    }
+
+    const validation = policy.validate(formData.newPassword);
+    if (!validation.isValid) {
+      setError(validation.errors[0]);
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const user = await AuthService.changePassword(formData.currentPassword, formData.newPassword);
+
+      if (onPasswordChanged) {
+        onPasswordChanged(user);
+      }
+    } catch (error) {
+      Logger.error('Password change failed:', error);
+
+      let errorMessage = 'Şifre değiştirilemedi';
+
+      if (error.message.includes('Current password is incorrect')) {
+        errorMessage = 'Mevcut şifre hatalı';
+      } else if (error.message.includes('used recently')) {
+        errorMessage = 'Bu şifre yakın zamanda kullanıldı, farklı bir şifre seçin';
+      } else if (error.message.includes('Network Error')) {
+        errorMessage = 'Bağlantı hatası. Lütfen tekrar deneyin.';
+      }
+
+      setError(errorMessage);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const historyText = policy.getHistoryText();
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <div className="login-header">
+          <h1 className="login-title">Şifrenizi Değiştirin</h1>
+          <p className="login-subtitle">Geçici şifrenizi kendi belirleyeceğiniz bir şifreyle değiştirin</p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="login-form">
+          <div className="form-group">
+            <label htmlFor="currentPassword" className="form-label">
+              Geçici Şifre
+            </label>
+            <input
+              type="password"
+              id="currentPassword"
+              name="currentPassword"
+              value={formData.currentPassword}
+              onChange={handleInputChange}
+              className="form-input"
+              disabled={isLoading}
+              autoComplete="current-password"
+              required
+              autoFocus
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="newPassword" className="form-label">
+              Yeni Şifre
+            </label>
+            <input
+              type="password"
+              id="newPassword"
+              name="newPassword"
+              value={formData.newPassword}
+              onChange={handleInputChange}
+              className="form-input"
+              disabled={isLoading}
+              autoComplete="new-password"
+              required
+            />
+          </div>
+
+          <ul className="password-rules">
+            {policy.getRules().map(rule => (
+              <li key={rule.text} className={rule.test(formData.newPassword) ? 'met' : ''}>
+                {rule.text}
+              </li>
+            ))}
+            {historyText && <li>{historyText}</li>}
+          </ul>
+
+          <div className="form-group">
+            <label htmlFor="confirmPassword" className="form-label">
+              Yeni Şifre Tekrar
+            </label>
+            <input
+              type="password"
+              id="confirmPassword"
+              name="confirmPassword"
+              value={formData.confirmPassword}
+              onChange={handleInputChange}
+              className="form-input"
+              disabled={isLoading}
+              autoComplete="new-password"
+              required
+            />
+          </div>
+
+          {error && (
+            <div className="error-message">
+              <span className="error-icon">⚠️</span>
+              {error}
+            </div>
+          )}
+
+          <button
+            type="submit"
+            className={`login-button ${isLoading ? 'loading' : ''}`}
+            disabled={isLoading}
+          >
+            {isLoading ? (
+              <>
+                <span className="loading-spinner"></span>
+                Kaydediliyor...
+              </>
+            ) : (
+              'Şifreyi Değiştir'
+            )}
+          </button>
+        </form>
+
+        <div className="login-footer">
+          <button type="button" className="login-mode-toggle" onClick={() => AuthService.logout()} disabled={isLoading}>
+            Çıkış Yap
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChangePasswordForm;
@@ -1,6 +1,8 @@
 /**
  * Login Form Component
- * Provides user interface for authentication
+ * Provides user interface for authentication, with a second step for the verification code
+ * of accounts with two-factor authentication, and for activating kiosks and displays
+ * with a device token where the page accepts devices
  */
 
 import { useState } from 'react';
@@ -8,11 +10,42 @@ import AuthService from '../../services/AuthService.js';
 import Logger from '../../utils/Logger.js';
 import './LoginForm.css';
 
-const LoginForm = ({ onLoginSuccess, onLoginError }) => {
+/**
+ * Translate a failed login into a message for the user
+ * @param {Error} error - Login error
+ * @returns {string} Error message
+ */
+const getLoginErrorMessage = (error) => {
+  const lockSeconds = error.message.match(/locked\. Try again in (\d+) seconds/)?.[1];
+  
+  if (error.message.includes('Invalid credentials')) {
+    return 'Kullanıcı adı veya şifre hatalı';
+  } else if (error.message.includes('Invalid verification code')) {
+    return 'Doğrulama kodu hatalı';
+  } else if (error.message.includes('challenge is invalid or expired')) {
+    return 'Doğrulama süresi doldu. Lütfen tekrar giriş yapın.';
+  } else if (lockSeconds) {
+    return `Çok fazla hatalı deneme nedeniyle hesap kilitlendi. ${Math.ceil(lockSeconds / 60)} dakika sonra tekrar deneyin.`;
+  } else if (error.message.includes('User not found')) {
+    return 'Kullanıcı bulunamadı';
+  } else if (error.message.includes('User inactive')) {
+    return 'Kullanıcı hesabı pasif durumda';
+  } else if (error.message.includes('Network Error')) {
+    return 'Bağlantı hatası. Lütfen tekrar deneyin.';
+  }
+  
+  return 'Giriş başarısız oldu';
+};
+
+const LoginForm = ({ onLoginSuccess, onLoginError, allowDeviceLogin = false }) => {
   const [formData, setFormData] = useState({
     username: '',
     password: ''
   });
+  const [isDeviceMode, setIsDeviceMode] = useState(false);
+  const [deviceToken, setDeviceToken] = useState('');
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [verificationCode, setVerificationCode] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
 
@@ -49,7 +82,49 @@ const LoginForm = ({ onLoginSuccess, onLoginError }) => {
     setError('');
 
     try {
-      const user = await AuthService.login(formData.username.trim(), formData.password);
+      const result = await AuthService.login(formData.username.trim(), formData.password);
+      
+      if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+        setVerificationCode('');
+        return;
+      }
+      
+      Logger.info('Login successful', { username: result.username, role: result.role });
+      
+      if (onLoginSuccess) {
+        onLoginSuccess(result);
+      }
+    } catch (error) {
+      Logger.error('Login failed:', error);
+      
+      setError(getLoginErrorMessage(error));
+      
+      if (onLoginError) {
+        onLoginError(error);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Handle the verification code step of a two-factor login
+   * @param {Event} e - Form submit event
+   */
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!verificationCode.trim()) {
+      setError('Doğrulama kodu gereklidir');
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const user = await AuthService.completeTwoFactorLogin(challengeToken, verificationCode.trim());
       
       Logger.info('Login successful', { username: user.username, role: user.role });
       
@@ -57,16 +132,67 @@ const LoginForm = ({ onLoginSuccess, onLoginError }) => {
         onLoginSuccess(user);
       }
     } catch (error) {
-      Logger.error('Login failed:', error);
+      Logger.error('Two-factor login failed:', error);
+      
+      // An expired challenge starts the login over from the password
+      if (error.message.includes('challenge is invalid or expired')) {
+        setChallengeToken(null);
+      }
+      
+      setError(getLoginErrorMessage(error));
+      
+      if (onLoginError) {
+        onLoginError(error);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Leave the verification code step and go back to the password
+   */
+  const cancelTwoFactor = () => {
+    setChallengeToken(null);
+    setVerificationCode('');
+    setFormData(prev => ({ ...prev, password: '' }));
+    setError('');
+  };
+
+  /**
+   * Handle device activation
+   * @param {Event} e - Form submit event
+   */
+  const handleDeviceSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!deviceToken.trim()) {
+      setError('Cihaz anahtarı gereklidir');
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const device = await AuthService.activateDevice(deviceToken.trim());
+      
+      Logger.info('Device activated', { name: device.username, role: device.role });
       
-      let errorMessage = 'Giriş başarısız oldu';
+      if (onLoginSuccess) {
+        onLoginSuccess(device);
+      }
+    } catch (error) {
+      Logger.error('Device activation failed:', error);
       
-      if (error.message.includes('Invalid credentials')) {
-        errorMessage = 'Kullanıcı adı veya şifre hatalı';
-      } else if (error.message.includes('User not found')) {
-        errorMessage = 'Kullanıcı bulunamadı';
-      } else if (error.message.includes('User inactive')) {
-        errorMessage = 'Kullanıcı hesabı pasif durumda';
+      let errorMessage = 'Cihaz etkinleştirilemedi';
+      
+      if (error.message.includes('revoked')) {
+        errorMessage = 'Bu cihaz anahtarı iptal edilmiş';
+      } else if (error.message.includes('Invalid token') || error.message.includes('Device token is required')) {
+        errorMessage = 'Geçersiz cihaz anahtarı';
+      } else if (error.message.includes('Token expired')) {
+        errorMessage = 'Cihaz anahtarının süresi dolmuş';
       } else if (error.message.includes('Network Error')) {
         errorMessage = 'Bağlantı hatası. Lütfen tekrar deneyin.';
       }
@@ -81,6 +207,14 @@ const LoginForm = ({ onLoginSuccess, onLoginError }) => {
     }
   };
 
+  /**
+   * Switch between user login and device activation
+   */
+  const toggleDeviceMode = () => {
+    setIsDeviceMode(prev => !prev);
+    setError('');
+  };
+
   /**
    * Handle key press events
    * @param {KeyboardEvent} e - Key press event
@@ -96,74 +230,183 @@ const LoginForm = ({ onLoginSuccess, onLoginError }) => {
       <div className="login-card">
         <div className="login-header">
           <h1 className="login-title">Sıramatik Sistemi</h1>
-          <p className="login-subtitle">Giriş Yapın</p>
+          <p className="login-subtitle">
+            {isDeviceMode ? 'Cihazı Etkinleştirin' : challengeToken ? 'İki Adımlı Doğrulama' : 'Giriş Yapın'}
+          </p>
         </div>
 
-        <form onSubmit={handleSubmit} className="login-form">
-          <div className="form-group">
-            <label htmlFor="username" className="form-label">
-              Kullanıcı Adı
-            </label>
-            <input
-              type="text"
-              id="username"
-              name="username"
-              value={formData.username}
-              onChange={handleInputChange}
-              onKeyPress={handleKeyPress}
-              className={`form-input ${error ? 'error' : ''}`}
-              placeholder="Kullanıcı adınızı girin"
+        {isDeviceMode ? (
+          <form onSubmit={handleDeviceSubmit} className="login-form">
+            <div className="form-group">
+              <label htmlFor="deviceToken" className="form-label">
+                Cihaz Anahtarı
+              </label>
+              <textarea
+                id="deviceToken"
+                name="deviceToken"
+                value={deviceToken}
+                onChange={(e) => {
+                  setDeviceToken(e.target.value);
+                  if (error) setError('');
+                }}
+                className={`form-input device-token-input ${error ? 'error' : ''}`}
+                placeholder="Yönetim panelinde oluşturulan cihaz anahtarını yapıştırın"
+                disabled={isLoading}
+                rows={4}
+                autoFocus
+              />
+            </div>
+
+            {error && (
+              <div className="error-message">
+                <span className="error-icon">⚠️</span>
+                {error}
+              </div>
+            )}
+
+            <button
+              type="submit"
+              className={`login-button ${isLoading ? 'loading' : ''}`}
               disabled={isLoading}
-              autoComplete="username"
-              autoFocus
-            />
-          </div>
-
-          <div className="form-group">
-            <label htmlFor="password" className="form-label">
-              Şifre
-            </label>
-            <input
-              type="password"
-              id="password"
-              name="password"
-              value={formData.password}
-              onChange={handleInputChange}
-              onKeyPress={handleKeyPress}
-              className={`form-input ${error ? 'error' : ''}`}
-              placeholder="Şifrenizi girin"
+            >
+              {isLoading ? (
+                <>
+                  <span className="loading-spinner"></span>
+                  Etkinleştiriliyor...
+                </>
+              ) : (
+                'Cihazı Etkinleştir'
+              )}
+            </button>
+          </form>
+        ) : challengeToken ? (
+          <form onSubmit={handleCodeSubmit} className="login-form">
+            <div className="form-group">
+              <label htmlFor="verificationCode" className="form-label">
+                Doğrulama Kodu
+              </label>
+              <input
+                type="text"
+                id="verificationCode"
+                name="verificationCode"
+                value={verificationCode}
+                onChange={(e) => {
+                  setVerificationCode(e.target.value);
+                  if (error) setError('');
+                }}
+                className={`form-input verification-code-input ${error ? 'error' : ''}`}
+                placeholder="123456"
+                disabled={isLoading}
+                autoComplete="one-time-code"
+                maxLength={9}
+                autoFocus
+              />
+              <p className="form-hint">
+                Doğrulama uygulamanızdaki 6 haneli kodu veya kurtarma kodlarınızdan birini girin.
+              </p>
+            </div>
+
+            {error && (
+              <div className="error-message">
+                <span className="error-icon">⚠️</span>
+                {error}
+              </div>
+            )}
+
+            <button
+              type="submit"
+              className={`login-button ${isLoading ? 'loading' : ''}`}
               disabled={isLoading}
-              autoComplete="current-password"
-            />
-          </div>
-
-          {error && (
-            <div className="error-message">
-              <span className="error-icon">⚠️</span>
-              {error}
+            >
+              {isLoading ? (
+                <>
+                  <span className="loading-spinner"></span>
+                  Doğrulanıyor...
+                </>
+              ) : (
+                'Doğrula'
+              )}
+            </button>
+          </form>
+        ) : (
+          <form onSubmit={handleSubmit} className="login-form">
+            <div className="form-group">
+              <label htmlFor="username" className="form-label">
+                Kullanıcı Adı
+              </label>
+              <input
+                type="text"
+                id="username"
+                name="username"
+                value={formData.username}
+                onChange={handleInputChange}
+                onKeyPress={handleKeyPress}
+                className={`form-input ${error ? 'error' : ''}`}
+                placeholder="Kullanıcı adınızı girin"
+                disabled={isLoading}
+                autoComplete="username"
+                autoFocus
+              />
             </div>
-          )}
 
-          <button
-            type="submit"
-            className={`login-button ${isLoading ? 'loading' : ''}`}
-            disabled={isLoading}
-          >
-            {isLoading ? (
-              <>
-                <span className="loading-spinner"></span>
-                Giriş yapılıyor...
-              </>
-            ) : (
-              'Giriş Yap'
+            <div className="form-group">
+              <label htmlFor="password" className="form-label">
+                Şifre
+              </label>
+              <input
+                type="password"
+                id="password"
+                name="password"
+                value={formData.password}
+                onChange={handleInputChange}
+                onKeyPress={handleKeyPress}
+                className={`form-input ${error ? 'error' : ''}`}
+                placeholder="Şifrenizi girin"
+                disabled={isLoading}
+                autoComplete="current-password"
+              />
+            </div>
+
+            {error && (
+              <div className="error-message">
+                <span className="error-icon">⚠️</span>
+                {error}
+              </div>
             )}
-          </button>
-        </form>
+
+            <button
+              type="submit"
+              className={`login-button ${isLoading ? 'loading' : ''}`}
+              disabled={isLoading}
+            >
+              {isLoading ? (
+                <>
+                  <span className="loading-spinner"></span>
+                  Giriş yapılıyor...
+                </>
+              ) : (
+                'Giriş Yap'
+              )}
+            </button>
+          </form>
+        )}
 
         <div className="login-footer">
           <p className="login-info">
-            Sistem yöneticisinden kullanıcı bilgilerinizi alabilirsiniz.
+            {isDeviceMode
+              ? 'Cihaz anahtarını sistem yöneticisinden alabilirsiniz.'
+              : 'Sistem yöneticisinden kullanıcı bilgilerinizi alabilirsiniz.'}
           </p>
+          {challengeToken && (
+            <button type="button" className="login-mode-toggle" onClick={cancelTwoFactor} disabled={isLoading}>
+              Farklı bir hesapla giriş yap
+            </button>
+          )}
+          {allowDeviceLogin && !challengeToken && (
+            <button type="button" className="login-mode-toggle" onClick={toggleDeviceMode} disabled={isLoading}>
+              {isDeviceMode ? 'Kullanıcı hesabıyla giriş yap' : 'Bu cihazı kiosk veya ekran olarak etkinleştir'}
+            </button>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,419 @@
+/**
+ * Two-Factor Settings Component
+ * Enrolment in two-factor authentication with a QR code for the authenticator app, the
+ * recovery codes, and turning it off again. Opened from the navigation, or shown instead of
+ * the requested page (without onClose) while a role that requires it has not enrolled yet.
+ */
+
+import { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import AuthService from '../../services/AuthService.js';
+import DatabaseService from '../../services/DatabaseService.js';
+import Logger from '../../utils/Logger.js';
+import './LoginForm.css';
+import './TwoFactorSettings.css';
+
+/**
+ * Translate a failed two-factor request into a message for the user
+ * @param {Error} error - Request error
+ * @param {string} fallback - Message for unknown errors
+ * @returns {string} Error message
+ */
+const getErrorMessage = (error, fallback) => {
+  if (error.message.includes('Invalid verification code')) {
+    return 'Doğrulama kodu hatalı';
+  } else if (error.message.includes('Current password is incorrect')) {
+    return 'Şifre hatalı';
+  } else if (error.message.includes('required for this role')) {
+    return 'Rolünüz için iki adımlı doğrulama zorunludur';
+  } else if (error.message.includes('Network Error')) {
+    return 'Bağlantı hatası. Lütfen tekrar deneyin.';
+  }
+
+  return fallback;
+};
+
+/**
+ * Start enrolment and draw the QR code of the new secret
+ * @returns {Promise<Object>} Secret, otpauth URL and QR code image as a data URL
+ */
+const createSetup = async () => {
+  const data = await DatabaseService.setupTwoFactor(AuthService.getToken());
+  const qrCode = await QRCode.toDataURL(data.otpauthUrl, { margin: 1, width: 200, errorCorrectionLevel: 'M' });
+  return { ...data, qrCode };
+};
+
+const TwoFactorSettings = ({ onClose }) => {
+  const isRequiredSetup = !onClose;
+  const [status, setStatus] = useState(null);
+  // 'overview', 'setup', 'recoveryCodes', 'regenerate' or 'disable'
+  const [step, setStep] = useState(isRequiredSetup ? 'setup' : 'overview');
+  const [setupData, setSetupData] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadInitialState = async () => {
+      setIsLoading(true);
+      try {
+        if (isRequiredSetup) {
+          setSetupData(await createSetup());
+        } else {
+          setStatus(await DatabaseService.getTwoFactorStatus(AuthService.getToken()));
+        }
+      } catch (error) {
+        Logger.error('Two-factor settings could not be loaded:', error);
+        setError('İki adımlı doğrulama bilgileri yüklenemedi');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadInitialState();
+  }, [isRequiredSetup]);
+
+  /**
+   * Load the two-factor state of the signed-in user
+   */
+  const loadStatus = async () => {
+    setIsLoading(true);
+    try {
+      setStatus(await DatabaseService.getTwoFactorStatus(AuthService.getToken()));
+    } catch (error) {
+      Logger.error('Two-factor status could not be loaded:', error);
+      setError('İki adımlı doğrulama durumu yüklenemedi');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Switch to another step with empty inputs
+   * @param {string} nextStep - Step to show
+   */
+  const goTo = (nextStep) => {
+    setStep(nextStep);
+    setCode('');
+    setPassword('');
+    setError('');
+  };
+
+  /**
+   * Create a new secret and show it as a QR code
+   */
+  const startSetup = async () => {
+    goTo('setup');
+    setIsLoading(true);
+    try {
+      setSetupData(await createSetup());
+    } catch (error) {
+      Logger.error('Two-factor setup could not be started:', error);
+      setError('İki adımlı doğrulama kurulumu başlatılamadı');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Confirm the setup with the first code from the app
+   * @param {Event} e - Form submit event
+   */
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+    try {
+      setRecoveryCodes(await AuthService.enableTwoFactor(code.trim()));
+      goTo('recoveryCodes');
+    } catch (error) {
+      Logger.error('Two-factor authentication could not be enabled:', error);
+      setError(getErrorMessage(error, 'İki adımlı doğrulama etkinleştirilemedi'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Replace the recovery codes
+   * @param {Event} e - Form submit event
+   */
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+    try {
+      setRecoveryCodes(await DatabaseService.regenerateRecoveryCodes(code.trim(), AuthService.getToken()));
+      goTo('recoveryCodes');
+    } catch (error) {
+      Logger.error('Recovery codes could not be regenerated:', error);
+      setError(getErrorMessage(error, 'Kurtarma kodları yenilenemedi'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Turn two-factor authentication off
+   * @param {Event} e - Form submit event
+   */
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+    try {
+      await AuthService.disableTwoFactor(password, code.trim());
+      goTo('overview');
+      await loadStatus();
+    } catch (error) {
+      Logger.error('Two-factor authentication could not be disabled:', error);
+      setError(getErrorMessage(error, 'İki adımlı doğrulama kapatılamadı'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Leave the recovery codes once the user has saved them
+   */
+  const handleCodesSaved = async () => {
+    setRecoveryCodes([]);
+
+    if (isRequiredSetup) {
+      AuthService.finishTwoFactorSetup();
+      return;
+    }
+
+    goTo('overview');
+    await loadStatus();
+  };
+
+  /**
+   * Copy the recovery codes to the clipboard
+   */
+  const copyRecoveryCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+    } catch (error) {
+      Logger.warning('Recovery codes could not be copied:', error);
+    }
+  };
+
+  /**
+   * Render the code input shared by the forms
+   * @returns {JSX.Element} Input
+   */
+  const renderCodeInput = () => (
+    <div className="form-group">
+      <label htmlFor="twoFactorCode" className="form-label">
+        Doğrulama Kodu
+      </label>
+      <input
+        type="text"
+        id="twoFactorCode"
+        value={code}
+        onChange={(e) => {
+          setCode(e.target.value);
+          if (error) setError('');
+        }}
+        className="form-input verification-code-input"
+        placeholder="123456"
+        disabled={isLoading}
+        autoComplete="one-time-code"
+        maxLength={9}
+        required
+      />
+    </div>
+  );
+
+  const renderError = () => error && (
+    <div className="error-message">
+      <span className="error-icon">⚠️</span>
+      {error}
+    </div>
+  );
+
+  /**
+   * Render the current step
+   * @returns {JSX.Element} Step content
+   */
+  const renderStep = () => {
+    if (step === 'setup') {
+      return (
+        <form onSubmit={handleEnable} className="login-form">
+          <ol className="two-factor-instructions">
+            <li>Telefonunuza bir doğrulama uygulaması kurun (Google Authenticator, Microsoft Authenticator vb.).</li>
+            <li>Uygulamada aşağıdaki QR kodunu okutun veya anahtarı elle girin.</li>
+            <li>Uygulamanın gösterdiği 6 haneli kodu girin.</li>
+          </ol>
+
+          {setupData && (
+            <div className="two-factor-qr">
+              <img src={setupData.qrCode} alt="Doğrulama uygulaması için QR kodu" />
+              <code className="two-factor-secret">{setupData.secret.match(/.{1,4}/g).join(' ')}</code>
+            </div>
+          )}
+
+          {renderCodeInput()}
+          {renderError()}
+
+          <button type="submit" className="login-button" disabled={isLoading || !setupData}>
+            Etkinleştir
+          </button>
+          {!isRequiredSetup && (
+            <button type="button" className="login-mode-toggle" onClick={() => goTo('overview')} disabled={isLoading}>
+              Vazgeç
+            </button>
+          )}
+        </form>
+      );
+    }
+
+    if (step === 'recoveryCodes') {
+      return (
+        <div className="login-form">
+          <p className="two-factor-text">
+            Telefonunuza erişemezseniz bu kodlarla giriş yapabilirsiniz. Her kod bir kez kullanılır.
+            Kodları güvenli bir yere kaydedin, bu liste tekrar gösterilmeyecek.
+          </p>
+          <ul className="recovery-code-list">
+            {recoveryCodes.map(recoveryCode => <li key={recoveryCode}>{recoveryCode}</li>)}
+          </ul>
+          <button type="button" className="login-mode-toggle" onClick={copyRecoveryCodes}>
+            Kodları Kopyala
+          </button>
+          <button type="button" className="login-button" onClick={handleCodesSaved}>
+            Kodları Kaydettim
+          </button>
+        </div>
+      );
+    }
+
+    if (step === 'regenerate') {
+      return (
+        <form onSubmit={handleRegenerate} className="login-form">
+          <p className="two-factor-text">Yeni kodlar oluşturulduğunda eski kurtarma kodları geçersiz olur.</p>
+          {renderCodeInput()}
+          {renderError()}
+          <button type="submit" className="login-button" disabled={isLoading}>
+            Kodları Yenile
+          </button>
+          <button type="button" className="login-mode-toggle" onClick={() => goTo('overview')} disabled={isLoading}>
+            Vazgeç
+          </button>
+        </form>
+      );
+    }
+
+    if (step === 'disable') {
+      return (
+        <form onSubmit={handleDisable} className="login-form">
+          <div className="form-group">
+            <label htmlFor="twoFactorPassword" className="form-label">
+              Şifre
+            </label>
+            <input
+              type="password"
+              id="twoFactorPassword"
+              value={password}
+              onChange={(e) => {
+                setPassword(e.target.value);
+                if (error) setError('');
+              }}
+              className="form-input"
+              disabled={isLoading}
+              autoComplete="current-password"
+              required
+            />
+          </div>
+          {renderCodeInput()}
+          {renderError()}
+          <button type="submit" className="login-button danger" disabled={isLoading}>
+            İki Adımlı Doğrulamayı Kapat
+          </button>
+          <button type="button" className="login-mode-toggle" onClick={() => goTo('overview')} disabled={isLoading}>
+            Vazgeç
+          </button>
+        </form>
+      );
+    }
+
+    if (!status) {
+      return isLoading ? <p className="two-factor-text">Yükleniyor...</p> : renderError();
+    }
+
+    return (
+      <div className="login-form">
+        <p className={`two-factor-state ${status.enabled ? 'enabled' : ''}`}>
+          {status.enabled ? 'İki adımlı doğrulama açık' : 'İki adımlı doğrulama kapalı'}
+        </p>
+        {status.enabled ? (
+          <>
+            <p className="two-factor-text">Kullanılmamış kurtarma kodu: {status.recoveryCodesRemaining}</p>
+            <button type="button" className="login-button" onClick={() => goTo('regenerate')}>
+              Kurtarma Kodlarını Yenile
+            </button>
+            {status.required ? (
+              <p className="two-factor-text">Rolünüz için iki adımlı doğrulama zorunludur.</p>
+            ) : (
+              <button type="button" className="login-mode-toggle" onClick={() => goTo('disable')}>
+                İki adımlı doğrulamayı kapat
+              </button>
+            )}
+          </>
+        ) : (
+          <>
+            <p className="two-factor-text">
+              Girişte şifrenize ek olarak telefonunuzdaki doğrulama uygulamasının ürettiği kod istenir.
+            </p>
+            <button type="button" className="login-button" onClick={startSetup}>
+              Etkinleştir
+            </button>
+          </>
+        )}
+        {renderError()}
+      </div>
+    );
+  };
+
+  const card = (
+    <div className="login-card two-factor-card">
+      <div className="login-header">
+        <h1 className="login-title">İki Adımlı Doğrulama</h1>
+        {isRequiredSetup && (
+          <p className="login-subtitle">Devam etmeden önce hesabınız için iki adımlı doğrulamayı etkinleştirin</p>
+        )}
+      </div>
+
+      {renderStep()}
+
+      <div className="login-footer">
+        {isRequiredSetup ? (
+          <button type="button" className="login-mode-toggle" onClick={() => AuthService.logout()} disabled={isLoading}>
+            Çıkış Yap
+          </button>
+        ) : (
+          step !== 'recoveryCodes' && (
+            <button type="button" className="login-mode-toggle" onClick={onClose} disabled={isLoading}>
+              Kapat
+            </button>
+          )
+        )}
+      </div>
+    </div>
+  );
+
+  if (isRequiredSetup) {
+    return <div className="login-container">{card}</div>;
+  }
+
+  return (
+    <div className="two-factor-overlay" onClick={step === 'recoveryCodes' ? undefined : onClose}>
+      <div onClick={(e) => e.stopPropagation()}>{card}</div>
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
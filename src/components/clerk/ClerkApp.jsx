@@ -6,11 +6,15 @@
 import { useState, useEffect } from 'react';
 import DatabaseService from '../../services/DatabaseService.js';
 import AuthService from '../../services/AuthService.js';
+import RealtimeService from '../../services/RealtimeService.js';
 import AppConfig from '../../config/AppConfig.js';
 import Logger from '../../utils/Logger.js';
-import Counter from '../../models/Counter.js';
+import Counter, { BREAK_REASONS } from '../../models/Counter.js';
 import Queue from '../../models/Queue.js';
+import Service from '../../models/Service.js';
 import ErrorNotification from '../common/ErrorNotification.jsx';
+import ClerkPerformanceDashboard from '../common/ClerkPerformanceDashboard.jsx';
+import QueueTimeline from '../common/QueueTimeline.jsx';
 import './ClerkApp.css';
 
 const ClerkApp = () => {
@@ -22,6 +26,18 @@ const ClerkApp = () => {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const [sessionId, setSessionId] = useState(null);
+  const [showTransfer, setShowTransfer] = useState(false);
+  const [breakReason, setBreakReason] = useState('short');
+  const [showPerformance, setShowPerformance] = useState(false);
+  const [timelineQueueId, setTimelineQueueId] = useState(null);
+  const [transferCounters, setTransferCounters] = useState([]);
+  const [transferServices, setTransferServices] = useState([]);
+  const [transferForm, setTransferForm] = useState({
+    targetCounterId: '',
+    targetServiceId: '',
+    placeAtHead: false,
+    reason: ''
+  });
 
   /**
    * Clear error message
@@ -61,8 +77,24 @@ const ClerkApp = () => {
   useEffect(() => {
     if (!currentUser?.branchId) return;
     
-    // Set up auto-refresh
+    // Refresh on pushed events: counter list while choosing a counter, history while working
+    const unsubscribe = RealtimeService.subscribe(currentUser.branchId, (event) => {
+      if (selectedCounter) {
+        if (['ticket-completed', 'ticket-no-show'].includes(event.type)) {
+          loadWorkHistory();
+        } else if (['session-paused', 'session-resumed'].includes(event.type) && event.data?.counterId === selectedCounter.id) {
+          // A counter manager may have changed the break of this counter
+          checkActiveSession();
+        }
+      } else if (['connected', 'session-started', 'session-ended'].includes(event.type)) {
+        loadAvailableCounters();
+      }
+    });
+
+    // Set up auto-refresh (only while the push connection is down)
     const interval = setInterval(() => {
+      if (RealtimeService.isConnected(currentUser.branchId)) return;
+
       if (selectedCounter) {
         loadWorkHistory();
       } else {
@@ -70,7 +102,10 @@ const ClerkApp = () => {
       }
     }, refreshInterval);
 
-    return () => clearInterval(interval);
+    return () => {
+      unsubscribe();
+      clearInterval(interval);
+    };
   }, [selectedCounter, refreshInterval, currentUser]);
 
   /**
@@ -147,7 +182,10 @@ const ClerkApp = () => {
         const counter = new Counter({
           id: activeSession.counterId,
           number: activeSession.counterNumber,
-          isActive: true
+          isActive: true,
+          isPaused: activeSession.isPaused,
+          pausedAt: activeSession.pausedAt,
+          breakReason: activeSession.breakReason
         });
         
         setSelectedCounter(counter);
@@ -229,7 +267,7 @@ const ClerkApp = () => {
       );
       
       setSelectedCounter(counter);
-      setSessionId(session.id);
+      setSessionId(session.data.sessionId);
       
       Logger.info(`Started session at counter ${counter.counterNumber}`);
     } catch (error) {
@@ -276,6 +314,8 @@ const ClerkApp = () => {
       let errorMessage = 'Müşteri çağrılırken hata oluştu';
       if (error.message.includes('No waiting customers')) {
         errorMessage = 'Bekleyen müşteri bulunmuyor';
+      } else if (error.message.includes('Counter is on break')) {
+        errorMessage = 'Gişe molada, müşteri çağırmak için moladan dönün';
       }
       
       setError(errorMessage);
@@ -284,6 +324,43 @@ const ClerkApp = () => {
     }
   };
 
+  /**
+   * Customer arrived at the counter, start the actual service
+   */
+  const startService = async () => {
+    if (!currentQueue?.id) return;
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const result = await DatabaseService.startService(
+        currentQueue.id,
+        AuthService.getToken()
+      );
+
+      setCurrentQueue(Queue.fromAPI({
+        ...currentQueue,
+        status: result.status,
+        servingStartedAt: result.servingStartedAt,
+        walkUpDuration: result.walkUpDuration
+      }));
+
+      Logger.info('Service started for queue:', currentQueue.id);
+    } catch (error) {
+      Logger.error('Error starting service:', error);
+
+      let errorMessage = 'Hizmet başlatılırken hata oluştu';
+      if (error.message.includes('only be started for a called')) {
+        errorMessage = 'Hizmet yalnızca çağrılmış müşteri için başlatılabilir';
+      }
+
+      setError(errorMessage);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   /**
    * Complete current service
    */
@@ -310,6 +387,7 @@ const ClerkApp = () => {
       );
       
       setCurrentQueue(null);
+      setShowTransfer(false);
       await loadWorkHistory();
       
       Logger.info('Service completed for queue:', currentQueue.id);
@@ -321,6 +399,10 @@ const ClerkApp = () => {
         errorMessage = 'Sıra ID\'si gerekli. Lütfen müşteriyi tekrar çağırın.';
       } else if (error.message.includes('Queue not found')) {
         errorMessage = 'Sıra bulunamadı. Müşteri zaten işlem görmüş olabilir.';
+      } else if (error.message.includes('cannot be completed in current status')) {
+        errorMessage = 'Bu sıra artık aktif değil. Müşteri gelmedi olarak kapatılmış olabilir.';
+        setCurrentQueue(null);
+        await loadWorkHistory();
       }
       
       setError(errorMessage);
@@ -329,6 +411,236 @@ const ClerkApp = () => {
     }
   };
 
+  /**
+   * Recall current customer
+   */
+  const recallCustomer = async () => {
+    if (!currentQueue?.id) return;
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const result = await DatabaseService.recallCustomer(
+        currentQueue.id,
+        AuthService.getToken()
+      );
+
+      if (result.status === 'no_show') {
+        // Recall limit reached, the ticket was closed as no-show
+        setCurrentQueue(null);
+        await loadWorkHistory();
+        setError('Tekrar çağrı sınırına ulaşıldı, müşteri gelmedi olarak işaretlendi');
+      } else {
+        setCurrentQueue(Queue.fromAPI({
+          ...currentQueue,
+          recallCount: result.recallCount,
+          lastRecalledAt: result.lastRecalledAt
+        }));
+      }
+
+      Logger.info('Customer recalled:', result);
+    } catch (error) {
+      Logger.error('Error recalling customer:', error);
+
+      let errorMessage = 'Müşteri tekrar çağrılırken hata oluştu';
+      if (error.message.includes('cannot be recalled')) {
+        errorMessage = 'Bu müşteri mevcut durumunda tekrar çağrılamaz';
+      }
+
+      setError(errorMessage);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Mark current customer as no-show
+   */
+  const markNoShow = async () => {
+    if (!currentQueue?.id) return;
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+      await DatabaseService.markNoShow(
+        currentQueue.id,
+        AuthService.getToken()
+      );
+
+      setCurrentQueue(null);
+      setShowTransfer(false);
+      await loadWorkHistory();
+
+      Logger.info('Customer marked as no-show:', currentQueue.id);
+    } catch (error) {
+      Logger.error('Error marking no-show:', error);
+
+      let errorMessage = 'Müşteri gelmedi olarak işaretlenirken hata oluştu';
+      if (error.message.includes('cannot be marked as no-show')) {
+        errorMessage = 'Bu müşteri mevcut durumunda gelmedi olarak işaretlenemez';
+      }
+
+      setError(errorMessage);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Open transfer panel and load possible target counters and services
+   */
+  const openTransferPanel = async () => {
+    setTransferForm({ targetCounterId: '', targetServiceId: '', placeAtHead: false, reason: '' });
+    setShowTransfer(true);
+
+    try {
+      const [counters, queueStatus] = await Promise.all([
+        DatabaseService.getBranchCounters(currentUser.branchId, AuthService.getToken()),
+        DatabaseService.getQueueStatus(currentUser.branchId)
+      ]);
+
+      setTransferCounters(
+        counters
+          .map(c => Counter.fromAPI(c))
+          .filter(c => c.isActive && c.id !== selectedCounter?.id)
+      );
+      setTransferServices((queueStatus?.services || []).map(s => Service.fromAPI(s)));
+    } catch (error) {
+      Logger.error('Error loading transfer targets:', error);
+      setTransferCounters([]);
+      setTransferServices([]);
+    }
+  };
+
+  /**
+   * Transfer current customer to another counter or service
+   */
+  const transferCustomer = async () => {
+    if (!currentQueue?.id) return;
+
+    const { targetCounterId, targetServiceId, placeAtHead, reason } = transferForm;
+
+    if (!targetCounterId && !targetServiceId && !placeAtHead) {
+      setError('Lütfen hedef gişe, hizmet veya sıranın başı seçeneğini belirleyin');
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+      await DatabaseService.transferQueue(
+        currentQueue.id,
+        {
+          targetCounterId: targetCounterId ? parseInt(targetCounterId) : null,
+          targetServiceId: targetServiceId ? parseInt(targetServiceId) : null,
+          placeAtHead,
+          reason: reason.trim() || null
+        },
+        AuthService.getToken()
+      );
+
+      Logger.info('Customer transferred:', currentQueue.id);
+      setShowTransfer(false);
+      setCurrentQueue(null);
+    } catch (error) {
+      Logger.error('Error transferring customer:', error);
+
+      let errorMessage = 'Müşteri yönlendirilirken hata oluştu';
+      if (error.message.includes('Target counter not found')) {
+        errorMessage = 'Hedef gişe bulunamadı';
+      } else if (error.message.includes('Target service not found')) {
+        errorMessage = 'Hedef hizmet bulunamadı';
+      } else if (error.message.includes('cannot be transferred')) {
+        errorMessage = 'Bu müşteri mevcut durumunda yönlendirilemez';
+      }
+
+      setError(errorMessage);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Put the counter on break; it stays reserved but calls no customers
+   */
+  const pauseCounterSession = async () => {
+    if (!sessionId) return;
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const result = await DatabaseService.pauseCounterSession(
+        sessionId,
+        breakReason,
+        AuthService.getToken()
+      );
+
+      setSelectedCounter(Counter.fromAPI({
+        ...selectedCounter,
+        isPaused: true,
+        pausedAt: result.pausedAt,
+        breakReason: result.breakReason
+      }));
+
+      Logger.info('Counter session paused:', result);
+    } catch (error) {
+      Logger.error('Error pausing counter session:', error);
+
+      let errorMessage = 'Molaya çıkılırken hata oluştu';
+      if (error.message.includes('active queue items')) {
+        errorMessage = 'Mevcut müşterinin işlemi tamamlanmadan molaya çıkılamaz';
+      } else if (error.message.includes('already paused')) {
+        errorMessage = 'Gişe zaten molada';
+        await checkActiveSession();
+      }
+
+      setError(errorMessage);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * End the break and return to calling customers
+   */
+  const resumeCounterSession = async () => {
+    if (!sessionId) return;
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+      await DatabaseService.resumeCounterSession(
+        sessionId,
+        AuthService.getToken()
+      );
+
+      setSelectedCounter(Counter.fromAPI({
+        ...selectedCounter,
+        isPaused: false,
+        pausedAt: null,
+        breakReason: null
+      }));
+
+      Logger.info('Counter session resumed');
+    } catch (error) {
+      Logger.error('Error resuming counter session:', error);
+
+      if (error.message.includes('not paused')) {
+        // The break was already ended, e.g. by a counter manager
+        await checkActiveSession();
+      } else {
+        setError('Moladan dönülürken hata oluştu');
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   /**
    * End counter session
    */
@@ -347,6 +659,7 @@ const ClerkApp = () => {
       setSelectedCounter(null);
       setSessionId(null);
       setCurrentQueue(null);
+      setShowTransfer(false);
       await loadAvailableCounters();
       
       Logger.info('Counter session ended');
@@ -358,6 +671,10 @@ const ClerkApp = () => {
     }
   };
 
+  // No-shows appear in the history but are not counted as served customers
+  const completedHistory = workHistory.filter(q => q.isCompleted());
+  const noShowCount = workHistory.filter(q => q.isNoShow()).length;
+
   if (!currentUser) {
     return (
       <div className="clerk-app">
@@ -406,6 +723,7 @@ const ClerkApp = () => {
                     <div className="counter-info">
                       <h3 className="counter-name">{counter.getDisplayName()}</h3>
                       <p className="counter-status">{counter.getStatusText()}</p>
+                      <p className="counter-services">{counter.getServicesText()}</p>
                     </div>
                     <button
                       onClick={() => startCounterSession(counter)}
@@ -428,67 +746,242 @@ const ClerkApp = () => {
               <h2 className="section-title">
                 Aktif Gişe: {selectedCounter.getDisplayName()}
               </h2>
-              <button
-                onClick={endCounterSession}
-                disabled={isLoading}
-                className="end-session-button"
-              >
-                Gişeyi Kapat
-              </button>
+              <div className="session-actions">
+                {!selectedCounter.isPaused && !currentQueue && (
+                  <div className="break-controls">
+                    <select
+                      value={breakReason}
+                      onChange={(e) => setBreakReason(e.target.value)}
+                      disabled={isLoading}
+                      aria-label="Mola nedeni"
+                    >
+                      {Object.entries(BREAK_REASONS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={pauseCounterSession}
+                      disabled={isLoading}
+                      className="pause-session-button"
+                    >
+                      Molaya Çık
+                    </button>
+                  </div>
+                )}
+                <button
+                  onClick={endCounterSession}
+                  disabled={isLoading}
+                  className="end-session-button"
+                >
+                  Gişeyi Kapat
+                </button>
+              </div>
             </div>
 
+            {/* Break */}
+            {selectedCounter.isPaused && (
+              <div className="break-section">
+                <span className="break-icon">☕</span>
+                <p className="break-title">Moladasınız</p>
+                <p className="break-details">
+                  {selectedCounter.getBreakReasonText()} · {selectedCounter.getFormattedPausedAt()} itibarıyla
+                </p>
+                <p className="break-note">Gişeniz size ayrılmış durumda, molada müşteri çağrılmaz.</p>
+                <button
+                  onClick={resumeCounterSession}
+                  disabled={isLoading}
+                  className="resume-session-button"
+                >
+                  {isLoading ? 'Dönülüyor...' : 'Moladan Dön'}
+                </button>
+              </div>
+            )}
+
             {/* Current Customer */}
-            <div className="current-customer-section">
-              <h3 className="subsection-title">Mevcut Müşteri</h3>
+            {!selectedCounter.isPaused && (
+              <div className="current-customer-section">
+                <h3 className="subsection-title">Mevcut Müşteri</h3>
               
-              {currentQueue ? (
-                <div className="current-customer-card">
-                  <div className="customer-number">
-                    <span className="customer-number-label">Sıra No:</span>
-                    <span className="customer-number-value">{currentQueue.queueNumber}</span>
-                  </div>
-                  <div className="customer-info">
-                    <div className="customer-detail">
-                      <span className="detail-label">Durum:</span>
-                      <span className={`detail-value status-${currentQueue.status}`}>
-                        {currentQueue.getStatusText()}
-                      </span>
+                {currentQueue ? (
+                  <div className={`current-customer-card ${currentQueue.isPriority() ? 'priority' : ''}`}>
+                    <div className="customer-number">
+                      <span className="customer-number-label">Sıra No:</span>
+                      <span className="customer-number-value">{currentQueue.getDisplayNumber()}</span>
+                      {currentQueue.isPriority() && (
+                        <span className="priority-badge">★ {currentQueue.getPriorityText()}</span>
+                      )}
                     </div>
-                    <div className="customer-detail">
-                      <span className="detail-label">Çağrıldı:</span>
-                      <span className="detail-value">
-                        {currentQueue.getFormattedCalledAt()}
-                      </span>
-                    </div>
-                    <div className="customer-detail">
-                      <span className="detail-label">Hizmet Süresi:</span>
-                      <span className="detail-value">
-                        {currentQueue.getFormattedServiceTime()}
-                      </span>
+                    <div className="customer-info">
+                      {currentQueue.serviceName && (
+                        <div className="customer-detail">
+                          <span className="detail-label">Hizmet:</span>
+                          <span className="detail-value">{currentQueue.serviceName}</span>
+                        </div>
+                      )}
+                      <div className="customer-detail">
+                        <span className="detail-label">Durum:</span>
+                        <span className={`detail-value status-${currentQueue.status}`}>
+                          {currentQueue.getStatusText()}
+                        </span>
+                      </div>
+                      <div className="customer-detail">
+                        <span className="detail-label">Çağrıldı:</span>
+                        <span className="detail-value">
+                          {currentQueue.getFormattedCalledAt()}
+                        </span>
+                      </div>
+                      {currentQueue.isRecalled() && (
+                        <div className="customer-detail">
+                          <span className="detail-label">Tekrar Çağrı:</span>
+                          <span className="detail-value">{currentQueue.recallCount} kez</span>
+                        </div>
+                      )}
+                      {currentQueue.isBeingServed() ? (
+                        <div className="customer-detail">
+                          <span className="detail-label">Hizmet Süresi:</span>
+                          <span className="detail-value">
+                            {currentQueue.getFormattedServiceTime()}
+                          </span>
+                        </div>
+                      ) : (
+                        <div className="customer-detail">
+                          <span className="detail-label">Bekleme Süresi:</span>
+                          <span className="detail-value">
+                            {currentQueue.getFormattedWaitingTime()}
+                          </span>
+                        </div>
+                      )}
                     </div>
+                    {!showTransfer && currentQueue.status === 'called' && (
+                      <button
+                        onClick={startService}
+                        disabled={isLoading}
+                        className="start-service-button"
+                      >
+                        Müşteri Geldi / Hizmeti Başlat
+                      </button>
+                    )}
+                    {showTransfer ? (
+                      <div className="transfer-panel">
+                        <h4 className="transfer-title">Müşteriyi Yönlendir</h4>
+                        <label className="transfer-field">
+                          <span className="detail-label">Hedef Gişe:</span>
+                          <select
+                            value={transferForm.targetCounterId}
+                            onChange={(e) => setTransferForm({ ...transferForm, targetCounterId: e.target.value })}
+                            disabled={isLoading}
+                          >
+                            <option value="">Herhangi bir gişe</option>
+                            {transferCounters.map((counter) => (
+                              <option key={counter.id} value={counter.id}>
+                                {counter.getDisplayName()}{counter.isPaused ? ' (Molada)' : ''}
+                              </option>
+                            ))}
+                          </select>
+                        </label>
+                        {transferServices.length > 0 && (
+                          <label className="transfer-field">
+                            <span className="detail-label">Hedef Hizmet:</span>
+                            <select
+                              value={transferForm.targetServiceId}
+                              onChange={(e) => setTransferForm({ ...transferForm, targetServiceId: e.target.value })}
+                              disabled={isLoading}
+                            >
+                              <option value="">Hizmet değişmesin</option>
+                              {transferServices.map((service) => (
+                                <option key={service.id} value={service.id}>
+                                  {service.getDisplayName()}
+                                </option>
+                              ))}
+                            </select>
+                          </label>
+                        )}
+                        <label className="transfer-checkbox">
+                          <input
+                            type="checkbox"
+                            checked={transferForm.placeAtHead}
+                            onChange={(e) => setTransferForm({ ...transferForm, placeAtHead: e.target.checked })}
+                            disabled={isLoading}
+                          />
+                          Sıranın başına al
+                        </label>
+                        <input
+                          type="text"
+                          className="transfer-reason"
+                          placeholder="Yönlendirme nedeni (isteğe bağlı)"
+                          value={transferForm.reason}
+                          onChange={(e) => setTransferForm({ ...transferForm, reason: e.target.value })}
+                          disabled={isLoading}
+                        />
+                        <div className="transfer-actions">
+                          <button
+                            onClick={() => setShowTransfer(false)}
+                            disabled={isLoading}
+                            className="transfer-cancel-button"
+                          >
+                            Vazgeç
+                          </button>
+                          <button
+                            onClick={transferCustomer}
+                            disabled={isLoading}
+                            className="transfer-confirm-button"
+                          >
+                            {isLoading ? 'Yönlendiriliyor...' : 'Yönlendir'}
+                          </button>
+                        </div>
+                      </div>
+                    ) : (
+                      <div className="customer-actions">
+                        <button
+                          onClick={completeService}
+                          disabled={isLoading}
+                          className="complete-service-button"
+                        >
+                          {isLoading ? 'Tamamlanıyor...' : 'Hizmeti Tamamla'}
+                        </button>
+                        <button
+                          onClick={openTransferPanel}
+                          disabled={isLoading}
+                          className="transfer-button"
+                        >
+                          Yönlendir
+                        </button>
+                      </div>
+                    )}
+                    {!showTransfer && currentQueue.status === 'called' && (
+                      <div className="customer-actions">
+                        <button
+                          onClick={recallCustomer}
+                          disabled={isLoading}
+                          className="recall-button"
+                        >
+                          Tekrar Çağır
+                        </button>
+                        <button
+                          onClick={markNoShow}
+                          disabled={isLoading}
+                          className="no-show-button"
+                        >
+                          Gelmedi
+                        </button>
+                      </div>
+                    )}
                   </div>
-                  <button
-                    onClick={completeService}
-                    disabled={isLoading}
-                    className="complete-service-button"
-                  >
-                    {isLoading ? 'Tamamlanıyor...' : 'Hizmeti Tamamla'}
-                  </button>
-                </div>
-              ) : (
-                <div className="no-customer">
-                  <span className="no-customer-icon">👤</span>
-                  <p>Şu anda hizmet verilen müşteri yok</p>
-                  <button
-                    onClick={callNextCustomer}
-                    disabled={isLoading}
-                    className="call-next-button"
-                  >
-                    {isLoading ? 'Çağrılıyor...' : 'Sıradaki Müşteriyi Çağır'}
-                  </button>
-                </div>
-              )}
-            </div>
+                ) : (
+                  <div className="no-customer">
+                    <span className="no-customer-icon">👤</span>
+                    <p>Şu anda hizmet verilen müşteri yok</p>
+                    <button
+                      onClick={callNextCustomer}
+                      disabled={isLoading}
+                      className="call-next-button"
+                    >
+                      {isLoading ? 'Çağrılıyor...' : 'Sıradaki Müşteriyi Çağır'}
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
 
             {/* Work History */}
             <div className="work-history-section">
@@ -504,24 +997,48 @@ const ClerkApp = () => {
                   {workHistory.slice(0, 10).map((queue) => (
                     <div key={queue.id} className="history-item">
                       <div className="history-number">
-                        <span className="history-number-value">{queue.queueNumber}</span>
+                        <span className="history-number-value">{queue.getDisplayNumber()}</span>
+                        {queue.isPriority() && (
+                          <span className="priority-marker" title={queue.getPriorityText()}>★</span>
+                        )}
+                        {queue.transferCount > 0 && (
+                          <span className="transfer-marker" title={`${queue.transferCount} kez yönlendirildi`}>↪</span>
+                        )}
                       </div>
                       <div className="history-details">
                         <div className="history-time">
-                          <span className="history-label">Tamamlandı:</span>
+                          <span className="history-label">{queue.isNoShow() ? 'Kapatıldı:' : 'Tamamlandı:'}</span>
                           <span className="history-value">
                             {queue.getFormattedCompletedAt()}
                           </span>
                         </div>
                         <div className="history-duration">
-                          <span className="history-label">Süre:</span>
+                          <span className="history-label">Bekleme:</span>
                           <span className="history-value">
-                            {queue.getFormattedServiceTime()}
+                            {queue.getFormattedWaitingTime()}
                           </span>
                         </div>
+                        {queue.isCompleted() && (
+                          <div className="history-duration">
+                            <span className="history-label">Hizmet:</span>
+                            <span className="history-value">
+                              {queue.getFormattedServiceTime()}
+                              {queue.getWalkUpTime() !== null && ` (yürüme ${queue.getWalkUpTime()} dk)`}
+                            </span>
+                          </div>
+                        )}
                       </div>
-                      <div className={`history-status status-${queue.status}`}>
-                        {queue.getStatusText()}
+                      <div className="history-side">
+                        <div className={`history-status status-${queue.status}`}>
+                          {queue.getStatusText()}
+                        </div>
+                        <button
+                          onClick={() => setTimelineQueueId(queue.id)}
+                          className="history-timeline-button"
+                          title="Bilet geçmişini göster"
+                        >
+                          Geçmiş
+                        </button>
                       </div>
                     </div>
                   ))}
@@ -532,23 +1049,27 @@ const ClerkApp = () => {
         )}
 
         {/* Statistics */}
-        {selectedCounter && workHistory.length > 0 && (
+        {selectedCounter && completedHistory.length > 0 && (
           <div className="statistics-section">
             <h3 className="subsection-title">Günlük İstatistikler</h3>
             <div className="stats-grid">
               <div className="stat-item">
-                <span className="stat-value">{workHistory.length}</span>
+                <span className="stat-value">{completedHistory.length}</span>
                 <span className="stat-label">Tamamlanan İş</span>
               </div>
+              <div className="stat-item">
+                <span className="stat-value">{noShowCount}</span>
+                <span className="stat-label">Gelmeyen</span>
+              </div>
               <div className="stat-item">
                 <span className="stat-value">
-                  {Math.round(workHistory.reduce((sum, q) => sum + q.getServiceTime(), 0) / workHistory.length)}dk
+                  {Math.round(completedHistory.reduce((sum, q) => sum + q.getServiceTime(), 0) / completedHistory.length)}dk
                 </span>
                 <span className="stat-label">Ortalama Süre</span>
               </div>
               <div className="stat-item">
                 <span className="stat-value">
-                  {Math.round(workHistory.reduce((sum, q) => sum + q.getServiceTime(), 0))}dk
+                  {Math.round(completedHistory.reduce((sum, q) => sum + q.getServiceTime(), 0))}dk
                 </span>
                 <span className="stat-label">Toplam Süre</span>
               </div>
@@ -556,6 +1077,17 @@ const ClerkApp = () => {
           </div>
         )}
 
+        {/* Own Performance */}
+        <div className="performance-section">
+          <button
+            onClick={() => setShowPerformance(prev => !prev)}
+            className="performance-toggle"
+          >
+            {showPerformance ? 'Performansımı Gizle' : 'Performansım'}
+          </button>
+          {showPerformance && <ClerkPerformanceDashboard userId={currentUser.id} />}
+        </div>
+
         {/* Auto Refresh Info */}
         <div className="auto-refresh-info">
           <span className="refresh-icon">🔄</span>
@@ -564,6 +1096,10 @@ const ClerkApp = () => {
           </span>
         </div>
       </div>
+
+      {timelineQueueId && (
+        <QueueTimeline queueId={timelineQueueId} onClose={() => setTimelineQueueId(null)} />
+      )}
     </div>
   );
 };
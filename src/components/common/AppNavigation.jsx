@@ -6,7 +6,9 @@
 import { useState, useEffect } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import AuthService from '../../services/AuthService.js';
+import { PERMISSIONS, MANAGEMENT_PERMISSIONS } from '../../models/User.js';
 import Logger from '../../utils/Logger.js';
+import TwoFactorSettings from '../auth/TwoFactorSettings.jsx';
 import './AppNavigation.css';
 
 const AppNavigation = () => {
@@ -14,6 +16,7 @@ const AppNavigation = () => {
   const location = useLocation();
   const [currentUser, setCurrentUser] = useState(AuthService.getCurrentUser());
   const [sessionTime, setSessionTime] = useState(AuthService.getSessionRemainingTime());
+  const [showSecurity, setShowSecurity] = useState(false);
 
   useEffect(() => {
     // Update session time every minute
@@ -29,11 +32,13 @@ const AppNavigation = () => {
 
     AuthService.addEventListener('login', handleAuthChange);
     AuthService.addEventListener('logout', handleAuthChange);
+    AuthService.addEventListener('userUpdated', handleAuthChange);
 
     return () => {
       clearInterval(timer);
       AuthService.removeEventListener('login', handleAuthChange);
       AuthService.removeEventListener('logout', handleAuthChange);
+      AuthService.removeEventListener('userUpdated', handleAuthChange);
     };
   }, []);
 
@@ -62,7 +67,7 @@ const AppNavigation = () => {
   };
 
   /**
-   * Get navigation items based on user role
+   * Get navigation items based on user permissions
    * @returns {Array} Navigation items
    */
   const getNavigationItems = () => {
@@ -70,11 +75,13 @@ const AppNavigation = () => {
 
     const items = [];
 
-    if (currentUser.isAdmin()) {
+    if (MANAGEMENT_PERMISSIONS.some(permission => currentUser.hasPermission(permission))) {
       items.push(
         { path: '/admin', label: 'Yönetim Paneli', icon: '⚙️' }
       );
-    } else if (currentUser.isClerk()) {
+    }
+
+    if (currentUser.hasPermission(PERMISSIONS.SERVE_QUEUE)) {
       items.push(
         { path: '/clerk', label: 'Gişe Yönetimi', icon: '👤' },
         { path: '/customer', label: 'Müşteri Paneli', icon: '🎫' },
@@ -104,7 +111,8 @@ const AppNavigation = () => {
     return '';
   };
 
-  if (!currentUser) {
+  // Kiosks and displays run full screen without navigation
+  if (!currentUser || currentUser.isDevice()) {
     return null;
   }
 
@@ -152,6 +160,16 @@ const AppNavigation = () => {
             </div>
           </div>
 
+          {/* Security Settings */}
+          <button
+            onClick={() => setShowSecurity(true)}
+            className="security-button"
+            title="İki Adımlı Doğrulama"
+          >
+            <span className="security-icon">{currentUser.twoFactorEnabled ? '🔐' : '🔓'}</span>
+            <span className="security-label">Güvenlik</span>
+          </button>
+
           {/* Logout Button */}
           <button
             onClick={handleLogout}
@@ -163,6 +181,8 @@ const AppNavigation = () => {
           </button>
         </div>
       </div>
+
+      {showSecurity && <TwoFactorSettings onClose={() => setShowSecurity(false)} />}
     </nav>
   );
 };
@@ -0,0 +1,156 @@
+/**
+ * Clerk Performance Dashboard Component
+ * Daily and weekly work statistics of one clerk compared with their branch average,
+ * shown to admins for any clerk and to clerks for themselves
+ */
+
+import { useState, useEffect } from 'react';
+import DatabaseService from '../../services/DatabaseService.js';
+import AuthService from '../../services/AuthService.js';
+import Logger from '../../utils/Logger.js';
+import ClerkPerformance from '../../models/ClerkPerformance.js';
+import './ClerkPerformanceDashboard.css';
+
+const PERIOD_OPTIONS = [7, 28, 90];
+
+// Metrics of the summary table with their formatting
+const METRICS = [
+  { key: 'served', label: 'Hizmet Verilen', format: (value) => value },
+  { key: 'noShows', label: 'Gelmeyen', format: (value) => value },
+  { key: 'avgServiceTime', label: 'Ort. Hizmet Süresi', format: ClerkPerformance.formatDuration },
+  { key: 'medianServiceTime', label: 'Medyan Hizmet Süresi', format: ClerkPerformance.formatDuration },
+  { key: 'avgIdleTime', label: 'Çağrılar Arası Boş Süre', format: ClerkPerformance.formatDuration },
+  { key: 'sessionTime', label: 'Oturum Süresi', format: ClerkPerformance.formatHours },
+  { key: 'breakTime', label: 'Mola Süresi', format: ClerkPerformance.formatHours },
+  { key: 'utilisation', label: 'Doluluk', format: ClerkPerformance.formatUtilisation }
+];
+
+const ClerkPerformanceDashboard = ({ userId }) => {
+  const [days, setDays] = useState(28);
+  const [performance, setPerformance] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!userId) {
+      return;
+    }
+
+    const loadPerformance = async () => {
+      setIsLoading(true);
+      setError('');
+
+      try {
+        const data = await DatabaseService.getClerkPerformance(userId, days, AuthService.getToken());
+        setPerformance(ClerkPerformance.fromAPI(data));
+      } catch (error) {
+        Logger.error('Error loading clerk performance:', error);
+        setPerformance(null);
+        setError('Performans bilgileri yüklenirken hata oluştu');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadPerformance();
+  }, [userId, days]);
+
+  const maxServed = performance?.getMaxDailyServed() || 1;
+  const branchAverage = performance?.summary.branchAverage;
+
+  return (
+    <div className="clerk-performance">
+      <div className="performance-periods">
+        {PERIOD_OPTIONS.map(option => (
+          <button
+            key={option}
+            onClick={() => setDays(option)}
+            className={`performance-period ${days === option ? 'active' : ''}`}
+            disabled={isLoading}
+          >
+            Son {option} gün
+          </button>
+        ))}
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <span className="error-icon">⚠️</span>
+          {error}
+        </div>
+      )}
+
+      {performance && !performance.hasActivity() && (
+        <p className="performance-empty">Bu dönemde kayıtlı çalışma yok</p>
+      )}
+
+      {performance && performance.hasActivity() && (
+        <>
+          <div className="performance-summary">
+            <div className="performance-summary-row performance-summary-head">
+              <span />
+              <span>{performance.username}</span>
+              {branchAverage && <span>Şube Ortalaması</span>}
+            </div>
+            {METRICS.map(metric => (
+              <div key={metric.key} className="performance-summary-row">
+                <span className="performance-label">{metric.label}</span>
+                <strong>{metric.format(performance.summary.clerk[metric.key])}</strong>
+                {branchAverage && <span>{metric.format(branchAverage[metric.key])}</span>}
+              </div>
+            ))}
+          </div>
+
+          <div className="performance-trend">
+            <h4 className="performance-subtitle">Günlük Hizmet Verilen</h4>
+            <div className="performance-chart">
+              {performance.daily.map(day => (
+                <div
+                  key={day.date}
+                  className="performance-bar-slot"
+                  title={`${ClerkPerformance.formatDay(day.date)}: ${day.clerk.served} müşteri, şube ortalaması ${day.branchAverage?.served ?? '-'}`}
+                >
+                  <div className="performance-bar" style={{ height: `${(day.clerk.served / maxServed) * 100}%` }} />
+                  {day.branchAverage && (
+                    <div className="performance-average-mark" style={{ bottom: `${(day.branchAverage.served / maxServed) * 100}%` }} />
+                  )}
+                  {days <= 28 && <span className="performance-bar-label">{ClerkPerformance.formatDay(day.date)}</span>}
+                </div>
+              ))}
+            </div>
+            <div className="performance-legend">
+              <span><i className="legend-bar" /> {performance.username}</span>
+              {branchAverage && <span><i className="legend-average" /> Şube ortalaması</span>}
+            </div>
+          </div>
+
+          <div className="performance-weekly">
+            <h4 className="performance-subtitle">Haftalık</h4>
+            <div className="performance-weekly-row performance-weekly-head">
+              <span>Hafta</span>
+              <span>Hizmet Verilen</span>
+              <span>Ort. Hizmet</span>
+              <span>Boş Süre</span>
+              <span>Doluluk</span>
+            </div>
+            {performance.weekly.map(week => (
+              <div key={week.weekStart} className="performance-weekly-row">
+                <span>{ClerkPerformance.formatDay(week.weekStart)} haftası</span>
+                <span>{week.clerk.served} <small>({week.branchAverage?.served ?? '-'})</small></span>
+                <span>{ClerkPerformance.formatDuration(week.clerk.avgServiceTime)}</span>
+                <span>{ClerkPerformance.formatDuration(week.clerk.avgIdleTime)}</span>
+                <span>
+                  {ClerkPerformance.formatUtilisation(week.clerk.utilisation)}{' '}
+                  <small>({ClerkPerformance.formatUtilisation(week.branchAverage?.utilisation)})</small>
+                </span>
+              </div>
+            ))}
+            {branchAverage && <p className="performance-note">Parantez içindeki değerler şube ortalamasıdır.</p>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ClerkPerformanceDashboard;
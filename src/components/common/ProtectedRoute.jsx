@@ -7,11 +7,15 @@ import { useEffect, useState } from 'react';
 import AuthService from '../../services/AuthService.js';
 import Logger from '../../utils/Logger.js';
 import LoginForm from '../auth/LoginForm.jsx';
+import ChangePasswordForm from '../auth/ChangePasswordForm.jsx';
+import TwoFactorSettings from '../auth/TwoFactorSettings.jsx';
+import User from '../../models/User.js';
 
 const ProtectedRoute = ({ 
   children, 
   requireAuth = true, 
   requiredRole = null, 
+  requiredPermission = null,
   requiredBranchAccess = null,
   fallback = null 
 }) => {
@@ -46,10 +50,12 @@ const ProtectedRoute = ({
 
     AuthService.addEventListener('login', handleAuthChange);
     AuthService.addEventListener('logout', handleAuthChange);
+    AuthService.addEventListener('userUpdated', handleAuthChange);
 
     return () => {
       AuthService.removeEventListener('login', handleAuthChange);
       AuthService.removeEventListener('logout', handleAuthChange);
+      AuthService.removeEventListener('userUpdated', handleAuthChange);
     };
   }, []);
 
@@ -87,6 +93,7 @@ const ProtectedRoute = ({
     Logger.info(`Authentication required for protected route, showing login form inline`);
     return (
       <LoginForm 
+        allowDeviceLogin={[].concat(requiredRole || []).some(role => User.isDeviceRole(role))}
         onLoginSuccess={(user) => {
           handleLoginSuccess(user);
           Logger.info(`Login successful, user will see protected content at current URL`);
@@ -98,6 +105,18 @@ const ProtectedRoute = ({
     );
   }
 
+  // A temporary password has to be replaced before anything else can be used
+  if (currentUser?.mustChangePassword) {
+    Logger.info('Password change required, showing change password form');
+    return <ChangePasswordForm />;
+  }
+
+  // Roles that require two-factor authentication enrol before anything else can be used
+  if (currentUser?.twoFactorSetupRequired) {
+    Logger.info('Two-factor setup required, showing two-factor setup');
+    return <TwoFactorSettings />;
+  }
+
   // Check role requirements
   if (requiredRole && currentUser) {
     if (Array.isArray(requiredRole)) {
@@ -108,7 +127,7 @@ const ProtectedRoute = ({
           <div className="access-denied">
             <h2>Erişim Reddedildi</h2>
             <p>Bu sayfaya erişim yetkiniz bulunmamaktadır.</p>
-            <p>Gerekli rol: {requiredRole.join(' veya ')}</p>
+            <p>Gerekli rol: {requiredRole.map(role => User.getRoleName(role)).join(' veya ')}</p>
             <p>Mevcut rol: {currentUser.getRoleDisplayName()}</p>
           </div>
         );
@@ -121,7 +140,7 @@ const ProtectedRoute = ({
           <div className="access-denied">
             <h2>Erişim Reddedildi</h2>
             <p>Bu sayfaya erişim yetkiniz bulunmamaktadır.</p>
-            <p>Gerekli rol: {requiredRole === 'admin' ? 'Yönetici' : 'Gişe Görevlisi'}</p>
+            <p>Gerekli rol: {User.getRoleName(requiredRole)}</p>
             <p>Mevcut rol: {currentUser.getRoleDisplayName()}</p>
           </div>
         );
@@ -129,6 +148,22 @@ const ProtectedRoute = ({
     }
   }
 
+  // Check permission requirements, any one of several permissions is enough
+  if (requiredPermission && currentUser) {
+    const permissions = [].concat(requiredPermission);
+
+    if (!permissions.some(permission => currentUser.hasPermission(permission))) {
+      Logger.warning(`Access denied. Required permissions: ${permissions.join(', ')}, User role: ${currentUser.role}`);
+      return fallback || (
+        <div className="access-denied">
+          <h2>Erişim Reddedildi</h2>
+          <p>Bu sayfaya erişim yetkiniz bulunmamaktadır.</p>
+          <p>Mevcut rol: {currentUser.getRoleDisplayName()}</p>
+        </div>
+      );
+    }
+  }
+
   // Check branch access requirements
   if (requiredBranchAccess && currentUser) {
     if (!currentUser.hasAccessToBranch(requiredBranchAccess)) {
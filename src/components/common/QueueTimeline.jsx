@@ -0,0 +1,85 @@
+/**
+ * Queue Timeline Component
+ * Popover listing every state change of one ticket, used by clerks and admins
+ */
+
+import { useState, useEffect } from 'react';
+import DatabaseService from '../../services/DatabaseService.js';
+import AuthService from '../../services/AuthService.js';
+import Logger from '../../utils/Logger.js';
+import QueueEvent from '../../models/QueueEvent.js';
+import './QueueTimeline.css';
+
+const QueueTimeline = ({ queueId, onClose }) => {
+  const [ticket, setTicket] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadTimeline = async () => {
+      setIsLoading(true);
+      setError('');
+
+      try {
+        const data = await DatabaseService.getQueueTimeline(queueId, AuthService.getToken());
+        setTicket(data);
+        setEvents((data?.events || []).map(e => QueueEvent.fromAPI(e)));
+      } catch (error) {
+        Logger.error('Error loading queue timeline:', error);
+        setError('Bilet geçmişi yüklenirken hata oluştu');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadTimeline();
+  }, [queueId]);
+
+  return (
+    <div className="queue-timeline-overlay" onClick={onClose}>
+      <div className="queue-timeline" onClick={(e) => e.stopPropagation()}>
+        <div className="queue-timeline-header">
+          <h3>
+            Bilet Geçmişi
+            {ticket && ` · ${ticket.serviceCode || ''}${ticket.number}`}
+          </h3>
+          <button onClick={onClose} className="queue-timeline-close" title="Kapat">✕</button>
+        </div>
+
+        {ticket?.serviceName && (
+          <p className="queue-timeline-service">{ticket.serviceName}</p>
+        )}
+
+        {error && (
+          <div className="error-message">
+            <span className="error-icon">⚠️</span>
+            {error}
+          </div>
+        )}
+
+        {isLoading && <p className="queue-timeline-empty">Yükleniyor...</p>}
+
+        {!isLoading && !error && events.length === 0 && (
+          <p className="queue-timeline-empty">Bu bilet için kayıtlı olay yok</p>
+        )}
+
+        <ol className="queue-timeline-events">
+          {events.map(event => (
+            <li key={event.id} className={`queue-timeline-event event-${event.type}`}>
+              <span className="queue-timeline-time">{event.getFormattedTime()}</span>
+              <div className="queue-timeline-body">
+                <span className="queue-timeline-type">{event.getTypeText()}</span>
+                {event.getDescription() && (
+                  <span className="queue-timeline-description">{event.getDescription()}</span>
+                )}
+              </div>
+            </li>
+          ))}
+        </ol>
+      </div>
+    </div>
+  );
+};
+
+export default QueueTimeline;
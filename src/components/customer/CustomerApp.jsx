@@ -4,12 +4,17 @@
  */
 
 import { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
 import DatabaseService from '../../services/DatabaseService.js';
 import AuthService from '../../services/AuthService.js';
+import RealtimeService from '../../services/RealtimeService.js';
+import TicketPrintService from '../../services/TicketPrintService.js';
 import AppConfig from '../../config/AppConfig.js';
 import Logger from '../../utils/Logger.js';
 import LayoutManager from '../../utils/LayoutManager.js';
 import Queue from '../../models/Queue.js';
+import Service from '../../models/Service.js';
+import WaitForecast from '../../models/WaitForecast.js';
 import './CustomerApp.css';
 
 const CustomerApp = () => {
@@ -19,20 +24,33 @@ const CustomerApp = () => {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const [lastCalledNumber, setLastCalledNumber] = useState(null);
+  const [priorityType, setPriorityType] = useState('normal');
+  const [appointmentCode, setAppointmentCode] = useState('');
   const customerContainerRef = useRef(null);
 
   const refreshInterval = AppConfig.get('refreshIntervals.customerApp');
+  const priorityTypes = AppConfig.get('queue.priorityTypes') || [];
 
   useEffect(() => {
     if (currentUser?.branchId) {
       loadQueueStatus();
+
+      // Waiting counts change on every ticket event, so reload on each push
+      const unsubscribe = RealtimeService.subscribe(currentUser.branchId, () => {
+        loadQueueStatus();
+      });
       
-      // Set up auto-refresh
+      // Set up auto-refresh (only while the push connection is down)
       const interval = setInterval(() => {
-        loadQueueStatus();
+        if (!RealtimeService.isConnected(currentUser.branchId)) {
+          loadQueueStatus();
+        }
       }, refreshInterval);
 
-      return () => clearInterval(interval);
+      return () => {
+        unsubscribe();
+        clearInterval(interval);
+      };
     }
   }, [currentUser, refreshInterval]);
 
@@ -70,7 +88,7 @@ const CustomerApp = () => {
     if (!currentUser?.branchId) return;
 
     try {
-      const status = await DatabaseService.getQueueStatus(currentUser.branchId);
+      const status = await DatabaseService.getQueueStatus(currentUser.branchId, AuthService.getToken());
       setQueueStatus(status);
       
       if (status.lastCalled) {
@@ -86,19 +104,32 @@ const CustomerApp = () => {
 
   /**
    * Take a new queue number
+   * @param {Service|null} service - Service line to queue for (null for the general line)
    */
-  const takeQueueNumber = async () => {
+  const takeQueueNumber = async (service = null) => {
     if (!currentUser?.branchId) return;
 
     setIsLoading(true);
     setError('');
 
     try {
-      const newQueue = await DatabaseService.getNextQueueNumber(currentUser.branchId);
+      const newQueue = await DatabaseService.getNextQueueNumber(
+        currentUser.branchId,
+        service?.id || null,
+        priorityType,
+        AuthService.getToken()
+      );
       const queueObj = Queue.fromAPI(newQueue.data || newQueue);
       
+      // Priority applies to a single ticket only
+      setPriorityType('normal');
+      
       // Add to recent numbers
       setRecentNumbers(prev => [queueObj, ...prev.slice(0, 4)]);
+
+      if (AppConfig.get('printing.autoPrint')) {
+        printTicket(queueObj);
+      }
       
       // Refresh status
       await loadQueueStatus();
@@ -121,27 +152,85 @@ const CustomerApp = () => {
   };
 
   /**
-   * Get waiting time estimate
-   * @returns {string} Estimated waiting time
+   * Print a paper ticket; printer problems are shown but do not affect the issued ticket
+   * @param {Queue} queue - Issued ticket
    */
-  const getWaitingTimeEstimate = () => {
-    if (!queueStatus || !queueStatus.waitingCount) {
-      return 'Bekleme yok';
+  const printTicket = async (queue) => {
+    try {
+      await TicketPrintService.print(queue);
+    } catch (error) {
+      Logger.error('Error printing ticket:', error);
+      setError('Bilet yazdırılamadı, lütfen numaranızı not alın');
     }
+  };
+
+  /**
+   * Check in a booked appointment; the ticket is called around the appointment time
+   * @param {Event} e - Form submit event
+   */
+  const checkInAppointment = async (e) => {
+    e.preventDefault();
+    if (!currentUser?.branchId || !appointmentCode.trim()) return;
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const newQueue = await DatabaseService.checkInAppointment(
+        appointmentCode.trim().toUpperCase(),
+        currentUser.branchId,
+        AuthService.getToken()
+      );
+      const queueObj = Queue.fromAPI(newQueue.data || newQueue);
+
+      setAppointmentCode('');
+      setRecentNumbers(prev => [queueObj, ...prev.slice(0, 4)]);
+
+      if (AppConfig.get('printing.autoPrint')) {
+        printTicket(queueObj);
+      }
+
+      await loadQueueStatus();
+
+      Logger.info('Appointment checked in:', newQueue);
+    } catch (error) {
+      Logger.error('Error checking in appointment:', error);
 
-    const avgServiceTime = queueStatus.averageServiceTime || 5; // minutes
-    const activeCounters = queueStatus.activeCounters || 1;
-    const estimatedMinutes = Math.ceil((queueStatus.waitingCount * avgServiceTime) / activeCounters);
+      let errorMessage = 'Randevu girişi yapılırken hata oluştu';
+      if (error.message.includes('Appointment not found') || error.message.includes('Valid appointment code')) {
+        errorMessage = 'Randevu kodu bulunamadı';
+      } else if (error.message.includes('already checked in')) {
+        errorMessage = 'Bu randevu için giriş zaten yapılmış';
+      } else if (error.message.includes('was cancelled')) {
+        errorMessage = 'Bu randevu iptal edilmiş';
+      } else if (error.message.includes('another branch')) {
+        errorMessage = 'Bu randevu başka bir şubeye ait';
+      } else if (error.message.includes('Check-in opens')) {
+        errorMessage = 'Randevu saatinize henüz çok var, lütfen daha sonra giriş yapın';
+      } else if (error.message.includes('time has passed')) {
+        errorMessage = 'Randevu giriş süresi geçti, lütfen sıra numarası alın';
+      }
 
-    if (estimatedMinutes < 60) {
-      return `Yaklaşık ${estimatedMinutes} dakika`;
+      setError(errorMessage);
+    } finally {
+      setIsLoading(false);
     }
+  };
 
-    const hours = Math.floor(estimatedMinutes / 60);
-    const minutes = estimatedMinutes % 60;
-    return `Yaklaşık ${hours} saat ${minutes} dakika`;
+  /**
+   * Get waiting time estimate of a ticket taken now
+   * @returns {string} Expected waiting range
+   */
+  const getWaitingTimeEstimate = () => {
+    if (!queueStatus?.waitForecast) {
+      return 'Bekleme yok';
+    }
+
+    return WaitForecast.fromAPI(queueStatus.waitForecast).getRangeText();
   };
 
+  const services = (queueStatus?.services || []).map(s => Service.fromAPI(s));
+
   if (!currentUser) {
     return (
       <div className="customer-app">
@@ -168,7 +257,7 @@ const CustomerApp = () => {
             {lastCalledNumber && (
               <div className="last-called">
                 <span className="last-called-label">Son Çağrılan:</span>
-                <span className="last-called-number">{lastCalledNumber.queueNumber}</span>
+                <span className="last-called-number">{lastCalledNumber.getDisplayNumber()}</span>
                 <span className="last-called-counter">
                   {lastCalledNumber.getCounterDisplayName()}
                 </span>
@@ -192,25 +281,81 @@ const CustomerApp = () => {
           </div>
         </div>
 
-        {/* Take Number Button */}
+        {/* Take Number Buttons - one per service line, single button when the branch has no services */}
         <div className="take-number-section">
-          <button
-            onClick={takeQueueNumber}
-            disabled={isLoading || !queueStatus?.canTakeNumber}
-            className={`take-number-button ${isLoading ? 'loading' : ''}`}
-          >
-            {isLoading ? (
-              <>
-                <span className="loading-spinner"></span>
-                Sıra alınıyor...
-              </>
-            ) : (
-              <>
-                <span className="take-number-icon">🎫</span>
-                Sıra Numarası Al
-              </>
-            )}
-          </button>
+          {priorityTypes.length > 0 && (
+            <div className="priority-selector">
+              <span className="priority-selector-label">Öncelikli Sıra:</span>
+              {priorityTypes.map((type) => (
+                <button
+                  key={type}
+                  onClick={() => setPriorityType(prev => (prev === type ? 'normal' : type))}
+                  disabled={isLoading}
+                  className={`priority-option ${priorityType === type ? 'active' : ''}`}
+                >
+                  {Queue.getPriorityTypeText(type)}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {services.length > 0 ? (
+            <div className="service-buttons">
+              {services.map((service) => (
+                <button
+                  key={service.id}
+                  onClick={() => takeQueueNumber(service)}
+                  disabled={isLoading || !queueStatus?.canTakeNumber}
+                  className={`take-number-button service-button ${isLoading ? 'loading' : ''}`}
+                >
+                  <span className="service-button-code">{service.code}</span>
+                  <span className="service-button-name">{service.getDisplayName()}</span>
+                  <span className="service-button-waiting">{service.getWaitingText()}</span>
+                  {service.waitForecast && !service.waitForecast.isImmediate() && (
+                    <span className="service-button-estimate">~ {service.waitForecast.getRangeText()}</span>
+                  )}
+                </button>
+              ))}
+            </div>
+          ) : (
+            <button
+              onClick={() => takeQueueNumber()}
+              disabled={isLoading || !queueStatus?.canTakeNumber}
+              className={`take-number-button ${isLoading ? 'loading' : ''}`}
+            >
+              {isLoading ? (
+                <>
+                  <span className="loading-spinner"></span>
+                  Sıra alınıyor...
+                </>
+              ) : (
+                <>
+                  <span className="take-number-icon">🎫</span>
+                  Sıra Numarası Al
+                </>
+              )}
+            </button>
+          )}
+
+          <form className="appointment-check-in" onSubmit={checkInAppointment}>
+            <span className="appointment-check-in-label">Randevunuz mu var?</span>
+            <input
+              type="text"
+              value={appointmentCode}
+              onChange={(e) => setAppointmentCode(e.target.value.toUpperCase())}
+              placeholder="Randevu kodu"
+              className="appointment-code-input"
+              autoComplete="off"
+              disabled={isLoading}
+            />
+            <button
+              type="submit"
+              disabled={isLoading || !appointmentCode.trim()}
+              className="appointment-check-in-button"
+            >
+              Randevu Girişi
+            </button>
+          </form>
 
           {error && (
             <div className="error-message">
@@ -232,14 +377,32 @@ const CustomerApp = () => {
           <div className="recent-numbers-section">
             <div className="recent-numbers">
               {recentNumbers.map((queue, index) => (
-                <div key={`${queue.id}-${index}`} className="recent-number">
-                  <span className="recent-number-value">{queue.queueNumber}</span>
+                <div key={`${queue.id}-${index}`} className={`recent-number ${queue.isPriority() ? 'priority' : ''}`}>
+                  <span className="recent-number-value">
+                    {queue.getDisplayNumber()}
+                    {queue.isPriority() && <span className="priority-marker" title={queue.getPriorityText()}>★</span>}
+                  </span>
                   <span className="recent-number-time">
-                    {queue.getFormattedCreatedAt()}
+                    {queue.isAppointment() && `Randevu ${queue.getScheduledTime()} · `}
+                    {queue.serviceName && `${queue.serviceName} · `}{queue.getFormattedCreatedAt()}
+                    {queue.trackingCode && (
+                      <Link to={`/track/${queue.trackingCode}`} className="recent-number-code" target="_blank">
+                        Takip Kodu: {queue.trackingCode}
+                      </Link>
+                    )}
                   </span>
                   <span className={`recent-number-status ${queue.status}`}>
                     {queue.getStatusText()}
                   </span>
+                  {AppConfig.get('printing.mode') !== 'none' && (
+                    <button
+                      onClick={() => printTicket(queue)}
+                      className="recent-number-print"
+                      title="Bileti yazdır"
+                    >
+                      🖨️
+                    </button>
+                  )}
                 </div>
               ))}
             </div>
@@ -253,7 +416,7 @@ const CustomerApp = () => {
             <div className="instruction-item">
               <span className="instruction-number">1</span>
               <span className="instruction-text">
-                "Sıra Numarası Al" butonuna tıklayın
+                İşleminize uygun hizmet butonuna tıklayın
               </span>
             </div>
             <div className="instruction-item">
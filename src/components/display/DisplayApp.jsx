@@ -3,13 +3,17 @@
  * Large display panel for showing current queue status and calls
  */
 
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useMemo } from 'react';
 import DatabaseService from '../../services/DatabaseService.js';
 import AuthService from '../../services/AuthService.js';
+import RealtimeService from '../../services/RealtimeService.js';
+import AnnouncementService from '../../services/AnnouncementService.js';
 import AppConfig from '../../config/AppConfig.js';
 import Logger from '../../utils/Logger.js';
 import LayoutManager from '../../utils/LayoutManager.js';
 import Queue from '../../models/Queue.js';
+import Service from '../../models/Service.js';
+import WaitForecast from '../../models/WaitForecast.js';
 import Arrow from './Arrow.jsx';
 import './DisplayApp.css';
 
@@ -19,17 +23,33 @@ const DisplayApp = () => {
   const [currentTime, setCurrentTime] = useState(new Date());
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
+  const [isAudioEnabled, setIsAudioEnabled] = useState(AnnouncementService.isUnlocked());
   const displayContainerRef = useRef(null);
+  // Calls already announced (ticket ID + recall count); null until the first load
+  const announcedCallsRef = useRef(null);
+  const isAudioEnabledRef = useRef(isAudioEnabled);
+
+  const announcementSettings = useMemo(
+    () => AppConfig.getDisplaySettings(currentUser?.branchId).announcements,
+    [currentUser]
+  );
 
   const refreshInterval = AppConfig.get('refreshIntervals.displayPanel');
 
   useEffect(() => {
     if (currentUser?.branchId) {
       loadDisplayData();
+
+      // Reload as soon as the backend pushes a queue change (also after reconnecting)
+      const unsubscribe = RealtimeService.subscribe(currentUser.branchId, () => {
+        loadDisplayData();
+      });
       
-      // Set up auto-refresh for display data
+      // Poll while the push connection is down
       const displayInterval = setInterval(() => {
-        loadDisplayData();
+        if (!RealtimeService.isConnected(currentUser.branchId)) {
+          loadDisplayData();
+        }
       }, refreshInterval);
 
       // Update time every second
@@ -38,12 +58,21 @@ const DisplayApp = () => {
       }, 1000);
 
       return () => {
+        unsubscribe();
         clearInterval(displayInterval);
         clearInterval(timeInterval);
       };
     }
   }, [currentUser, refreshInterval]);
 
+  useEffect(() => {
+    AnnouncementService.configure(announcementSettings);
+
+    return () => {
+      AnnouncementService.clear();
+    };
+  }, [announcementSettings]);
+
   // Apply layout when component mounts and when layout changes
   useEffect(() => {
     const applyLayout = () => {
@@ -78,12 +107,18 @@ const DisplayApp = () => {
     if (!currentUser?.branchId) return;
 
     try {
-      const data = await DatabaseService.getDisplayData(currentUser.branchId);
+      const data = await DatabaseService.getDisplayData(currentUser.branchId, AuthService.getToken());
+      const currentlyServing = data.currentlyServing?.map(q => Queue.fromAPI(q)) || [];
+      announceNewCalls(currentlyServing);
+
       setDisplayData({
         ...data,
-        currentlyServing: data.currentlyServing?.map(q => Queue.fromAPI(q)) || [],
+        currentlyServing,
         waitingQueue: data.waitingQueue?.map(q => Queue.fromAPI(q)) || [],
-        lastCalled: data.lastCalled ? Queue.fromAPI(data.lastCalled) : null
+        lastCalled: data.lastCalled ? Queue.fromAPI(data.lastCalled) : null,
+        services: data.services?.map(s => Service.fromAPI(s)) || [],
+        countersOnBreak: data.countersOnBreak || [],
+        waitForecast: data.waitForecast ? WaitForecast.fromAPI(data.waitForecast) : null
       });
       
       setError('');
@@ -96,6 +131,44 @@ const DisplayApp = () => {
     }
   };
 
+  /**
+   * Queue announcements for tickets called or recalled since the last load.
+   * Calls that were already on screen when the panel opened are not announced.
+   * @param {Array<Queue>} currentlyServing - Called and serving tickets
+   */
+  const announceNewCalls = (currentlyServing) => {
+    const calls = currentlyServing
+      .filter(queue => queue.status === 'called')
+      .sort((a, b) => a.getLastCallTime() - b.getLastCallTime());
+    const callKeys = calls.map(queue => `${queue.id}-${queue.recallCount}`);
+
+    if (announcedCallsRef.current !== null && isAudioEnabledRef.current) {
+      calls
+        .filter((queue, index) => !announcedCallsRef.current.has(callKeys[index]))
+        .forEach(queue => AnnouncementService.announce({
+          serviceCode: queue.serviceCode,
+          number: queue.queueNumber,
+          counterNumber: queue.counterNumber,
+          isRecall: queue.isRecalled()
+        }));
+    }
+
+    announcedCallsRef.current = new Set(callKeys);
+  };
+
+  /**
+   * Enable announcements; browsers only allow audio after a user gesture
+   */
+  const enableAudio = async () => {
+    try {
+      await AnnouncementService.unlock();
+      isAudioEnabledRef.current = true;
+      setIsAudioEnabled(true);
+    } catch (error) {
+      Logger.error('Error enabling announcements:', error);
+    }
+  };
+
   /**
    * Get formatted time string
    * @returns {string} Formatted time
@@ -174,6 +247,11 @@ const DisplayApp = () => {
           </div>
           <div className="header-right">
             <div className="current-time">{getFormattedTime()}</div>
+            {announcementSettings.enabled && !isAudioEnabled && (
+              <button onClick={enableAudio} className="enable-audio-button">
+                🔊 Sesli anonsu başlat
+              </button>
+            )}
           </div>
         </div>
 
@@ -182,18 +260,21 @@ const DisplayApp = () => {
           {/* Currently Being Served */}
           <div className="currently-serving-section">
 
-            {displayData?.currentlyServing?.length > 0 ? (
+            {displayData?.currentlyServing?.length > 0 || displayData?.countersOnBreak?.length > 0 ? (
               <div className="serving-grid">
                 {displayData.currentlyServing.map((queue) => {
                   const arrowConfig = AppConfig.get('display.arrow') || {};
                   const showArrow = arrowConfig.enabled !== false;
                   
                   return (
-                    <div key={queue.id} className={`serving-item ${getStatusColorClass(queue)}`}>
+                    <div key={queue.id} className={`serving-item ${getStatusColorClass(queue)} ${queue.isPriority() ? 'priority' : ''}`}>
                       <div className="serving-content">
                         <div className="serving-number">
                           <span className="number-label">Sıra No</span>
-                          <span className="number-value">{queue.queueNumber}</span>
+                          <span className="number-value">{queue.getDisplayNumber()}</span>
+                          {queue.isPriority() && (
+                            <span className="priority-badge">★ {queue.getPriorityText()}</span>
+                          )}
                         </div>
                         
                         {showArrow && (
@@ -212,11 +293,26 @@ const DisplayApp = () => {
                       </div>
                       
                       <div className="serving-status">
-                        <span className="status-text">{queue.getStatusText()}</span>
+                        <span className="status-text">
+                          {queue.isRecalled() && queue.status === 'called' ? 'Tekrar Çağrılıyor' : queue.getStatusText()}
+                        </span>
                       </div>
                     </div>
                   );
                 })}
+                {displayData.countersOnBreak.map((counter) => (
+                  <div key={`break-${counter.counterId}`} className="serving-item status-on-break">
+                    <div className="serving-content">
+                      <div className="serving-counter">
+                        <span className="counter-label">Gişe</span>
+                        <span className="counter-value">{counter.counterNumber}</span>
+                      </div>
+                    </div>
+                    <div className="serving-status">
+                      <span className="status-text">Molada</span>
+                    </div>
+                  </div>
+                ))}
               </div>
             ) : (
               <div className="no-serving">
@@ -230,12 +326,16 @@ const DisplayApp = () => {
           {displayData?.lastCalled && (
             <div className="last-called-section">
               <h2 className="section-title">Son Çağrılan Sıra No</h2>
-              <div className="last-called-display">
+              {/* Keyed by call time so the highlight replays on every call and recall */}
+              <div
+                key={`${displayData.lastCalled.getDisplayNumber()}-${displayData.lastCalled.getLastCallTime()?.getTime()}`}
+                className="last-called-display new-call"
+              >
                 <div className="last-called-number">
-                  <span className="last-called-value">{displayData.lastCalled.queueNumber}</span>
+                  <span className="last-called-value">{displayData.lastCalled.getDisplayNumber()}</span>
                 </div>
                 <div className="last-called-time">
-                  {displayData.lastCalled.getFormattedCalledAt()}
+                  {displayData.lastCalled.isRecalled() ? 'Tekrar çağrıldı' : displayData.lastCalled.getFormattedCalledAt()}
                 </div>
               </div>
             </div>
@@ -250,10 +350,15 @@ const DisplayApp = () => {
             {displayData?.waitingQueue?.length > 0 ? (
               <div className="waiting-queue-grid">
                 {displayData.waitingQueue.slice(0, 20).map((queue) => (
-                  <div key={queue.id} className="waiting-item">
-                    <span className="waiting-number">{queue.queueNumber}</span>
+                  <div key={queue.id} className={`waiting-item ${queue.isPriority() ? 'priority' : ''}`}>
+                    <span className="waiting-number">
+                      {queue.isPriority() && <span className="priority-marker">★</span>}
+                      {queue.getDisplayNumber()}
+                    </span>
                     <span className="waiting-time">
-                      {queue.getFormattedWaitingTime()}
+                      {queue.targetCounterNumber
+                        ? `→ Gişe ${queue.targetCounterNumber}`
+                        : queue.getFormattedWaitingTime()}
                     </span>
                   </div>
                 ))}
@@ -279,6 +384,12 @@ const DisplayApp = () => {
             <span className="stat-label">Aktif Gişe</span>
             <span className="stat-value">{displayData?.activeCounters || 0}</span>
           </div>
+          {displayData?.countersOnBreak?.length > 0 && (
+            <div className="stat-item">
+              <span className="stat-label">Molada</span>
+              <span className="stat-value">{displayData.countersOnBreak.length}</span>
+            </div>
+          )}
           <div className="stat-item">
             <span className="stat-label">Hizmet Veriliyor</span>
             <span className="stat-value">{displayData?.currentlyServing?.length || 0}</span>
@@ -291,6 +402,21 @@ const DisplayApp = () => {
             <span className="stat-label">Bugün Tamamlanan</span>
             <span className="stat-value">{displayData?.completedToday || 0}</span>
           </div>
+          {displayData?.waitForecast && (
+            <div className="stat-item">
+              <span className="stat-label">Tahmini Bekleme</span>
+              <span className="stat-value stat-estimate">{displayData.waitForecast.getRangeText()}</span>
+            </div>
+          )}
+          {displayData?.services?.map((service) => (
+            <div key={service.id} className="stat-item service-stat">
+              <span className="stat-label">{service.code} · {service.getDisplayName()}</span>
+              <span className="stat-value">{service.waitingCount}</span>
+              {service.waitForecast && !service.waitForecast.isImmediate() && (
+                <span className="stat-estimate-range">~ {service.waitForecast.getRangeText()}</span>
+              )}
+            </div>
+          ))}
         </div>
 
         {/* Footer */}
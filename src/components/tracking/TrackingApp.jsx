@@ -0,0 +1,187 @@
+/**
+ * Tracking App Component
+ * Public mobile page where customers follow their ticket with its tracking code
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import DatabaseService from '../../services/DatabaseService.js';
+import RealtimeService from '../../services/RealtimeService.js';
+import AppConfig from '../../config/AppConfig.js';
+import Logger from '../../utils/Logger.js';
+import Queue from '../../models/Queue.js';
+import WaitForecast from '../../models/WaitForecast.js';
+import './TrackingApp.css';
+
+const TrackingApp = () => {
+  const { code } = useParams();
+  const navigate = useNavigate();
+  const [codeInput, setCodeInput] = useState(code || '');
+  const [tracking, setTracking] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const refreshInterval = AppConfig.get('refreshIntervals.trackingPage');
+  const branchId = tracking?.branchId;
+
+  /**
+   * Load ticket state for the code in the URL
+   * @param {boolean} showLoading - Show the loading state (first load only)
+   */
+  const loadTracking = useCallback(async (showLoading = false) => {
+    if (!code) return;
+
+    if (showLoading) setIsLoading(true);
+
+    try {
+      const data = await DatabaseService.trackTicket(code);
+      setTracking(data);
+      setError('');
+    } catch (error) {
+      Logger.error('Error tracking ticket:', error);
+      setTracking(null);
+      setError(error.statusCode === 404
+        ? 'Bu takip koduna ait sıra numarası bulunamadı'
+        : 'Sıra bilgisi yüklenirken hata oluştu');
+    } finally {
+      if (showLoading) setIsLoading(false);
+    }
+  }, [code]);
+
+  useEffect(() => {
+    setTracking(null);
+    setError('');
+
+    if (code) {
+      setCodeInput(code);
+      loadTracking(true);
+    }
+  }, [code, loadTracking]);
+
+  // Follow branch events once the ticket is known, poll while the push connection is down
+  useEffect(() => {
+    if (!code || !branchId) return;
+
+    const unsubscribe = RealtimeService.subscribe(branchId, () => {
+      loadTracking();
+    });
+
+    const interval = setInterval(() => {
+      if (!RealtimeService.isConnected(branchId)) {
+        loadTracking();
+      }
+    }, refreshInterval);
+
+    return () => {
+      unsubscribe();
+      clearInterval(interval);
+    };
+  }, [code, branchId, refreshInterval, loadTracking]);
+
+  /**
+   * Open the tracking page of the entered code
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const normalizedCode = codeInput.trim().toUpperCase();
+
+    if (!normalizedCode) {
+      setError('Lütfen takip kodunu girin');
+      return;
+    }
+
+    navigate(`/track/${normalizedCode}`);
+  };
+
+  // Tracking responses carry no internal ticket ID, so build the model directly
+  const ticket = tracking ? new Queue(tracking) : null;
+  const waitForecast = tracking?.waitForecast ? WaitForecast.fromAPI(tracking.waitForecast) : null;
+
+  return (
+    <div className="tracking-app">
+      <div className="tracking-container">
+        <div className="tracking-header">
+          <h1 className="tracking-title">Sıra Takibi</h1>
+          {tracking?.branchName && <p className="tracking-subtitle">{tracking.branchName}</p>}
+        </div>
+
+        <form className="tracking-form" onSubmit={handleSubmit}>
+          <input
+            type="text"
+            value={codeInput}
+            onChange={(e) => setCodeInput(e.target.value.toUpperCase())}
+            placeholder="Takip kodu"
+            className="tracking-input"
+            autoComplete="off"
+            autoCapitalize="characters"
+            spellCheck={false}
+          />
+          <button type="submit" className="tracking-button" disabled={isLoading}>
+            {isLoading ? 'Aranıyor...' : 'Takip Et'}
+          </button>
+        </form>
+
+        {error && (
+          <div className="error-message">
+            <span className="error-icon">⚠️</span>
+            {error}
+          </div>
+        )}
+
+        {ticket && (
+          <div className={`tracking-card ${ticket.status}`}>
+            <span className="tracking-number-label">Sıra Numaranız</span>
+            <span className="tracking-number">{ticket.getDisplayNumber()}</span>
+            {ticket.serviceName && <span className="tracking-service">{ticket.serviceName}</span>}
+
+            <span className="tracking-status" style={{ backgroundColor: ticket.getStatusColor() }}>
+              {ticket.getStatusText()}
+            </span>
+
+            {ticket.status === 'waiting' && (
+              <div className="tracking-details">
+                <div className="tracking-detail">
+                  <span className="tracking-detail-label">Sıradaki Yeriniz</span>
+                  <span className="tracking-detail-value">{tracking.position}</span>
+                </div>
+                <div className="tracking-detail">
+                  <span className="tracking-detail-label">Önünüzdeki Kişi</span>
+                  <span className="tracking-detail-value">{tracking.peopleAhead}</span>
+                </div>
+                <div className="tracking-detail">
+                  <span className="tracking-detail-label">Tahmini Bekleme</span>
+                  <span className="tracking-detail-value">
+                    {!waitForecast || waitForecast.isImmediate() ? 'Birazdan' : waitForecast.getEstimateText()}
+                  </span>
+                  {waitForecast && !waitForecast.isImmediate() && (
+                    <span className="tracking-detail-range">
+                      {waitForecast.getRangeText()} · {waitForecast.getConfidenceText()}
+                    </span>
+                  )}
+                </div>
+                {tracking.targetCounterNumber && (
+                  <div className="tracking-detail">
+                    <span className="tracking-detail-label">Yönlendirildiğiniz Gişe</span>
+                    <span className="tracking-detail-value">Gişe {tracking.targetCounterNumber}</span>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {['called', 'serving'].includes(ticket.status) && tracking.counterNumber && (
+              <div className="tracking-called">
+                <span className="tracking-called-counter">Gişe {tracking.counterNumber}</span>
+                <span className="tracking-called-text">
+                  {ticket.status === 'called' ? 'Numaranız çağrıldı, lütfen gişeye gidin' : 'Hizmet alıyorsunuz'}
+                </span>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TrackingApp;
@@ -20,7 +20,27 @@ class AppConfig {
         displayPanel: 3000,    // 3 seconds for display panel
         clerkApp: 5000,        // 5 seconds for clerk app
         customerApp: 10000,    // 10 seconds for customer app
-        adminApp: 15000        // 15 seconds for admin app
+        adminApp: 15000,       // 15 seconds for admin app
+        trackingPage: 10000    // 10 seconds for customer ticket tracking page
+      },
+
+      // Real-time Updates (Server-Sent Events); the intervals above are only used while disconnected
+      realtime: {
+        enabled: import.meta.env.VITE_REALTIME_ENABLED !== 'false'
+      },
+
+      // Kiosk Ticket Printing
+      printing: {
+        // 'browser' uses the print dialog, 'escpos' writes to a serial receipt printer, 'none' disables printing
+        mode: import.meta.env.VITE_TICKET_PRINT_MODE || 'browser',
+        autoPrint: import.meta.env.VITE_TICKET_AUTO_PRINT !== 'false', // Print as soon as a ticket is issued
+        paperWidthMm: 80,
+        trackingBaseUrl: import.meta.env.VITE_TRACKING_BASE_URL || '', // Defaults to this app's origin
+        escPos: {
+          baudRate: 9600,
+          codePage: 13,      // PC857 Turkish
+          qrModuleSize: 6    // QR dot size, 1-16
+        }
       },
 
       // Logging Configuration
@@ -38,9 +58,16 @@ class AppConfig {
       app: {
         name: 'Queuematic System',
         version: '1.0.0',
-        maxQueueNumber: 999,
+        maxQueueNumber: 999, // Enforced by the backend (QUEUE_MAX_NUMBER), keep in sync
         resetQueueDaily: true,
         sessionTimeout: 30 * 60 * 1000, // 30 minutes
+        deviceCheckInterval: 5 * 60 * 1000, // How often kiosks and displays check their device token
+      },
+
+      // Queue Settings
+      queue: {
+        // Priority types offered on the kiosk (order = button order); backend decides the weighting
+        priorityTypes: ['elderly', 'disabled', 'pregnant', 'vip']
       },
 
       // Counter Management Settings
@@ -160,11 +187,40 @@ class AppConfig {
           size: 'medium',
           animationSpeed: 2000, // milliseconds
           showPulseDot: true
-        }
+        },
+        // Audible call announcements
+        announcements: {
+          enabled: import.meta.env.VITE_DISPLAY_ANNOUNCEMENTS !== 'false',
+          mode: 'speech',            // 'speech' uses the browser voice, 'clips' plays pre-recorded audio
+          languages: ['tr', 'en'],   // Spoken one after another for every call
+          chime: true,
+          chimeUrl: '',              // Audio file for the chime; a built-in two-tone chime when empty
+          clipBaseUrl: '/audio/announcements', // Clips are read from <clipBaseUrl>/<language>/<name>.<clipExtension>
+          clipExtension: 'mp3',
+          speechRate: 0.9,
+          volume: 1,
+          gapMs: 800                 // Pause between two queued announcements
+        },
+        // Per-branch overrides keyed by branch ID, e.g. { 2: { announcements: { languages: ['tr'] } } }
+        branches: {}
       }
     };
   }
 
+  /**
+   * Get display settings of a branch with its overrides applied
+   * @param {number} branchId - Branch ID
+   * @returns {Object} Display settings
+   */
+  getDisplaySettings(branchId) {
+    const { branches = {}, ...defaults } = this.config.display;
+    const overrides = branches[branchId] || {};
+
+    return Object.fromEntries(
+      Object.entries(defaults).map(([section, settings]) => [section, { ...settings, ...overrides[section] }])
+    );
+  }
+
   /**
    * Get configuration value by path
    * @param {string} path - Dot notation path (e.g., 'database.host')
@@ -0,0 +1,70 @@
+/**
+ * Appointment Model
+ * Represents a customer booked into an appointment slot
+ */
+
+class Appointment {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.slotId = data.slot_id || data.slotId || null;
+    this.branchId = data.branch_id || data.branchId || null;
+    this.serviceId = data.service_id || data.serviceId || null;
+    this.serviceName = data.service_name || data.serviceName || '';
+    this.serviceCode = data.service_code || data.serviceCode || '';
+    this.startsAt = data.starts_at ? new Date(data.starts_at) : data.startsAt ? new Date(data.startsAt) : null;
+    this.endsAt = data.ends_at ? new Date(data.ends_at) : data.endsAt ? new Date(data.endsAt) : null;
+    this.customerName = data.customer_name || data.customerName || '';
+    this.customerPhone = data.customer_phone || data.customerPhone || '';
+    this.code = data.code || '';
+    this.status = data.status || 'booked';
+    this.queueId = data.queue_id || data.queueId || null;
+    this.queueNumber = data.queue_number || data.queueNumber || null;
+    this.createdAt = data.created_at ? new Date(data.created_at) : data.createdAt ? new Date(data.createdAt) : null;
+    this.checkedInAt = data.checked_in_at ? new Date(data.checked_in_at) : data.checkedInAt ? new Date(data.checkedInAt) : null;
+    this.cancelledAt = data.cancelled_at ? new Date(data.cancelled_at) : data.cancelledAt ? new Date(data.cancelledAt) : null;
+  }
+
+  /**
+   * Get slot time range as shown in lists
+   * @returns {string} Time range, e.g. "10:00 - 10:15"
+   */
+  getTimeRange() {
+    const format = (date) => date
+      ? date.toLocaleTimeString('tr-TR', { hour: '2-digit', minute: '2-digit' })
+      : '-';
+    return `${format(this.startsAt)} - ${format(this.endsAt)}`;
+  }
+
+  /**
+   * Check if appointment can still be cancelled
+   * @returns {boolean} True if booked and not checked in
+   */
+  isCancellable() {
+    return this.status === 'booked';
+  }
+
+  /**
+   * Get status display text
+   * @returns {string} Status text
+   */
+  getStatusText() {
+    const statusTexts = {
+      booked: 'Randevulu',
+      checked_in: 'Giriş Yaptı',
+      cancelled: 'İptal Edildi'
+    };
+
+    return statusTexts[this.status] || this.status;
+  }
+
+  /**
+   * Create Appointment instance from API response
+   * @param {Object} data - API response data
+   * @returns {Appointment} Appointment instance
+   */
+  static fromAPI(data) {
+    return new Appointment(data);
+  }
+}
+
+export default Appointment;
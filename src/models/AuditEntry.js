@@ -0,0 +1,115 @@
+/**
+ * Audit Entry Model
+ * Represents an administrative change with the entity state before and after it
+ */
+
+export const AUDIT_ACTIONS = {
+  create: 'Oluşturma',
+  update: 'Güncelleme',
+  delete: 'Silme',
+  reset_password: 'Şifre Sıfırlama',
+  regenerate_token: 'Anahtar Yenileme',
+  reset_two_factor: 'İki Adımlı Doğrulama Sıfırlama',
+  enable_two_factor: 'İki Adımlı Doğrulama Açma',
+  disable_two_factor: 'İki Adımlı Doğrulama Kapatma',
+  revoke: 'Erişim İptali'
+};
+
+export const AUDIT_ENTITY_TYPES = {
+  user: 'Kullanıcı',
+  branch: 'Şube',
+  counter: 'Gişe',
+  service: 'Hizmet',
+  device: 'Cihaz'
+};
+
+class AuditEntry {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.userId = data.userId || null;
+    this.username = data.username || '';
+    this.action = data.action || '';
+    this.entityType = data.entityType || '';
+    this.entityId = data.entityId || null;
+    this.before = data.before || null;
+    this.after = data.after || null;
+    this.ipAddress = data.ipAddress || '';
+    this.createdAt = data.createdAt ? new Date(data.createdAt) : null;
+  }
+
+  /**
+   * Get action display text
+   * @returns {string} Action text
+   */
+  getActionText() {
+    return AUDIT_ACTIONS[this.action] || this.action;
+  }
+
+  /**
+   * Get a readable name of the changed entity
+   * @returns {string} Entity text, e.g. "Gişe 3" or "Kullanıcı clerk1"
+   */
+  getEntityText() {
+    const state = this.after || this.before || {};
+    const typeText = AUDIT_ENTITY_TYPES[this.entityType] || this.entityType;
+    const name = state.username || state.name || state.number || this.entityId;
+
+    return name ? `${typeText} ${name}` : typeText;
+  }
+
+  /**
+   * List the fields whose value changed
+   * @returns {Array<{field: string, before: *, after: *}>} Changed fields
+   */
+  getChanges() {
+    const before = this.before || {};
+    const after = this.after || {};
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+    return fields
+      .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+      .map(field => ({ field, before: before[field], after: after[field] }));
+  }
+
+  /**
+   * Format a stored value for display
+   * @param {*} value - Field value
+   * @returns {string} Value text
+   */
+  static formatValue(value) {
+    if (value === null || value === undefined) return '-';
+    if (typeof value === 'boolean') return value ? 'evet' : 'hayır';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  /**
+   * Get the time of the change
+   * @returns {string} Date and time
+   */
+  getFormattedTime() {
+    if (!this.createdAt) {
+      return '-';
+    }
+
+    return this.createdAt.toLocaleString('tr-TR', {
+      day: '2-digit',
+      month: '2-digit',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+
+  /**
+   * Create AuditEntry instance from API response
+   * @param {Object} data - API response data
+   * @returns {AuditEntry} AuditEntry instance
+   */
+  static fromAPI(data) {
+    return new AuditEntry(data);
+  }
+}
+
+export default AuditEntry;
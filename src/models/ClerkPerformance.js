@@ -0,0 +1,89 @@
+/**
+ * Clerk Performance Model
+ * Work statistics of a clerk over recent days next to the per-clerk average of their branch
+ */
+
+import Report from './Report.js';
+
+class ClerkPerformance {
+  constructor(data = {}) {
+    this.userId = data.userId || null;
+    this.username = data.username || '';
+    this.branchName = data.branchName || '';
+    this.from = data.from || '';
+    this.to = data.to || '';
+    this.summary = data.summary || { clerk: {}, branchAverage: null };
+    this.daily = data.daily || [];
+    this.weekly = data.weekly || [];
+  }
+
+  /**
+   * Check if the clerk worked at all in the period
+   * @returns {boolean} True if any session time or ticket was recorded
+   */
+  hasActivity() {
+    const { clerk } = this.summary;
+    return clerk.sessionTime > 0 || clerk.served > 0 || clerk.noShows > 0;
+  }
+
+  /**
+   * Get the largest daily served count of the clerk and the branch average, used to scale the trend chart
+   * @returns {number} Largest value, at least 1
+   */
+  getMaxDailyServed() {
+    return Math.max(1, ...this.daily.map(day => Math.max(day.clerk.served, day.branchAverage?.served || 0)));
+  }
+
+  /**
+   * Format a utilisation ratio as a percentage
+   * @param {number|null} utilisation - Share of the session time outside breaks, 0 to 1
+   * @returns {string} Percentage, e.g. "%64", or "-" without session time
+   */
+  static formatUtilisation(utilisation) {
+    return utilisation === null || utilisation === undefined ? '-' : `%${Math.round(utilisation * 100)}`;
+  }
+
+  /**
+   * Format a duration in seconds as hours and minutes
+   * @param {number|null} seconds - Duration
+   * @returns {string} Duration text, e.g. "3 sa 20 dk"
+   */
+  static formatHours(seconds) {
+    if (!seconds) {
+      return '-';
+    }
+
+    const minutes = Math.round(seconds / 60);
+    return minutes >= 60 ? `${Math.floor(minutes / 60)} sa ${minutes % 60} dk` : `${minutes} dk`;
+  }
+
+  /**
+   * Format a day as a short date
+   * @param {string} date - Day (YYYY-MM-DD)
+   * @returns {string} Date text, e.g. "14.10"
+   */
+  static formatDay(date) {
+    const [, month, day] = date.split('-');
+    return `${day}.${month}`;
+  }
+
+  /**
+   * Format a duration in seconds as minutes and seconds
+   * @param {number|null} seconds - Duration
+   * @returns {string} Duration text
+   */
+  static formatDuration(seconds) {
+    return Report.formatDuration(seconds);
+  }
+
+  /**
+   * Create ClerkPerformance instance from API response
+   * @param {Object} data - API response data
+   * @returns {ClerkPerformance} ClerkPerformance instance
+   */
+  static fromAPI(data) {
+    return new ClerkPerformance(data);
+  }
+}
+
+export default ClerkPerformance;
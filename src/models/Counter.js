@@ -3,6 +3,15 @@
  * Represents a service counter in a branch
  */
 
+// Reasons a clerk may give when putting the counter on break
+export const BREAK_REASONS = {
+  short: 'Kısa Mola',
+  lunch: 'Öğle Arası',
+  meeting: 'Toplantı',
+  training: 'Eğitim',
+  other: 'Diğer'
+};
+
 class Counter {
   constructor(data = {}) {
     this.id = data.id || null;
@@ -13,13 +22,20 @@ class Counter {
     this.isActive = data.is_active !== undefined ? data.is_active : data.isActive !== undefined ? data.isActive : true;
     this.createdAt = data.created_at ? new Date(data.created_at) : data.createdAt ? new Date(data.createdAt) : null;
     this.updatedAt = data.updated_at ? new Date(data.updated_at) : data.updatedAt ? new Date(data.updatedAt) : null;
+
+    // Service lines the counter may call, ordered by preference (empty means all lines)
+    this.services = data.services || [];
     
-    // Session related properties
-    this.sessionId = data.session_id || data.sessionId || null;
-    this.userId = data.user_id || data.userId || null;
-    this.userName = data.user_name || data.userName || '';
-    this.sessionStartedAt = data.session_started_at ? new Date(data.session_started_at) : data.sessionStartedAt ? new Date(data.sessionStartedAt) : null;
-    this.isOccupied = data.is_occupied !== undefined ? data.is_occupied : data.isOccupied !== undefined ? data.isOccupied : false;
+    // Session related properties (flat, or nested in session as returned by the branch counter list)
+    const session = data.session || {};
+    this.sessionId = data.session_id || data.sessionId || session.id || null;
+    this.userId = data.user_id || data.userId || session.userId || null;
+    this.userName = data.user_name || data.userName || session.clerkUsername || '';
+    this.sessionStartedAt = data.session_started_at ? new Date(data.session_started_at) : data.sessionStartedAt ? new Date(data.sessionStartedAt) : session.startTime ? new Date(session.startTime) : null;
+    this.isOccupied = data.is_occupied !== undefined ? data.is_occupied : data.isOccupied !== undefined ? data.isOccupied : !!data.session;
+    this.isPaused = !!(data.isPaused || session.isPaused);
+    this.pausedAt = data.pausedAt ? new Date(data.pausedAt) : session.pausedAt ? new Date(session.pausedAt) : null;
+    this.breakReason = data.breakReason || session.breakReason || null;
     
     // Current queue information
     this.currentQueueId = data.current_queue_id || data.currentQueueId || null;
@@ -59,6 +75,48 @@ class Counter {
     return this.isOccupied && this.currentQueueId && this.currentQueueStatus === 'serving';
   }
 
+  /**
+   * Get the break reason text of a paused counter
+   * @returns {string} Reason text, e.g. "Öğle Arası"
+   */
+  getBreakReasonText() {
+    return BREAK_REASONS[this.breakReason] || BREAK_REASONS.other;
+  }
+
+  /**
+   * Get the time a paused counter went on break
+   * @returns {string} Time text, e.g. "14:05", or empty when not paused
+   */
+  getFormattedPausedAt() {
+    if (!this.pausedAt) {
+      return '';
+    }
+
+    return this.pausedAt.toLocaleTimeString('tr-TR', { hour: '2-digit', minute: '2-digit' });
+  }
+
+  /**
+   * Check if counter is limited to assigned service lines
+   * @returns {boolean} True if the counter has service assignments
+   */
+  isRestricted() {
+    return this.services.length > 0;
+  }
+
+  /**
+   * Get assigned service codes, primary lines first
+   * @returns {string} Service codes, e.g. "A, B (yedek)" or "Tüm Hizmetler"
+   */
+  getServicesText() {
+    if (!this.isRestricted()) {
+      return 'Tüm Hizmetler';
+    }
+
+    return this.services
+      .map(service => service.preference > 1 ? `${service.code} (yedek)` : service.code)
+      .join(', ');
+  }
+
   /**
    * Get counter status text
    * @returns {string} Status text
@@ -71,6 +129,10 @@ class Counter {
     if (!this.isOccupied) {
       return 'Müsait';
     }
+
+    if (this.isPaused) {
+      return `Molada (${this.getBreakReasonText()})`;
+    }
     
     if (this.currentQueueNumber) {
       return `${this.currentQueueNumber} numaralı müşteriyle`;
@@ -92,6 +154,10 @@ class Counter {
       return '#28a745'; // Green
     }
     
+    if (this.isPaused) {
+      return '#fd7e14'; // Orange
+    }
+
     if (this.isServing()) {
       return '#007bff'; // Blue
     }
@@ -141,6 +207,10 @@ class Counter {
       counterNumber: this.counterNumber,
       name: this.name,
       isActive: this.isActive,
+      services: this.services.map(service => ({
+        serviceId: service.serviceId,
+        preference: service.preference
+      })),
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
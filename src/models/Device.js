@@ -0,0 +1,63 @@
+/**
+ * Device Model
+ * Represents a kiosk or wall display registered to a branch
+ */
+
+import User from './User.js';
+
+class Device {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.branchId = data.branch_id || data.branchId || null;
+    this.branchName = data.branch_name || data.branchName || '';
+    this.name = data.name || '';
+    this.role = data.role || 'kiosk';
+    this.isActive = data.is_active !== undefined ? data.is_active : data.isActive !== undefined ? data.isActive : true;
+    this.lastSeenAt = data.last_seen_at ? new Date(data.last_seen_at) : data.lastSeenAt ? new Date(data.lastSeenAt) : null;
+    this.createdAt = data.created_at ? new Date(data.created_at) : data.createdAt ? new Date(data.createdAt) : null;
+  }
+
+  /**
+   * Get role display text
+   * @returns {string} Role text
+   */
+  getRoleText() {
+    return User.getRoleName(this.role);
+  }
+
+  /**
+   * Get the page the device runs
+   * @returns {string} Route path
+   */
+  getPath() {
+    return this.role === 'display' ? '/display' : '/customer';
+  }
+
+  /**
+   * Get last activity as text
+   * @returns {string} Last seen time or "Hiç bağlanmadı"
+   */
+  getLastSeenText() {
+    if (!this.lastSeenAt) {
+      return 'Hiç bağlanmadı';
+    }
+
+    return this.lastSeenAt.toLocaleString('tr-TR', {
+      day: '2-digit',
+      month: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+
+  /**
+   * Create Device instance from API response
+   * @param {Object} data - API response data
+   * @returns {Device} Device instance
+   */
+  static fromAPI(data) {
+    return new Device(data);
+  }
+}
+
+export default Device;
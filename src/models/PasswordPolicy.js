@@ -0,0 +1,65 @@
+/**
+ * Password Policy Model
+ * Rules new passwords must follow, as configured on the server. The server checks them
+ * again, the model only lets forms explain a rejected password before it is sent.
+ */
+
+class PasswordPolicy {
+  constructor(data = {}) {
+    this.minLength = data.minLength || 8;
+    this.requireUppercase = data.requireUppercase !== false;
+    this.requireLowercase = data.requireLowercase !== false;
+    this.requireDigit = data.requireDigit !== false;
+    this.requireSymbol = data.requireSymbol === true;
+    this.historySize = data.historySize || 0;
+  }
+
+  /**
+   * Get the rules of the policy with a check for each
+   * @returns {Array<{text: string, test: Function}>} Rules
+   */
+  getRules() {
+    return [
+      { text: `En az ${this.minLength} karakter`, test: password => password.length >= this.minLength },
+      ...(this.requireUppercase ? [{ text: 'En az bir büyük harf', test: password => /[A-Z]/.test(password) }] : []),
+      ...(this.requireLowercase ? [{ text: 'En az bir küçük harf', test: password => /[a-z]/.test(password) }] : []),
+      ...(this.requireDigit ? [{ text: 'En az bir rakam', test: password => /[0-9]/.test(password) }] : []),
+      ...(this.requireSymbol ? [{ text: 'En az bir sembol', test: password => /[^A-Za-z0-9]/.test(password) }] : [])
+    ];
+  }
+
+  /**
+   * Get the reuse rule as text
+   * @returns {string|null} Text, or null when reuse is not checked
+   */
+  getHistoryText() {
+    return this.historySize > 0 ? `Son ${this.historySize} şifreden farklı` : null;
+  }
+
+  /**
+   * Validate a password against the rules that can be checked in the browser
+   * @param {string} password - Password
+   * @returns {Object} Validation result
+   */
+  validate(password) {
+    const errors = this.getRules()
+      .filter(rule => !rule.test(password || ''))
+      .map(rule => `Şifre kuralı sağlanmıyor: ${rule.text.toLocaleLowerCase('tr-TR')}`);
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Create PasswordPolicy instance from API response
+   * @param {Object} data - API response data
+   * @returns {PasswordPolicy} PasswordPolicy instance
+   */
+  static fromAPI(data) {
+    return new PasswordPolicy(data);
+  }
+}
+
+export default PasswordPolicy;
@@ -1,3 +1,5 @@
+import WaitForecast from './WaitForecast.js';
+
 /**
  * Queue Model
  * Represents a queue number in the system
@@ -8,11 +10,22 @@ class Queue {
     this.id = data.id || null;
     this.branchId = data.branch_id || data.branchId || null;
     this.branchName = data.branch_name || data.branchName || '';
+    this.serviceId = data.service_id || data.serviceId || null;
+    this.serviceName = data.service_name || data.serviceName || '';
+    this.serviceCode = data.service_code || data.serviceCode || '';
     this.queueNumber = data.queue_number || data.queueNumber || data.number || 0;
+    this.trackingCode = data.tracking_code || data.trackingCode || '';
+    this.priorityType = data.priority_type || data.priorityType || 'normal';
     this.status = data.status || 'waiting';
     this.createdAt = data.created_at ? new Date(data.created_at) : data.createdAt ? new Date(data.createdAt) : null;
     this.calledAt = data.called_at ? new Date(data.called_at) : data.calledAt ? new Date(data.calledAt) : null;
     this.completedAt = data.completed_at ? new Date(data.completed_at) : data.completedAt ? new Date(data.completedAt) : null;
+    this.servingStartedAt = data.serving_started_at ? new Date(data.serving_started_at) : data.servingStartedAt ? new Date(data.servingStartedAt) : null;
+    this.waitDuration = data.wait_duration ?? data.waitDuration ?? null;
+    this.walkUpDuration = data.walk_up_duration ?? data.walkUpDuration ?? null;
+    this.serviceDuration = data.service_duration ?? data.serviceDuration ?? null;
+    this.recallCount = data.recall_count || data.recallCount || 0;
+    this.lastRecalledAt = data.last_recalled_at ? new Date(data.last_recalled_at) : data.lastRecalledAt ? new Date(data.lastRecalledAt) : null;
     
     // Counter and clerk information
     this.counterId = data.counter_id || data.counterId || null;
@@ -20,6 +33,78 @@ class Queue {
     this.counterName = data.counter_name || data.counterName || '';
     this.servedBy = data.served_by || data.servedBy || null;
     this.servedByName = data.served_by_name || data.servedByName || '';
+
+    // Transfer information
+    this.targetCounterNumber = data.target_counter_number || data.targetCounterNumber || null;
+    this.transferCount = data.transfer_count || data.transferCount || 0;
+
+    // Appointment information
+    this.appointmentId = data.appointment_id || data.appointmentId || null;
+    this.scheduledAt = data.scheduled_at ? new Date(data.scheduled_at) : data.scheduledAt ? new Date(data.scheduledAt) : null;
+
+    // Outlook when the ticket was issued
+    this.peopleAhead = data.people_ahead ?? data.peopleAhead ?? null;
+    const waitForecast = data.wait_forecast || data.waitForecast;
+    this.waitForecast = waitForecast ? WaitForecast.fromAPI(waitForecast) : null;
+  }
+
+  /**
+   * Get ticket number as shown to customers (service code prefix + number)
+   * @returns {string} Ticket display number, e.g. "A12"
+   */
+  getDisplayNumber() {
+    return `${this.serviceCode}${this.queueNumber}`;
+  }
+
+  /**
+   * Get display text for a priority type
+   * @param {string} priorityType - Priority type
+   * @returns {string} Priority display text
+   */
+  static getPriorityTypeText(priorityType) {
+    const priorityTexts = {
+      normal: 'Normal',
+      elderly: '65 Yaş Üstü',
+      disabled: 'Engelli',
+      pregnant: 'Hamile',
+      vip: 'VIP'
+    };
+    
+    return priorityTexts[priorityType] || priorityType;
+  }
+
+  /**
+   * Check if ticket was issued at appointment check-in
+   * @returns {boolean} True if appointment ticket
+   */
+  isAppointment() {
+    return Boolean(this.appointmentId);
+  }
+
+  /**
+   * Get appointment time of an appointment ticket
+   * @returns {string} Time, e.g. "10:30" (empty for walk-in tickets)
+   */
+  getScheduledTime() {
+    return this.scheduledAt
+      ? this.scheduledAt.toLocaleTimeString('tr-TR', { hour: '2-digit', minute: '2-digit' })
+      : '';
+  }
+
+  /**
+   * Check if ticket was issued with a priority
+   * @returns {boolean} True if priority ticket
+   */
+  isPriority() {
+    return this.priorityType !== 'normal';
+  }
+
+  /**
+   * Get priority display text
+   * @returns {string} Priority display text
+   */
+  getPriorityText() {
+    return Queue.getPriorityTypeText(this.priorityType);
   }
 
   /**
@@ -32,7 +117,8 @@ class Queue {
       called: 'Çağrıldı',
       serving: 'Hizmet Veriliyor',
       completed: 'Tamamlandı',
-      cancelled: 'İptal Edildi'
+      cancelled: 'İptal Edildi',
+      no_show: 'Gelmedi'
     };
     
     return statusTexts[this.status] || this.status;
@@ -48,7 +134,8 @@ class Queue {
       called: '#17a2b8',     // Info blue
       serving: '#007bff',    // Primary blue
       completed: '#28a745',  // Success green
-      cancelled: '#dc3545'   // Danger red
+      cancelled: '#dc3545',  // Danger red
+      no_show: '#fd7e14'     // Orange
     };
     
     return statusColors[this.status] || '#6c757d';
@@ -78,6 +165,30 @@ class Queue {
     return this.status === 'cancelled';
   }
 
+  /**
+   * Check if customer did not show up
+   * @returns {boolean} True if no-show
+   */
+  isNoShow() {
+    return this.status === 'no_show';
+  }
+
+  /**
+   * Check if queue has been recalled at least once
+   * @returns {boolean} True if recalled
+   */
+  isRecalled() {
+    return this.recallCount > 0;
+  }
+
+  /**
+   * Get time of the latest call (a recall counts as a new call)
+   * @returns {Date|null} Latest call time
+   */
+  getLastCallTime() {
+    return this.lastRecalledAt || this.calledAt;
+  }
+
   /**
    * Check if queue is currently being served
    * @returns {boolean} True if being served
@@ -101,19 +212,40 @@ class Queue {
   }
 
   /**
-   * Get service time in minutes
+   * Get service time in minutes (from the customer's arrival, or from the call if arrival was not recorded)
    * @returns {number} Service time in minutes
    */
   getServiceTime() {
-    if (!this.calledAt) {
+    if (this.serviceDuration !== null) {
+      return Math.floor(this.serviceDuration / 60);
+    }
+
+    const startTime = this.servingStartedAt || this.calledAt;
+    if (!startTime) {
       return 0;
     }
     
     const endTime = this.completedAt || new Date();
-    const diffMs = endTime - this.calledAt;
+    const diffMs = endTime - startTime;
     return Math.floor(diffMs / (1000 * 60));
   }
 
+  /**
+   * Get walk-up time (from call until the customer arrived) in minutes
+   * @returns {number|null} Walk-up time in minutes, null if arrival was not recorded
+   */
+  getWalkUpTime() {
+    if (this.walkUpDuration !== null) {
+      return Math.floor(this.walkUpDuration / 60);
+    }
+
+    if (!this.calledAt || !this.servingStartedAt) {
+      return null;
+    }
+
+    return Math.floor((this.servingStartedAt - this.calledAt) / (1000 * 60));
+  }
+
   /**
    * Get total time in system in minutes
    * @returns {number} Total time in minutes
@@ -248,7 +380,9 @@ class Queue {
     return {
       id: this.id,
       branchId: this.branchId,
+      serviceId: this.serviceId,
       queueNumber: this.queueNumber,
+      priorityType: this.priorityType,
       status: this.status,
       createdAt: this.createdAt,
       calledAt: this.calledAt,
@@ -332,6 +466,11 @@ class Queue {
       return priorityDiff;
     }
     
+    // Priority tickets go ahead of normal ones with the same status
+    if (this.isPriority() !== other.isPriority()) {
+      return this.isPriority() ? -1 : 1;
+    }
+    
     // Then sort by creation time (older first)
     if (this.createdAt && other.createdAt) {
       return this.createdAt - other.createdAt;
@@ -0,0 +1,108 @@
+/**
+ * Queue Event Model
+ * One state change on the timeline of a ticket
+ */
+
+export const QUEUE_EVENT_TYPES = {
+  issued: 'Numara Alındı',
+  called: 'Çağrıldı',
+  recalled: 'Tekrar Çağrıldı',
+  serving: 'Hizmet Başladı',
+  transferred: 'Yönlendirildi',
+  completed: 'Tamamlandı',
+  no_show: 'Gelmedi',
+  cancelled: 'İptal Edildi'
+};
+
+// Why a ticket was closed without a clerk action
+const EVENT_REASONS = {
+  timeout: 'süre doldu',
+  recall_limit: 'tekrar çağırma sınırı doldu',
+  daily_reset: 'gün sonu temizliği'
+};
+
+class QueueEvent {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.type = data.type || '';
+    this.counterId = data.counterId || null;
+    this.counterNumber = data.counterNumber || null;
+    this.userId = data.userId || null;
+    this.username = data.username || '';
+    this.details = data.details || {};
+    this.createdAt = data.createdAt ? new Date(data.createdAt) : null;
+  }
+
+  /**
+   * Get event type display text
+   * @returns {string} Event type text
+   */
+  getTypeText() {
+    return QUEUE_EVENT_TYPES[this.type] || this.type;
+  }
+
+  /**
+   * Get a short description of where, by whom and why the change happened
+   * @returns {string} Description, e.g. "Gişe 2 · clerk1 · → Gişe 3"
+   */
+  getDescription() {
+    const parts = [];
+
+    if (this.counterNumber) {
+      parts.push(`Gişe ${this.counterNumber}`);
+    }
+
+    if (this.username) {
+      parts.push(this.username);
+    }
+
+    if (this.type === 'transferred') {
+      const targets = [];
+      if (this.details.toCounterNumber) targets.push(`Gişe ${this.details.toCounterNumber}`);
+      if (this.details.toServiceName) targets.push(this.details.toServiceName);
+      if (this.details.headOfLine) targets.push('sıra başı');
+      if (targets.length > 0) parts.push(`→ ${targets.join(', ')}`);
+      if (this.details.reason) parts.push(`"${this.details.reason}"`);
+    }
+
+    if (this.type === 'recalled' && this.details.recallCount) {
+      parts.push(`${this.details.recallCount}. kez`);
+    }
+
+    if (this.details.reason && EVENT_REASONS[this.details.reason]) {
+      parts.push(EVENT_REASONS[this.details.reason]);
+    }
+
+    return parts.join(' · ');
+  }
+
+  /**
+   * Get the time of the change
+   * @returns {string} Time, with the date when it was not today
+   */
+  getFormattedTime() {
+    if (!this.createdAt) {
+      return '-';
+    }
+
+    const isToday = this.createdAt.toDateString() === new Date().toDateString();
+
+    return this.createdAt.toLocaleString('tr-TR', {
+      ...(isToday ? {} : { day: '2-digit', month: '2-digit' }),
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+
+  /**
+   * Create QueueEvent instance from API response
+   * @param {Object} data - API response data
+   * @returns {QueueEvent} QueueEvent instance
+   */
+  static fromAPI(data) {
+    return new QueueEvent(data);
+  }
+}
+
+export default QueueEvent;
@@ -0,0 +1,75 @@
+/**
+ * Report Model
+ * Ticket statistics of a date range grouped by branch, service, counter, clerk or hour
+ */
+
+export const REPORT_GROUPS = {
+  branch: 'Şube',
+  service: 'Hizmet',
+  counter: 'Gişe',
+  clerk: 'Görevli',
+  hour: 'Saat'
+};
+
+class Report {
+  constructor(data = {}) {
+    this.groupBy = data.groupBy || 'branch';
+    this.from = data.from || '';
+    this.to = data.to || '';
+    this.branchId = data.branchId || null;
+    this.branchName = data.branchName || null;
+    this.rows = data.rows || [];
+    this.totals = data.totals || null;
+  }
+
+  /**
+   * Get the column title of the grouping dimension
+   * @returns {string} Title, e.g. "Hizmet"
+   */
+  getGroupTitle() {
+    return REPORT_GROUPS[this.groupBy] || this.groupBy;
+  }
+
+  /**
+   * Check if rows carry a branch name (service and counter reports)
+   * @returns {boolean} True if a branch column is needed
+   */
+  hasBranchColumn() {
+    return this.rows.some(row => row.branchName);
+  }
+
+  /**
+   * Check if rows carry the break time of counters (branch, counter and clerk reports)
+   * @returns {boolean} True if a break time column is needed
+   */
+  hasBreakColumn() {
+    return this.totals?.breakTime !== null && this.totals?.breakTime !== undefined;
+  }
+
+  /**
+   * Format a duration in seconds as minutes and seconds
+   * @param {number|null} seconds - Duration
+   * @returns {string} Duration text, e.g. "4 dk 05 sn", or "-" without data
+   */
+  static formatDuration(seconds) {
+    if (seconds === null || seconds === undefined) {
+      return '-';
+    }
+
+    const minutes = Math.floor(seconds / 60);
+    const rest = String(seconds % 60).padStart(2, '0');
+
+    return minutes > 0 ? `${minutes} dk ${rest} sn` : `${seconds % 60} sn`;
+  }
+
+  /**
+   * Create Report instance from API response
+   * @param {Object} data - API response data
+   * @returns {Report} Report instance
+   */
+  static fromAPI(data) {
+    return new Report(data);
+  }
+}
+
+export default Report;
@@ -0,0 +1,87 @@
+import WaitForecast from './WaitForecast.js';
+
+/**
+ * Service Model
+ * Represents a service line (e.g. account opening, cash desk) in a branch
+ */
+
+class Service {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.branchId = data.branch_id || data.branchId || null;
+    this.name = data.name || '';
+    this.code = data.code || '';
+    this.displayOrder = data.display_order || data.displayOrder || 0;
+    this.isActive = data.is_active !== undefined ? data.is_active : data.isActive !== undefined ? data.isActive : true;
+    this.waitingCount = data.waiting_count || data.waitingCount || 0;
+    const waitForecast = data.wait_forecast || data.waitForecast;
+    this.waitForecast = waitForecast ? WaitForecast.fromAPI(waitForecast) : null;
+  }
+
+  /**
+   * Get display name for the service
+   * @returns {string} Display name
+   */
+  getDisplayName() {
+    return this.name || `Hizmet ${this.code}`;
+  }
+
+  /**
+   * Get waiting count display text
+   * @returns {string} Waiting count text
+   */
+  getWaitingText() {
+    return this.waitingCount > 0 ? `${this.waitingCount} kişi bekliyor` : 'Bekleyen yok';
+  }
+
+  /**
+   * Convert to plain object for API calls
+   * @returns {Object} Plain object representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      branchId: this.branchId,
+      name: this.name,
+      code: this.code,
+      displayOrder: this.displayOrder,
+      isActive: this.isActive
+    };
+  }
+
+  /**
+   * Create Service instance from API response
+   * @param {Object} data - API response data
+   * @returns {Service} Service instance
+   */
+  static fromAPI(data) {
+    return new Service(data);
+  }
+
+  /**
+   * Validate service data
+   * @returns {Object} Validation result
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.branchId) {
+      errors.push('Şube seçimi zorunludur');
+    }
+
+    if (!this.name || this.name.trim().length < 2) {
+      errors.push('Hizmet adı en az 2 karakter olmalıdır');
+    }
+
+    if (!this.code || this.code.length > 5) {
+      errors.push('Hizmet kodu 1-5 karakter olmalıdır');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+export default Service;
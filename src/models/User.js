@@ -1,8 +1,42 @@
 /**
  * User Model
- * Represents a user in the system (admin or clerk)
+ * Represents a user in the system (admin, branch manager or clerk), or a kiosk or display
+ * device signed in with a device token
  */
 
+const ROLE_NAMES = {
+  admin: 'Yönetici',
+  branch_manager: 'Şube Yöneticisi',
+  clerk: 'Gişe Görevlisi',
+  kiosk: 'Kiosk',
+  display: 'Ekran'
+};
+
+const DEVICE_ROLES = ['kiosk', 'display'];
+
+export const USER_ROLES = ['admin', 'branch_manager', 'clerk'];
+
+// Permission names of backend/src/config/permissions.js. Which of them a user has comes
+// from the server with the signed-in user, the role table is kept only there.
+export const PERMISSIONS = {
+  ALL_BRANCHES: 'branches.all',
+  MANAGE_BRANCHES: 'branches.manage',
+  MANAGE_USERS: 'users.manage',
+  MANAGE_ADMINS: 'users.manage_admins',
+  MANAGE_COUNTERS: 'counters.manage',
+  MANAGE_SERVICES: 'services.manage',
+  MANAGE_APPOINTMENTS: 'appointments.manage',
+  MANAGE_DEVICES: 'devices.manage',
+  MANAGE_QUEUE: 'queue.manage',
+  SERVE_QUEUE: 'queue.serve',
+  VIEW_REPORTS: 'reports.view',
+  VIEW_PERFORMANCE: 'performance.view',
+  VIEW_AUDIT: 'audit.view'
+};
+
+// Any of these opens the admin panel, which then shows only the tabs the user may use
+export const MANAGEMENT_PERMISSIONS = Object.values(PERMISSIONS).filter(permission => permission !== PERMISSIONS.SERVE_QUEUE);
+
 class User {
   constructor(data = {}) {
     this.id = data.id || null;
@@ -12,6 +46,12 @@ class User {
     this.branchId = data.branch_id || data.branchId || null;
     this.branchName = data.branch_name || data.branchName || '';
     this.isActive = data.is_active !== undefined ? data.is_active : data.isActive !== undefined ? data.isActive : true;
+    this.mustChangePassword = Boolean(data.must_change_password || data.mustChangePassword);
+    this.twoFactorEnabled = Boolean(data.twoFactorEnabled);
+    this.twoFactorSetupRequired = Boolean(data.twoFactorSetupRequired);
+    this.lockedUntil = data.lockedUntil ? new Date(data.lockedUntil) : null;
+    this.permissions = data.permissions || [];
+    this.assignableRoles = data.assignableRoles || [];
     this.createdAt = data.created_at ? new Date(data.created_at) : data.createdAt ? new Date(data.createdAt) : null;
     this.updatedAt = data.updated_at ? new Date(data.updated_at) : data.updatedAt ? new Date(data.updatedAt) : null;
     this.token = data.token || null;
@@ -25,6 +65,14 @@ class User {
     return this.role === 'admin';
   }
 
+  /**
+   * Check if user is branch manager
+   * @returns {boolean} True if user is branch manager
+   */
+  isBranchManager() {
+    return this.role === 'branch_manager';
+  }
+
   /**
    * Check if user is clerk
    * @returns {boolean} True if user is clerk
@@ -33,6 +81,40 @@ class User {
     return this.role === 'clerk';
   }
 
+  /**
+   * Check if the signed-in user was given a permission by the server
+   * @param {string} permission - Permission from PERMISSIONS
+   * @returns {boolean} True if granted
+   */
+  hasPermission(permission) {
+    return this.permissions.includes(permission);
+  }
+
+  /**
+   * Get the roles this user may give to the accounts they manage
+   * @returns {Array<string>} Assignable roles
+   */
+  getAssignableRoles() {
+    return this.assignableRoles.map(assignable => assignable.role);
+  }
+
+  /**
+   * Check if an account given a role by this user must belong to a branch
+   * @param {string} role - Role of the managed account
+   * @returns {boolean} True if a branch must be chosen
+   */
+  roleRequiresBranch(role) {
+    return this.assignableRoles.find(assignable => assignable.role === role)?.requiresBranch ?? true;
+  }
+
+  /**
+   * Check if this is a kiosk or display device rather than a person
+   * @returns {boolean} True if device
+   */
+  isDevice() {
+    return User.isDeviceRole(this.role);
+  }
+
   /**
    * Check if user has access to a specific branch
    * @param {number} branchId - Branch ID to check
@@ -40,14 +122,22 @@ class User {
    */
   hasAccessToBranch(branchId) {
     // Admin has access to all branches
-    if (this.isAdmin()) {
+    if (this.hasPermission(PERMISSIONS.ALL_BRANCHES)) {
       return true;
     }
     
-    // Clerk only has access to their assigned branch
+    // Everyone else only has access to their assigned branch
     return this.branchId === branchId;
   }
 
+  /**
+   * Check if the account is locked after failed logins
+   * @returns {boolean} True if locked
+   */
+  isLocked() {
+    return this.lockedUntil !== null && this.lockedUntil > new Date();
+  }
+
   /**
    * Get display name for the user
    * @returns {string} Display name
@@ -61,12 +151,25 @@ class User {
    * @returns {string} Role display name
    */
   getRoleDisplayName() {
-    const roleNames = {
-      admin: 'Yönetici',
-      clerk: 'Gişe Görevlisi'
-    };
-    
-    return roleNames[this.role] || this.role;
+    return User.getRoleName(this.role);
+  }
+
+  /**
+   * Check if a role belongs to devices
+   * @param {string} role - Role
+   * @returns {boolean} True for kiosk and display roles
+   */
+  static isDeviceRole(role) {
+    return DEVICE_ROLES.includes(role);
+  }
+
+  /**
+   * Get display name of a role
+   * @param {string} role - Role
+   * @returns {string} Role display name
+   */
+  static getRoleName(role) {
+    return ROLE_NAMES[role] || role;
   }
 
   /**
@@ -82,6 +185,11 @@ class User {
       branchId: this.branchId,
       branchName: this.branchName,
       isActive: this.isActive,
+      mustChangePassword: this.mustChangePassword,
+      twoFactorEnabled: this.twoFactorEnabled,
+      twoFactorSetupRequired: this.twoFactorSetupRequired,
+      permissions: this.permissions,
+      assignableRoles: this.assignableRoles,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
@@ -111,14 +219,10 @@ class User {
       errors.push('Ad soyad en az 2 karakter olmalıdır');
     }
 
-    if (!['admin', 'clerk'].includes(this.role)) {
+    if (!USER_ROLES.includes(this.role)) {
       errors.push('Geçersiz kullanıcı rolü');
     }
 
-    if (this.role === 'clerk' && !this.branchId) {
-      errors.push('Gişe görevlisi için şube seçimi zorunludur');
-    }
-
     return {
       isValid: errors.length === 0,
       errors
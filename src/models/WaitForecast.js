@@ -0,0 +1,94 @@
+/**
+ * WaitForecast Model
+ * Represents an estimated waiting time with its expected range
+ */
+
+class WaitForecast {
+  constructor(data = {}) {
+    this.estimatedWaitTime = data.estimated_wait_time ?? data.estimatedWaitTime ?? 0;
+    this.minWaitTime = data.min_wait_time ?? data.minWaitTime ?? this.estimatedWaitTime;
+    this.maxWaitTime = data.max_wait_time ?? data.maxWaitTime ?? this.estimatedWaitTime;
+    this.confidence = data.confidence || 'low';
+    this.avgServiceTime = data.avg_service_time ?? data.avgServiceTime ?? 0;
+    this.openCounters = data.open_counters ?? data.openCounters ?? 0;
+  }
+
+  /**
+   * Format a duration in whole minutes
+   * @param {number} seconds - Duration in seconds
+   * @returns {string} Formatted duration, e.g. "1 saat 5 dakika"
+   */
+  static formatMinutes(seconds) {
+    const minutes = Math.ceil(seconds / 60);
+
+    if (minutes < 60) {
+      return `${minutes} dakika`;
+    }
+
+    return `${Math.floor(minutes / 60)} saat ${minutes % 60} dakika`;
+  }
+
+  /**
+   * Check if a ticket taken now would be called right away
+   * @returns {boolean} True if no wait is expected
+   */
+  isImmediate() {
+    return this.maxWaitTime === 0;
+  }
+
+  /**
+   * Get expected waiting time as text
+   * @returns {string} Estimate, e.g. "Yaklaşık 8 dakika"
+   */
+  getEstimateText() {
+    return this.isImmediate() ? 'Bekleme yok' : `Yaklaşık ${WaitForecast.formatMinutes(this.estimatedWaitTime)}`;
+  }
+
+  /**
+   * Get expected waiting range as text
+   * @returns {string} Range, e.g. "5 - 12 dakika"
+   */
+  getRangeText() {
+    if (this.isImmediate()) {
+      return 'Bekleme yok';
+    }
+
+    const minMinutes = Math.ceil(this.minWaitTime / 60);
+    const maxMinutes = Math.ceil(this.maxWaitTime / 60);
+
+    if (minMinutes === maxMinutes) {
+      return WaitForecast.formatMinutes(this.maxWaitTime);
+    }
+
+    if (maxMinutes < 60) {
+      return `${minMinutes} - ${maxMinutes} dakika`;
+    }
+
+    return `${WaitForecast.formatMinutes(this.minWaitTime)} - ${WaitForecast.formatMinutes(this.maxWaitTime)}`;
+  }
+
+  /**
+   * Get confidence display text
+   * @returns {string} Confidence text
+   */
+  getConfidenceText() {
+    const confidenceTexts = {
+      high: 'Yüksek güven',
+      medium: 'Orta güven',
+      low: 'Düşük güven'
+    };
+
+    return confidenceTexts[this.confidence] || this.confidence;
+  }
+
+  /**
+   * Create WaitForecast instance from API response
+   * @param {Object} data - API response data
+   * @returns {WaitForecast} WaitForecast instance
+   */
+  static fromAPI(data) {
+    return new WaitForecast(data);
+  }
+}
+
+export default WaitForecast;
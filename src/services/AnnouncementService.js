@@ -0,0 +1,291 @@
+/**
+ * Announcement Service
+ * Plays a chime and announces called tickets on the display panel, either with the
+ * browser's speech synthesis or by chaining pre-recorded audio clips.
+ * Calls are queued and announced one after another, so overlapping calls are not lost.
+ */
+
+import AppConfig from '../config/AppConfig.js';
+import Logger from '../utils/Logger.js';
+
+// Speech synthesis locale per announcement language
+const SPEECH_LOCALES = {
+  tr: 'tr-TR',
+  en: 'en-US'
+};
+
+class AnnouncementService {
+  constructor() {
+    this.settings = AppConfig.get('display.announcements');
+    this.pending = [];
+    this.isPlaying = false;
+    this.audioContext = null;
+  }
+
+  /**
+   * Apply announcement settings, e.g. the display settings of a branch
+   * @param {Object} settings - Announcement settings
+   */
+  configure(settings) {
+    this.settings = { ...AppConfig.get('display.announcements'), ...settings };
+  }
+
+  /**
+   * Allow audio playback; browsers only permit it after a user gesture such as a click
+   * @returns {Promise<void>}
+   */
+  async unlock() {
+    if (!this.audioContext && typeof window.AudioContext === 'function') {
+      this.audioContext = new window.AudioContext();
+    }
+
+    if (this.audioContext?.state === 'suspended') {
+      await this.audioContext.resume();
+    }
+
+    // Speaking an empty utterance inside the gesture enables later speech
+    if ('speechSynthesis' in window) {
+      window.speechSynthesis.speak(new SpeechSynthesisUtterance(''));
+    }
+  }
+
+  /**
+   * Check if audio playback has been unlocked
+   * @returns {boolean} True if announcements can be played
+   */
+  isUnlocked() {
+    return this.audioContext?.state === 'running';
+  }
+
+  /**
+   * Queue a called ticket for announcement
+   * @param {Object} call - Called ticket
+   * @param {string} call.serviceCode - Service line code, e.g. "B"
+   * @param {number} call.number - Ticket number
+   * @param {number} call.counterNumber - Counter the customer should go to
+   * @param {boolean} call.isRecall - True if the ticket was called again
+   */
+  announce(call) {
+    if (!this.settings.enabled) return;
+
+    this.pending.push(call);
+    this.processQueue();
+  }
+
+  /**
+   * Stop the current announcement and drop queued ones
+   */
+  clear() {
+    this.pending = [];
+
+    if ('speechSynthesis' in window) {
+      window.speechSynthesis.cancel();
+    }
+  }
+
+  /**
+   * Announce queued calls one at a time
+   */
+  async processQueue() {
+    if (this.isPlaying) return;
+    this.isPlaying = true;
+
+    while (this.pending.length > 0) {
+      const call = this.pending.shift();
+
+      try {
+        await this.play(call);
+      } catch (error) {
+        Logger.warning('Announcement could not be played:', error);
+      }
+
+      if (this.pending.length > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.settings.gapMs));
+      }
+    }
+
+    this.isPlaying = false;
+  }
+
+  /**
+   * Play the chime and the announcement of one call in every configured language
+   * @param {Object} call - Called ticket
+   */
+  async play(call) {
+    if (this.settings.chime) {
+      await this.playChime();
+    }
+
+    for (const language of this.settings.languages) {
+      if (this.settings.mode === 'clips') {
+        await this.playClips(this.getClipNames(call, language), language);
+      } else {
+        await this.speak(this.getAnnouncementText(call, language), language);
+      }
+    }
+
+    Logger.debug(`Announced ${call.serviceCode || ''}${call.number} at counter ${call.counterNumber}`);
+  }
+
+  /**
+   * Get the spoken text of a call
+   * @param {Object} call - Called ticket
+   * @param {string} language - Language code ('tr' or 'en')
+   * @returns {string} Announcement text
+   */
+  getAnnouncementText(call, language) {
+    const ticket = [call.serviceCode, call.number].filter(Boolean).join(' ');
+
+    if (language === 'en') {
+      return `${call.isRecall ? 'Repeat call. ' : ''}Number ${ticket}, please proceed to counter ${call.counterNumber}.`;
+    }
+
+    return `${call.isRecall ? 'Tekrar çağrı. ' : ''}Sıra numarası ${ticket}, lütfen ${call.counterNumber} numaralı gişeye.`;
+  }
+
+  /**
+   * Split a number into clip names: hundreds, tens and units, with 10-19 as one clip.
+   * A clip set therefore needs 0-19, 20-90 in tens and 100-900 in hundreds.
+   * @param {number} number - Number below 1000
+   * @returns {Array<string>} Clip names, e.g. 342 -> ["300", "40", "2"]
+   */
+  getNumberClipNames(number) {
+    if (number === 0) return ['0'];
+
+    const names = [];
+    const hundreds = Math.floor(number / 100) * 100;
+    const rest = number % 100;
+
+    if (hundreds > 0) names.push(String(hundreds));
+
+    if (rest >= 10 && rest < 20) {
+      names.push(String(rest));
+    } else {
+      if (rest >= 20) names.push(String(Math.floor(rest / 10) * 10));
+      if (rest % 10 > 0) names.push(String(rest % 10));
+    }
+
+    return names;
+  }
+
+  /**
+   * Get the clip sequence of a call in the word order of the language.
+   * Besides numbers and service code letters a clip set needs "repeat", "number" and
+   * "to-counter" ("... numaralı gişeye" in Turkish, "please proceed to counter" in English).
+   * @param {Object} call - Called ticket
+   * @param {string} language - Language code ('tr' or 'en')
+   * @returns {Array<string>} Clip names
+   */
+  getClipNames(call, language) {
+    const ticket = [
+      ...String(call.serviceCode || '').split(''),
+      ...this.getNumberClipNames(call.number)
+    ];
+    const counter = this.getNumberClipNames(call.counterNumber);
+    const recall = call.isRecall ? ['repeat'] : [];
+
+    if (language === 'en') {
+      return [...recall, 'number', ...ticket, 'to-counter', ...counter];
+    }
+
+    return [...recall, 'number', ...ticket, ...counter, 'to-counter'];
+  }
+
+  /**
+   * Play the chime, from the configured file or as a built-in two-tone chime
+   * @returns {Promise<void>}
+   */
+  async playChime() {
+    if (this.settings.chimeUrl) {
+      await this.playAudio(this.settings.chimeUrl);
+      return;
+    }
+
+    if (!this.audioContext) return;
+
+    const tones = [880, 660];
+    const toneLength = 0.35;
+    const start = this.audioContext.currentTime;
+
+    tones.forEach((frequency, index) => {
+      const oscillator = this.audioContext.createOscillator();
+      const gain = this.audioContext.createGain();
+      const toneStart = start + index * toneLength;
+
+      oscillator.type = 'sine';
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.3 * this.settings.volume, toneStart);
+      gain.gain.exponentialRampToValueAtTime(0.001, toneStart + toneLength);
+      oscillator.connect(gain).connect(this.audioContext.destination);
+      oscillator.start(toneStart);
+      oscillator.stop(toneStart + toneLength);
+    });
+
+    await new Promise(resolve => setTimeout(resolve, tones.length * toneLength * 1000));
+  }
+
+  /**
+   * Play clips one after another
+   * @param {Array<string>} names - Clip names
+   * @param {string} language - Language code
+   */
+  async playClips(names, language) {
+    const { clipBaseUrl, clipExtension } = this.settings;
+
+    for (const name of names) {
+      await this.playAudio(`${clipBaseUrl}/${language}/${encodeURIComponent(name)}.${clipExtension}`);
+    }
+  }
+
+  /**
+   * Play one audio file to its end
+   * @param {string} url - Audio URL
+   * @returns {Promise<void>}
+   */
+  playAudio(url) {
+    return new Promise((resolve, reject) => {
+      const audio = new Audio(url);
+      audio.volume = this.settings.volume;
+      audio.onended = () => resolve();
+      audio.onerror = () => reject(new Error(`Audio clip could not be loaded: ${url}`));
+      audio.play().catch(reject);
+    });
+  }
+
+  /**
+   * Speak a text with the browser voice of the language
+   * @param {string} text - Text to speak
+   * @param {string} language - Language code
+   * @returns {Promise<void>}
+   */
+  speak(text, language) {
+    if (!('speechSynthesis' in window)) {
+      return Promise.reject(new Error('Speech synthesis is not supported in this browser'));
+    }
+
+    return new Promise((resolve) => {
+      const locale = SPEECH_LOCALES[language] || language;
+      const utterance = new SpeechSynthesisUtterance(text);
+      const voice = window.speechSynthesis.getVoices().find(v => v.lang.replace('_', '-').startsWith(locale));
+
+      utterance.lang = locale;
+      utterance.rate = this.settings.speechRate;
+      utterance.volume = this.settings.volume;
+      if (voice) utterance.voice = voice;
+
+      // Some browsers never fire 'end', so do not let one utterance block the queue
+      const timeout = setTimeout(resolve, Math.max(text.length * 150, 5000));
+      const finish = () => {
+        clearTimeout(timeout);
+        resolve();
+      };
+
+      utterance.onend = finish;
+      utterance.onerror = finish;
+      window.speechSynthesis.speak(utterance);
+    });
+  }
+}
+
+// Export singleton instance
+export default new AnnouncementService();
@@ -1,6 +1,10 @@
 /**
  * Authentication Service
- * Handles user authentication, session management, and authorization
+ * Handles user authentication, session management, and authorization.
+ * Users get a short-lived access token and a refresh token; an expired access token is
+ * renewed transparently when an API request is rejected with it.
+ * Kiosks and displays sign in with a long-lived device token instead of a user account;
+ * their session lasts until the token expires or is revoked by an admin.
  */
 
 import DatabaseService from './DatabaseService.js';
@@ -12,11 +16,16 @@ class AuthService {
   constructor() {
     this.currentUser = null;
     this.token = null;
+    this.refreshToken = null;
+    this.refreshPromise = null;
     this.sessionTimeout = AppConfig.get('app.sessionTimeout');
     this.sessionTimer = null;
+    this.deviceCheckTimer = null;
     
     // Initialize from localStorage if available
     this.initializeFromStorage();
+    
+    DatabaseService.setSessionRefreshHandler((rejectedToken) => this.handleRejectedToken(rejectedToken));
   }
 
   /**
@@ -33,9 +42,18 @@ class AuthService {
         
         if (expiryTime > new Date()) {
           this.token = storedToken;
+          this.refreshToken = localStorage.getItem('queuematic_refresh_token');
           this.currentUser = User.fromAPI(JSON.parse(storedUser));
           this.startSessionTimer();
           
+          // A device may have been revoked while the page was closed, and the
+          // permissions of a user may have changed
+          if (this.currentUser.isDevice()) {
+            this.validateDeviceSession();
+          } else {
+            this.reloadCurrentUser();
+          }
+          
           Logger.info('User session restored from storage', {
             username: this.currentUser.username,
             role: this.currentUser.role
@@ -56,6 +74,7 @@ class AuthService {
    */
   clearStorage() {
     localStorage.removeItem('queuematic_token');
+    localStorage.removeItem('queuematic_refresh_token');
     localStorage.removeItem('queuematic_user');
     localStorage.removeItem('queuematic_expiry');
   }
@@ -65,20 +84,44 @@ class AuthService {
    */
   saveToStorage() {
     if (this.token && this.currentUser) {
-      const expiryTime = new Date(Date.now() + this.sessionTimeout);
+      const expiryTime = this.currentUser.isDevice()
+        ? this.getTokenExpiry(this.token)
+        : new Date(Date.now() + this.sessionTimeout);
       
       localStorage.setItem('queuematic_token', this.token);
+      if (this.refreshToken) {
+        localStorage.setItem('queuematic_refresh_token', this.refreshToken);
+      }
       localStorage.setItem('queuematic_user', JSON.stringify(this.currentUser.toJSON()));
       localStorage.setItem('queuematic_expiry', expiryTime.toISOString());
     }
   }
 
   /**
-   * Start session timeout timer
+   * Get the expiry time of a JWT from its payload
+   * @param {string} token - JWT token
+   * @returns {Date} Expiry time
+   */
+  getTokenExpiry(token) {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const { exp } = JSON.parse(atob(payload));
+    return new Date(exp * 1000);
+  }
+
+  /**
+   * Start session timeout timer.
+   * Device sessions do not time out on inactivity; they are checked periodically instead.
    */
   startSessionTimer() {
     this.clearSessionTimer();
     
+    if (this.currentUser?.isDevice()) {
+      this.deviceCheckTimer = setInterval(() => {
+        this.validateDeviceSession();
+      }, AppConfig.get('app.deviceCheckInterval'));
+      return;
+    }
+    
     this.sessionTimer = setTimeout(() => {
       Logger.warning('Session timeout reached, logging out user');
       this.logout();
@@ -93,23 +136,29 @@ class AuthService {
       clearTimeout(this.sessionTimer);
       this.sessionTimer = null;
     }
+    
+    if (this.deviceCheckTimer) {
+      clearInterval(this.deviceCheckTimer);
+      this.deviceCheckTimer = null;
+    }
   }
 
   /**
    * Reset session timeout timer (extend session)
    */
   resetSessionTimer() {
-    if (this.isAuthenticated()) {
+    if (this.isAuthenticated() && !this.isDevice()) {
       this.startSessionTimer();
       this.saveToStorage(); // Update expiry time
     }
   }
 
   /**
-   * Login user with username and password
+   * Login user with username and password. When the account has two-factor authentication
+   * the login is not finished yet: a challenge is returned for completeTwoFactorLogin.
    * @param {string} username - Username
    * @param {string} password - Password
-   * @returns {Promise<User>} Authenticated user
+   * @returns {Promise<User|Object>} Authenticated user, or { twoFactorRequired, challengeToken }
    */
   async login(username, password) {
     try {
@@ -117,35 +166,296 @@ class AuthService {
       
       const response = await DatabaseService.login(username, password);
       
-      if (response.data && response.data.user && response.data.token) {
-        this.currentUser = User.fromAPI(response.data.user);
-        this.token = response.data.token;
-        
-        this.saveToStorage();
-        this.startSessionTimer();
-        
-        Logger.info(`User ${username} logged in successfully`, {
-          role: this.currentUser.role,
-          branchId: this.currentUser.branchId
-        });
-        
-        return this.currentUser;
-      } else {
-        throw new Error('Invalid response from server');
+      if (response.data?.twoFactorRequired) {
+        Logger.info(`Two-factor verification required for user ${username}`);
+        return {
+          twoFactorRequired: true,
+          challengeToken: response.data.challengeToken
+        };
       }
+      
+      return this.startUserSession(response);
     } catch (error) {
       Logger.error(`Login failed for user ${username}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Finish a login with the code from the authenticator app or a recovery code
+   * @param {string} challengeToken - Challenge returned by login
+   * @param {string} code - TOTP code or recovery code
+   * @returns {Promise<User>} Authenticated user
+   */
+  async completeTwoFactorLogin(challengeToken, code) {
+    try {
+      const response = await DatabaseService.completeTwoFactorLogin(challengeToken, code);
+      return this.startUserSession(response);
+    } catch (error) {
+      Logger.error('Two-factor login failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the user and tokens of a successful login response
+   * @param {Object} response - Login response
+   * @returns {User} Authenticated user
+   */
+  startUserSession(response) {
+    if (!response.data?.user || !response.data?.token) {
+      throw new Error('Invalid response from server');
+    }
+    
+    this.currentUser = User.fromAPI(response.data.user);
+    this.token = response.data.token;
+    this.refreshToken = response.data.refreshToken || null;
+    
+    this.saveToStorage();
+    this.startSessionTimer();
+    
+    Logger.info(`User ${this.currentUser.username} logged in successfully`, {
+      role: this.currentUser.role,
+      branchId: this.currentUser.branchId
+    });
+    
+    return this.currentUser;
+  }
+
+  /**
+   * Replace the signed-in user with a copy that has some fields changed and store it.
+   * A new instance lets components holding the user in state notice the change.
+   * @param {Object} changes - Changed fields
+   */
+  updateCurrentUser(changes) {
+    this.currentUser = User.fromAPI({ ...this.currentUser.toJSON(), ...changes });
+    this.saveToStorage();
+  }
+
+  /**
+   * Load the signed-in user again from the server, which also brings the permissions
+   * of their role up to date
+   * @returns {Promise<User|null>} Reloaded user, or null if it could not be loaded
+   */
+  async reloadCurrentUser() {
+    try {
+      const user = await DatabaseService.getCurrentUser(this.token);
+
+      // Signed out while the request was in flight
+      if (!this.currentUser) {
+        return null;
+      }
+
+      this.updateCurrentUser(user);
+      this.emitEvent('userUpdated', this.currentUser);
+      return this.currentUser;
+    } catch (error) {
+      // The stored user stays in use; an ended session is handled by the token refresh
+      Logger.warning('Current user could not be reloaded:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Change the password of the signed-in user, which also replaces a temporary password
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   * @returns {Promise<User>} User without the password change requirement
+   */
+  async changePassword(currentPassword, newPassword) {
+    await DatabaseService.changePassword(currentPassword, newPassword, this.token);
+    
+    this.updateCurrentUser({ mustChangePassword: false });
+    this.emitEvent('userUpdated', this.currentUser);
+    
+    Logger.info(`Password of ${this.currentUser.username} changed`);
+    return this.currentUser;
+  }
+
+  /**
+   * Turn on two-factor authentication after setup, confirmed with a code from the app
+   * @param {string} code - TOTP code
+   * @returns {Promise<Array<string>>} Recovery codes, to be shown to the user once
+   */
+  async enableTwoFactor(code) {
+    const recoveryCodes = await DatabaseService.enableTwoFactor(code, this.token);
+    
+    this.updateCurrentUser({ twoFactorEnabled: true, twoFactorSetupRequired: false });
+    
+    Logger.info(`Two-factor authentication of ${this.currentUser.username} enabled`);
+    return recoveryCodes;
+  }
+
+  /**
+   * Let the user into the pages that were held back until two-factor enrolment finished.
+   * Called after the recovery codes were shown, not when they are issued.
+   */
+  finishTwoFactorSetup() {
+    this.emitEvent('userUpdated', this.currentUser);
+  }
+
+  /**
+   * Turn off two-factor authentication
+   * @param {string} password - Current password
+   * @param {string} code - TOTP code or recovery code
+   * @returns {Promise<User>} User without two-factor authentication
+   */
+  async disableTwoFactor(password, code) {
+    await DatabaseService.disableTwoFactor(password, code, this.token);
+    
+    this.updateCurrentUser({ twoFactorEnabled: false });
+    this.emitEvent('userUpdated', this.currentUser);
+    
+    Logger.info(`Two-factor authentication of ${this.currentUser.username} disabled`);
+    return this.currentUser;
+  }
+
+  /**
+   * Sign this browser in as a kiosk or display with a device token issued by an admin
+   * @param {string} token - Device token
+   * @returns {Promise<User>} Device principal
+   */
+  async activateDevice(token) {
+    try {
+      Logger.info('Attempting device activation');
+      
+      const device = await DatabaseService.getCurrentDevice(token);
+      
+      this.currentUser = User.fromAPI({
+        id: device.id,
+        username: device.name,
+        fullName: device.name,
+        role: device.role,
+        branchId: device.branchId,
+        branchName: device.branchName,
+        isActive: device.isActive
+      });
+      this.token = token;
+      
+      this.saveToStorage();
+      this.startSessionTimer();
+      
+      Logger.info(`Device ${device.name} activated successfully`, {
+        role: device.role,
+        branchId: device.branchId
+      });
+      
+      return this.currentUser;
+    } catch (error) {
+      Logger.error('Device activation failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Renew the access token with the refresh token. Concurrent callers share one request,
+   * as each refresh token can only be used once.
+   * @returns {Promise<string|null>} New access token, or null if the session has ended
+   */
+  async refreshSession() {
+    if (!this.refreshToken || this.isDevice()) {
+      return null;
+    }
+    
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.requestTokenRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    
+    return this.refreshPromise;
+  }
+
+  /**
+   * Exchange the refresh token for new tokens and store them
+   * @returns {Promise<string|null>} New access token, or null if the session has ended
+   */
+  async requestTokenRefresh() {
+    const usedRefreshToken = this.refreshToken;
+    
+    try {
+      const response = await DatabaseService.refreshSession(usedRefreshToken);
+      
+      this.token = response.data.token;
+      this.refreshToken = response.data.refreshToken;
+      this.saveToStorage();
+      
+      Logger.debug('Access token refreshed');
+      return this.token;
+    } catch (error) {
+      // Another tab may have rotated the shared refresh token first
+      const storedRefreshToken = localStorage.getItem('queuematic_refresh_token');
+      if (storedRefreshToken && storedRefreshToken !== usedRefreshToken) {
+        this.token = localStorage.getItem('queuematic_token');
+        this.refreshToken = storedRefreshToken;
+        return this.token;
+      }
+      
+      // Network errors keep the session so the request can be tried again later
+      if (error.statusCode !== 401) {
+        Logger.warning('Access token could not be refreshed:', error);
+        return null;
+      }
+      
+      Logger.warning('Session has ended on the server, signing out');
+      this.clearSession();
+      this.emitEvent('sessionExpired');
+      this.emitEvent('logout');
+      return null;
+    }
+  }
+
+  /**
+   * Handle an API request rejected as unauthorized
+   * @param {string} rejectedToken - Access token the request was sent with
+   * @returns {Promise<string|null>} Token to retry the request with, or null
+   */
+  async handleRejectedToken(rejectedToken) {
+    if (!this.isAuthenticated() || this.isDevice()) {
+      return null;
+    }
+    
+    // The token was already renewed while the request was in flight
+    if (rejectedToken !== this.token) {
+      return this.token;
+    }
+    
+    return this.refreshSession();
+  }
+
+  /**
+   * Check that the device token is still valid and sign the device out if it was revoked
+   * @returns {Promise<boolean>} True if the device session is valid
+   */
+  async validateDeviceSession() {
+    if (!this.isDevice()) {
+      return false;
+    }
+    
+    try {
+      await DatabaseService.getCurrentDevice(this.token);
+      return true;
+    } catch (error) {
+      // Network errors keep the session; the kiosk should work again when the server is back
+      if (error.statusCode === 401) {
+        Logger.warning('Device token is no longer valid, signing out device');
+        await this.logout();
+        return false;
+      }
+      
+      Logger.warning('Device session could not be checked:', error);
+      return true;
+    }
+  }
+
   /**
    * Logout current user
    * @returns {Promise<void>}
    */
   async logout() {
     try {
-      if (this.token) {
+      // Device tokens are revoked by an admin, not on sign out
+      if (this.token && !this.isDevice()) {
         Logger.info(`Logging out user: ${this.currentUser?.username}`);
         
         try {
@@ -156,22 +466,28 @@ class AuthService {
         }
       }
       
-      this.currentUser = null;
-      this.token = null;
-      this.clearSessionTimer();
-      this.clearStorage();
+      this.clearSession();
       
       Logger.info('User logged out successfully');
+      this.emitEvent('logout');
     } catch (error) {
       Logger.error('Error during logout:', error);
       // Clear local state even if there's an error
-      this.currentUser = null;
-      this.token = null;
-      this.clearSessionTimer();
-      this.clearStorage();
+      this.clearSession();
     }
   }
 
+  /**
+   * Clear the local authentication state without contacting the server
+   */
+  clearSession() {
+    this.currentUser = null;
+    this.token = null;
+    this.refreshToken = null;
+    this.clearSessionTimer();
+    this.clearStorage();
+  }
+
   /**
    * Check if user is authenticated
    * @returns {boolean} True if authenticated
@@ -204,6 +520,23 @@ class AuthService {
     return this.currentUser?.isAdmin() || false;
   }
 
+  /**
+   * Check if current user is branch manager
+   * @returns {boolean} True if branch manager
+   */
+  isBranchManager() {
+    return this.currentUser?.isBranchManager() || false;
+  }
+
+  /**
+   * Check if current user's role grants a permission
+   * @param {string} permission - Permission from PERMISSIONS in models/User.js
+   * @returns {boolean} True if granted
+   */
+  hasPermission(permission) {
+    return this.currentUser?.hasPermission(permission) || false;
+  }
+
   /**
    * Check if current user is clerk
    * @returns {boolean} True if clerk
@@ -212,6 +545,14 @@ class AuthService {
     return this.currentUser?.isClerk() || false;
   }
 
+  /**
+   * Check if the current session belongs to a kiosk or display device
+   * @returns {boolean} True if device
+   */
+  isDevice() {
+    return this.currentUser?.isDevice() || false;
+  }
+
   /**
    * Check if current user has access to a specific branch
    * @param {number} branchId - Branch ID to check
@@ -324,19 +665,25 @@ class AuthService {
   }
 
   /**
-   * Extend current session
+   * Extend current session with a freshly issued access token
    * @returns {Promise<void>}
    */
   async extendSession() {
     if (this.isAuthenticated()) {
-      this.resetSessionTimer();
-      Logger.info('Session extended');
+      if (!this.isDevice()) {
+        await this.refreshSession();
+      }
+      
+      if (this.isAuthenticated()) {
+        this.resetSessionTimer();
+        Logger.info('Session extended');
+      }
     }
   }
 
   /**
    * Add authentication event listener
-   * @param {string} event - Event name ('login', 'logout', 'sessionExpired')
+   * @param {string} event - Event name ('login', 'logout', 'sessionExpired', 'userUpdated')
    * @param {Function} callback - Callback function
    */
   addEventListener(event, callback) {
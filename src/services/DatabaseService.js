@@ -8,9 +8,13 @@ import axios from 'axios';
 import AppConfig from '../config/AppConfig.js';
 import Logger from '../utils/Logger.js';
 
+// Requests that must not trigger a token refresh when they fail with 401
+const NO_REFRESH_URLS = ['/auth/login', '/auth/refresh'];
+
 class DatabaseService {
   constructor() {
     this.baseURL = import.meta.env.VITE_API_URL || 'http://localhost:3008/api';
+    this.sessionRefreshHandler = null;
     this.axiosInstance = axios.create({
       baseURL: this.baseURL,
       timeout: 10000,
@@ -31,19 +35,42 @@ class DatabaseService {
       }
     );
 
-    // Add response interceptor for logging
+    // Add response interceptor for logging. A request rejected because its access token
+    // expired is retried once with a refreshed token.
     this.axiosInstance.interceptors.response.use(
       (response) => {
         Logger.debug(`API Response: ${response.status} ${response.config.url}`, response.data);
         return response;
       },
-      (error) => {
-        Logger.error('API Response Error:', error.response?.data || error.message);
+      async (error) => {
+        const { config, response } = error;
+        const authorization = config?.headers?.Authorization;
+
+        if (response?.status === 401 && this.sessionRefreshHandler && authorization &&
+            !config.retriedWithRefresh && !NO_REFRESH_URLS.includes(config.url)) {
+          const token = await this.sessionRefreshHandler(authorization.substring(7));
+
+          if (token) {
+            config.retriedWithRefresh = true;
+            config.headers.Authorization = `Bearer ${token}`;
+            return this.axiosInstance(config);
+          }
+        }
+
+        Logger.error('API Response Error:', response?.data || error.message);
         return Promise.reject(error);
       }
     );
   }
 
+  /**
+   * Set the function that renews an expired access token
+   * @param {Function} handler - Receives the rejected token, resolves to a new token or null
+   */
+  setSessionRefreshHandler(handler) {
+    this.sessionRefreshHandler = handler;
+  }
+
   /**
    * Handle API errors consistently
    * @param {Error} error - Axios error object
@@ -58,6 +85,7 @@ class DatabaseService {
     
     const formattedError = new Error(`${operation} failed: ${message}`);
     formattedError.statusCode = statusCode;
+    formattedError.apiMessage = message;
     throw formattedError;
   }
 
@@ -83,6 +111,175 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Finish a login that requires two-factor authentication
+   * @param {string} challengeToken - Token returned by the password step
+   * @param {string} code - TOTP code or recovery code
+   * @returns {Promise<Object>} User data with token
+   */
+  async completeTwoFactorLogin(challengeToken, code) {
+    try {
+      const response = await this.axiosInstance.post('/auth/login', {
+        challengeToken,
+        code
+      });
+      
+      Logger.info('Two-factor login completed successfully');
+      return response.data;
+    } catch (error) {
+      this.handleError(error, 'Two-factor login');
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<Object>} User data with the new tokens
+   */
+  async refreshSession(refreshToken) {
+    try {
+      const response = await this.axiosInstance.post('/auth/refresh', { refreshToken });
+      return response.data;
+    } catch (error) {
+      this.handleError(error, 'Refresh session');
+    }
+  }
+
+  /**
+   * Change the password of the signed-in user
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   * @param {string} token - Auth token
+   * @returns {Promise<void>}
+   */
+  async changePassword(currentPassword, newPassword, token) {
+    try {
+      await this.axiosInstance.post('/auth/change-password', { currentPassword, newPassword }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      
+      Logger.info('Password changed successfully');
+    } catch (error) {
+      this.handleError(error, 'Change password');
+    }
+  }
+
+  /**
+   * Get the profile of the signed-in user with the permissions of their role
+   * @param {string} token - Auth token
+   * @returns {Promise<Object>} User data
+   */
+  async getCurrentUser(token) {
+    try {
+      const response = await this.axiosInstance.get('/auth/me', {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data.data.user;
+    } catch (error) {
+      this.handleError(error, 'Get current user');
+    }
+  }
+
+  /**
+   * Get the rules new passwords must follow
+   * @returns {Promise<Object>} Password policy
+   */
+  async getPasswordPolicy() {
+    try {
+      const response = await this.axiosInstance.get('/auth/password-policy');
+      return response.data.data;
+    } catch (error) {
+      this.handleError(error, 'Get password policy');
+    }
+  }
+
+  /**
+   * Get the two-factor authentication state of the signed-in user
+   * @param {string} token - Auth token
+   * @returns {Promise<Object>} Enabled and required flags with the unused recovery code count
+   */
+  async getTwoFactorStatus(token) {
+    try {
+      const response = await this.axiosInstance.get('/auth/2fa', {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data.data;
+    } catch (error) {
+      this.handleError(error, 'Get two-factor status');
+    }
+  }
+
+  /**
+   * Start two-factor enrolment and get the secret for the authenticator app
+   * @param {string} token - Auth token
+   * @returns {Promise<Object>} Secret and otpauth URL
+   */
+  async setupTwoFactor(token) {
+    try {
+      const response = await this.axiosInstance.post('/auth/2fa/setup', {}, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data.data;
+    } catch (error) {
+      this.handleError(error, 'Set up two-factor');
+    }
+  }
+
+  /**
+   * Finish two-factor enrolment with a code from the authenticator app
+   * @param {string} code - TOTP code
+   * @param {string} token - Auth token
+   * @returns {Promise<Array<string>>} Recovery codes
+   */
+  async enableTwoFactor(code, token) {
+    try {
+      const response = await this.axiosInstance.post('/auth/2fa/enable', { code }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      
+      Logger.info('Two-factor authentication enabled successfully');
+      return response.data.data.recoveryCodes;
+    } catch (error) {
+      this.handleError(error, 'Enable two-factor');
+    }
+  }
+
+  /**
+   * Turn off two-factor authentication
+   * @param {string} password - Current password
+   * @param {string} code - TOTP code or recovery code
+   * @param {string} token - Auth token
+   * @returns {Promise<void>}
+   */
+  async disableTwoFactor(password, code, token) {
+    try {
+      await this.axiosInstance.post('/auth/2fa/disable', { password, code }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      
+      Logger.info('Two-factor authentication disabled successfully');
+    } catch (error) {
+      this.handleError(error, 'Disable two-factor');
+    }
+  }
+
+  /**
+   * Replace the recovery codes of the signed-in user
+   * @param {string} code - TOTP code or recovery code
+   * @param {string} token - Auth token
+   * @returns {Promise<Array<string>>} New recovery codes
+   */
+  async regenerateRecoveryCodes(code, token) {
+    try {
+      const response = await this.axiosInstance.post('/auth/2fa/recovery-codes', { code }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data.data.recoveryCodes;
+    } catch (error) {
+      this.handleError(error, 'Regenerate recovery codes');
+    }
+  }
+
   /**
    * Logout user
    * @param {string} token - Auth token
@@ -100,6 +297,110 @@ class DatabaseService {
     }
   }
 
+  // ==================== DEVICE OPERATIONS ====================
+
+  /**
+   * Get the device of a device token
+   * @param {string} token - Device token
+   * @returns {Promise<Object>} Device data
+   */
+  async getCurrentDevice(token) {
+    try {
+      const response = await this.axiosInstance.get('/devices/me', {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data.data;
+    } catch (error) {
+      this.handleError(error, 'Get current device');
+    }
+  }
+
+  /**
+   * Get registered devices (admin only)
+   * @param {number|null} branchId - Branch filter (optional)
+   * @param {string} token - Auth token
+   * @returns {Promise<Array>} Devices
+   */
+  async getDevices(branchId, token) {
+    try {
+      const response = await this.axiosInstance.get('/devices', {
+        params: branchId ? { branchId } : {},
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data.data;
+    } catch (error) {
+      this.handleError(error, 'Get devices');
+    }
+  }
+
+  /**
+   * Register a kiosk or display (admin only)
+   * @param {Object} deviceData - { branchId, name, role }
+   * @param {string} token - Auth token
+   * @returns {Promise<Object>} Registered device and its device token
+   */
+  async createDevice(deviceData, token) {
+    try {
+      const response = await this.axiosInstance.post('/devices', deviceData, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data.data;
+    } catch (error) {
+      this.handleError(error, 'Create device');
+    }
+  }
+
+  /**
+   * Issue a new token for a device, invalidating its earlier tokens (admin only)
+   * @param {number} deviceId - Device ID
+   * @param {string} token - Auth token
+   * @returns {Promise<Object>} Device and its new device token
+   */
+  async regenerateDeviceToken(deviceId, token) {
+    try {
+      const response = await this.axiosInstance.post(`/devices/${deviceId}/regenerate`, {}, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data.data;
+    } catch (error) {
+      this.handleError(error, 'Regenerate device token');
+    }
+  }
+
+  /**
+   * Revoke a device's token (admin only)
+   * @param {number} deviceId - Device ID
+   * @param {string} token - Auth token
+   * @returns {Promise<Object>} Revoked device
+   */
+  async revokeDevice(deviceId, token) {
+    try {
+      const response = await this.axiosInstance.post(`/devices/${deviceId}/revoke`, {}, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data.data;
+    } catch (error) {
+      this.handleError(error, 'Revoke device');
+    }
+  }
+
+  /**
+   * Remove a device (admin only)
+   * @param {number} deviceId - Device ID
+   * @param {string} token - Auth token
+   * @returns {Promise<Object>} Result
+   */
+  async deleteDevice(deviceId, token) {
+    try {
+      const response = await this.axiosInstance.delete(`/devices/${deviceId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data;
+    } catch (error) {
+      this.handleError(error, 'Delete device');
+    }
+  }
+
   // ==================== USER OPERATIONS ====================
 
   /**
@@ -138,16 +439,36 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Turn off two-factor authentication of a user who lost the authenticator
+   * @param {number} userId - User ID
+   * @param {string} token - Auth token
+   * @returns {Promise<void>}
+   */
+  async resetUserTwoFactor(userId, token) {
+    try {
+      await this.axiosInstance.post(`/users/${userId}/reset-two-factor`, {}, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      
+      Logger.info(`Two-factor authentication of user ${userId} reset successfully`);
+    } catch (error) {
+      this.handleError(error, 'Reset two-factor');
+    }
+  }
+
   // ==================== BRANCH OPERATIONS ====================
 
   /**
    * Get all branches
    * @param {string} token - Auth token
-   * @returns {Promise<Array>} List of branches
+   * @param {boolean} includeInactive - Also list deactivated branches (admin only)
+   * @returns {Promise<Object>} Response with the list of branches in data
    */
-  async getBranches(token) {
+  async getBranches(token, includeInactive = false) {
     try {
       const response = await this.axiosInstance.get('/branches', {
+        params: includeInactive ? { includeInactive: true } : {},
         headers: { Authorization: `Bearer ${token}` }
       });
       
@@ -157,6 +478,55 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Create new branch (admin only)
+   * @param {Object} branchData - { name, address, phone }
+   * @param {string} token - Auth token
+   * @returns {Promise<Object>} Created branch
+   */
+  async createBranch(branchData, token) {
+    try {
+      const response = await this.axiosInstance.post('/branches', branchData, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data.data;
+    } catch (error) {
+      this.handleError(error, 'Create branch');
+    }
+  }
+
+  /**
+   * Update branch (admin only)
+   * @param {number} branchId - Branch ID
+   * @param {Object} branchData - { name, address, phone, isActive }
+   * @param {string} token - Auth token
+   * @returns {Promise<Object>} Updated branch
+   */
+  async updateBranch(branchId, branchData, token) {
+    try {
+      const response = await this.axiosInstance.put(`/branches/${branchId}`, branchData, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data.data;
+    } catch (error) {
+      this.handleError(error, 'Update branch');
+    }
+  }
+
+  /**
+   * Get active services of a branch
+   * @param {number} branchId - Branch ID
+   * @returns {Promise<Array>} List of services
+   */
+  async getServices(branchId) {
+    try {
+      const response = await this.axiosInstance.get(`/services/${branchId}`);
+      return response.data.data;
+    } catch (error) {
+      this.handleError(error, 'Get services');
+    }
+  }
+
   // ==================== COUNTER OPERATIONS ====================
 
   /**
@@ -183,6 +553,77 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Get all counters for a branch with their current status
+   * @param {number} branchId - Branch ID
+   * @param {string} token - Auth token
+   * @returns {Promise<Array>} List of counters
+   */
+  async getBranchCounters(branchId, token) {
+    try {
+      const response = await this.axiosInstance.get(`/counters/${branchId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      
+      const counters = response.data?.data;
+      return Array.isArray(counters) ? counters : [];
+    } catch (error) {
+      this.handleError(error, 'Get branch counters');
+    }
+  }
+
+  /**
+   * Create new counter (admin only)
+   * @param {Object} counterData - { branchId, number, services }
+   * @param {string} token - Auth token
+   * @returns {Promise<Object>} Created counter
+   */
+  async createCounter(counterData, token) {
+    try {
+      const response = await this.axiosInstance.post('/counters', counterData, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data.data;
+    } catch (error) {
+      this.handleError(error, 'Create counter');
+    }
+  }
+
+  /**
+   * Update counter (admin only)
+   * @param {number} counterId - Counter ID
+   * @param {Object} counterData - { number, isActive, services }
+   * @param {string} token - Auth token
+   * @returns {Promise<Object>} Updated counter
+   */
+  async updateCounter(counterId, counterData, token) {
+    try {
+      const response = await this.axiosInstance.put(`/counters/${counterId}`, counterData, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data.data;
+    } catch (error) {
+      this.handleError(error, 'Update counter');
+    }
+  }
+
+  /**
+   * Delete counter (admin only); counters with queue history are deactivated instead
+   * @param {number} counterId - Counter ID
+   * @param {string} token - Auth token
+   * @returns {Promise<Object>} Result with message
+   */
+  async deleteCounter(counterId, token) {
+    try {
+      const response = await this.axiosInstance.delete(`/counters/${counterId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data;
+    } catch (error) {
+      this.handleError(error, 'Delete counter');
+    }
+  }
+
   /**
    * Start counter session
    * @param {number} counterId - Counter ID
@@ -224,6 +665,50 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Put counter session on break
+   * @param {number} sessionId - Session ID
+   * @param {string} reason - Break reason (short, lunch, meeting, training, other)
+   * @param {string} token - Auth token
+   * @returns {Promise<Object>} { sessionId, counterId, isPaused, pausedAt, breakReason }
+   */
+  async pauseCounterSession(sessionId, reason, token) {
+    try {
+      const response = await this.axiosInstance.post('/counters/pause-session', {
+        sessionId,
+        reason
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+
+      Logger.info(`Counter session ${sessionId} paused`);
+      return response.data.data;
+    } catch (error) {
+      this.handleError(error, 'Pause counter session');
+    }
+  }
+
+  /**
+   * End the break of a paused counter session
+   * @param {number} sessionId - Session ID
+   * @param {string} token - Auth token
+   * @returns {Promise<Object>} { sessionId, counterId, isPaused, breakDuration }
+   */
+  async resumeCounterSession(sessionId, token) {
+    try {
+      const response = await this.axiosInstance.post('/counters/resume-session', {
+        sessionId
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+
+      Logger.info(`Counter session ${sessionId} resumed`);
+      return response.data.data;
+    } catch (error) {
+      this.handleError(error, 'Resume counter session');
+    }
+  }
+
   /**
    * Get current user's active counter session
    * @param {string} token - Auth token
@@ -277,12 +762,19 @@ class DatabaseService {
   /**
    * Get next queue number for a branch
    * @param {number} branchId - Branch ID
+   * @param {number|null} serviceId - Service line to queue for (optional)
+   * @param {string} priorityType - Priority type chosen at the kiosk
+   * @param {string} token - Auth or device token (optional)
    * @returns {Promise<Object>} Queue number data
    */
-  async getNextQueueNumber(branchId) {
+  async getNextQueueNumber(branchId, serviceId = null, priorityType = 'normal', token = null) {
     try {
       const response = await this.axiosInstance.post('/queue/next-number', {
-        branchId
+        branchId,
+        serviceId,
+        priorityType
+      }, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
       });
       
       Logger.info(`New queue number generated for branch ${branchId}:`, response.data);
@@ -292,6 +784,29 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Check in a booked appointment and get its queue number
+   * @param {string} code - Appointment code
+   * @param {number} branchId - Branch ID of the kiosk
+   * @param {string} token - Auth or device token (optional)
+   * @returns {Promise<Object>} Queue number data
+   */
+  async checkInAppointment(code, branchId, token = null) {
+    try {
+      const response = await this.axiosInstance.post('/queue/check-in', {
+        code,
+        branchId
+      }, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+      });
+
+      Logger.info(`Appointment checked in for branch ${branchId}:`, response.data);
+      return response.data;
+    } catch (error) {
+      this.handleError(error, 'Check in appointment');
+    }
+  }
+
   /**
    * Call next customer
    * @param {number} counterId - Counter ID
@@ -313,6 +828,27 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Start service for a called customer who arrived at the counter
+   * @param {number} queueId - Queue ID
+   * @param {string} token - Auth token
+   * @returns {Promise<Object>} Serving queue data
+   */
+  async startService(queueId, token) {
+    try {
+      const response = await this.axiosInstance.post('/queue/start-service', {
+        queueId
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      
+      Logger.info(`Service started for queue ${queueId}`);
+      return response.data.data;
+    } catch (error) {
+      this.handleError(error, 'Start service');
+    }
+  }
+
   /**
    * Complete current service
    * @param {number} queueId - Queue ID
@@ -333,14 +869,82 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Recall current customer (re-announced on the display)
+   * @param {number} queueId - Queue ID
+   * @param {string} token - Auth token
+   * @returns {Promise<Object>} Recalled queue data
+   */
+  async recallCustomer(queueId, token) {
+    try {
+      const response = await this.axiosInstance.post('/queue/recall', {
+        queueId
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      
+      Logger.info(`Queue ${queueId} recalled:`, response.data);
+      return response.data.data;
+    } catch (error) {
+      this.handleError(error, 'Recall customer');
+    }
+  }
+
+  /**
+   * Mark current customer as no-show
+   * @param {number} queueId - Queue ID
+   * @param {string} token - Auth token
+   * @returns {Promise<Object>} Closed queue data
+   */
+  async markNoShow(queueId, token) {
+    try {
+      const response = await this.axiosInstance.post('/queue/no-show', {
+        queueId
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      
+      Logger.info(`Queue ${queueId} marked as no-show`);
+      return response.data.data;
+    } catch (error) {
+      this.handleError(error, 'Mark no-show');
+    }
+  }
+
+  /**
+   * Transfer current customer to another counter or service
+   * @param {number} queueId - Queue ID
+   * @param {Object} transfer - Transfer target {targetCounterId, targetServiceId, placeAtHead, reason}
+   * @param {string} token - Auth token
+   * @returns {Promise<Object>} Transferred queue data
+   */
+  async transferQueue(queueId, transfer, token) {
+    try {
+      const response = await this.axiosInstance.post('/queue/transfer', {
+        queueId,
+        ...transfer
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      
+      Logger.info(`Queue ${queueId} transferred:`, response.data);
+      return response.data.data;
+    } catch (error) {
+      this.handleError(error, 'Transfer queue');
+    }
+  }
+
   /**
    * Get queue status for a branch
    * @param {number} branchId - Branch ID
+   * @param {string} token - Auth or device token (optional)
    * @returns {Promise<Object>} Queue status data
    */
-  async getQueueStatus(branchId) {
+  async getQueueStatus(branchId, token = null) {
     try {
-      const response = await this.axiosInstance.get(`/queue/status/${branchId}`);
+      const response = await this.axiosInstance.get(`/queue/status/${branchId}`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+      });
       
       Logger.debug('Queue status response:', response.data);
       return response.data.data; // Return the actual data, not the wrapper
@@ -349,14 +953,31 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Track a single ticket by its public tracking code (no authentication)
+   * @param {string} code - Ticket tracking code
+   * @returns {Promise<Object>} Ticket position, people ahead, estimated wait and called counter
+   */
+  async trackTicket(code) {
+    try {
+      const response = await this.axiosInstance.get(`/queue/track/${encodeURIComponent(code)}`);
+      return response.data.data;
+    } catch (error) {
+      this.handleError(error, 'Track ticket');
+    }
+  }
+
   /**
    * Get active queue display data for a branch
    * @param {number} branchId - Branch ID
+   * @param {string} token - Auth or device token (optional)
    * @returns {Promise<Object>} Display data
    */
-  async getDisplayData(branchId) {
+  async getDisplayData(branchId, token = null) {
     try {
-      const response = await this.axiosInstance.get(`/queue/display/${branchId}`);
+      const response = await this.axiosInstance.get(`/queue/display/${branchId}`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+      });
       
       Logger.debug('Display data response:', response.data);
       return response.data.data; // Return the actual data, not the wrapper
@@ -382,6 +1003,213 @@ class DatabaseService {
       this.handleError(error, 'Get work history');
     }
   }
+
+  /**
+   * Get a clerk's performance dashboard with daily and weekly trends
+   * @param {number} userId - User ID (clerks may only request their own)
+   * @param {number} days - Days covered, ending today
+   * @param {string} token - Auth token
+   * @returns {Promise<Object>} Summary, daily and weekly metrics with branch averages
+   */
+  async getClerkPerformance(userId, days, token) {
+    try {
+      const response = await this.axiosInstance.get(`/queue/performance/${userId}`, {
+        params: { days },
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data.data;
+    } catch (error) {
+      this.handleError(error, 'Get clerk performance');
+    }
+  }
+
+  /**
+   * Get every state change of a ticket, oldest first
+   * @param {number} queueId - Queue item ID
+   * @param {string} token - Auth token
+   * @returns {Promise<Object>} Ticket info with its events
+   */
+  async getQueueTimeline(queueId, token) {
+    try {
+      const response = await this.axiosInstance.get(`/queue/${queueId}/timeline`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data.data;
+    } catch (error) {
+      this.handleError(error, 'Get queue timeline');
+    }
+  }
+
+  // ==================== APPOINTMENT OPERATIONS ====================
+
+  /**
+   * Get bookable slots of a branch for a day
+   * @param {number} branchId - Branch ID
+   * @param {string} date - Day in YYYY-MM-DD format
+   * @param {number|null} serviceId - Restrict to one service line (optional)
+   * @returns {Promise<Array>} Slots with booked and available counts
+   */
+  async getAppointmentSlots(branchId, date, serviceId = null) {
+    try {
+      const response = await this.axiosInstance.get(`/appointments/slots/${branchId}`, {
+        params: { date, serviceId: serviceId || undefined }
+      });
+      return response.data.data;
+    } catch (error) {
+      this.handleError(error, 'Get appointment slots');
+    }
+  }
+
+  /**
+   * Create bookable slots for a time window of one day
+   * @param {Object} slotData - { branchId, serviceId, date, startTime, endTime, durationMinutes, capacity }
+   * @param {string} token - Auth token
+   * @returns {Promise<Object>} Created slots
+   */
+  async createAppointmentSlots(slotData, token) {
+    try {
+      const response = await this.axiosInstance.post('/appointments/slots', slotData, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data;
+    } catch (error) {
+      this.handleError(error, 'Create appointment slots');
+    }
+  }
+
+  /**
+   * Remove a slot without bookings
+   * @param {number} slotId - Slot ID
+   * @param {string} token - Auth token
+   * @returns {Promise<Object>} Result
+   */
+  async deleteAppointmentSlot(slotId, token) {
+    try {
+      const response = await this.axiosInstance.delete(`/appointments/slots/${slotId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data;
+    } catch (error) {
+      this.handleError(error, 'Delete appointment slot');
+    }
+  }
+
+  /**
+   * Get appointments of a branch for a day
+   * @param {number} branchId - Branch ID
+   * @param {string} date - Day in YYYY-MM-DD format
+   * @param {string} token - Auth token
+   * @returns {Promise<Array>} Appointments
+   */
+  async getAppointments(branchId, date, token) {
+    try {
+      const response = await this.axiosInstance.get(`/appointments/branch/${branchId}`, {
+        params: { date },
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data.data;
+    } catch (error) {
+      this.handleError(error, 'Get appointments');
+    }
+  }
+
+  /**
+   * Book an appointment into a slot
+   * @param {Object} appointment - { slotId, customerName, customerPhone }
+   * @param {string} token - Auth token (optional, customers may book anonymously)
+   * @returns {Promise<Object>} Booked appointment with its check-in code
+   */
+  async createAppointment(appointment, token = null) {
+    try {
+      const response = await this.axiosInstance.post('/appointments', appointment, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+      });
+      return response.data;
+    } catch (error) {
+      this.handleError(error, 'Create appointment');
+    }
+  }
+
+  /**
+   * Cancel a booked appointment
+   * @param {number} appointmentId - Appointment ID
+   * @param {string} token - Auth token
+   * @returns {Promise<Object>} Result
+   */
+  async cancelAppointment(appointmentId, token) {
+    try {
+      const response = await this.axiosInstance.post(`/appointments/${appointmentId}/cancel`, {}, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data;
+    } catch (error) {
+      this.handleError(error, 'Cancel appointment');
+    }
+  }
+
+  // ==================== AUDIT OPERATIONS ====================
+
+  /**
+   * Search the audit log of administrative changes (admin only)
+   * @param {Object} filters - { search, entityType, action, userId, from, to, page, limit }
+   * @param {string} token - Auth token
+   * @returns {Promise<Object>} Entries and pagination
+   */
+  async getAuditLog(filters, token) {
+    try {
+      const response = await this.axiosInstance.get('/audit', {
+        params: filters,
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data.data;
+    } catch (error) {
+      this.handleError(error, 'Get audit log');
+    }
+  }
+
+  // ==================== REPORT OPERATIONS ====================
+
+  /**
+   * Get ticket statistics for a date range (admin only)
+   * @param {string} groupBy - branch, service, counter, clerk or hour
+   * @param {Object} filters - { from, to, branchId } with dates in YYYY-MM-DD format
+   * @param {string} token - Auth token
+   * @returns {Promise<Object>} Report with rows and totals
+   */
+  async getReport(groupBy, filters, token) {
+    try {
+      const response = await this.axiosInstance.get(`/reports/${groupBy}`, {
+        params: filters,
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data.data;
+    } catch (error) {
+      this.handleError(error, 'Get report');
+    }
+  }
+
+  /**
+   * Download a report file (admin only)
+   * @param {string} groupBy - branch, service, counter, clerk or hour
+   * @param {Object} filters - { from, to, branchId } with dates in YYYY-MM-DD format
+   * @param {string} format - csv or xlsx
+   * @param {string} token - Auth token
+   * @returns {Promise<{blob: Blob, filename: string}>} File content and its suggested name
+   */
+  async downloadReport(groupBy, filters, format, token) {
+    try {
+      const response = await this.axiosInstance.get(`/reports/${groupBy}`, {
+        params: { ...filters, format },
+        headers: { Authorization: `Bearer ${token}` },
+        responseType: 'blob'
+      });
+      const disposition = response.headers['content-disposition'] || '';
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `rapor-${groupBy}.${format}`;
+      return { blob: response.data, filename };
+    } catch (error) {
+      this.handleError(error, 'Download report');
+    }
+  }
 }
 
 // Export singleton instance
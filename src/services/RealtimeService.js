@@ -0,0 +1,111 @@
+/**
+ * Realtime Service
+ * Receives queue events of a branch from the backend over Server-Sent Events
+ * Screens keep their polling timers as a fallback while the stream is disconnected
+ */
+
+import AppConfig from '../config/AppConfig.js';
+import Logger from '../utils/Logger.js';
+
+class RealtimeService {
+  constructor() {
+    this.baseURL = import.meta.env.VITE_API_URL || 'http://localhost:3008/api';
+    // branchId -> { source, listeners, connected }
+    this.channels = new Map();
+  }
+
+  /**
+   * Check whether push updates can be used in this browser
+   * @returns {boolean} True if enabled and EventSource is available
+   */
+  isSupported() {
+    return AppConfig.get('realtime.enabled') && typeof window !== 'undefined' && 'EventSource' in window;
+  }
+
+  /**
+   * Open the event stream of a branch
+   * @param {number} branchId - Branch ID
+   * @returns {Object} Channel state
+   */
+  openChannel(branchId) {
+    const channel = { source: null, listeners: new Set(), connected: false };
+    const source = new EventSource(`${this.baseURL}/events/${branchId}`);
+
+    source.onopen = () => {
+      channel.connected = true;
+      Logger.info(`Realtime connected for branch ${branchId}`);
+    };
+
+    source.onmessage = (message) => {
+      let event;
+      try {
+        event = JSON.parse(message.data);
+      } catch (error) {
+        Logger.warning('Invalid realtime event received', error);
+        return;
+      }
+
+      channel.connected = true;
+      Logger.debug(`Realtime event: ${event.type}`, event.data);
+
+      channel.listeners.forEach(listener => {
+        try {
+          listener(event);
+        } catch (error) {
+          Logger.error('Realtime listener failed:', error);
+        }
+      });
+    };
+
+    // EventSource reconnects on its own; polling takes over until it does
+    source.onerror = () => {
+      if (channel.connected) {
+        Logger.warning(`Realtime connection lost for branch ${branchId}, falling back to polling`);
+      }
+      channel.connected = false;
+    };
+
+    channel.source = source;
+    this.channels.set(branchId, channel);
+    return channel;
+  }
+
+  /**
+   * Listen to queue events of a branch
+   * @param {number} branchId - Branch ID
+   * @param {Function} listener - Called with { type, branchId, data, timestamp }
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(branchId, listener) {
+    if (!branchId || !this.isSupported()) {
+      return () => {};
+    }
+
+    const key = parseInt(branchId);
+    const channel = this.channels.get(key) || this.openChannel(key);
+    channel.listeners.add(listener);
+
+    return () => {
+      channel.listeners.delete(listener);
+
+      // Close the stream when the last listener leaves
+      if (channel.listeners.size === 0) {
+        channel.source.close();
+        this.channels.delete(key);
+        Logger.info(`Realtime disconnected for branch ${key}`);
+      }
+    };
+  }
+
+  /**
+   * Check whether the event stream of a branch is currently connected
+   * @param {number} branchId - Branch ID
+   * @returns {boolean} True if events are being received
+   */
+  isConnected(branchId) {
+    return Boolean(this.channels.get(parseInt(branchId))?.connected);
+  }
+}
+
+// Export singleton instance
+export default new RealtimeService();
@@ -0,0 +1,259 @@
+/**
+ * Ticket Print Service
+ * Renders issued queue tickets for the kiosk printer, either as a print-ready page for the
+ * browser print dialog or as an ESC/POS byte stream for a locally attached receipt printer
+ */
+
+import QRCode from 'qrcode';
+import AppConfig from '../config/AppConfig.js';
+import Logger from '../utils/Logger.js';
+
+// ESC/POS control bytes
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+// Turkish letters in code page 857 (PC857), the Turkish code page of ESC/POS printers
+const CP857_CHARACTERS = {
+  'Ç': 0x80, 'ü': 0x81, 'â': 0x83, 'ç': 0x87, 'î': 0x8c, 'ı': 0x8d,
+  'ö': 0x94, 'û': 0x96, 'İ': 0x98, 'Ö': 0x99, 'Ü': 0x9a,
+  'Ş': 0x9e, 'ş': 0x9f, 'Ğ': 0xa6, 'ğ': 0xa7
+};
+
+/**
+ * Escape text for use in HTML markup
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeHTML = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+class TicketPrintService {
+  constructor() {
+    // Serial port of the receipt printer, kept open between tickets
+    this.port = null;
+  }
+
+  /**
+   * Get the public tracking page URL of a ticket
+   * @param {string} trackingCode - Ticket tracking code
+   * @returns {string} Tracking URL encoded in the QR code
+   */
+  getTrackingUrl(trackingCode) {
+    const baseUrl = AppConfig.get('printing.trackingBaseUrl') || window.location.origin;
+    return `${baseUrl.replace(/\/$/, '')}/track/${trackingCode}`;
+  }
+
+  /**
+   * Collect the printed content of a ticket
+   * @param {Queue} queue - Issued ticket
+   * @returns {Object} Ticket content
+   */
+  buildTicket(queue) {
+    const issuedAt = queue.createdAt || new Date();
+
+    return {
+      branchName: queue.branchName,
+      displayNumber: queue.getDisplayNumber(),
+      serviceName: queue.serviceName,
+      priorityText: queue.isPriority() ? queue.getPriorityText() : '',
+      scheduledTime: queue.getScheduledTime(),
+      issuedAt: issuedAt.toLocaleString('tr-TR', {
+        day: '2-digit',
+        month: '2-digit',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+      }),
+      peopleAhead: queue.peopleAhead,
+      trackingCode: queue.trackingCode,
+      trackingUrl: queue.trackingCode ? this.getTrackingUrl(queue.trackingCode) : ''
+    };
+  }
+
+  /**
+   * Render a ticket as a print-ready HTML document sized for the kiosk paper roll
+   * @param {Object} ticket - Ticket content from buildTicket
+   * @returns {Promise<string>} HTML document
+   */
+  async renderHTML(ticket) {
+    const paperWidth = AppConfig.get('printing.paperWidthMm');
+    const qrCode = ticket.trackingUrl
+      ? await QRCode.toString(ticket.trackingUrl, { type: 'svg', margin: 0, errorCorrectionLevel: 'M' })
+      : '';
+
+    return `<!DOCTYPE html>
+<html lang="tr">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(ticket.displayNumber)}</title>
+<style>
+  @page { size: ${paperWidth}mm auto; margin: 0; }
+  body { width: ${paperWidth}mm; margin: 0; padding: 4mm; box-sizing: border-box;
+         font-family: Arial, sans-serif; text-align: center; color: #000; }
+  .branch { font-size: 14px; font-weight: 700; }
+  .service { font-size: 13px; margin-top: 2mm; }
+  .number { font-size: 56px; font-weight: 700; line-height: 1.1; margin: 2mm 0; }
+  .line { font-size: 12px; margin-top: 1mm; }
+  .qr { width: 32mm; height: 32mm; margin: 3mm auto 1mm; }
+  .qr svg { width: 100%; height: 100%; }
+  .code { font-size: 12px; font-family: monospace; letter-spacing: 1px; }
+</style>
+</head>
+<body>
+  <div class="branch">${escapeHTML(ticket.branchName)}</div>
+  ${ticket.serviceName ? `<div class="service">${escapeHTML(ticket.serviceName)}</div>` : ''}
+  <div class="number">${escapeHTML(ticket.displayNumber)}</div>
+  ${ticket.priorityText ? `<div class="line">${escapeHTML(ticket.priorityText)}</div>` : ''}
+  ${ticket.scheduledTime ? `<div class="line">Randevu saati: ${escapeHTML(ticket.scheduledTime)}</div>` : ''}
+  <div class="line">${escapeHTML(ticket.issuedAt)}</div>
+  ${ticket.peopleAhead !== null ? `<div class="line">Önünüzde ${ticket.peopleAhead} kişi var</div>` : ''}
+  ${qrCode ? `<div class="qr">${qrCode}</div>
+  <div class="line">Sıranızı telefonunuzdan takip edin</div>
+  <div class="code">${escapeHTML(ticket.trackingCode)}</div>` : ''}
+</body>
+</html>`;
+  }
+
+  /**
+   * Print a ticket through the browser print dialog from a hidden frame
+   * @param {Object} ticket - Ticket content from buildTicket
+   */
+  async printInBrowser(ticket) {
+    const html = await this.renderHTML(ticket);
+    const frame = document.createElement('iframe');
+    frame.style.position = 'fixed';
+    frame.style.width = '0';
+    frame.style.height = '0';
+    frame.style.border = '0';
+    document.body.appendChild(frame);
+
+    const frameDocument = frame.contentWindow.document;
+    frameDocument.open();
+    frameDocument.write(html);
+    frameDocument.close();
+
+    frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+  }
+
+  /**
+   * Encode text for the printer code page; characters it cannot print become '?'
+   * @param {string} text - Text
+   * @returns {Array<number>} Encoded bytes
+   */
+  encodeText(text) {
+    return Array.from(String(text ?? '')).map(character => {
+      const code = character.charCodeAt(0);
+      if (code < 0x80) return code;
+      return CP857_CHARACTERS[character] ?? 0x3f;
+    });
+  }
+
+  /**
+   * Build the ESC/POS byte stream of a ticket
+   * @param {Object} ticket - Ticket content from buildTicket
+   * @returns {Uint8Array} Printer commands
+   */
+  buildEscPos(ticket) {
+    const { codePage, qrModuleSize } = AppConfig.get('printing.escPos');
+    const bytes = [];
+    const line = (text) => bytes.push(...this.encodeText(text), LF);
+
+    bytes.push(ESC, 0x40);            // Initialize printer
+    bytes.push(ESC, 0x74, codePage);  // Select character code table
+    bytes.push(ESC, 0x61, 1);         // Center alignment
+
+    bytes.push(ESC, 0x45, 1);         // Bold on
+    line(ticket.branchName);
+    bytes.push(ESC, 0x45, 0);         // Bold off
+    if (ticket.serviceName) line(ticket.serviceName);
+
+    bytes.push(LF, GS, 0x21, 0x33);   // Quadruple width and height
+    line(ticket.displayNumber);
+    bytes.push(GS, 0x21, 0x00, LF);   // Normal size
+
+    if (ticket.priorityText) line(ticket.priorityText);
+    if (ticket.scheduledTime) line(`Randevu saati: ${ticket.scheduledTime}`);
+    line(ticket.issuedAt);
+    if (ticket.peopleAhead !== null) line(`Önünüzde ${ticket.peopleAhead} kişi var`);
+
+    if (ticket.trackingUrl) {
+      const data = this.encodeText(ticket.trackingUrl);
+      const storeLength = data.length + 3;
+
+      bytes.push(LF);
+      bytes.push(GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0x00);        // QR model 2
+      bytes.push(GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, qrModuleSize);      // Module size
+      bytes.push(GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, 0x31);              // Error correction M
+      bytes.push(GS, 0x28, 0x6b, storeLength & 0xff, storeLength >> 8, 0x31, 0x50, 0x30, ...data);
+      bytes.push(GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30);              // Print stored symbol
+      bytes.push(LF);
+      line('Sıranızı telefonunuzdan takip edin');
+      line(ticket.trackingCode);
+    }
+
+    bytes.push(ESC, 0x64, 4);         // Feed 4 lines
+    bytes.push(GS, 0x56, 0x42, 0);    // Partial cut
+
+    return new Uint8Array(bytes);
+  }
+
+  /**
+   * Send an ESC/POS byte stream to the receipt printer over Web Serial.
+   * The first call asks the operator to pick the printer port; later calls reuse it.
+   * @param {Uint8Array} bytes - Printer commands
+   */
+  async sendToPrinter(bytes) {
+    if (!('serial' in navigator)) {
+      throw new Error('Web Serial is not supported in this browser');
+    }
+
+    if (!this.port) {
+      const [grantedPort] = await navigator.serial.getPorts();
+      const port = grantedPort || await navigator.serial.requestPort();
+      await port.open({ baudRate: AppConfig.get('printing.escPos.baudRate') });
+      this.port = port;
+    }
+
+    const writer = this.port.writable.getWriter();
+    try {
+      await writer.write(bytes);
+    } finally {
+      writer.releaseLock();
+    }
+  }
+
+  /**
+   * Print an issued ticket with the configured printing mode.
+   * If the receipt printer cannot be reached the browser print dialog is used instead.
+   * @param {Queue} queue - Issued ticket
+   */
+  async print(queue) {
+    const mode = AppConfig.get('printing.mode');
+    if (mode === 'none') return;
+
+    const ticket = this.buildTicket(queue);
+
+    if (mode === 'escpos') {
+      try {
+        await this.sendToPrinter(this.buildEscPos(ticket));
+        Logger.info(`Ticket ${ticket.displayNumber} sent to receipt printer`);
+        return;
+      } catch (error) {
+        Logger.warning('Receipt printer not available, using print dialog:', error);
+        this.port = null;
+      }
+    }
+
+    await this.printInBrowser(ticket);
+    Logger.info(`Ticket ${ticket.displayNumber} sent to print dialog`);
+  }
+}
+
+// Export singleton instance
+export default new TicketPrintService();